@@ -2,6 +2,7 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using BudgetExperiment.Api.Filters;
 using BudgetExperiment.Application.Transactions;
 using BudgetExperiment.Contracts.Dtos;
 
@@ -47,9 +48,11 @@ public sealed class TransactionBatchController : ControllerBase
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The created transaction.</returns>
     [HttpPost]
+    [ServiceFilter<IdempotencyFilter>]
     [ProducesResponseType<TransactionDto>(StatusCodes.Status201Created)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
     public async Task<IActionResult> CreateAsync([FromBody] TransactionCreateDto dto, CancellationToken cancellationToken)
     {
         var transaction = await _service.CreateAsync(dto, cancellationToken);
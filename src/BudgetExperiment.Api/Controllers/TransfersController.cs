@@ -2,6 +2,7 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using BudgetExperiment.Api.Filters;
 using BudgetExperiment.Contracts.Dtos;
 
 using Microsoft.AspNetCore.Authorization;
@@ -43,9 +44,12 @@ public sealed class TransfersController : ControllerBase
     /// <returns>The created transfer details.</returns>
     /// <response code="201">Transfer created successfully.</response>
     /// <response code="400">Invalid request data.</response>
+    /// <response code="409">A request with the same idempotency key is still being processed.</response>
     [HttpPost]
+    [ServiceFilter<IdempotencyFilter>]
     [ProducesResponseType<TransferResponse>(StatusCodes.Status201Created)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
     public async Task<IActionResult> CreateAsync(
         [FromBody] CreateTransferRequest request,
         CancellationToken cancellationToken)
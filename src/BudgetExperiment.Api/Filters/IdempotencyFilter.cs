@@ -0,0 +1,175 @@
+// <copyright file="IdempotencyFilter.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+
+using BudgetExperiment.Domain;
+
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.Extensions.Caching.Memory;
+
+namespace BudgetExperiment.Api.Filters;
+
+/// <summary>
+/// Makes create endpoints safe to retry by honouring the <c>Idempotency-Key</c> request header.
+/// </summary>
+/// <remarks>
+/// The offline outbox replays queued writes with a stable key per item, so a request that reached
+/// the server but whose response was lost is sent again with the same key. The first successful
+/// result is stored per user and key (including the created resource id and location) and returned
+/// unchanged for every repeat instead of creating a duplicate. Reusing a key for a different request
+/// is rejected with 422, and a repeat that arrives while the original is still running gets 409.
+/// Requests without the header are not affected. Results are kept in memory, so a server restart
+/// forgets them; the window that matters is the seconds between a lost response and its retry.
+/// </remarks>
+public sealed class IdempotencyFilter : IAsyncActionFilter
+{
+    /// <summary>
+    /// The name of the request header that carries the idempotency key.
+    /// </summary>
+    public const string KeyHeaderName = "Idempotency-Key";
+
+    /// <summary>
+    /// The name of the response header set when a stored result is returned.
+    /// </summary>
+    public const string ReplayedHeaderName = "Idempotent-Replayed";
+
+    /// <summary>
+    /// How long a stored result is kept after the original request succeeded.
+    /// </summary>
+    public static readonly TimeSpan RetentionPeriod = TimeSpan.FromHours(24);
+
+    private const int MaxKeyLength = 255;
+
+    private static readonly ConcurrentDictionary<string, byte> InFlight = new(StringComparer.Ordinal);
+
+    private readonly IMemoryCache _cache;
+    private readonly IUserContext _userContext;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IdempotencyFilter"/> class.
+    /// </summary>
+    /// <param name="cache">The cache holding stored results.</param>
+    /// <param name="userContext">The current user context.</param>
+    public IdempotencyFilter(IMemoryCache cache, IUserContext userContext)
+    {
+        _cache = cache;
+        _userContext = userContext;
+    }
+
+    /// <inheritdoc/>
+    public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+    {
+        var key = context.HttpContext.Request.Headers[KeyHeaderName].ToString();
+        if (string.IsNullOrWhiteSpace(key))
+        {
+            await next();
+            return;
+        }
+
+        if (key.Length > MaxKeyLength)
+        {
+            context.Result = Problem(StatusCodes.Status400BadRequest, "Bad Request", $"The {KeyHeaderName} header must be at most {MaxKeyLength} characters.");
+            return;
+        }
+
+        var request = context.HttpContext.Request;
+        var cacheKey = $"idempotency:{_userContext.UserId}:{request.Method}:{request.Path}:{key}";
+        var fingerprint = ComputeFingerprint(context.ActionArguments);
+
+        if (_cache.TryGetValue(cacheKey, out IdempotentResult? stored) && stored is not null)
+        {
+            context.Result = Replay(context.HttpContext, stored, fingerprint);
+            return;
+        }
+
+        if (!InFlight.TryAdd(cacheKey, 0))
+        {
+            context.Result = Problem(StatusCodes.Status409Conflict, "Conflict", "A request with this idempotency key is still being processed.");
+            return;
+        }
+
+        try
+        {
+            var executed = await next();
+            if (executed.Exception is null && executed.Result is ObjectResult { StatusCode: int statusCode and >= 200 and < 300 } result)
+            {
+                _cache.Set(
+                    cacheKey,
+                    new IdempotentResult(fingerprint, statusCode, GetLocation(executed), result.Value),
+                    RetentionPeriod);
+            }
+        }
+        finally
+        {
+            InFlight.TryRemove(cacheKey, out _);
+        }
+    }
+
+    private static IActionResult Replay(HttpContext httpContext, IdempotentResult stored, string fingerprint)
+    {
+        if (!string.Equals(stored.Fingerprint, fingerprint, StringComparison.Ordinal))
+        {
+            return Problem(StatusCodes.Status422UnprocessableEntity, "Validation Error", "This idempotency key was already used for a different request.");
+        }
+
+        httpContext.Response.Headers[ReplayedHeaderName] = "true";
+        if (stored.Location is not null)
+        {
+            httpContext.Response.Headers.Location = stored.Location;
+        }
+
+        return new ObjectResult(stored.Value)
+        {
+            StatusCode = stored.StatusCode,
+        };
+    }
+
+    private static string? GetLocation(ActionExecutedContext executed)
+    {
+        if (executed.Result is CreatedResult created)
+        {
+            return created.Location;
+        }
+
+        if (executed.Result is CreatedAtActionResult createdAtAction)
+        {
+            return executed.HttpContext.RequestServices
+                .GetRequiredService<LinkGenerator>()
+                .GetPathByAction(executed.HttpContext, createdAtAction.ActionName, createdAtAction.ControllerName, createdAtAction.RouteValues);
+        }
+
+        return null;
+    }
+
+    private static string ComputeFingerprint(IDictionary<string, object?> arguments)
+    {
+        var payload = arguments
+            .Where(argument => argument.Value is not CancellationToken)
+            .OrderBy(argument => argument.Key, StringComparer.Ordinal)
+            .Select(argument => $"{argument.Key}={JsonSerializer.Serialize(argument.Value)}");
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(string.Join('&', payload)));
+        return Convert.ToHexString(hash);
+    }
+
+    private static ObjectResult Problem(int status, string title, string detail)
+    {
+        return new ObjectResult(new ProblemDetails
+        {
+            Status = status,
+            Title = title,
+            Detail = detail,
+        })
+        {
+            StatusCode = status,
+            ContentTypes = { "application/problem+json" },
+        };
+    }
+
+    private sealed record IdempotentResult(string Fingerprint, int StatusCode, string? Location, object? Value);
+}
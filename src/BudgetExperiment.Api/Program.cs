@@ -70,6 +70,7 @@ public partial class Program
         builder.Services.Configure<AuthenticationOptions>(builder.Configuration.GetSection(AuthenticationOptions.SectionName));
         builder.Services.AddHttpContextAccessor();
         builder.Services.AddScoped<IUserContext, UserContext>();
+        builder.Services.AddScoped<BudgetExperiment.Api.Filters.IdempotencyFilter>();
         ConfigureAuthentication(builder.Services, builder.Configuration);
 
         // Response compression (Brotli primary, Gzip fallback).
@@ -80,6 +80,7 @@ public sealed class UnifiedTransactionService : IUnifiedTransactionService
             CategoryName = t.Category?.Name,
             IsRecurring = t.RecurringTransactionId.HasValue,
             IsTransfer = t.IsTransfer,
+            IsCleared = t.IsCleared,
             EffectiveKakeiboCategory = (t.KakeiboOverride ?? t.Category?.KakeiboCategory)?.ToString(),
             IsKakeiboOverride = t.KakeiboOverride.HasValue,
         }).ToList();
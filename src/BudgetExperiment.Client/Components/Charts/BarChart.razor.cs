@@ -4,6 +4,8 @@
 
 using System.Globalization;
 
+using BudgetExperiment.Client.Components.Charts.Models;
+
 using Microsoft.AspNetCore.Components;
 
 namespace BudgetExperiment.Client.Components.Charts;
@@ -37,6 +39,15 @@ public partial class BarChart
     [Parameter]
     public string AriaLabel { get; set; } = "Bar chart";
 
+    /// <summary>
+    /// Gets or sets a value indicating whether to show the PNG/SVG/CSV export menu.
+    /// </summary>
+    [Parameter]
+    public bool ShowExport
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the callback for bar clicks.
     /// </summary>
@@ -203,6 +214,21 @@ public partial class BarChart
         return value.ToString(CultureInfo.InvariantCulture);
     }
 
+    private ChartExportData BuildExportData()
+    {
+        var seriesNames = Series.Count > 0
+            ? Series.Select(s => s.Name).ToList()
+            : Groups.SelectMany(g => g.Values).Select(v => v.Series).Distinct().ToList();
+
+        var rows = Groups
+            .Select(g => new object?[] { g.Label }
+                .Concat(seriesNames.Select(name => (object?)g.Values.FirstOrDefault(v => v.Series == name)?.Value))
+                .ToArray())
+            .ToList();
+
+        return new ChartExportData(["Group", .. seriesNames], rows);
+    }
+
     private MarkupString RenderSvgText(double x, double y, string cssClass, string textAnchor, string fontSize, string content)
     {
         var xStr = F(x);
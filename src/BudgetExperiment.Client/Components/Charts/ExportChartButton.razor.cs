@@ -2,17 +2,29 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using System.Text;
+
+using BudgetExperiment.Client.Components.Charts.Models;
+
 using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Web;
+using Microsoft.JSInterop;
 
 namespace BudgetExperiment.Client.Components.Charts;
 
 /// <summary>
-/// A button component that triggers chart export functionality.
+/// A menu button that saves the surrounding chart as PNG or SVG, or its series as CSV.
 /// </summary>
-public partial class ExportChartButton
+public partial class ExportChartButton : IAsyncDisposable
 {
+    private ElementReference anchor;
+    private IJSObjectReference? module;
+    private bool isMenuOpen;
+    private bool isExporting;
+    private string? errorMessage;
+
     /// <summary>
-    /// Gets or sets the title of the chart being exported.
+    /// Gets or sets the title of the chart being exported. Used for the file name.
     /// </summary>
     [Parameter]
     public string ChartTitle { get; set; } = "chart";
@@ -23,9 +35,115 @@ public partial class ExportChartButton
     [Parameter]
     public bool Visible { get; set; } = true;
 
-    private Task HandleExportAsync()
+    /// <summary>
+    /// Gets or sets the series behind the chart. The CSV option is only offered when set.
+    /// </summary>
+    [Parameter]
+    public ChartExportData? Data
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the resolutions offered for PNG export. 96 DPI matches the on-screen size.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<int> PngDpiOptions { get; set; } = [96, 192, 300];
+
+    [Inject]
+    private IJSRuntime JSRuntime { get; set; } = default!;
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        if (module is not null)
+        {
+            try
+            {
+                await module.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit disconnected during disposal — safe to ignore.
+            }
+
+            module = null;
+        }
+    }
+
+    /// <summary>
+    /// Builds a file name from the chart title, e.g. "Monthly Trends" becomes "monthly-trends.png".
+    /// </summary>
+    /// <param name="title">The chart title.</param>
+    /// <param name="extension">The file extension without the dot.</param>
+    /// <returns>The file name.</returns>
+    private static string GetFileName(string title, string extension)
+    {
+        var slug = new StringBuilder();
+        foreach (var c in title.Trim().ToLowerInvariant())
+        {
+            if (char.IsLetterOrDigit(c))
+            {
+                slug.Append(c);
+            }
+            else if (slug.Length > 0 && slug[^1] != '-')
+            {
+                slug.Append('-');
+            }
+        }
+
+        var name = slug.ToString().TrimEnd('-');
+        return $"{(name.Length > 0 ? name : "chart")}.{extension}";
+    }
+
+    private void ToggleMenu()
+    {
+        isMenuOpen = !isMenuOpen;
+        errorMessage = null;
+    }
+
+    private void HandleMenuKeyDown(KeyboardEventArgs e)
+    {
+        if (e.Key == "Escape")
+        {
+            isMenuOpen = false;
+        }
+    }
+
+    private Task ExportPngAsync(int dpi)
     {
-        // TODO: wire JS interop for screenshot when browser API available
-        return Task.CompletedTask;
+        return RunExportAsync(m => m.InvokeAsync<string>("exportPng", anchor, GetFileName(ChartTitle, "png"), dpi));
+    }
+
+    private Task ExportSvgAsync()
+    {
+        return RunExportAsync(m => m.InvokeAsync<string>("exportSvg", anchor, GetFileName(ChartTitle, "svg")));
+    }
+
+    private Task ExportCsvAsync()
+    {
+        var csv = Data?.ToCsv() ?? string.Empty;
+        return RunExportAsync(m => m.InvokeAsync<string>("exportCsv", GetFileName(ChartTitle, "csv"), csv));
+    }
+
+    private async Task RunExportAsync(Func<IJSObjectReference, ValueTask<string>> export)
+    {
+        isMenuOpen = false;
+        isExporting = true;
+        errorMessage = null;
+
+        try
+        {
+            module ??= await JSRuntime.InvokeAsync<IJSObjectReference>("import", "./js/chart-export.js");
+            await export(module);
+        }
+        catch (JSException ex)
+        {
+            errorMessage = $"Export failed: {ex.Message}";
+        }
+        finally
+        {
+            isExporting = false;
+        }
     }
 }
@@ -37,6 +37,15 @@ public partial class HeatmapChart
     [Parameter]
     public string[] RowLabels { get; set; } = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
+    /// <summary>
+    /// Gets or sets a value indicating whether to show the PNG/SVG/CSV export menu.
+    /// </summary>
+    [Parameter]
+    public bool ShowExport
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the optional maximum amount used as the color-scale ceiling.
     /// When null, the maximum is computed from the provided data.
@@ -106,6 +115,24 @@ public partial class HeatmapChart
         return $"rgba(16, 124, 16, {F(opacity)})";
     }
 
+    private ChartExportData BuildExportData()
+    {
+        var rows = (Data ?? Array.Empty<HeatmapDataPoint[]>())
+            .SelectMany((row, day) => row.Select(point => (Day: day, Point: point)))
+            .OrderBy(cell => cell.Point.WeekIndex)
+            .ThenBy(cell => cell.Day)
+            .Select(cell => new object?[]
+            {
+                cell.Point.WeekIndex + 1,
+                cell.Day < RowLabels.Length ? RowLabels[cell.Day] : null,
+                cell.Point.TotalAmount,
+                cell.Point.TransactionCount,
+            })
+            .ToList();
+
+        return new ChartExportData(["Week", "Day", "Amount", "Transactions"], rows);
+    }
+
     private MarkupString RenderSvgText(double x, double y, string cssClass, string textAnchor, string fontSize, string content)
     {
         var xStr = F(x);
@@ -5,6 +5,7 @@
 using System.Globalization;
 using System.Text;
 
+using BudgetExperiment.Client.Components.Charts.Models;
 using BudgetExperiment.Client.Components.Charts.Shared;
 
 using Microsoft.AspNetCore.Components;
@@ -118,6 +119,15 @@ public partial class LineChart
     [Parameter]
     public string AriaLabel { get; set; } = "Line chart";
 
+    /// <summary>
+    /// Gets or sets a value indicating whether to show the PNG/SVG/CSV export menu.
+    /// </summary>
+    [Parameter]
+    public bool ShowExport
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the event callback when a point is clicked.
     /// </summary>
@@ -402,6 +412,17 @@ public partial class LineChart
         return $"line-area-{sanitized}-{index}";
     }
 
+    private ChartExportData BuildExportData()
+    {
+        var rows = Data
+            .Select(d => new object?[] { d.Label }
+                .Concat(SeriesDefinitions.Select(def => TryGetValue(d, def.Id, out var value) ? (object?)value : null))
+                .ToArray())
+            .ToList();
+
+        return new ChartExportData(["Label", .. SeriesDefinitions.Select(def => def.Label)], rows);
+    }
+
     private bool TryGetValue(LineData data, string seriesId, out decimal value)
     {
         if (Series is null || Series.Count == 0)
@@ -0,0 +1,68 @@
+// <copyright file="ChartExportData.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+using System.Text;
+
+using BudgetExperiment.Client.Services;
+
+namespace BudgetExperiment.Client.Components.Charts.Models;
+
+/// <summary>
+/// The tabular series behind a chart, offered as a CSV download alongside the image export.
+/// </summary>
+/// <param name="Headers">The column headers.</param>
+/// <param name="Rows">The data rows. Numbers are written with the invariant culture so spreadsheets can parse them.</param>
+public sealed record ChartExportData(IReadOnlyList<string> Headers, IReadOnlyList<IReadOnlyList<object?>> Rows)
+{
+    /// <summary>
+    /// Serializes the data as RFC 4180 CSV. Text cells are guarded against spreadsheet formula injection.
+    /// </summary>
+    /// <returns>The CSV text, one line per row with a header line first.</returns>
+    public string ToCsv()
+    {
+        var builder = new StringBuilder();
+        AppendLine(builder, Headers.Cast<object?>());
+
+        foreach (var row in Rows)
+        {
+            AppendLine(builder, row);
+        }
+
+        return builder.ToString();
+    }
+
+    private static void AppendLine(StringBuilder builder, IEnumerable<object?> cells)
+    {
+        var first = true;
+        foreach (var cell in cells)
+        {
+            if (!first)
+            {
+                builder.Append(',');
+            }
+
+            builder.Append(FormatCell(cell));
+            first = false;
+        }
+
+        builder.Append("\r\n");
+    }
+
+    private static string FormatCell(object? cell)
+    {
+        var text = cell switch
+        {
+            null => string.Empty,
+            string s => CsvSanitizer.SanitizeForDisplay(s),
+            bool b => b ? "true" : "false",
+            IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+            _ => CsvSanitizer.SanitizeForDisplay(cell.ToString() ?? string.Empty),
+        };
+
+        return text.IndexOfAny([',', '"', '\r', '\n']) >= 0
+            ? "\"" + text.Replace("\"", "\"\"") + "\""
+            : text;
+    }
+}
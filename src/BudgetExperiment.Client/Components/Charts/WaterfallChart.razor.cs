@@ -35,6 +35,15 @@ public partial class WaterfallChart
     [Parameter]
     public string AriaLabel { get; set; } = "Budget waterfall chart";
 
+    /// <summary>
+    /// Gets or sets a value indicating whether to show the PNG/SVG/CSV export menu.
+    /// </summary>
+    [Parameter]
+    public bool ShowExport
+    {
+        get; set;
+    }
+
     private static double ViewBoxHeight => 200;
 
     private static double MarginLeft => 45;
@@ -106,6 +115,15 @@ public partial class WaterfallChart
         return connectors;
     }
 
+    private ChartExportData BuildExportData()
+    {
+        var rows = (Segments ?? Array.Empty<WaterfallSegment>())
+            .Select(s => new object?[] { s.Label, s.Amount, s.RunningTotal, s.IsTotal ? "Total" : "Change" })
+            .ToList();
+
+        return new ChartExportData(["Label", "Amount", "Running total", "Type"], rows);
+    }
+
     private (double MinVal, double MaxVal) ComputeValueRange()
     {
         var allValues = new List<double> { 0 };
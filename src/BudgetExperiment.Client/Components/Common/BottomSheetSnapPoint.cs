@@ -0,0 +1,20 @@
+// <copyright file="BottomSheetSnapPoint.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Components.Common;
+
+/// <summary>
+/// Heights a draggable bottom sheet settles at when released.
+/// </summary>
+public enum BottomSheetSnapPoint
+{
+    /// <summary>Peek (25% of viewport), enough to show the sheet's top.</summary>
+    Peek,
+
+    /// <summary>Half (50% of viewport).</summary>
+    Half,
+
+    /// <summary>Full (90% of viewport, leaving header visible).</summary>
+    Full,
+}
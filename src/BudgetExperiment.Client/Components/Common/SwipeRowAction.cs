@@ -0,0 +1,68 @@
+// <copyright file="SwipeRowAction.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Components.Common;
+
+/// <summary>
+/// An action revealed by swiping a <see cref="SwipeRow"/> left, or from its actions button.
+/// The first action in a row's list is the primary action, which a full swipe commits.
+/// </summary>
+public sealed class SwipeRowAction
+{
+    /// <summary>
+    /// Gets the button label, such as "Delete".
+    /// </summary>
+    public required string Label
+    {
+        get; init;
+    }
+
+    /// <summary>
+    /// Gets the name of the icon shown above the label.
+    /// </summary>
+    public required string Icon
+    {
+        get; init;
+    }
+
+    /// <summary>
+    /// Gets the button colour.
+    /// </summary>
+    public ButtonVariant Variant { get; init; } = ButtonVariant.Secondary;
+
+    /// <summary>
+    /// Gets the message on the undo toast once the action is committed, such as "Transaction deleted.".
+    /// </summary>
+    public required string CompletedMessage
+    {
+        get; init;
+    }
+
+    /// <summary>
+    /// Gets the callback that carries out the action, returning whether it worked.
+    /// Failures are for the callback to report; no undo toast is shown for them.
+    /// </summary>
+    public required Func<Task<bool>> Execute
+    {
+        get; init;
+    }
+
+    /// <summary>
+    /// Gets the callback that reverses the action when Undo is pressed on its toast.
+    /// </summary>
+    public required Func<Task> Undo
+    {
+        get; init;
+    }
+
+    /// <summary>
+    /// Gets an optional callback for once the undo toast has gone without Undo being pressed.
+    /// An action that can't be reversed afterwards (such as a delete) only hides its row in
+    /// <see cref="Execute"/> and does the real work here.
+    /// </summary>
+    public Func<Task>? Commit
+    {
+        get; init;
+    }
+}
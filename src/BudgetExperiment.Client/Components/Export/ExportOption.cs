@@ -25,6 +25,14 @@ public sealed record ExportOption
         get; init;
     }
 
+    /// <summary>
+    /// Gets the file name suggested in the save dialog.
+    /// </summary>
+    public string? FileName
+    {
+        get; init;
+    }
+
     /// <summary>
     /// Gets the optional description.
     /// </summary>
@@ -0,0 +1,79 @@
+// <copyright file="CalendarDropPreview.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Contracts.Dtos;
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// The end-of-day balances the calendar would show if an item were moved to another day.
+/// Balances run from day to day, so only the days from the earlier of the two dates up to
+/// the day before the later one change.
+/// </summary>
+public sealed class CalendarDropPreview
+{
+    private readonly Dictionary<DateOnly, decimal> _balances;
+
+    private CalendarDropPreview(DateOnly targetDate, Dictionary<DateOnly, decimal> balances)
+    {
+        TargetDate = targetDate;
+        _balances = balances;
+    }
+
+    /// <summary>
+    /// Gets the day the item would be moved to.
+    /// </summary>
+    public DateOnly TargetDate
+    {
+        get;
+    }
+
+    /// <summary>
+    /// Recomputes the balances for moving an amount from one day to another.
+    /// </summary>
+    /// <param name="days">The calendar's days, with their current end-of-day balances.</param>
+    /// <param name="sourceDate">The day the item is on now.</param>
+    /// <param name="targetDate">The day it would be moved to.</param>
+    /// <param name="amount">The item's signed amount.</param>
+    /// <returns>The preview, holding a balance for every day that changes and for the target day.</returns>
+    public static CalendarDropPreview Create(
+        IEnumerable<CalendarDaySummaryDto> days,
+        DateOnly sourceDate,
+        DateOnly targetDate,
+        decimal amount)
+    {
+        var balances = new Dictionary<DateOnly, decimal>();
+        foreach (var day in days)
+        {
+            var change = 0m;
+            if (day.Date >= sourceDate && day.Date < targetDate)
+            {
+                // Moved later: these days no longer include it
+                change = -amount;
+            }
+            else if (day.Date >= targetDate && day.Date < sourceDate)
+            {
+                // Moved earlier: these days now include it
+                change = amount;
+            }
+
+            if (change != 0m || day.Date == targetDate)
+            {
+                balances[day.Date] = day.EndOfDayBalance.Amount + change;
+            }
+        }
+
+        return new CalendarDropPreview(targetDate, balances);
+    }
+
+    /// <summary>
+    /// Gets the balance a day would end on after the move.
+    /// </summary>
+    /// <param name="date">The day.</param>
+    /// <returns>The new balance, or null if the move leaves the day's balance as it is.</returns>
+    public decimal? GetBalance(DateOnly date)
+    {
+        return _balances.TryGetValue(date, out var balance) ? balance : null;
+    }
+}
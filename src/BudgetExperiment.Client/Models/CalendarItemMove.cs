@@ -0,0 +1,35 @@
+// <copyright file="CalendarItemMove.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// A day item being dragged to another calendar day, as reported by the calendar drag layer.
+/// </summary>
+public sealed class CalendarItemMove
+{
+    /// <summary>
+    /// Gets or sets the identifier of the day item being moved.
+    /// </summary>
+    public Guid ItemId
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the day the item is on now.
+    /// </summary>
+    public DateOnly SourceDate
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the day the item is over or was dropped on; null when it is over no day.
+    /// </summary>
+    public DateOnly? TargetDate
+    {
+        get; set;
+    }
+}
@@ -0,0 +1,68 @@
+// <copyright file="CssColor.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.RegularExpressions;
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// Recognises the CSS colour syntaxes custom theme colour tokens may use:
+/// hex, <c>rgb()</c>/<c>rgba()</c>, <c>hsl()</c>/<c>hsla()</c> and named colours.
+/// </summary>
+/// <remarks>
+/// js/theme.js and the startup script in index.html accept the same forms.
+/// </remarks>
+public static partial class CssColor
+{
+    private static readonly HashSet<string> NamedColors = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "transparent", "currentcolor",
+        "aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige", "bisque", "black",
+        "blanchedalmond", "blue", "blueviolet", "brown", "burlywood", "cadetblue", "chartreuse",
+        "chocolate", "coral", "cornflowerblue", "cornsilk", "crimson", "cyan", "darkblue", "darkcyan",
+        "darkgoldenrod", "darkgray", "darkgreen", "darkgrey", "darkkhaki", "darkmagenta",
+        "darkolivegreen", "darkorange", "darkorchid", "darkred", "darksalmon", "darkseagreen",
+        "darkslateblue", "darkslategray", "darkslategrey", "darkturquoise", "darkviolet", "deeppink",
+        "deepskyblue", "dimgray", "dimgrey", "dodgerblue", "firebrick", "floralwhite", "forestgreen",
+        "fuchsia", "gainsboro", "ghostwhite", "gold", "goldenrod", "gray", "green", "greenyellow",
+        "grey", "honeydew", "hotpink", "indianred", "indigo", "ivory", "khaki", "lavender",
+        "lavenderblush", "lawngreen", "lemonchiffon", "lightblue", "lightcoral", "lightcyan",
+        "lightgoldenrodyellow", "lightgray", "lightgreen", "lightgrey", "lightpink", "lightsalmon",
+        "lightseagreen", "lightskyblue", "lightslategray", "lightslategrey", "lightsteelblue",
+        "lightyellow", "lime", "limegreen", "linen", "magenta", "maroon", "mediumaquamarine",
+        "mediumblue", "mediumorchid", "mediumpurple", "mediumseagreen", "mediumslateblue",
+        "mediumspringgreen", "mediumturquoise", "mediumvioletred", "midnightblue", "mintcream",
+        "mistyrose", "moccasin", "navajowhite", "navy", "oldlace", "olive", "olivedrab", "orange",
+        "orangered", "orchid", "palegoldenrod", "palegreen", "paleturquoise", "palevioletred",
+        "papayawhip", "peachpuff", "peru", "pink", "plum", "powderblue", "purple", "rebeccapurple",
+        "red", "rosybrown", "royalblue", "saddlebrown", "salmon", "sandybrown", "seagreen",
+        "seashell", "sienna", "silver", "skyblue", "slateblue", "slategray", "slategrey", "snow",
+        "springgreen", "steelblue", "tan", "teal", "thistle", "tomato", "turquoise", "violet",
+        "wheat", "white", "whitesmoke", "yellow", "yellowgreen",
+    };
+
+    /// <summary>
+    /// Gets whether a value is a CSS colour in one of the accepted forms.
+    /// </summary>
+    /// <param name="value">The CSS value.</param>
+    /// <returns><c>true</c> for hex, rgb/hsl functions and named colours.</returns>
+    public static bool IsValid(string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return false;
+        }
+
+        value = value.Trim();
+        return HexPattern().IsMatch(value) ||
+            FunctionPattern().IsMatch(value) ||
+            NamedColors.Contains(value);
+    }
+
+    [GeneratedRegex("^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$", RegexOptions.IgnoreCase)]
+    private static partial Regex HexPattern();
+
+    [GeneratedRegex(@"^(?:rgba?|hsla?)\(\s*[-+0-9.]+(?:deg|turn|rad|%)?(?:(?:\s*[,/]\s*|\s+)[-+0-9.]+%?){2,3}\s*\)$", RegexOptions.IgnoreCase)]
+    private static partial Regex FunctionPattern();
+}
@@ -2,6 +2,8 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using System.Text.Json.Serialization;
+
 namespace BudgetExperiment.Client.Models;
 
 /// <summary>
@@ -13,6 +15,27 @@ public sealed class CustomReportLayoutDefinition
     private const int DefaultWidgetHeight = 4;
     private const int DefaultMinSize = 2;
     private const int DefaultMaxSize = 12;
+    private const string LargeBreakpoint = "lg";
+    private static readonly string[] DerivedBreakpoints = ["md", "sm"];
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CustomReportLayoutDefinition"/> class.
+    /// </summary>
+    public CustomReportLayoutDefinition()
+        : this([])
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CustomReportLayoutDefinition"/> class
+    /// from a saved layout.
+    /// </summary>
+    /// <param name="customizedBreakpoints">The hand-tuned breakpoints, or <c>null</c> for a layout saved before they were tracked.</param>
+    [JsonConstructor]
+    public CustomReportLayoutDefinition(List<string>? customizedBreakpoints)
+    {
+        CustomizedBreakpoints = customizedBreakpoints;
+    }
 
     /// <summary>
     /// Gets or sets the grid definition.
@@ -24,6 +47,16 @@ public sealed class CustomReportLayoutDefinition
     /// </summary>
     public List<ReportWidgetDefinition> Widgets { get; set; } = [];
 
+    /// <summary>
+    /// Gets or sets the smaller breakpoints whose layouts were arranged by hand.
+    /// The others are derived from the large layout whenever it changes.
+    /// <c>null</c> for layouts saved before this was tracked, until <see cref="Normalize"/> runs.
+    /// </summary>
+    public List<string>? CustomizedBreakpoints
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Ensures the layout has required defaults applied.
     /// </summary>
@@ -32,6 +65,12 @@ public sealed class CustomReportLayoutDefinition
         Grid ??= ReportGridDefinition.CreateDefault();
         Grid.Normalize();
 
+        // Older layouts kept every breakpoint they stored; only fill in the ones they lack.
+        // Checked before defaults are applied, which add a position for every breakpoint.
+        CustomizedBreakpoints ??= DerivedBreakpoints
+            .Where(breakpoint => Widgets.Any(widget => widget.Layouts?.ContainsKey(breakpoint) == true))
+            .ToList();
+
         var nextY = GetNextRow("lg");
         foreach (var widget in Widgets)
         {
@@ -41,6 +80,33 @@ public sealed class CustomReportLayoutDefinition
                 nextY = Math.Max(nextY, layout.Y + layout.Height);
             }
         }
+
+        DeriveBreakpoints();
+    }
+
+    /// <summary>
+    /// Gets whether a breakpoint's layout was arranged by hand rather than derived.
+    /// </summary>
+    /// <param name="breakpoint">Breakpoint key.</param>
+    /// <returns><c>true</c> if the breakpoint was hand-tuned.</returns>
+    public bool IsCustomized(string breakpoint)
+    {
+        return CustomizedBreakpoints?.Contains(breakpoint, StringComparer.OrdinalIgnoreCase) == true;
+    }
+
+    /// <summary>
+    /// Discards hand-tuned positions for a breakpoint and derives it from the large layout again.
+    /// </summary>
+    /// <param name="breakpoint">Breakpoint key; the large breakpoint is ignored.</param>
+    public void ResetBreakpoint(string breakpoint)
+    {
+        if (!IsDerivedBreakpoint(breakpoint))
+        {
+            return;
+        }
+
+        CustomizedBreakpoints?.RemoveAll(item => string.Equals(item, breakpoint, StringComparison.OrdinalIgnoreCase));
+        DeriveBreakpoint(breakpoint);
     }
 
     /// <summary>
@@ -52,10 +118,28 @@ public sealed class CustomReportLayoutDefinition
         var nextY = GetNextRow("lg");
         ApplyWidgetDefaults(widget, nextY);
         Widgets.Add(widget);
+        DeriveBreakpoints();
+    }
+
+    /// <summary>
+    /// Removes a widget from the layout.
+    /// </summary>
+    /// <param name="widgetId">Widget identifier.</param>
+    /// <returns><c>true</c> if the widget was found and removed.</returns>
+    public bool RemoveWidget(Guid widgetId)
+    {
+        if (Widgets.RemoveAll(item => item.Id == widgetId) == 0)
+        {
+            return false;
+        }
+
+        DeriveBreakpoints();
+        return true;
     }
 
     /// <summary>
-    /// Updates a widget layout position for a breakpoint.
+    /// Updates a widget layout position for a breakpoint. Moving a widget at a smaller
+    /// breakpoint marks it hand-tuned; moving it at the large breakpoint re-derives the rest.
     /// </summary>
     /// <param name="widgetId">Widget identifier.</param>
     /// <param name="breakpoint">Breakpoint key.</param>
@@ -73,6 +157,63 @@ public sealed class CustomReportLayoutDefinition
         var columns = Grid.GetColumns(breakpoint);
         var clamped = Clamp(layout, columns, widget.Constraints);
         widget.Layouts[breakpoint] = clamped;
+
+        if (IsDerivedBreakpoint(breakpoint))
+        {
+            if (!IsCustomized(breakpoint))
+            {
+                (CustomizedBreakpoints ??= []).Add(breakpoint.ToLowerInvariant());
+            }
+        }
+        else
+        {
+            DeriveBreakpoints();
+        }
+    }
+
+    private static bool IsDerivedBreakpoint(string breakpoint)
+    {
+        return DerivedBreakpoints.Contains(breakpoint, StringComparer.OrdinalIgnoreCase);
+    }
+
+    private static bool Overlaps(ReportWidgetLayoutPosition a, ReportWidgetLayoutPosition b)
+    {
+        return a.X < b.X + b.Width &&
+            b.X < a.X + a.Width &&
+            a.Y < b.Y + b.Height &&
+            b.Y < a.Y + a.Height;
+    }
+
+    /// <summary>
+    /// Finds the first free slot at or after the start position, scanning left to right
+    /// then top to bottom, so widgets keep their reading order.
+    /// </summary>
+    private static ReportWidgetLayoutPosition FindSlot(
+        List<ReportWidgetLayoutPosition> placed,
+        int width,
+        int height,
+        int columns,
+        int startX,
+        int startY)
+    {
+        for (var y = startY; ; y++)
+        {
+            for (var x = y == startY ? startX : 1; x <= columns - width + 1; x++)
+            {
+                var candidate = new ReportWidgetLayoutPosition
+                {
+                    X = x,
+                    Y = y,
+                    Width = width,
+                    Height = height,
+                };
+
+                if (!placed.Any(other => Overlaps(candidate, other)))
+                {
+                    return candidate;
+                }
+            }
+        }
     }
 
     private static ReportWidgetLayoutPosition Clamp(
@@ -99,6 +240,55 @@ public sealed class CustomReportLayoutDefinition
         };
     }
 
+    private void DeriveBreakpoints()
+    {
+        foreach (var breakpoint in DerivedBreakpoints)
+        {
+            if (!IsCustomized(breakpoint))
+            {
+                DeriveBreakpoint(breakpoint);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Lays widgets out in large-layout reading order with widths scaled to the column count.
+    /// </summary>
+    private void DeriveBreakpoint(string breakpoint)
+    {
+        var largeColumns = Grid.GetColumns(LargeBreakpoint);
+        var columns = Grid.GetColumns(breakpoint);
+        var ordered = Widgets
+            .Where(widget => widget.Layouts.ContainsKey(LargeBreakpoint))
+            .OrderBy(widget => widget.Layouts[LargeBreakpoint].Y)
+            .ThenBy(widget => widget.Layouts[LargeBreakpoint].X)
+            .ToList();
+
+        var placed = new List<ReportWidgetLayoutPosition>();
+        var startX = 1;
+        var startY = 1;
+        foreach (var widget in ordered)
+        {
+            var large = widget.Layouts[LargeBreakpoint];
+            var scaled = Clamp(
+                new ReportWidgetLayoutPosition
+                {
+                    X = 1,
+                    Y = 1,
+                    Width = (int)Math.Round(large.Width * (double)columns / largeColumns, MidpointRounding.AwayFromZero),
+                    Height = large.Height,
+                },
+                columns,
+                widget.Constraints);
+
+            var position = FindSlot(placed, scaled.Width, scaled.Height, columns, startX, startY);
+            widget.Layouts[breakpoint] = position;
+            placed.Add(position);
+            startX = position.X + position.Width;
+            startY = position.Y;
+        }
+    }
+
     private int GetNextRow(string breakpoint)
     {
         var nextY = 1;
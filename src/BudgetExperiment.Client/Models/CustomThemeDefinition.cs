@@ -0,0 +1,215 @@
+// <copyright file="CustomThemeDefinition.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// A user-defined theme: a built-in base theme plus overrides for its design-system tokens.
+/// Stored in localStorage and shared between people as JSON.
+/// </summary>
+public sealed partial class CustomThemeDefinition
+{
+    /// <summary>
+    /// Prefix of the theme value that selects a custom theme, followed by its <see cref="Id"/>.
+    /// </summary>
+    public const string ValuePrefix = "custom:";
+
+    /// <summary>
+    /// Version written to exported JSON.
+    /// </summary>
+    public const int CurrentVersion = 1;
+
+    private const int MaxNameLength = 60;
+    private const int MaxValueLength = 200;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        WriteIndented = true,
+    };
+
+    /// <summary>
+    /// Gets or sets the identifier, unique on this device.
+    /// </summary>
+    public string Id { get; set; } = NewId();
+
+    /// <summary>
+    /// Gets or sets the display name.
+    /// </summary>
+    public string Name { get; set; } = "My theme";
+
+    /// <summary>
+    /// Gets or sets the built-in theme whose tokens are overridden.
+    /// </summary>
+    public string BaseTheme { get; set; } = "light";
+
+    /// <summary>
+    /// Gets or sets the overridden tokens, keyed by CSS custom property name (e.g. "--color-background").
+    /// </summary>
+    public Dictionary<string, string> Tokens { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the format version.
+    /// </summary>
+    public int Version { get; set; } = CurrentVersion;
+
+    /// <summary>
+    /// Gets the value passed to <c>ThemeService.SetThemeAsync</c> to apply this theme.
+    /// </summary>
+    public string ThemeValue => ValuePrefix + Id;
+
+    /// <summary>
+    /// Gets whether a theme value selects a custom theme.
+    /// </summary>
+    /// <param name="theme">Theme value.</param>
+    /// <returns><c>true</c> for values starting with <see cref="ValuePrefix"/>.</returns>
+    public static bool IsCustomThemeValue(string? theme)
+    {
+        return theme?.StartsWith(ValuePrefix, StringComparison.Ordinal) == true;
+    }
+
+    /// <summary>
+    /// Parses a theme exported with <see cref="ToJson"/>. Tokens that aren't in
+    /// <see cref="ThemeTokenCatalog"/> are dropped, and the theme gets a new <see cref="Id"/>
+    /// so importing it twice doesn't overwrite the first copy.
+    /// </summary>
+    /// <param name="json">The JSON text.</param>
+    /// <param name="theme">The parsed theme, or <c>null</c> when parsing failed.</param>
+    /// <param name="error">Why parsing failed, or <c>null</c> on success.</param>
+    /// <returns><c>true</c> when the JSON is a valid theme.</returns>
+    public static bool TryParse(string? json, out CustomThemeDefinition? theme, out string? error)
+    {
+        theme = null;
+
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            error = "The file is empty.";
+            return false;
+        }
+
+        CustomThemeDefinition? parsed;
+        try
+        {
+            parsed = JsonSerializer.Deserialize<CustomThemeDefinition>(json, JsonOptions);
+        }
+        catch (JsonException)
+        {
+            error = "The file is not valid theme JSON.";
+            return false;
+        }
+
+        if (parsed == null)
+        {
+            error = "The file is not valid theme JSON.";
+            return false;
+        }
+
+        if (parsed.Version > CurrentVersion)
+        {
+            error = "The theme was exported by a newer version of the app.";
+            return false;
+        }
+
+        if (!ThemeTokenCatalog.BaseThemes.Contains(parsed.BaseTheme))
+        {
+            error = $"Unknown base theme '{parsed.BaseTheme}'.";
+            return false;
+        }
+
+        var invalid = (parsed.Tokens ?? []).FirstOrDefault(token =>
+            ThemeTokenCatalog.Find(token.Key) != null && !IsValidValue(token.Key, token.Value));
+        if (invalid.Key != null)
+        {
+            error = $"The value for {invalid.Key} is not allowed.";
+            return false;
+        }
+
+        parsed.Id = NewId();
+        parsed.Normalize();
+        theme = parsed;
+        error = null;
+        return true;
+    }
+
+    /// <summary>
+    /// Gets whether a token value is safe to write into a generated stylesheet.
+    /// </summary>
+    /// <param name="value">The CSS value.</param>
+    /// <returns><c>false</c> for empty or overly long values, values that could end the declaration
+    /// and values that load resources, such as <c>url()</c> or <c>image-set()</c>.</returns>
+    public static bool IsValidValue(string? value)
+    {
+        return !string.IsNullOrWhiteSpace(value) &&
+            value.Length <= MaxValueLength &&
+            SafeValuePattern().IsMatch(value) &&
+            !ResourceFunctionPattern().IsMatch(value);
+    }
+
+    /// <summary>
+    /// Gets whether a value is allowed for a token; colour tokens must hold a real CSS colour.
+    /// </summary>
+    /// <param name="name">The custom property name.</param>
+    /// <param name="value">The CSS value.</param>
+    /// <returns><c>true</c> if the value is safe and fits the token.</returns>
+    public static bool IsValidValue(string name, string? value)
+    {
+        return IsValidValue(value) &&
+            (ThemeTokenCatalog.Find(name) is not { IsColor: true } || CssColor.IsValid(value));
+    }
+
+    /// <summary>
+    /// Serializes the theme for export.
+    /// </summary>
+    /// <returns>Indented JSON.</returns>
+    public string ToJson()
+    {
+        return JsonSerializer.Serialize(this, JsonOptions);
+    }
+
+    /// <summary>
+    /// Creates a copy with its own token dictionary, for editing without touching the saved theme.
+    /// </summary>
+    /// <returns>The copy.</returns>
+    public CustomThemeDefinition Clone()
+    {
+        return new CustomThemeDefinition
+        {
+            Id = Id,
+            Name = Name,
+            BaseTheme = BaseTheme,
+            Tokens = new Dictionary<string, string>(Tokens),
+            Version = Version,
+        };
+    }
+
+    /// <summary>
+    /// Trims the name and drops tokens that are unknown or have invalid values.
+    /// </summary>
+    public void Normalize()
+    {
+        Name = string.IsNullOrWhiteSpace(Name) ? "My theme" : Name.Trim();
+        if (Name.Length > MaxNameLength)
+        {
+            Name = Name[..MaxNameLength];
+        }
+
+        Tokens = (Tokens ?? [])
+            .Where(token => ThemeTokenCatalog.Find(token.Key) != null && IsValidValue(token.Key, token.Value))
+            .ToDictionary(token => token.Key, token => token.Value.Trim());
+        Version = CurrentVersion;
+    }
+
+    private static string NewId()
+    {
+        return Guid.NewGuid().ToString("N");
+    }
+
+    [GeneratedRegex(@"^[^;{}<>\\]+$")]
+    private static partial Regex SafeValuePattern();
+
+    [GeneratedRegex(@"(?:url|src|image|image-set|cross-fade|element|expression)\s*\(", RegexOptions.IgnoreCase)]
+    private static partial Regex ResourceFunctionPattern();
+}
@@ -0,0 +1,86 @@
+// <copyright file="ReportDateRange.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// An inclusive date range resolved from a report widget's date range preset.
+/// </summary>
+/// <param name="Start">The first day of the range.</param>
+/// <param name="End">The last day of the range.</param>
+public sealed record ReportDateRange(DateOnly Start, DateOnly End)
+{
+    /// <summary>
+    /// The preset used when a widget has none or an unknown one.
+    /// </summary>
+    public const string DefaultPresetId = "last-30-days";
+
+    /// <summary>
+    /// Gets the date range presets offered to report widgets, in display order.
+    /// </summary>
+    public static IReadOnlyList<ReportDateRangePreset> Presets
+    {
+        get;
+    }
+
+    =
+    [
+        new("this-month", "This Month", today => new ReportDateRange(MonthStart(today), today)),
+        new("last-month", "Last Month", today => new ReportDateRange(MonthStart(today).AddMonths(-1), MonthStart(today).AddDays(-1))),
+        new(DefaultPresetId, "Last 30 Days", today => new ReportDateRange(today.AddDays(-29), today)),
+        new("last-90-days", "Last 90 Days", today => new ReportDateRange(today.AddDays(-89), today)),
+        new("last-6-months", "Last 6 Months", today => new ReportDateRange(today.AddMonths(-6).AddDays(1), today)),
+        new("year-to-date", "Year to Date", today => new ReportDateRange(new DateOnly(today.Year, 1, 1), today)),
+    ];
+
+    /// <summary>
+    /// Resolves a preset such as <c>last-90-days</c> relative to <paramref name="today"/>.
+    /// Unknown presets fall back to the last 30 days, matching the widget default.
+    /// </summary>
+    /// <param name="preset">The preset identifier.</param>
+    /// <param name="today">The current date.</param>
+    /// <returns>The resolved range.</returns>
+    public static ReportDateRange FromPreset(string? preset, DateOnly today)
+    {
+        var match = Presets.FirstOrDefault(item => item.Id == preset)
+            ?? Presets.First(item => item.Id == DefaultPresetId);
+        return match.Resolve(today);
+    }
+
+    /// <summary>
+    /// Gets the smallest range covering all of the given ranges.
+    /// </summary>
+    /// <param name="ranges">The ranges to combine.</param>
+    /// <returns>The covering range, or <c>null</c> when there are none.</returns>
+    public static ReportDateRange? Span(IEnumerable<ReportDateRange> ranges)
+    {
+        ReportDateRange? result = null;
+        foreach (var range in ranges)
+        {
+            result = result == null
+                ? range
+                : new ReportDateRange(
+                    range.Start < result.Start ? range.Start : result.Start,
+                    range.End > result.End ? range.End : result.End);
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Formats the range for display, e.g. "Mar 1, 2026 – Mar 31, 2026".
+    /// </summary>
+    /// <returns>The formatted range.</returns>
+    public string ToDisplayString()
+    {
+        var start = Start.ToString("MMM d, yyyy", CultureInfo.CurrentCulture);
+        return Start == End
+            ? start
+            : $"{start} – {End.ToString("MMM d, yyyy", CultureInfo.CurrentCulture)}";
+    }
+
+    private static DateOnly MonthStart(DateOnly date) => new(date.Year, date.Month, 1);
+}
@@ -0,0 +1,13 @@
+// <copyright file="ReportDateRangePreset.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// A date range preset a report widget can be configured with.
+/// </summary>
+/// <param name="Id">The preset identifier stored in the widget config (e.g., "last-90-days").</param>
+/// <param name="Label">The display name (e.g., "Last 90 Days").</param>
+/// <param name="Resolve">Resolves the preset to a range relative to the given current date.</param>
+public sealed record ReportDateRangePreset(string Id, string Label, Func<DateOnly, ReportDateRange> Resolve);
@@ -28,6 +28,16 @@ public sealed class ReportGridDefinition
     /// </summary>
     public int Gap { get; set; } = 12;
 
+    /// <summary>
+    /// Gets or sets a value indicating whether widgets float up to close vertical gaps
+    /// after a move or resize. Off for layouts saved before the option existed so their
+    /// arrangement is left alone; new layouts turn it on.
+    /// </summary>
+    public bool CompactVertically
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the breakpoint definitions.
     /// </summary>
@@ -50,7 +60,10 @@ public sealed class ReportGridDefinition
     /// <returns>A new default grid definition.</returns>
     public static ReportGridDefinition CreateDefault()
     {
-        return new ReportGridDefinition();
+        return new ReportGridDefinition
+        {
+            CompactVertically = true,
+        };
     }
 
     /// <summary>
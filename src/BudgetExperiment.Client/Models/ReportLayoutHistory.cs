@@ -0,0 +1,110 @@
+// <copyright file="ReportLayoutHistory.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// Undo and redo stacks of serialized custom report layouts.
+/// </summary>
+public sealed class ReportLayoutHistory
+{
+    /// <summary>
+    /// The default number of undo steps kept.
+    /// </summary>
+    public const int DefaultCapacity = 50;
+
+    private readonly LinkedList<string> _undoStack = new();
+    private readonly Stack<string> _redoStack = new();
+    private readonly int _capacity;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ReportLayoutHistory"/> class.
+    /// </summary>
+    /// <param name="capacity">Maximum number of undo steps kept; the oldest are dropped first.</param>
+    public ReportLayoutHistory(int capacity = DefaultCapacity)
+    {
+        ArgumentOutOfRangeException.ThrowIfLessThan(capacity, 1);
+        _capacity = capacity;
+    }
+
+    /// <summary>
+    /// Gets a value indicating whether there is a change to undo.
+    /// </summary>
+    public bool CanUndo => _undoStack.Count > 0;
+
+    /// <summary>
+    /// Gets a value indicating whether there is an undone change to redo.
+    /// </summary>
+    public bool CanRedo => _redoStack.Count > 0;
+
+    /// <summary>
+    /// Records the layout as it was before a change. Clears the redo stack.
+    /// </summary>
+    /// <param name="snapshot">Serialized layout before the change.</param>
+    public void Record(string snapshot)
+    {
+        ArgumentNullException.ThrowIfNull(snapshot);
+
+        // A change that left the layout as it was doesn't need a second entry
+        if (_undoStack.Last?.Value == snapshot)
+        {
+            return;
+        }
+
+        PushUndo(snapshot);
+        _redoStack.Clear();
+    }
+
+    /// <summary>
+    /// Steps back one change.
+    /// </summary>
+    /// <param name="current">Serialized current layout, kept for redo.</param>
+    /// <returns>The layout to restore, or <c>null</c> if there is nothing to undo.</returns>
+    public string? Undo(string current)
+    {
+        if (_undoStack.Last == null)
+        {
+            return null;
+        }
+
+        var previous = _undoStack.Last.Value;
+        _undoStack.RemoveLast();
+        _redoStack.Push(current);
+        return previous;
+    }
+
+    /// <summary>
+    /// Re-applies the most recently undone change.
+    /// </summary>
+    /// <param name="current">Serialized current layout, kept for undo.</param>
+    /// <returns>The layout to restore, or <c>null</c> if there is nothing to redo.</returns>
+    public string? Redo(string current)
+    {
+        if (!_redoStack.TryPop(out var next))
+        {
+            return null;
+        }
+
+        PushUndo(current);
+        return next;
+    }
+
+    /// <summary>
+    /// Forgets all history, e.g. when a different layout is loaded.
+    /// </summary>
+    public void Clear()
+    {
+        _undoStack.Clear();
+        _redoStack.Clear();
+    }
+
+    private void PushUndo(string snapshot)
+    {
+        _undoStack.AddLast(snapshot);
+        if (_undoStack.Count > _capacity)
+        {
+            _undoStack.RemoveFirst();
+        }
+    }
+}
@@ -0,0 +1,48 @@
+// <copyright file="ReportWidgetLayoutChange.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// Represents a widget position reported by the layout grid after a move or resize.
+/// </summary>
+public sealed class ReportWidgetLayoutChange
+{
+    /// <summary>
+    /// Gets or sets the widget identifier.
+    /// </summary>
+    public string WidgetId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the column start (1-based).
+    /// </summary>
+    public int X
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the row start (1-based).
+    /// </summary>
+    public int Y
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the column span.
+    /// </summary>
+    public int Width
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the row span.
+    /// </summary>
+    public int Height
+    {
+        get; set;
+    }
+}
@@ -0,0 +1,119 @@
+// <copyright file="ThemeSchedule.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.Json.Serialization;
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// Settings for the "scheduled" theme, which shows one theme by day and another by night.
+/// Stored in localStorage; sunrise and sunset are computed in the browser, so the location never leaves it.
+/// </summary>
+public sealed class ThemeSchedule
+{
+    /// <summary>
+    /// The theme value that selects the schedule.
+    /// </summary>
+    public const string ThemeValue = "scheduled";
+
+    // Two decimal places is about a kilometre: plenty for sunrise times, and no more precise than needed
+    private const int LocationDecimals = 2;
+
+    /// <summary>
+    /// Gets or sets when the schedule switches.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter<ThemeScheduleMode>))]
+    public ThemeScheduleMode Mode { get; set; } = ThemeScheduleMode.FixedTimes;
+
+    /// <summary>
+    /// Gets or sets the theme shown by day.
+    /// </summary>
+    public string DayTheme { get; set; } = "light";
+
+    /// <summary>
+    /// Gets or sets the theme shown by night.
+    /// </summary>
+    public string NightTheme { get; set; } = "dark";
+
+    /// <summary>
+    /// Gets or sets when the day theme starts in <see cref="ThemeScheduleMode.FixedTimes"/> mode,
+    /// and in <see cref="ThemeScheduleMode.SunriseSunset"/> mode until a location is set.
+    /// </summary>
+    public TimeOnly DayStart { get; set; } = new(7, 0);
+
+    /// <summary>
+    /// Gets or sets when the night theme starts; see <see cref="DayStart"/>.
+    /// </summary>
+    public TimeOnly NightStart { get; set; } = new(19, 0);
+
+    /// <summary>
+    /// Gets or sets the latitude used for sunrise and sunset, in degrees north.
+    /// </summary>
+    public double? Latitude
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the longitude used for sunrise and sunset, in degrees east.
+    /// </summary>
+    public double? Longitude
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets a value indicating whether a location is set.
+    /// </summary>
+    [JsonIgnore]
+    public bool HasLocation => Latitude.HasValue && Longitude.HasValue;
+
+    /// <summary>
+    /// Gets whether a theme can be shown by the schedule: a built-in theme other than
+    /// "system", or a custom theme.
+    /// </summary>
+    /// <param name="theme">Theme value.</param>
+    /// <returns><c>true</c> when the schedule can use the theme.</returns>
+    public static bool IsSchedulableTheme(string? theme)
+    {
+        return theme != null &&
+            (ThemeTokenCatalog.BaseThemes.Contains(theme) || CustomThemeDefinition.IsCustomThemeValue(theme));
+    }
+
+    /// <summary>
+    /// Creates a copy for editing without touching the saved schedule.
+    /// </summary>
+    /// <returns>The copy.</returns>
+    public ThemeSchedule Clone()
+    {
+        return (ThemeSchedule)MemberwiseClone();
+    }
+
+    /// <summary>
+    /// Replaces themes the schedule can't show with the defaults, clamps the location
+    /// to valid coordinates and rounds it to about a kilometre.
+    /// </summary>
+    public void Normalize()
+    {
+        if (!IsSchedulableTheme(DayTheme))
+        {
+            DayTheme = "light";
+        }
+
+        if (!IsSchedulableTheme(NightTheme))
+        {
+            NightTheme = "dark";
+        }
+
+        if (!HasLocation || !double.IsFinite(Latitude!.Value) || !double.IsFinite(Longitude!.Value))
+        {
+            Latitude = null;
+            Longitude = null;
+            return;
+        }
+
+        Latitude = Math.Round(Math.Clamp(Latitude.Value, -90, 90), LocationDecimals);
+        Longitude = Math.Round(Math.Clamp(Longitude.Value, -180, 180), LocationDecimals);
+    }
+}
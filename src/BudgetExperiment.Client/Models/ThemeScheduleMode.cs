@@ -0,0 +1,17 @@
+// <copyright file="ThemeScheduleMode.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// When a <see cref="ThemeSchedule"/> switches between its day and night themes.
+/// </summary>
+public enum ThemeScheduleMode
+{
+    /// <summary>At the same clock times every day.</summary>
+    FixedTimes,
+
+    /// <summary>At local sunrise and sunset, computed from a saved location.</summary>
+    SunriseSunset,
+}
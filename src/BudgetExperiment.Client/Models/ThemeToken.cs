@@ -0,0 +1,14 @@
+// <copyright file="ThemeToken.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// A design-system CSS custom property that custom themes can override.
+/// </summary>
+/// <param name="Name">The custom property name, e.g. "--color-background".</param>
+/// <param name="Label">The label shown in the theme editor.</param>
+/// <param name="Group">The editor section the token is listed under.</param>
+/// <param name="IsColor">Whether the value is a colour and gets a colour picker.</param>
+public sealed record ThemeToken(string Name, string Label, string Group, bool IsColor = true);
@@ -0,0 +1,75 @@
+// <copyright file="ThemeTokenCatalog.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Models;
+
+/// <summary>
+/// The design-system tokens a custom theme can override, and the built-in themes it can start from.
+/// </summary>
+public static class ThemeTokenCatalog
+{
+    /// <summary>
+    /// The token whose value becomes the browser's theme-color.
+    /// </summary>
+    public const string BackgroundToken = "--color-background";
+
+    /// <summary>
+    /// Gets the built-in themes a custom theme can be based on.
+    /// </summary>
+    public static IReadOnlyList<string> BaseThemes { get; } =
+    [
+        "light",
+        "dark",
+        "accessible",
+        "vscode-dark",
+        "monopoly",
+        "win95",
+        "macos",
+        "geocities",
+        "crayons",
+    ];
+
+    /// <summary>
+    /// Gets the editable tokens in the order the editor lists them.
+    /// </summary>
+    public static IReadOnlyList<ThemeToken> Tokens { get; } =
+    [
+        new("--color-background", "Background", "Surfaces"),
+        new("--color-surface", "Surface", "Surfaces"),
+        new("--color-surface-secondary", "Secondary surface", "Surfaces"),
+        new("--color-border", "Border", "Surfaces"),
+        new("--color-border-subtle", "Subtle border", "Surfaces"),
+        new("--color-text-primary", "Text", "Text"),
+        new("--color-text-secondary", "Secondary text", "Text"),
+        new("--color-text-disabled", "Disabled text", "Text"),
+        new("--color-text-inverse", "Text on brand colour", "Text"),
+        new("--color-header-bg", "Header background", "App shell"),
+        new("--color-header-text", "Header text", "App shell"),
+        new("--color-sidebar-bg", "Sidebar background", "App shell"),
+        new("--color-sidebar-text", "Sidebar text", "App shell"),
+        new("--color-brand-primary", "Brand", "Brand"),
+        new("--color-brand-primary-hover", "Brand hover", "Brand"),
+        new("--color-brand-primary-active", "Brand pressed", "Brand"),
+        new("--color-success", "Success", "Status"),
+        new("--color-warning", "Warning", "Status"),
+        new("--color-error", "Error", "Status"),
+        new("--color-info", "Info", "Status"),
+        new("--color-income", "Income", "Money"),
+        new("--color-expense", "Expense", "Money"),
+        new("--color-transfer", "Transfer", "Money"),
+        new("--color-recurring", "Recurring", "Money"),
+        new("--font-family-base", "Font", "Shape and type", false),
+        new("--radius-md", "Corner radius", "Shape and type", false),
+    ];
+
+    /// <summary>
+    /// Looks up an editable token by name.
+    /// </summary>
+    /// <param name="name">The custom property name.</param>
+    /// <returns>The token, or <c>null</c> if it can't be overridden.</returns>
+    public static ThemeToken? Find(string? name)
+    {
+        return Tokens.FirstOrDefault(token => token.Name == name);
+    }
+}
@@ -90,13 +90,17 @@ else
 builder.Services.AddScoped<IApiErrorContext, ApiErrorContext>();
 builder.Services.AddTransient<ProblemDetailsHandler>();
 
+// Tags GET requests with the signed-in user's offline cache partition (consumed by the service worker)
+builder.Services.AddTransient<OfflineCachePartitionHandler>();
+
 if (isAuthOff)
 {
     // Auth-off mode: no token handlers needed — API accepts all requests
     builder.Services.AddHttpClient(
         "BudgetApi",
         client => client.BaseAddress = new Uri(builder.HostEnvironment.BaseAddress))
-        .AddHttpMessageHandler<ProblemDetailsHandler>();
+        .AddHttpMessageHandler<ProblemDetailsHandler>()
+        .AddHttpMessageHandler<OfflineCachePartitionHandler>();
 }
 else
 {
@@ -108,6 +112,7 @@ else
         "BudgetApi",
         client => client.BaseAddress = new Uri(builder.HostEnvironment.BaseAddress))
         .AddHttpMessageHandler<ProblemDetailsHandler>()
+        .AddHttpMessageHandler<OfflineCachePartitionHandler>()
         .AddHttpMessageHandler<TokenRefreshHandler>()
         .AddHttpMessageHandler<BaseAddressAuthorizationMessageHandler>();
 }
@@ -127,8 +132,11 @@ builder.Services.AddScoped<IReconciliationApiService, ReconciliationApiService>(
 builder.Services.AddScoped<IRecurringChargeSuggestionApiService, RecurringChargeSuggestionApiService>();
 builder.Services.AddScoped<IChartDataService, ChartDataService>();
 builder.Services.AddScoped<IExportDownloadService, ExportDownloadService>();
+builder.Services.AddScoped<IShareTargetService, ShareTargetService>();
 builder.Services.AddScoped<IToastService, ToastService>();
 builder.Services.AddScoped<IFormStateService, FormStateService>();
+builder.Services.AddScoped<IClientPreferencesService, ClientPreferencesService>();
+builder.Services.AddScoped<IInteractionFeedbackService, InteractionFeedbackService>();
 builder.Services.AddLocalization();
 builder.Services.AddScoped<ThemeService>();
 builder.Services.AddScoped<IChartThemeService, ChartThemeService>();
@@ -136,6 +144,9 @@ builder.Services.AddScoped<IChartColorProvider, ChartColorProvider>();
 builder.Services.AddApexCharts();
 builder.Services.AddScoped<GeolocationService>();
 builder.Services.AddScoped<CultureService>();
+builder.Services.AddScoped<OfflineCacheService>();
+builder.Services.AddScoped<ServiceWorkerUpdateService>();
+builder.Services.AddScoped<IOfflineOutboxService, OfflineOutboxService>();
 builder.Services.AddScoped<VersionService>();
 builder.Services.AddScoped<IFeatureFlagClientService, FeatureFlagClientService>();
 builder.Services.AddTransient<CategoriesViewModel>();
@@ -158,11 +158,12 @@ public sealed class BudgetApiService : IBudgetApiService
     }
 
     /// <inheritdoc />
-    public async Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model)
+    public async Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null)
     {
         try
         {
-            var response = await _httpClient.PostAsJsonAsync("api/v1/transactions", model, JsonOptions);
+            using var request = CreatePostRequest("api/v1/transactions", model, idempotencyKey);
+            var response = await _httpClient.SendAsync(request);
             if (response.IsSuccessStatusCode)
             {
                 return await response.Content.ReadFromJsonAsync<TransactionDto>(JsonOptions);
@@ -466,9 +467,10 @@ public sealed class BudgetApiService : IBudgetApiService
     }
 
     /// <inheritdoc />
-    public async Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model)
+    public async Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null)
     {
-        var response = await _httpClient.PostAsJsonAsync("api/v1/transfers", model, JsonOptions);
+        using var request = CreatePostRequest("api/v1/transfers", model, idempotencyKey);
+        var response = await _httpClient.SendAsync(request);
         if (response.IsSuccessStatusCode)
         {
             return await response.Content.ReadFromJsonAsync<TransferResponse>(JsonOptions);
@@ -2226,6 +2228,21 @@ public sealed class BudgetApiService : IBudgetApiService
         }
     }
 
+    private static HttpRequestMessage CreatePostRequest(string url, object body, Guid? idempotencyKey)
+    {
+        var request = new HttpRequestMessage(HttpMethod.Post, url)
+        {
+            Content = JsonContent.Create(body, body.GetType(), options: JsonOptions),
+        };
+
+        if (idempotencyKey is Guid key)
+        {
+            request.Headers.TryAddWithoutValidation(OfflineOutboxService.IdempotencyKeyHeaderName, key.ToString());
+        }
+
+        return request;
+    }
+
     private async Task<ApiResult<T>> SendUpdateAsync<T>(HttpMethod method, string url, object body, string? version)
     {
         try
@@ -56,7 +56,7 @@ public sealed class ChartThemeService : IChartThemeService
         _themeService = themeService;
     }
 
-    private bool IsDark => DarkThemeNames.Contains(_themeService.CurrentTheme);
+    private bool IsDark => DarkThemeNames.Contains(_themeService.BaseTheme);
 
     /// <inheritdoc/>
     public string GetApexChartsThemeMode() => IsDark ? "dark" : "light";
@@ -0,0 +1,33 @@
+// <copyright file="ClientPreference.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Per-device view preferences kept in the browser by <see cref="IClientPreferencesService"/>.
+/// Each value matches a key of <c>PREFERENCE_KEYS</c> in client-preferences.js.
+/// </summary>
+public enum ClientPreference
+{
+    /// <summary>Calendar month or week view.</summary>
+    CalendarView,
+
+    /// <summary>Whether the monthly trends report groups by Kakeibo category.</summary>
+    MonthlyTrendsGroupByKakeibo,
+
+    /// <summary>Whether the monthly categories report groups by Kakeibo category.</summary>
+    MonthlyCategoriesGroupByKakeibo,
+
+    /// <summary>Whether the budget comparison report groups by Kakeibo category.</summary>
+    BudgetComparisonGroupByKakeibo,
+
+    /// <summary>Account last used in the quick add form.</summary>
+    QuickAddLastAccount,
+
+    /// <summary>Rules page list or grouped view.</summary>
+    RulesViewMode,
+
+    /// <summary>Rules page size.</summary>
+    RulesPageSize,
+}
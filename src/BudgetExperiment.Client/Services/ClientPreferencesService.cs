@@ -0,0 +1,128 @@
+// <copyright file="ClientPreferencesService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Stores client preferences through the client-preferences.js module, which shares
+/// changes between tabs over a BroadcastChannel and the storage event.
+/// </summary>
+public sealed class ClientPreferencesService : IClientPreferencesService, IAsyncDisposable, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private IJSObjectReference? _module;
+    private IJSObjectReference? _subscription;
+    private DotNetObjectReference<ClientPreferencesService>? _dotNetRef;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ClientPreferencesService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public ClientPreferencesService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc/>
+    public event Action<ClientPreference, string?>? PreferenceChanged;
+
+    /// <inheritdoc/>
+    public async Task<string?> GetAsync(ClientPreference preference)
+    {
+        try
+        {
+            var module = await EnsureModuleAsync();
+            return await module.InvokeAsync<string?>("getPreference", ToName(preference));
+        }
+        catch (JSException)
+        {
+            // Storage unavailable (e.g., prerendering)
+            return null;
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task SetAsync(ClientPreference preference, string? value)
+    {
+        try
+        {
+            var module = await EnsureModuleAsync();
+            await module.InvokeVoidAsync("setPreference", ToName(preference), value);
+        }
+        catch (JSException)
+        {
+            // Storage unavailable; the preference lasts for this page only
+        }
+    }
+
+    /// <summary>
+    /// Called from JavaScript when another tab changes a preference.
+    /// </summary>
+    /// <param name="name">The preference name used by client-preferences.js.</param>
+    /// <param name="value">The new value, or <c>null</c> when it was removed.</param>
+    [JSInvokable]
+    public void OnPreferenceChanged(string name, string? value)
+    {
+        if (Enum.TryParse<ClientPreference>(name, ignoreCase: true, out var preference))
+        {
+            PreferenceChanged?.Invoke(preference, value);
+        }
+    }
+
+    /// <inheritdoc/>
+    public void Dispose()
+    {
+        // No-op for synchronous disposal (bUnit compatibility).
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            if (_subscription is not null)
+            {
+                await _subscription.InvokeVoidAsync("dispose");
+                await _subscription.DisposeAsync();
+                _subscription = null;
+            }
+
+            if (_module is not null)
+            {
+                await _module.DisposeAsync();
+                _module = null;
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected during disposal — safe to ignore.
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    private static string ToName(ClientPreference preference)
+    {
+        var name = preference.ToString();
+        return char.ToLowerInvariant(name[0]) + name[1..];
+    }
+
+    private async Task<IJSObjectReference> EnsureModuleAsync()
+    {
+        if (_module is not null)
+        {
+            return _module;
+        }
+
+        _module = await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/client-preferences.js");
+
+        // Start listening with the first read or write, so only tabs that use preferences pay for it
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        _subscription = await _module.InvokeAsync<IJSObjectReference>("watchPreferences", _dotNetRef);
+        return _module;
+    }
+}
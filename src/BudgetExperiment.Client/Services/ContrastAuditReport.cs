@@ -0,0 +1,16 @@
+// <copyright file="ContrastAuditReport.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// The contrast audit of one theme, as reported by contrast-audit.js.
+/// </summary>
+/// <param name="Theme">The audited theme.</param>
+/// <param name="Results">One result per checked token pair.</param>
+/// <param name="FailureCount">How many pairs fall short of their minimum.</param>
+public record ContrastAuditReport(
+    string Theme,
+    IReadOnlyList<ContrastCheckResult> Results,
+    int FailureCount);
@@ -0,0 +1,30 @@
+// <copyright file="ContrastCheckResult.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// The WCAG contrast of one foreground and background token pair, as measured by contrast-audit.js.
+/// </summary>
+/// <param name="Id">Stable identifier of the pair, e.g. "header-text".</param>
+/// <param name="Label">Display name of the pair.</param>
+/// <param name="Foreground">Foreground token, e.g. "--color-header-text".</param>
+/// <param name="Background">Background token, e.g. "--color-header-bg".</param>
+/// <param name="ForegroundColor">Resolved foreground as hex, or <c>null</c> when a token is missing.</param>
+/// <param name="BackgroundColor">Resolved background as hex, or <c>null</c> when a token is missing.</param>
+/// <param name="Ratio">Contrast ratio, rounded to two decimals.</param>
+/// <param name="Minimum">Required ratio: 4.5 for text, 3 for graphics.</param>
+/// <param name="Passes">True if <paramref name="Ratio"/> meets <paramref name="Minimum"/>.</param>
+/// <param name="Error">Why the pair couldn't be measured, or <c>null</c>.</param>
+public record ContrastCheckResult(
+    string Id,
+    string Label,
+    string Foreground,
+    string Background,
+    string? ForegroundColor,
+    string? BackgroundColor,
+    double Ratio,
+    double Minimum,
+    bool Passes,
+    string? Error);
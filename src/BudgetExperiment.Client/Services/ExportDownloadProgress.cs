@@ -0,0 +1,18 @@
+// <copyright file="ExportDownloadProgress.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Represents how much of an export download has been written so far.
+/// </summary>
+/// <param name="BytesWritten">The number of bytes written to the file.</param>
+/// <param name="TotalBytes">The total size reported by the server, if known.</param>
+public sealed record ExportDownloadProgress(long BytesWritten, long? TotalBytes)
+{
+    /// <summary>
+    /// Gets the completed fraction between 0 and 1, or <see langword="null"/> when the total size is unknown.
+    /// </summary>
+    public double? Fraction => TotalBytes is > 0 ? Math.Min(1d, (double)BytesWritten / TotalBytes.Value) : null;
+}
@@ -9,6 +9,11 @@ namespace BudgetExperiment.Client.Services;
 /// </summary>
 public sealed record ExportDownloadResult(bool Success, string? ErrorMessage = null)
 {
+    /// <summary>
+    /// Gets a value indicating whether the download was canceled by the user or the caller.
+    /// </summary>
+    public bool IsCanceled { get; init; }
+
     /// <summary>
     /// Creates a successful result.
     /// </summary>
@@ -21,4 +26,10 @@ public sealed record ExportDownloadResult(bool Success, string? ErrorMessage = n
     /// <param name="message">Failure message.</param>
     /// <returns>A failure result.</returns>
     public static ExportDownloadResult Fail(string message) => new(false, message);
+
+    /// <summary>
+    /// Creates a result for a download that was canceled before it completed.
+    /// </summary>
+    /// <returns>A canceled result.</returns>
+    public static ExportDownloadResult Canceled() => new(false, "Export was canceled.") { IsCanceled = true };
 }
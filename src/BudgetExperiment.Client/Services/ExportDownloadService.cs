@@ -5,6 +5,7 @@
 using System.Net.Http.Headers;
 
 using Microsoft.AspNetCore.Components.WebAssembly.Authentication;
+using Microsoft.AspNetCore.Components.WebAssembly.Http;
 using Microsoft.JSInterop;
 
 namespace BudgetExperiment.Client.Services;
@@ -14,6 +15,9 @@ namespace BudgetExperiment.Client.Services;
 /// </summary>
 public sealed class ExportDownloadService : IExportDownloadService, IAsyncDisposable
 {
+    private const string CanceledOutcome = "canceled";
+    private const string DefaultFileName = "export.csv";
+
     private readonly HttpClient httpClient;
     private readonly IJSRuntime jsRuntime;
     private IJSObjectReference? module;
@@ -30,12 +34,46 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
     }
 
     /// <inheritdoc />
-    public async Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default)
+    public async Task<ExportDownloadResult> DownloadAsync(
+        string url,
+        string? suggestedFileName = null,
+        IProgress<ExportDownloadProgress>? progress = null,
+        CancellationToken cancellationToken = default)
     {
+        DotNetObjectReference<ProgressRelay>? progressRef = null;
+        IJSObjectReference? download = null;
+        var started = false;
+
         try
         {
-            using var response = await httpClient.GetAsync(
-                url,
+            await EnsureModuleAsync(cancellationToken);
+            if (module != null)
+            {
+                progressRef = DotNetObjectReference.Create(new ProgressRelay(progress));
+                download = await module.InvokeAsync<IJSObjectReference>(
+                    "createDownload",
+                    cancellationToken,
+                    progressRef);
+
+                // Show the save picker while the click's user activation is still valid; it has
+                // expired by the time the response headers arrive
+                var opened = await download.InvokeAsync<string>(
+                    "open",
+                    cancellationToken,
+                    suggestedFileName ?? DefaultFileName);
+                if (opened == CanceledOutcome)
+                {
+                    return ExportDownloadResult.Canceled();
+                }
+            }
+
+            using var request = new HttpRequestMessage(HttpMethod.Get, url);
+
+            // Let the browser hand the body over as it arrives instead of buffering it in WASM memory
+            request.SetBrowserResponseStreamingEnabled(true);
+
+            using var response = await httpClient.SendAsync(
+                request,
                 HttpCompletionOption.ResponseHeadersRead,
                 cancellationToken);
 
@@ -46,24 +84,30 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
             }
 
             var contentType = response.Content.Headers.ContentType?.ToString() ?? "text/csv";
-            var fileName = GetFileName(response) ?? "export.csv";
-            var bytes = await response.Content.ReadAsByteArrayAsync(cancellationToken);
+            var fileName = GetFileName(response) ?? suggestedFileName ?? DefaultFileName;
+            var totalBytes = response.Content.Headers.ContentLength;
 
-            await EnsureModuleAsync(cancellationToken);
-            if (module == null)
+            if (download == null)
             {
                 return ExportDownloadResult.Fail("Download helper unavailable.");
             }
 
-            using var streamRef = new DotNetStreamReference(new MemoryStream(bytes));
-            await module.InvokeVoidAsync(
-                "downloadFileFromStream",
-                cancellationToken,
+            // Cancellation is forwarded to JS so the file write stops too, not just the interop call
+            await using var registration = cancellationToken.Register(() => _ = CancelDownloadAsync(download));
+
+            await using var body = await response.Content.ReadAsStreamAsync(cancellationToken);
+            using var streamRef = new DotNetStreamReference(body, leaveOpen: true);
+            started = true;
+            var outcome = await download.InvokeAsync<string>(
+                "run",
                 fileName,
                 contentType,
+                totalBytes,
                 streamRef);
 
-            return ExportDownloadResult.Ok();
+            return outcome == CanceledOutcome || cancellationToken.IsCancellationRequested
+                ? ExportDownloadResult.Canceled()
+                : ExportDownloadResult.Ok();
         }
         catch (AccessTokenNotAvailableException ex)
         {
@@ -72,7 +116,7 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
         }
         catch (OperationCanceledException)
         {
-            return ExportDownloadResult.Fail("Export was canceled.");
+            return ExportDownloadResult.Canceled();
         }
         catch (JSException)
         {
@@ -86,6 +130,21 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
         {
             return ExportDownloadResult.Fail($"Export failed: {ex.Message}");
         }
+        finally
+        {
+            if (download != null)
+            {
+                // Discard a file opened from the picker that the response never reached
+                if (!started)
+                {
+                    await CancelDownloadAsync(download);
+                }
+
+                await download.DisposeAsync();
+            }
+
+            progressRef?.Dispose();
+        }
     }
 
     /// <inheritdoc />
@@ -118,6 +177,22 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
         return null;
     }
 
+    private static async Task CancelDownloadAsync(IJSObjectReference download)
+    {
+        try
+        {
+            await download.InvokeVoidAsync("cancel");
+        }
+        catch (JSException)
+        {
+            // Download already finished
+        }
+        catch (ObjectDisposedException)
+        {
+            // Download already finished
+        }
+    }
+
     private async Task EnsureModuleAsync(CancellationToken cancellationToken)
     {
         if (module != null)
@@ -130,4 +205,23 @@ public sealed class ExportDownloadService : IExportDownloadService, IAsyncDispos
             cancellationToken,
             "./js/file-download.js");
     }
+
+    /// <summary>
+    /// Receives progress callbacks from JavaScript for a single download.
+    /// </summary>
+    private sealed class ProgressRelay
+    {
+        private readonly IProgress<ExportDownloadProgress>? progress;
+
+        public ProgressRelay(IProgress<ExportDownloadProgress>? progress)
+        {
+            this.progress = progress;
+        }
+
+        [JSInvokable]
+        public void OnDownloadProgress(long bytesWritten, long? totalBytes)
+        {
+            progress?.Report(new ExportDownloadProgress(bytesWritten, totalBytes));
+        }
+    }
 }
@@ -73,8 +73,9 @@ public interface IBudgetApiService
     /// Creates a new transaction.
     /// </summary>
     /// <param name="model">The transaction creation data.</param>
+    /// <param name="idempotencyKey">Optional key sent as the Idempotency-Key header, so the write is applied once however often it is sent.</param>
     /// <returns>The created transaction.</returns>
-    Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model);
+    Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null);
 
     /// <summary>
     /// Updates an existing transaction.
@@ -254,8 +255,9 @@ public interface IBudgetApiService
     /// Creates a new transfer between accounts.
     /// </summary>
     /// <param name="model">The transfer creation data.</param>
+    /// <param name="idempotencyKey">Optional key sent as the Idempotency-Key header, so the write is applied once however often it is sent.</param>
     /// <returns>The created transfer.</returns>
-    Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model);
+    Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null);
 
     /// <summary>
     /// Gets a transfer by its identifier.
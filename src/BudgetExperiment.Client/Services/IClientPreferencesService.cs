@@ -0,0 +1,33 @@
+// <copyright file="IClientPreferencesService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Reads and writes per-device preferences in browser storage and reports changes
+/// made in other open tabs, so every tab can apply them live.
+/// </summary>
+public interface IClientPreferencesService
+{
+    /// <summary>
+    /// Occurs when another tab changes a preference. The value is <c>null</c> when it was removed.
+    /// Not raised for changes made through <see cref="SetAsync"/> in this tab.
+    /// </summary>
+    event Action<ClientPreference, string?>? PreferenceChanged;
+
+    /// <summary>
+    /// Reads a preference.
+    /// </summary>
+    /// <param name="preference">The preference to read.</param>
+    /// <returns>The stored value, or <c>null</c> when unset or storage is unavailable.</returns>
+    Task<string?> GetAsync(ClientPreference preference);
+
+    /// <summary>
+    /// Writes a preference and tells other open tabs about it.
+    /// </summary>
+    /// <param name="preference">The preference to write.</param>
+    /// <param name="value">The new value; <c>null</c> removes the preference.</param>
+    /// <returns>A task representing the async operation.</returns>
+    Task SetAsync(ClientPreference preference, string? value);
+}
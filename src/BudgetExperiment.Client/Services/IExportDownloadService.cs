@@ -10,10 +10,16 @@ namespace BudgetExperiment.Client.Services;
 public interface IExportDownloadService
 {
     /// <summary>
-    /// Downloads an export file from the provided URL.
+    /// Downloads an export file from the provided URL, streaming it to disk as it arrives.
     /// </summary>
     /// <param name="url">The export URL.</param>
-    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <param name="suggestedFileName">File name offered in the save dialog, which opens before the request is sent.</param>
+    /// <param name="progress">Optional receiver for progress updates.</param>
+    /// <param name="cancellationToken">Cancellation token; cancels both the request and the file write.</param>
     /// <returns>The export download result.</returns>
-    Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default);
+    Task<ExportDownloadResult> DownloadAsync(
+        string url,
+        string? suggestedFileName = null,
+        IProgress<ExportDownloadProgress>? progress = null,
+        CancellationToken cancellationToken = default);
 }
@@ -0,0 +1,42 @@
+// <copyright file="IInteractionFeedbackService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Reads and changes the app-wide "Reduce motion" and "Disable haptics" settings that the
+/// gesture, bottom sheet and button modules honour alongside the OS reduced-motion preference.
+/// </summary>
+public interface IInteractionFeedbackService
+{
+    /// <summary>
+    /// Occurs when the settings or the OS preference change, in this tab or another.
+    /// </summary>
+    event Action<InteractionFeedbackSettings>? SettingsChanged;
+
+    /// <summary>
+    /// Gets the current settings. <see cref="InteractionFeedbackSettings.Default"/> until initialized.
+    /// </summary>
+    InteractionFeedbackSettings Settings { get; }
+
+    /// <summary>
+    /// Loads the settings from the browser and starts watching for changes.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    Task InitializeAsync();
+
+    /// <summary>
+    /// Turns the in-app "Reduce motion" setting on or off.
+    /// </summary>
+    /// <param name="value">Whether to reduce motion.</param>
+    /// <returns>A task representing the async operation.</returns>
+    Task SetReduceMotionAsync(bool value);
+
+    /// <summary>
+    /// Turns the in-app "Disable haptics" setting on or off.
+    /// </summary>
+    /// <param name="value">Whether to disable haptics.</param>
+    /// <returns>A task representing the async operation.</returns>
+    Task SetDisableHapticsAsync(bool value);
+}
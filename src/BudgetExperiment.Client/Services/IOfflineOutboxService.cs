@@ -0,0 +1,73 @@
+// <copyright file="IOfflineOutboxService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Contracts.Dtos;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Queues transaction and transfer writes made while offline and replays them when connectivity returns.
+/// </summary>
+public interface IOfflineOutboxService
+{
+    /// <summary>
+    /// Occurs when the queued items change.
+    /// </summary>
+    event Action? OnChange;
+
+    /// <summary>
+    /// Occurs after each queued item is replayed, with its success or conflict outcome.
+    /// </summary>
+    event Action<OutboxReplayResult>? ItemReplayed;
+
+    /// <summary>
+    /// Gets the queued items, oldest first.
+    /// </summary>
+    IReadOnlyList<OutboxItem> Items
+    {
+        get;
+    }
+
+    /// <summary>
+    /// Loads the persisted outbox, starts listening for reconnects and replays anything pending.
+    /// This method is idempotent — subsequent calls are no-ops.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    Task InitializeAsync();
+
+    /// <summary>
+    /// Queues a transaction creation for later replay.
+    /// </summary>
+    /// <param name="model">The transaction to create.</param>
+    /// <param name="idempotencyKey">The key an earlier attempt was sent with, if any; reusing it keeps a write that did reach the server from being applied twice.</param>
+    /// <returns>The queued item.</returns>
+    Task<OutboxItem> EnqueueTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null);
+
+    /// <summary>
+    /// Queues a transfer creation for later replay.
+    /// </summary>
+    /// <param name="model">The transfer to create.</param>
+    /// <param name="idempotencyKey">The key an earlier attempt was sent with, if any; reusing it keeps a write that did reach the server from being applied twice.</param>
+    /// <returns>The queued item.</returns>
+    Task<OutboxItem> EnqueueTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null);
+
+    /// <summary>
+    /// Replays pending items in the order they were queued.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    Task ReplayAsync();
+
+    /// <summary>
+    /// Removes a queued item without sending it.
+    /// </summary>
+    /// <param name="id">The item identifier.</param>
+    /// <returns>A task representing the async operation.</returns>
+    Task DiscardAsync(Guid id);
+
+    /// <summary>
+    /// Removes every queued item without sending it, e.g. on sign-out so another user never replays them.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    Task ClearAsync();
+}
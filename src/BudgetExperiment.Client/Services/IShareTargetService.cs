@@ -0,0 +1,17 @@
+// <copyright file="IShareTargetService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Defines a service for reading files shared into the app from other apps.
+/// </summary>
+public interface IShareTargetService
+{
+    /// <summary>
+    /// Reads and removes the file most recently shared into the app, if any.
+    /// </summary>
+    /// <returns>The shared file, or <see langword="null"/> if there is none.</returns>
+    Task<SharedFile?> TakeSharedFileAsync();
+}
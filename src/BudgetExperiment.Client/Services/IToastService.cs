@@ -50,6 +50,23 @@ public interface IToastService
     /// <param name="title">Optional title.</param>
     void ShowWarning(string message, string? title = null);
 
+    /// <summary>
+    /// Shows a toast with an Undo button for an action the user has just taken.
+    /// </summary>
+    /// <param name="message">The message to display, describing what was done.</param>
+    /// <param name="onUndo">Called if the user presses Undo.</param>
+    /// <param name="onExpired">Optional; called once the toast goes away without Undo being pressed,
+    /// so an action can be held back until it can no longer be undone.</param>
+    /// <returns>The ID of the toast.</returns>
+    Guid ShowUndo(string message, Func<Task> onUndo, Func<Task>? onExpired = null);
+
+    /// <summary>
+    /// Runs the undo callback of a toast shown with <see cref="ShowUndo"/> and removes the toast.
+    /// </summary>
+    /// <param name="id">The toast ID.</param>
+    /// <returns>A task that completes when the undo has finished.</returns>
+    Task UndoAsync(Guid id);
+
     /// <summary>
     /// Removes a toast by its ID.
     /// </summary>
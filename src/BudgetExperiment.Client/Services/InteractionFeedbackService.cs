@@ -0,0 +1,145 @@
+// <copyright file="InteractionFeedbackService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Keeps the motion and haptics settings through the interaction-feedback.js module,
+/// which applies them to every gesture and animation in the app.
+/// </summary>
+public sealed class InteractionFeedbackService : IInteractionFeedbackService, IAsyncDisposable, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private IJSObjectReference? _module;
+    private IJSObjectReference? _subscription;
+    private DotNetObjectReference<InteractionFeedbackService>? _dotNetRef;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="InteractionFeedbackService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public InteractionFeedbackService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc/>
+    public event Action<InteractionFeedbackSettings>? SettingsChanged;
+
+    /// <inheritdoc/>
+    public InteractionFeedbackSettings Settings { get; private set; } = InteractionFeedbackSettings.Default;
+
+    /// <inheritdoc/>
+    public async Task InitializeAsync()
+    {
+        try
+        {
+            var module = await EnsureModuleAsync();
+            Settings = await module.InvokeAsync<InteractionFeedbackSettings?>("getFeedbackSettings") ?? Settings;
+        }
+        catch (JSException)
+        {
+            // Module unavailable (e.g., prerendering); keep the defaults
+        }
+    }
+
+    /// <inheritdoc/>
+    public Task SetReduceMotionAsync(bool value)
+    {
+        return SaveAsync(Settings with { ReduceMotion = value });
+    }
+
+    /// <inheritdoc/>
+    public Task SetDisableHapticsAsync(bool value)
+    {
+        return SaveAsync(Settings with { DisableHaptics = value });
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the settings or the OS preference change.
+    /// </summary>
+    /// <param name="settings">The settings now in effect.</param>
+    [JSInvokable]
+    public void OnFeedbackSettingsChanged(InteractionFeedbackSettings settings)
+    {
+        if (settings == Settings)
+        {
+            return;
+        }
+
+        Settings = settings;
+        SettingsChanged?.Invoke(settings);
+    }
+
+    /// <inheritdoc/>
+    public void Dispose()
+    {
+        // No-op for synchronous disposal (bUnit compatibility).
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            if (_subscription is not null)
+            {
+                await _subscription.InvokeVoidAsync("dispose");
+                await _subscription.DisposeAsync();
+                _subscription = null;
+            }
+
+            if (_module is not null)
+            {
+                await _module.DisposeAsync();
+                _module = null;
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected during disposal — safe to ignore.
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    private async Task SaveAsync(InteractionFeedbackSettings settings)
+    {
+        var previous = Settings;
+        Settings = settings;
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            Settings = await module.InvokeAsync<InteractionFeedbackSettings?>(
+                "setFeedbackSettings",
+                new { settings.ReduceMotion, settings.DisableHaptics }) ?? Settings;
+        }
+        catch (JSException)
+        {
+            // Storage unavailable; the setting lasts for this page only
+        }
+
+        if (Settings != previous)
+        {
+            SettingsChanged?.Invoke(Settings);
+        }
+    }
+
+    private async Task<IJSObjectReference> EnsureModuleAsync()
+    {
+        if (_module is not null)
+        {
+            return _module;
+        }
+
+        _module = await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/interaction-feedback.js");
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        _subscription = await _module.InvokeAsync<IJSObjectReference>("watchFeedbackSettings", _dotNetRef);
+        return _module;
+    }
+}
@@ -0,0 +1,27 @@
+// <copyright file="InteractionFeedbackSettings.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Motion and haptics settings, as reported by interaction-feedback.js.
+/// </summary>
+/// <param name="ReduceMotion">True if the in-app "Reduce motion" setting is on.</param>
+/// <param name="DisableHaptics">True if the in-app "Disable haptics" setting is on.</param>
+/// <param name="SystemReducedMotion">True if the operating system asks for reduced motion.</param>
+public record InteractionFeedbackSettings(
+    bool ReduceMotion,
+    bool DisableHaptics,
+    bool SystemReducedMotion)
+{
+    /// <summary>
+    /// Gets the settings used before the browser has reported any.
+    /// </summary>
+    public static InteractionFeedbackSettings Default { get; } = new(false, false, false);
+
+    /// <summary>
+    /// Gets a value indicating whether animations are skipped, for either reason.
+    /// </summary>
+    public bool IsMotionReduced => ReduceMotion || SystemReducedMotion;
+}
@@ -0,0 +1,90 @@
+// <copyright file="OfflineCachePartitionHandler.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Security.Cryptography;
+using System.Text;
+
+using BudgetExperiment.Contracts.Constants;
+
+using Microsoft.AspNetCore.Components.Authorization;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// HTTP message handler that tags GET requests with the offline cache partition of the signed-in user.
+/// </summary>
+/// <remarks>
+/// The published service worker only stores API responses for requests carrying this header and
+/// keeps one cache per partition, so cached data can never be served to a different user.
+/// The partition is a SHA-256 hash of the user's subject claim; the raw identifier is never exposed.
+/// The service worker strips the header before the request reaches the API.
+/// </remarks>
+public sealed class OfflineCachePartitionHandler : DelegatingHandler
+{
+    /// <summary>
+    /// The name of the HTTP header that carries the offline cache partition key.
+    /// </summary>
+    public const string PartitionHeaderName = "X-Offline-Cache-Partition";
+
+    private readonly AuthenticationStateProvider _authStateProvider;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineCachePartitionHandler"/> class.
+    /// </summary>
+    /// <param name="authStateProvider">The authentication state provider.</param>
+    public OfflineCachePartitionHandler(AuthenticationStateProvider authStateProvider)
+    {
+        _authStateProvider = authStateProvider;
+    }
+
+    /// <summary>
+    /// Computes the partition key for a user identifier.
+    /// </summary>
+    /// <param name="userId">The user's subject identifier.</param>
+    /// <returns>A lowercase hex SHA-256 hash of the identifier.</returns>
+    public static string ComputePartitionKey(string userId)
+    {
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(userId));
+        return Convert.ToHexString(hash).ToLowerInvariant();
+    }
+
+    /// <inheritdoc/>
+    protected override async Task<HttpResponseMessage> SendAsync(
+        HttpRequestMessage request,
+        CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(request);
+
+        request.Headers.Remove(PartitionHeaderName);
+
+        if (request.Method == HttpMethod.Get)
+        {
+            var partitionKey = await GetPartitionKeyAsync();
+            if (partitionKey is not null)
+            {
+                request.Headers.TryAddWithoutValidation(PartitionHeaderName, partitionKey);
+            }
+        }
+
+        return await base.SendAsync(request, cancellationToken).ConfigureAwait(false);
+    }
+
+    private async Task<string?> GetPartitionKeyAsync()
+    {
+        // Resolved per request: handlers are pooled by the HTTP client factory and outlive sign-in changes
+        var authState = await _authStateProvider.GetAuthenticationStateAsync();
+        if (authState.User.Identity?.IsAuthenticated != true)
+        {
+            return null;
+        }
+
+        var userId = authState.User.FindFirst(ClaimConstants.Subject)?.Value;
+        if (string.IsNullOrEmpty(userId))
+        {
+            return null;
+        }
+
+        return ComputePartitionKey(userId);
+    }
+}
@@ -0,0 +1,171 @@
+// <copyright file="OfflineCacheService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Tracks when the service worker answers API requests from the offline read cache
+/// and clears cached API data on sign-out.
+/// </summary>
+public sealed class OfflineCacheService : IAsyncDisposable, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Dictionary<string, DateTimeOffset> _cachedResponses = new(StringComparer.Ordinal);
+    private IJSObjectReference? _module;
+    private IJSObjectReference? _subscription;
+    private DotNetObjectReference<OfflineCacheService>? _dotNetRef;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineCacheService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public OfflineCacheService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <summary>
+    /// Occurs when the set of responses served from the offline cache changes.
+    /// </summary>
+    public event Action? StatusChanged;
+
+    /// <summary>
+    /// Gets a value indicating whether any data currently shown came from the offline cache.
+    /// </summary>
+    public bool IsShowingCachedData => _cachedResponses.Count > 0;
+
+    /// <summary>
+    /// Gets the time the oldest cached response currently shown was stored, if any.
+    /// </summary>
+    public DateTimeOffset? CachedAt => _cachedResponses.Count > 0 ? _cachedResponses.Values.Min() : null;
+
+    /// <summary>
+    /// Starts listening for offline cache notifications from the service worker.
+    /// This method is idempotent — subsequent calls are no-ops.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task InitializeAsync()
+    {
+        if (_subscription is not null)
+        {
+            return;
+        }
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            _dotNetRef ??= DotNetObjectReference.Create(this);
+            _subscription = await module.InvokeAsync<IJSObjectReference>("subscribe", _dotNetRef);
+        }
+        catch (JSException)
+        {
+            // Service worker messaging unavailable (e.g., prerendering or tests)
+        }
+    }
+
+    /// <summary>
+    /// Deletes all cached API data for every user partition. Call before signing out.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task ClearAsync()
+    {
+        Reset();
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            await module.InvokeAsync<int>("clearCache");
+        }
+        catch (JSException)
+        {
+            // Cache Storage unavailable — nothing to clear
+        }
+    }
+
+    /// <summary>
+    /// Forgets which responses were served from cache, e.g. after navigating to another page.
+    /// </summary>
+    public void Reset()
+    {
+        if (_cachedResponses.Count == 0)
+        {
+            return;
+        }
+
+        _cachedResponses.Clear();
+        StatusChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the service worker answered a request from the offline cache.
+    /// </summary>
+    /// <param name="url">The request URL.</param>
+    /// <param name="cachedAt">The ISO 8601 time the response was cached.</param>
+    [JSInvokable]
+    public void OnCachedResponseServed(string url, string? cachedAt)
+    {
+        var timestamp = DateTimeOffset.TryParse(cachedAt, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var parsed)
+            ? parsed
+            : DateTimeOffset.UtcNow;
+
+        _cachedResponses[url] = timestamp;
+        StatusChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Called from JavaScript when a cacheable request was answered by the network.
+    /// </summary>
+    /// <param name="url">The request URL.</param>
+    [JSInvokable]
+    public void OnNetworkResponseReceived(string url)
+    {
+        if (_cachedResponses.Remove(url))
+        {
+            StatusChanged?.Invoke();
+        }
+    }
+
+    /// <inheritdoc/>
+    public void Dispose()
+    {
+        // No-op for synchronous disposal (bUnit compatibility).
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            if (_subscription is not null)
+            {
+                await _subscription.InvokeVoidAsync("dispose");
+                await _subscription.DisposeAsync();
+                _subscription = null;
+            }
+
+            if (_module is not null)
+            {
+                await _module.DisposeAsync();
+                _module = null;
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected during disposal — safe to ignore.
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    private async Task<IJSObjectReference> EnsureModuleAsync()
+    {
+        _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/offline-cache.js");
+        return _module;
+    }
+}
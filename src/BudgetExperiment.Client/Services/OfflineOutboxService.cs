@@ -0,0 +1,392 @@
+// <copyright file="OfflineOutboxService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+using System.Net;
+using System.Net.Http.Json;
+using System.Text;
+using System.Text.Json;
+
+using BudgetExperiment.Contracts.Dtos;
+
+using Microsoft.AspNetCore.Components.WebAssembly.Authentication;
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// IndexedDB-backed outbox for transaction and transfer writes made while offline.
+/// Items are replayed in order through the authenticated <see cref="HttpClient"/> when
+/// the browser reports connectivity again; a cross-tab lock keeps tabs from sending the same item.
+/// </summary>
+public sealed class OfflineOutboxService : IOfflineOutboxService, IAsyncDisposable, IDisposable
+{
+    /// <summary>
+    /// The name of the HTTP header that carries the outbox item's idempotency key.
+    /// </summary>
+    public const string IdempotencyKeyHeaderName = "Idempotency-Key";
+
+    private const string TransactionsUrl = "api/v1/transactions";
+    private const string TransfersUrl = "api/v1/transfers";
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly HttpClient _httpClient;
+    private readonly IJSRuntime _jsRuntime;
+    private List<OutboxItem> _items = [];
+    private IJSObjectReference? _module;
+    private IJSObjectReference? _subscription;
+    private DotNetObjectReference<OfflineOutboxService>? _dotNetRef;
+    private bool _isInitialized;
+    private bool _isReplaying;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineOutboxService"/> class.
+    /// </summary>
+    /// <param name="httpClient">The HTTP client used to replay queued writes.</param>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public OfflineOutboxService(HttpClient httpClient, IJSRuntime jsRuntime)
+    {
+        _httpClient = httpClient;
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc/>
+    public event Action? OnChange;
+
+    /// <inheritdoc/>
+    public event Action<OutboxReplayResult>? ItemReplayed;
+
+    /// <inheritdoc/>
+    public IReadOnlyList<OutboxItem> Items => _items.AsReadOnly();
+
+    /// <inheritdoc/>
+    public async Task InitializeAsync()
+    {
+        if (_isInitialized)
+        {
+            return;
+        }
+
+        _isInitialized = true;
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            _subscription = await module.InvokeAsync<IJSObjectReference>("subscribe", EnsureDotNetRef());
+            await LoadItemsAsync();
+        }
+        catch (JSException)
+        {
+            // IndexedDB unavailable (e.g., private browsing or tests) — outbox stays empty
+            return;
+        }
+
+        await ReplayAsync();
+    }
+
+    /// <inheritdoc/>
+    public Task<OutboxItem> EnqueueTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null)
+    {
+        ArgumentNullException.ThrowIfNull(model);
+
+        var amount = model.Amount.Amount.ToString("N2", CultureInfo.CurrentCulture);
+        var description = $"{model.Description} ({amount} {model.Amount.Currency})".Trim();
+        return EnqueueAsync(HttpMethod.Post, TransactionsUrl, model, description, idempotencyKey);
+    }
+
+    /// <inheritdoc/>
+    public Task<OutboxItem> EnqueueTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null)
+    {
+        ArgumentNullException.ThrowIfNull(model);
+
+        var amount = model.Amount.ToString("N2", CultureInfo.CurrentCulture);
+        var description = string.IsNullOrWhiteSpace(model.Description)
+            ? $"Transfer ({amount} {model.Currency})"
+            : $"{model.Description} ({amount} {model.Currency})";
+        return EnqueueAsync(HttpMethod.Post, TransfersUrl, model, description, idempotencyKey);
+    }
+
+    /// <inheritdoc/>
+    public async Task ReplayAsync()
+    {
+        if (_isReplaying || !_items.Any(i => i.Status == OutboxItemStatus.Pending))
+        {
+            return;
+        }
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            if (!await module.InvokeAsync<bool>("isOnline"))
+            {
+                return;
+            }
+
+            await module.InvokeAsync<bool>("runExclusive", EnsureDotNetRef());
+        }
+        catch (JSException)
+        {
+            // Lock or storage unavailable — try again on the next reconnect
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task DiscardAsync(Guid id)
+    {
+        var module = await EnsureModuleAsync();
+        await module.InvokeVoidAsync("deleteItem", id);
+
+        if (_items.RemoveAll(i => i.Id == id) > 0)
+        {
+            OnChange?.Invoke();
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task ClearAsync()
+    {
+        try
+        {
+            var module = await EnsureModuleAsync();
+            await module.InvokeVoidAsync("clearItems");
+        }
+        catch (JSException)
+        {
+            // IndexedDB unavailable — nothing was persisted
+        }
+
+        if (_items.Count > 0)
+        {
+            _items.Clear();
+            OnChange?.Invoke();
+        }
+    }
+
+    /// <summary>
+    /// Called from JavaScript while holding the cross-tab replay lock.
+    /// Sends pending items oldest first and stops at the first connectivity failure.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    [JSInvokable]
+    public async Task ReplayExclusiveAsync()
+    {
+        if (_isReplaying)
+        {
+            return;
+        }
+
+        _isReplaying = true;
+
+        try
+        {
+            // Another tab may have synced items since this one last looked
+            await LoadItemsAsync();
+
+            foreach (var item in _items.Where(i => i.Status == OutboxItemStatus.Pending).ToList())
+            {
+                var result = await SendAsync(item);
+                if (result is null)
+                {
+                    break;
+                }
+
+                var module = await EnsureModuleAsync();
+                if (result.Succeeded)
+                {
+                    await module.InvokeVoidAsync("deleteItem", item.Id);
+                    _items.Remove(item);
+                }
+                else
+                {
+                    var conflicted = item with { Status = OutboxItemStatus.Conflict, Error = result.ErrorMessage };
+                    await module.InvokeVoidAsync("putItem", conflicted);
+                    _items[_items.IndexOf(item)] = conflicted;
+                }
+
+                OnChange?.Invoke();
+                ItemReplayed?.Invoke(result);
+            }
+        }
+        finally
+        {
+            _isReplaying = false;
+        }
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the browser comes back online.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    [JSInvokable]
+    public Task OnConnectivityRestored()
+    {
+        return ReplayAsync();
+    }
+
+    /// <summary>
+    /// Called from JavaScript when another tab changed the outbox.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    [JSInvokable]
+    public async Task OnOutboxChanged()
+    {
+        try
+        {
+            await LoadItemsAsync();
+        }
+        catch (JSException)
+        {
+            // Keep the last known items
+        }
+    }
+
+    /// <inheritdoc/>
+    public void Dispose()
+    {
+        // No-op for synchronous disposal (bUnit compatibility).
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            if (_subscription is not null)
+            {
+                await _subscription.InvokeVoidAsync("dispose");
+                await _subscription.DisposeAsync();
+                _subscription = null;
+            }
+
+            if (_module is not null)
+            {
+                await _module.DisposeAsync();
+                _module = null;
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected during disposal — safe to ignore.
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    private static async Task<string> ReadConflictReasonAsync(HttpResponseMessage response)
+    {
+        var fallback = $"{(int)response.StatusCode} {response.ReasonPhrase}".Trim();
+
+        try
+        {
+            var problem = await response.Content.ReadFromJsonAsync<JsonElement>(JsonOptions);
+            if (problem.ValueKind == JsonValueKind.Object)
+            {
+                if (problem.TryGetProperty("detail", out var detail) && detail.ValueKind == JsonValueKind.String)
+                {
+                    return detail.GetString() ?? fallback;
+                }
+
+                if (problem.TryGetProperty("title", out var title) && title.ValueKind == JsonValueKind.String)
+                {
+                    return title.GetString() ?? fallback;
+                }
+            }
+        }
+        catch (JsonException)
+        {
+            // Not a ProblemDetails body
+        }
+        catch (NotSupportedException)
+        {
+            // Unexpected content type
+        }
+
+        return fallback;
+    }
+
+    private static bool IsTransient(HttpStatusCode statusCode)
+    {
+        // 409 means an earlier send with the same idempotency key is still being processed;
+        // retrying later gets its stored outcome
+        return (int)statusCode >= 500
+            || statusCode is HttpStatusCode.Unauthorized
+                or HttpStatusCode.RequestTimeout
+                or HttpStatusCode.Conflict
+                or HttpStatusCode.TooManyRequests;
+    }
+
+    private async Task<OutboxItem> EnqueueAsync(HttpMethod method, string url, object body, string description, Guid? idempotencyKey)
+    {
+        var item = new OutboxItem(
+            idempotencyKey ?? Guid.NewGuid(),
+            method.Method,
+            url,
+            JsonSerializer.Serialize(body, body.GetType(), JsonOptions),
+            description,
+            DateTimeOffset.UtcNow);
+
+        var module = await EnsureModuleAsync();
+        await module.InvokeVoidAsync("putItem", item);
+
+        _items.Add(item);
+        OnChange?.Invoke();
+        return item;
+    }
+
+    private async Task<OutboxReplayResult?> SendAsync(OutboxItem item)
+    {
+        using var request = new HttpRequestMessage(new HttpMethod(item.Method), item.Url)
+        {
+            Content = new StringContent(item.Body, Encoding.UTF8, "application/json"),
+        };
+        request.Headers.TryAddWithoutValidation(IdempotencyKeyHeaderName, item.Id.ToString());
+
+        try
+        {
+            using var response = await _httpClient.SendAsync(request);
+            if (response.IsSuccessStatusCode)
+            {
+                return new OutboxReplayResult(item, true);
+            }
+
+            if (IsTransient(response.StatusCode))
+            {
+                return null;
+            }
+
+            return new OutboxReplayResult(item, false, await ReadConflictReasonAsync(response));
+        }
+        catch (HttpRequestException)
+        {
+            return null;
+        }
+        catch (AccessTokenNotAvailableException)
+        {
+            // Token can't be refreshed offline; keep the item for the next attempt
+            return null;
+        }
+    }
+
+    private async Task LoadItemsAsync()
+    {
+        var module = await EnsureModuleAsync();
+        var items = await module.InvokeAsync<List<OutboxItem>?>("getItems");
+        _items = items ?? [];
+        OnChange?.Invoke();
+    }
+
+    private DotNetObjectReference<OfflineOutboxService> EnsureDotNetRef()
+    {
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        return _dotNetRef;
+    }
+
+    private async Task<IJSObjectReference> EnsureModuleAsync()
+    {
+        _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/offline-outbox.js");
+        return _module;
+    }
+}
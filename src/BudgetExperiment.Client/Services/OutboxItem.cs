@@ -0,0 +1,26 @@
+// <copyright file="OutboxItem.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Represents a write request queued in the offline outbox.
+/// </summary>
+/// <param name="Id">Unique identifier for the item, also sent as the idempotency key.</param>
+/// <param name="Method">The HTTP method of the queued request.</param>
+/// <param name="Url">The relative API URL of the queued request.</param>
+/// <param name="Body">The JSON request body.</param>
+/// <param name="Description">A short human-readable summary for the pending-sync list.</param>
+/// <param name="CreatedAt">When the write was queued.</param>
+/// <param name="Status">The current outbox status.</param>
+/// <param name="Error">The server's rejection reason when <paramref name="Status"/> is a conflict.</param>
+public sealed record OutboxItem(
+    Guid Id,
+    string Method,
+    string Url,
+    string Body,
+    string Description,
+    DateTimeOffset CreatedAt,
+    OutboxItemStatus Status = OutboxItemStatus.Pending,
+    string? Error = null);
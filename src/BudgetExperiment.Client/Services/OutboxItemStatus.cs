@@ -0,0 +1,17 @@
+// <copyright file="OutboxItemStatus.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Defines the states of a write queued in the offline outbox.
+/// </summary>
+public enum OutboxItemStatus
+{
+    /// <summary>Waiting to be sent when connectivity returns.</summary>
+    Pending,
+
+    /// <summary>Rejected by the server; kept for the user to inspect or discard.</summary>
+    Conflict,
+}
@@ -0,0 +1,13 @@
+// <copyright file="OutboxReplayResult.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Represents the outcome of replaying one queued outbox item.
+/// </summary>
+/// <param name="Item">The replayed item.</param>
+/// <param name="Succeeded">Whether the server accepted the write.</param>
+/// <param name="ErrorMessage">The conflict reason when the server rejected the write.</param>
+public sealed record OutboxReplayResult(OutboxItem Item, bool Succeeded, string? ErrorMessage = null);
@@ -0,0 +1,143 @@
+// <copyright file="ServiceWorkerUpdateService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Reports when a new build of the app has been installed by the service worker
+/// and activates it on request.
+/// </summary>
+public sealed class ServiceWorkerUpdateService : IAsyncDisposable, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private IJSObjectReference? _module;
+    private IJSObjectReference? _subscription;
+    private DotNetObjectReference<ServiceWorkerUpdateService>? _dotNetRef;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ServiceWorkerUpdateService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public ServiceWorkerUpdateService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <summary>
+    /// Occurs when an update becomes available or the prompt is dismissed.
+    /// </summary>
+    public event Action? StatusChanged;
+
+    /// <summary>
+    /// Gets a value indicating whether a new build is waiting to be activated.
+    /// </summary>
+    public bool IsUpdateAvailable
+    {
+        get; private set;
+    }
+
+    /// <summary>
+    /// Starts watching the service worker registration for new builds.
+    /// This method is idempotent — subsequent calls are no-ops.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task InitializeAsync()
+    {
+        if (_subscription is not null)
+        {
+            return;
+        }
+
+        try
+        {
+            var module = await EnsureModuleAsync();
+            _dotNetRef ??= DotNetObjectReference.Create(this);
+            _subscription = await module.InvokeAsync<IJSObjectReference>("subscribe", _dotNetRef);
+        }
+        catch (JSException)
+        {
+            // Service workers unavailable (e.g., prerendering or tests)
+        }
+    }
+
+    /// <summary>
+    /// Activates the waiting build and reloads the page once it has taken control.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task ApplyUpdateAsync()
+    {
+        var module = await EnsureModuleAsync();
+        await module.InvokeVoidAsync("applyUpdate");
+    }
+
+    /// <summary>
+    /// Hides the update prompt until the next update is detected.
+    /// </summary>
+    public void Dismiss()
+    {
+        if (!IsUpdateAvailable)
+        {
+            return;
+        }
+
+        IsUpdateAvailable = false;
+        StatusChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Called from JavaScript when a new build has finished installing.
+    /// </summary>
+    [JSInvokable]
+    public void OnUpdateAvailable()
+    {
+        if (IsUpdateAvailable)
+        {
+            return;
+        }
+
+        IsUpdateAvailable = true;
+        StatusChanged?.Invoke();
+    }
+
+    /// <inheritdoc/>
+    public void Dispose()
+    {
+        // No-op for synchronous disposal (bUnit compatibility).
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            if (_subscription is not null)
+            {
+                await _subscription.InvokeVoidAsync("dispose");
+                await _subscription.DisposeAsync();
+                _subscription = null;
+            }
+
+            if (_module is not null)
+            {
+                await _module.DisposeAsync();
+                _module = null;
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected during disposal — safe to ignore.
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    private async Task<IJSObjectReference> EnsureModuleAsync()
+    {
+        _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/sw-update.js");
+        return _module;
+    }
+}
@@ -0,0 +1,58 @@
+// <copyright file="ShareTargetService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Reads files that the published service worker stored after receiving a Web Share Target POST.
+/// </summary>
+public sealed class ShareTargetService : IShareTargetService, IAsyncDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private IJSObjectReference? _module;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ShareTargetService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    public ShareTargetService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc/>
+    public async Task<SharedFile?> TakeSharedFileAsync()
+    {
+        try
+        {
+            _module ??= await _jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/share-target.js");
+            return await _module.InvokeAsync<SharedFile?>("takeSharedFile");
+        }
+        catch (JSException)
+        {
+            // IndexedDB unavailable (e.g., private browsing) — nothing to preload
+            return null;
+        }
+    }
+
+    /// <inheritdoc/>
+    public async ValueTask DisposeAsync()
+    {
+        if (_module is not null)
+        {
+            try
+            {
+                await _module.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit disconnected during disposal — safe to ignore.
+            }
+
+            _module = null;
+        }
+    }
+}
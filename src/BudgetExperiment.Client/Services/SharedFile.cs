@@ -0,0 +1,14 @@
+// <copyright file="SharedFile.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// Represents a file another app shared into Budget Experiment through the Web Share Target API.
+/// </summary>
+/// <param name="Name">The original file name.</param>
+/// <param name="ContentType">The MIME type reported by the sharing app.</param>
+/// <param name="Content">The file content; empty when the file is over the upload limit.</param>
+/// <param name="Size">The file size in bytes.</param>
+public sealed record SharedFile(string Name, string ContentType, byte[] Content, long Size);
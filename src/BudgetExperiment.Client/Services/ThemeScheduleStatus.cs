@@ -0,0 +1,20 @@
+// <copyright file="ThemeScheduleStatus.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+namespace BudgetExperiment.Client.Services;
+
+/// <summary>
+/// What the theme schedule shows now and when it next switches.
+/// </summary>
+/// <param name="ActiveTheme">The day or night theme showing now.</param>
+/// <param name="IsDay">True if the day theme is showing.</param>
+/// <param name="NextSwitch">When the schedule next switches.</param>
+/// <param name="Sunrise">Today's sunrise, when switching by the sun and a location is set; null during polar day or night.</param>
+/// <param name="Sunset">Today's sunset; see <paramref name="Sunrise"/>.</param>
+public record ThemeScheduleStatus(
+    string ActiveTheme,
+    bool IsDay,
+    DateTimeOffset NextSwitch,
+    DateTimeOffset? Sunrise,
+    DateTimeOffset? Sunset);
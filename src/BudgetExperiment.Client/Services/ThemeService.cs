@@ -4,21 +4,29 @@
 // </copyright>
 // -----------------------------------------------------------------------
 
+using BudgetExperiment.Client.Models;
+
 using Microsoft.JSInterop;
 
 namespace BudgetExperiment.Client.Services;
 
 /// <summary>
-/// Service for managing application theme (light, dark, vscode-dark, system).
+/// Service for managing application theme (light, dark, vscode-dark, system, a day/night schedule,
+/// or a user-defined custom theme).
 /// </summary>
 public sealed class ThemeService : IAsyncDisposable, IDisposable
 {
-    private const string StorageKey = "budget-experiment-theme";
     private const string DefaultTheme = "system";
+    private const string CustomThemeIcon = "palette";
 
     private readonly IJSRuntime jsRuntime;
     private IJSObjectReference? module;
+    private IJSObjectReference? themeWatch;
+    private DotNetObjectReference<ThemeService>? dotNetRef;
     private string currentTheme = DefaultTheme;
+    private List<CustomThemeDefinition> customThemes = [];
+    private ThemeSchedule schedule = new();
+    private string? scheduledTheme;
     private bool isInitialized;
 
     /// <summary>
@@ -46,6 +54,7 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
     = new List<ThemeOption>
     {
         new("system", "System", "monitor"),
+        new(ThemeSchedule.ThemeValue, "Scheduled", "clock"),
         new("light", "Light", "sun"),
         new("dark", "Dark", "moon"),
         new("accessible", "Accessible", "accessibility"),
@@ -62,6 +71,28 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
     /// </summary>
     public string CurrentTheme => currentTheme;
 
+    /// <summary>
+    /// Gets the theme being shown: the day or night theme of the schedule, otherwise the current theme.
+    /// </summary>
+    public string ActiveTheme => currentTheme == ThemeSchedule.ThemeValue
+        ? scheduledTheme ?? schedule.DayTheme
+        : currentTheme;
+
+    /// <summary>
+    /// Gets the built-in theme behind the active theme: the base of a custom theme, otherwise the active theme.
+    /// </summary>
+    public string BaseTheme => FindCustomTheme(ActiveTheme)?.BaseTheme ?? ActiveTheme;
+
+    /// <summary>
+    /// Gets the schedule used by the "scheduled" theme.
+    /// </summary>
+    public ThemeSchedule Schedule => schedule;
+
+    /// <summary>
+    /// Gets the custom themes saved on this device.
+    /// </summary>
+    public IReadOnlyList<CustomThemeDefinition> CustomThemes => customThemes;
+
     /// <summary>
     /// Initializes the theme service by loading the saved theme from localStorage.
     /// </summary>
@@ -81,8 +112,14 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
 
             var savedTheme = await module.InvokeAsync<string?>("getTheme");
             currentTheme = savedTheme ?? DefaultTheme;
+            customThemes = await module.InvokeAsync<List<CustomThemeDefinition>?>("getCustomThemes") ?? [];
+            schedule = await module.InvokeAsync<ThemeSchedule?>("getThemeSchedule") ?? new ThemeSchedule();
 
             await this.ApplyThemeAsync(currentTheme);
+            scheduledTheme = (await module.InvokeAsync<ThemeScheduleStatus?>("getThemeScheduleStatus"))?.ActiveTheme;
+
+            dotNetRef = DotNetObjectReference.Create(this);
+            themeWatch = await module.InvokeAsync<IJSObjectReference>("watchThemeChanges", dotNetRef);
             isInitialized = true;
         }
         catch (JSException)
@@ -185,6 +222,260 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
         }
     }
 
+    /// <summary>
+    /// Gets the built-in themes followed by the saved custom themes.
+    /// </summary>
+    /// <returns>The theme options.</returns>
+    public IReadOnlyList<ThemeOption> GetThemeOptions()
+    {
+        return AvailableThemes
+            .Concat(customThemes.Select(theme => new ThemeOption(theme.ThemeValue, theme.Name, CustomThemeIcon)))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Adds or replaces a custom theme. If it is the current theme, the change shows immediately.
+    /// </summary>
+    /// <param name="theme">The theme to save.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task SaveCustomThemeAsync(CustomThemeDefinition theme)
+    {
+        ArgumentNullException.ThrowIfNull(theme);
+
+        var saved = theme.Clone();
+        saved.Normalize();
+        customThemes = customThemes.Where(t => t.Id != saved.Id).Append(saved).ToList();
+
+        try
+        {
+            if (module != null)
+            {
+                await module.InvokeVoidAsync("saveCustomTheme", saved);
+            }
+
+            this.ThemeChanged?.Invoke(currentTheme);
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Deletes a custom theme. If it is the current theme, its base theme becomes the current theme.
+    /// </summary>
+    /// <param name="id">The custom theme's identifier.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task DeleteCustomThemeAsync(string id)
+    {
+        var deleted = customThemes.FirstOrDefault(t => t.Id == id);
+        if (deleted == null)
+        {
+            return;
+        }
+
+        customThemes = customThemes.Where(t => t.Id != id).ToList();
+        if (currentTheme == deleted.ThemeValue)
+        {
+            currentTheme = deleted.BaseTheme;
+        }
+
+        try
+        {
+            if (module != null)
+            {
+                await module.InvokeVoidAsync("deleteCustomTheme", id);
+            }
+
+            this.ThemeChanged?.Invoke(currentTheme);
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Saves the schedule used by the "scheduled" theme. If it is the current theme, the change shows immediately.
+    /// </summary>
+    /// <param name="value">The schedule to save.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task SaveThemeScheduleAsync(ThemeSchedule value)
+    {
+        ArgumentNullException.ThrowIfNull(value);
+
+        var saved = value.Clone();
+        saved.Normalize();
+        schedule = saved;
+        scheduledTheme = null;
+
+        try
+        {
+            if (module != null)
+            {
+                var status = await module.InvokeAsync<ThemeScheduleStatus?>("setThemeSchedule", saved);
+                scheduledTheme = status?.ActiveTheme;
+            }
+
+            this.ThemeChanged?.Invoke(currentTheme);
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Gets what the schedule shows now, when it next switches, and today's sunrise and sunset.
+    /// </summary>
+    /// <returns>The status, or <c>null</c> when JS interop is unavailable.</returns>
+    public async Task<ThemeScheduleStatus?> GetThemeScheduleStatusAsync()
+    {
+        if (module == null)
+        {
+            return null;
+        }
+
+        try
+        {
+            return await module.InvokeAsync<ThemeScheduleStatus?>("getThemeScheduleStatus");
+        }
+        catch (JSException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Shows an unsaved custom theme across the app while it is being edited.
+    /// Call <see cref="EndPreviewAsync"/> to go back to the current theme.
+    /// </summary>
+    /// <param name="theme">The theme being edited.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task PreviewCustomThemeAsync(CustomThemeDefinition theme)
+    {
+        if (module == null)
+        {
+            return;
+        }
+
+        try
+        {
+            await module.InvokeVoidAsync("previewCustomTheme", theme);
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Ends a preview started with <see cref="PreviewCustomThemeAsync"/> and re-applies the current theme.
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task EndPreviewAsync()
+    {
+        try
+        {
+            await this.ApplyThemeAsync(currentTheme);
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Reads the values a built-in theme gives to the editable design-system tokens.
+    /// </summary>
+    /// <param name="baseTheme">The built-in theme name.</param>
+    /// <returns>Token values by custom property name; empty when JS interop is unavailable.</returns>
+    public async Task<IReadOnlyDictionary<string, string>> GetThemeTokensAsync(string baseTheme)
+    {
+        if (module == null)
+        {
+            return new Dictionary<string, string>();
+        }
+
+        try
+        {
+            var names = ThemeTokenCatalog.Tokens.Select(token => token.Name).ToArray();
+            return await module.InvokeAsync<Dictionary<string, string>?>("readThemeTokens", baseTheme, names)
+                ?? new Dictionary<string, string>();
+        }
+        catch (JSException)
+        {
+            return new Dictionary<string, string>();
+        }
+    }
+
+    /// <summary>
+    /// Saves a custom theme as a JSON file that can be imported on another device.
+    /// </summary>
+    /// <param name="theme">The theme to export.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task ExportCustomThemeAsync(CustomThemeDefinition theme)
+    {
+        ArgumentNullException.ThrowIfNull(theme);
+
+        if (module == null)
+        {
+            return;
+        }
+
+        var fileName = new string(theme.Name.Select(c => char.IsLetterOrDigit(c) ? char.ToLowerInvariant(c) : '-').ToArray()).Trim('-');
+        try
+        {
+            await module.InvokeAsync<string>(
+                "exportCustomTheme",
+                $"{(fileName.Length > 0 ? fileName : "theme")}.theme.json",
+                theme.ToJson());
+        }
+        catch (JSException)
+        {
+            // Ignore JS errors
+        }
+    }
+
+    /// <summary>
+    /// Called from JavaScript when another tab changes the theme or edits the custom themes.
+    /// theme.js has already applied the change to this page.
+    /// </summary>
+    /// <param name="theme">The theme now saved.</param>
+    /// <returns>A task representing the async operation.</returns>
+    [JSInvokable]
+    public async Task OnThemeChangedElsewhere(string theme)
+    {
+        if (module != null)
+        {
+            try
+            {
+                customThemes = await module.InvokeAsync<List<CustomThemeDefinition>?>("getCustomThemes") ?? [];
+                schedule = await module.InvokeAsync<ThemeSchedule?>("getThemeSchedule") ?? new ThemeSchedule();
+                scheduledTheme = (await module.InvokeAsync<ThemeScheduleStatus?>("getThemeScheduleStatus"))?.ActiveTheme;
+            }
+            catch (JSException)
+            {
+                // Keep the themes already loaded
+            }
+        }
+
+        currentTheme = string.IsNullOrEmpty(theme) ? DefaultTheme : theme;
+        this.ThemeChanged?.Invoke(currentTheme);
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the scheduled theme switches between its day and night themes.
+    /// theme.js has already applied the change to this page.
+    /// </summary>
+    /// <param name="activeTheme">The theme now showing.</param>
+    [JSInvokable]
+    public void OnScheduledThemeSwitched(string activeTheme)
+    {
+        scheduledTheme = activeTheme;
+        this.ThemeChanged?.Invoke(currentTheme);
+    }
+
     /// <summary>
     /// Gets the themed icon name for the specified standard icon name.
     /// Uses the current theme to resolve the appropriate icon.
@@ -195,7 +486,7 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
     /// </returns>
     public string GetThemedIcon(string iconName)
     {
-        return ThemedIconRegistry.GetThemedIcon(currentTheme, iconName);
+        return ThemedIconRegistry.GetThemedIcon(BaseTheme, iconName);
     }
 
     /// <inheritdoc/>
@@ -210,17 +501,34 @@ public sealed class ThemeService : IAsyncDisposable, IDisposable
     /// <inheritdoc/>
     public async ValueTask DisposeAsync()
     {
-        if (module != null)
+        try
         {
-            try
+            if (themeWatch != null)
             {
-                await module.DisposeAsync();
+                await themeWatch.InvokeVoidAsync("dispose");
+                await themeWatch.DisposeAsync();
+                themeWatch = null;
             }
-            catch (JSDisconnectedException)
+
+            if (module != null)
             {
-                // Circuit disconnected, ignore
+                await module.DisposeAsync();
             }
         }
+        catch (JSDisconnectedException)
+        {
+            // Circuit disconnected, ignore
+        }
+
+        dotNetRef?.Dispose();
+        dotNetRef = null;
+    }
+
+    private CustomThemeDefinition? FindCustomTheme(string theme)
+    {
+        return CustomThemeDefinition.IsCustomThemeValue(theme)
+            ? customThemes.FirstOrDefault(t => t.ThemeValue == theme)
+            : null;
     }
 
     private async Task ApplyThemeAsync(string theme)
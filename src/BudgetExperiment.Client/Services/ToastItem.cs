@@ -12,9 +12,11 @@ namespace BudgetExperiment.Client.Services;
 /// <param name="Message">The message to display.</param>
 /// <param name="Title">Optional title for the toast.</param>
 /// <param name="CreatedAtUtc">When the toast was created.</param>
+/// <param name="ActionLabel">Optional label for an action button on the toast, such as "Undo".</param>
 public sealed record ToastItem(
     Guid Id,
     ToastLevel Level,
     string Message,
     string? Title = null,
-    DateTime? CreatedAtUtc = null);
+    DateTime? CreatedAtUtc = null,
+    string? ActionLabel = null);
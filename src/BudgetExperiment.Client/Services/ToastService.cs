@@ -10,8 +10,11 @@ namespace BudgetExperiment.Client.Services;
 public sealed class ToastService : IToastService, IDisposable
 {
     private const int DefaultDurationMs = 4000;
+    private const int UndoDurationMs = 6000;
+    private const string UndoLabel = "Undo";
     private readonly List<ToastItem> _toasts = [];
     private readonly Dictionary<Guid, Timer> _timers = [];
+    private readonly Dictionary<Guid, UndoCallbacks> _undoCallbacks = [];
 
     /// <inheritdoc/>
     public event Action? OnChange;
@@ -43,6 +46,26 @@ public sealed class ToastService : IToastService, IDisposable
         Show(ToastLevel.Warning, message, title);
     }
 
+    /// <inheritdoc/>
+    public Guid ShowUndo(string message, Func<Task> onUndo, Func<Task>? onExpired = null)
+    {
+        var toast = Show(ToastLevel.Info, message, null, UndoLabel, UndoDurationMs);
+        _undoCallbacks[toast.Id] = new UndoCallbacks(onUndo, onExpired);
+        return toast.Id;
+    }
+
+    /// <inheritdoc/>
+    public async Task UndoAsync(Guid id)
+    {
+        if (!_undoCallbacks.Remove(id, out var callbacks))
+        {
+            return;
+        }
+
+        Remove(id);
+        await callbacks.OnUndo();
+    }
+
     /// <inheritdoc/>
     public void Remove(Guid id)
     {
@@ -59,6 +82,12 @@ public sealed class ToastService : IToastService, IDisposable
 
             OnChange?.Invoke();
         }
+
+        // Dismissed or timed out without Undo: whatever was held back can go ahead now
+        if (_undoCallbacks.Remove(id, out var callbacks) && callbacks.OnExpired is not null)
+        {
+            _ = RunExpiredAsync(callbacks.OnExpired);
+        }
     }
 
     /// <inheritdoc/>
@@ -70,27 +99,50 @@ public sealed class ToastService : IToastService, IDisposable
         }
 
         _timers.Clear();
+        _undoCallbacks.Clear();
     }
 
-    private void Show(ToastLevel level, string message, string? title)
+    private async Task RunExpiredAsync(Func<Task> onExpired)
+    {
+        try
+        {
+            await onExpired();
+        }
+        catch (Exception)
+        {
+            // Nothing else awaits this, so report the failure rather than lose it
+            ShowError("A held-back change couldn't be completed.");
+        }
+    }
+
+    private ToastItem Show(
+        ToastLevel level,
+        string message,
+        string? title,
+        string? actionLabel = null,
+        int durationMs = DefaultDurationMs)
     {
         var toast = new ToastItem(
             Guid.NewGuid(),
             level,
             message,
             title,
-            DateTime.UtcNow);
+            DateTime.UtcNow,
+            actionLabel);
 
         _toasts.Add(toast);
 
         var timer = new Timer(
             _ => Remove(toast.Id),
             null,
-            DefaultDurationMs,
+            durationMs,
             Timeout.Infinite);
 
         _timers[toast.Id] = timer;
 
         OnChange?.Invoke();
+        return toast;
     }
+
+    private sealed record UndoCallbacks(Func<Task> OnUndo, Func<Task>? OnExpired);
 }
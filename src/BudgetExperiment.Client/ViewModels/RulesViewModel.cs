@@ -7,7 +7,6 @@ using BudgetExperiment.Client.Services;
 using BudgetExperiment.Contracts.Dtos;
 
 using Microsoft.AspNetCore.Components;
-using Microsoft.JSInterop;
 
 namespace BudgetExperiment.Client.ViewModels;
 
@@ -17,14 +16,12 @@ namespace BudgetExperiment.Client.ViewModels;
 /// </summary>
 public sealed class RulesViewModel : IDisposable
 {
-    private const string ViewModeStorageKey = "budget-experiment-rules-view-mode";
-    private const string PageSizeStorageKey = "budget-experiment-rules-page-size";
 
     private readonly IBudgetApiService _apiService;
     private readonly IToastService _toastService;
     private readonly NavigationManager _navigationManager;
     private readonly IApiErrorContext _apiErrorContext;
-    private readonly IJSRuntime _jsRuntime;
+    private readonly IClientPreferencesService _preferences;
     private readonly HashSet<string> _collapsedCategories = new(StringComparer.Ordinal);
     private readonly HashSet<Guid> _selectedRuleIds = new();
     private CancellationTokenSource? _searchDebounce;
@@ -36,19 +33,20 @@ public sealed class RulesViewModel : IDisposable
     /// <param name="toastService">The toast notification service.</param>
     /// <param name="navigationManager">The navigation manager.</param>
     /// <param name="apiErrorContext">The API error context for traceId capture.</param>
-    /// <param name="jsRuntime">The JavaScript runtime for localStorage access.</param>
+    /// <param name="preferences">The client preferences that keep the view mode and page size.</param>
     public RulesViewModel(
         IBudgetApiService apiService,
         IToastService toastService,
         NavigationManager navigationManager,
         IApiErrorContext apiErrorContext,
-        IJSRuntime jsRuntime)
+        IClientPreferencesService preferences)
     {
         _apiService = apiService;
         _toastService = toastService;
         _navigationManager = navigationManager;
         _apiErrorContext = apiErrorContext;
-        _jsRuntime = jsRuntime;
+        _preferences = preferences;
+        _preferences.PreferenceChanged += this.OnPreferenceChanged;
     }
 
     /// <summary>
@@ -880,13 +878,13 @@ public sealed class RulesViewModel : IDisposable
     {
         this.PageSize = pageSize;
         this.CurrentPage = 1;
-        await this.SavePreferenceAsync(PageSizeStorageKey, pageSize.ToString());
+        await _preferences.SetAsync(ClientPreference.RulesPageSize, pageSize.ToString());
         await this.LoadDataAsync();
         this.NotifyStateChanged();
     }
 
     /// <summary>
-    /// Sets the view mode and persists the preference to localStorage.
+    /// Sets the view mode and persists the preference.
     /// </summary>
     /// <param name="mode">The view mode to set.</param>
     /// <returns>A task representing the async operation.</returns>
@@ -898,13 +896,14 @@ public sealed class RulesViewModel : IDisposable
         }
 
         this.ViewMode = mode;
-        await this.SavePreferenceAsync(ViewModeStorageKey, mode.ToString());
+        await _preferences.SetAsync(ClientPreference.RulesViewMode, mode.ToString());
         this.NotifyStateChanged();
     }
 
     /// <inheritdoc/>
     public void Dispose()
     {
+        _preferences.PreferenceChanged -= this.OnPreferenceChanged;
         _searchDebounce?.Cancel();
         _searchDebounce?.Dispose();
     }
@@ -1170,42 +1169,53 @@ public sealed class RulesViewModel : IDisposable
     public bool IsCategoryCollapsed(string categoryName) =>
         _collapsedCategories.Contains(categoryName);
 
+    private static bool TryParseViewMode(string? value, out RulesViewMode mode)
+    {
+        return Enum.TryParse(value, out mode) && Enum.IsDefined(mode);
+    }
+
+    private static bool TryParsePageSize(string? value, out int size)
+    {
+        return int.TryParse(value, out size) && size is 10 or 25 or 50 or 100;
+    }
+
     private async Task LoadPreferencesAsync()
     {
-        try
+        var savedViewMode = await _preferences.GetAsync(ClientPreference.RulesViewMode);
+        if (TryParseViewMode(savedViewMode, out var mode))
         {
-            var savedViewMode = await _jsRuntime.InvokeAsync<string?>(
-                "localStorage.getItem", ViewModeStorageKey);
-            if (!string.IsNullOrEmpty(savedViewMode) && Enum.TryParse<RulesViewMode>(savedViewMode, out var mode))
-            {
-                this.ViewMode = mode;
-            }
-
-            var savedPageSize = await _jsRuntime.InvokeAsync<string?>(
-                "localStorage.getItem", PageSizeStorageKey);
-            if (!string.IsNullOrEmpty(savedPageSize) && int.TryParse(savedPageSize, out var size) && size is 10 or 25 or 50 or 100)
-            {
-                this.PageSize = size;
-            }
+            this.ViewMode = mode;
         }
-        catch (JSException)
+
+        var savedPageSize = await _preferences.GetAsync(ClientPreference.RulesPageSize);
+        if (TryParsePageSize(savedPageSize, out var size))
         {
-            // Ignore localStorage errors (SSR / prerender)
+            this.PageSize = size;
         }
     }
 
-    private async Task SavePreferenceAsync(string key, string value)
+    private void OnPreferenceChanged(ClientPreference preference, string? value)
     {
-        try
+        // Follow view changes made on the rules page in another tab
+        if (preference == ClientPreference.RulesViewMode && TryParseViewMode(value, out var mode) && mode != this.ViewMode)
         {
-            await _jsRuntime.InvokeVoidAsync("localStorage.setItem", key, value);
+            this.ViewMode = mode;
+            this.NotifyStateChanged();
         }
-        catch (JSException)
+        else if (preference == ClientPreference.RulesPageSize && TryParsePageSize(value, out var size) && size != this.PageSize)
         {
-            // Ignore localStorage errors
+            this.PageSize = size;
+            this.CurrentPage = 1;
+            _ = this.ReloadAfterPreferenceChangeAsync();
         }
     }
 
+    private async Task ReloadAfterPreferenceChangeAsync()
+    {
+        await this.LoadDataAsync();
+        this.NotifyStateChanged();
+    }
+
     private void NotifyStateChanged()
     {
         this.OnStateChanged?.Invoke();
@@ -17,6 +17,7 @@ public sealed class TransactionsViewModel
     private readonly IToastService _toastService;
     private readonly Microsoft.AspNetCore.Components.NavigationManager _navigation;
     private readonly IApiErrorContext _apiErrorContext;
+    private readonly HashSet<Guid> _heldDeleteIds = new();
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TransactionsViewModel"/> class.
@@ -104,6 +105,12 @@ public sealed class TransactionsViewModel
     /// </summary>
     public Dictionary<Guid, InlineCategorySuggestionDto> Suggestions { get; private set; } = new();
 
+    /// <summary>
+    /// Gets the current page's transactions, less any whose delete is waiting out its undo toast.
+    /// </summary>
+    public IEnumerable<UnifiedTransactionItemDto> VisibleItems =>
+        this.PageData.Items.Where(item => !_heldDeleteIds.Contains(item.Id));
+
     /// <summary>
     /// Gets a value indicating whether suggestions are currently loading.
     /// </summary>
@@ -121,8 +128,8 @@ public sealed class TransactionsViewModel
     /// Gets a value indicating whether all items on the current page are selected.
     /// </summary>
     public bool AllSelected =>
-        this.PageData.Items.Count > 0 &&
-        this.PageData.Items.All(item => this.SelectedTransactionIds.Contains(item.Id));
+        this.VisibleItems.Any() &&
+        this.VisibleItems.All(item => this.SelectedTransactionIds.Contains(item.Id));
 
     /// <summary>
     /// Gets a value indicating whether a bulk operation is in progress.
@@ -595,6 +602,110 @@ public sealed class TransactionsViewModel
         }
     }
 
+    /// <summary>
+    /// Sets a transaction's category from a swiped row. The row's undo toast confirms it,
+    /// so only a failure is reported here.
+    /// </summary>
+    /// <param name="transactionId">The transaction ID.</param>
+    /// <param name="categoryId">The category ID, or null to clear.</param>
+    /// <returns>Whether the category was updated.</returns>
+    public async Task<bool> SetRowCategoryAsync(Guid transactionId, Guid? categoryId)
+    {
+        var result = await _apiService.UpdateTransactionCategoryAsync(transactionId, categoryId);
+        if (result == null)
+        {
+            _toastService.ShowError("Failed to update category.");
+            return false;
+        }
+
+        await this.LoadTransactionsAsync();
+        return true;
+    }
+
+    /// <summary>
+    /// Marks a transaction cleared (as of today) or uncleared from a swiped row.
+    /// Only a failure is reported here.
+    /// </summary>
+    /// <param name="transactionId">The transaction ID.</param>
+    /// <param name="isCleared">Whether the transaction has cleared.</param>
+    /// <returns>Whether the transaction was updated.</returns>
+    public async Task<bool> SetRowClearedAsync(Guid transactionId, bool isCleared)
+    {
+        var result = isCleared
+            ? await _apiService.MarkTransactionClearedAsync(new MarkClearedRequest
+            {
+                TransactionId = transactionId,
+                ClearedDate = DateOnly.FromDateTime(DateTime.Today),
+            })
+            : await _apiService.MarkTransactionUnclearedAsync(new MarkUnclearedRequest { TransactionId = transactionId });
+
+        if (result == null)
+        {
+            _toastService.ShowError(isCleared ? "Failed to mark transaction cleared." : "Failed to mark transaction uncleared.");
+            return false;
+        }
+
+        await this.LoadTransactionsAsync();
+        return true;
+    }
+
+    /// <summary>
+    /// Hides a swiped row that is to be deleted once its undo toast has gone; see <see cref="CommitHeldDeleteAsync"/>.
+    /// </summary>
+    /// <param name="transactionId">The transaction ID.</param>
+    public void HoldDelete(Guid transactionId)
+    {
+        _heldDeleteIds.Add(transactionId);
+        this.SelectedTransactionIds.Remove(transactionId);
+        this.NotifyStateChanged();
+    }
+
+    /// <summary>
+    /// Shows a row hidden by <see cref="HoldDelete"/> again, because its delete was undone.
+    /// </summary>
+    /// <param name="transactionId">The transaction ID.</param>
+    public void ReleaseHeldDelete(Guid transactionId)
+    {
+        if (_heldDeleteIds.Remove(transactionId))
+        {
+            this.NotifyStateChanged();
+        }
+    }
+
+    /// <summary>
+    /// Deletes a transaction hidden by <see cref="HoldDelete"/>. If the delete fails the row comes back.
+    /// </summary>
+    /// <param name="transactionId">The transaction ID.</param>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task CommitHeldDeleteAsync(Guid transactionId)
+    {
+        if (!_heldDeleteIds.Contains(transactionId))
+        {
+            return;
+        }
+
+        try
+        {
+            var deleted = await _apiService.DeleteTransactionAsync(transactionId);
+            if (deleted)
+            {
+                await this.LoadTransactionsAsync();
+            }
+            else
+            {
+                _toastService.ShowError("Failed to delete transaction.");
+            }
+        }
+        catch (Exception ex)
+        {
+            _toastService.ShowError($"Failed to delete transaction: {ex.Message}");
+        }
+        finally
+        {
+            this.ReleaseHeldDelete(transactionId);
+        }
+    }
+
     /// <summary>
     /// Toggles selection of a transaction by ID.
     /// </summary>
@@ -620,7 +731,7 @@ public sealed class TransactionsViewModel
         }
         else
         {
-            foreach (var item in this.PageData.Items)
+            foreach (var item in this.VisibleItems)
             {
                 this.SelectedTransactionIds.Add(item.Id);
             }
@@ -859,6 +970,15 @@ public sealed class TransactionsViewModel
         }
     }
 
+    /// <summary>
+    /// Reloads accounts, categories and transactions, keeping the current filter (pull-to-refresh).
+    /// </summary>
+    /// <returns>A task representing the async operation.</returns>
+    public async Task RefreshAsync()
+    {
+        await this.LoadAllDataAsync();
+    }
+
     /// <summary>
     /// Dismisses the current error message.
     /// </summary>
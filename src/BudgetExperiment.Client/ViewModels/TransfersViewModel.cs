@@ -5,6 +5,8 @@
 using BudgetExperiment.Client.Services;
 using BudgetExperiment.Contracts.Dtos;
 
+using Microsoft.JSInterop;
+
 namespace BudgetExperiment.Client.ViewModels;
 
 /// <summary>
@@ -16,6 +18,7 @@ public sealed class TransfersViewModel : IDisposable
     private readonly IBudgetApiService _apiService;
     private readonly IChatContextService _chatContextService;
     private readonly IApiErrorContext _apiErrorContext;
+    private readonly IOfflineOutboxService _outbox;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TransfersViewModel"/> class.
@@ -23,14 +26,17 @@ public sealed class TransfersViewModel : IDisposable
     /// <param name="apiService">The budget API service.</param>
     /// <param name="chatContextService">The chat context service.</param>
     /// <param name="apiErrorContext">The API error context for trace ID tracking.</param>
+    /// <param name="outbox">The offline outbox for transfers created without connectivity.</param>
     public TransfersViewModel(
         IBudgetApiService apiService,
         IChatContextService chatContextService,
-        IApiErrorContext apiErrorContext)
+        IApiErrorContext apiErrorContext,
+        IOfflineOutboxService outbox)
     {
         _apiService = apiService;
         _chatContextService = chatContextService;
         _apiErrorContext = apiErrorContext;
+        _outbox = outbox;
     }
 
     /// <summary>
@@ -287,12 +293,29 @@ public sealed class TransfersViewModel : IDisposable
     /// <returns>A <see cref="Task"/> representing the asynchronous operation.</returns>
     public async Task CreateTransferAsync(CreateTransferRequest model)
     {
+        // Sent with the first attempt and reused if it is queued, so a request that reached
+        // the server before the connection dropped isn't applied a second time on replay
+        var idempotencyKey = Guid.NewGuid();
+
         try
         {
-            await _apiService.CreateTransferAsync(model);
+            await _apiService.CreateTransferAsync(model, idempotencyKey);
             this.HideTransferDialog();
             await this.LoadDataAsync();
         }
+        catch (HttpRequestException ex) when (ex.StatusCode is null)
+        {
+            // No connectivity: queue the transfer and sync it on reconnect
+            try
+            {
+                await _outbox.EnqueueTransferAsync(model, idempotencyKey);
+                this.HideTransferDialog();
+            }
+            catch (JSException)
+            {
+                this.ErrorMessage = $"Failed to create transfer: {ex.Message}";
+            }
+        }
         catch (Exception ex)
         {
             this.ErrorMessage = $"Failed to create transfer: {ex.Message}";
@@ -1,15 +1,35 @@
 /**
  * Bottom Sheet JavaScript Module
- * Handles touch gestures for drag-to-resize and swipe-down-to-close
+ * Handles touch gestures for drag-to-resize, snap points and swipe-down-to-close.
+ * A drag can start on the handle, or on the content once it is scrolled to the top.
+ * While the on-screen keyboard is open the sheet sits above it.
  * Budget Experiment - Mobile Experience Feature
  */
 
+import { getMotionDuration, isMotionReduced, triggerHaptic } from './interaction-feedback.js';
+
+// How far ahead of the release the sheet is projected when picking a snap point
+const PROJECTION_MS = 200;
+// Only the last part of a drag counts towards release velocity
+const VELOCITY_WINDOW_MS = 100;
+const SNAP_MS = 300;
+const SNAP_EASING = 'cubic-bezier(0.32, 0.72, 0, 1)';
+const RUBBER_BAND_FACTOR = 0.55;
+// How far a finger must pull down content that is at its top before the sheet takes over
+const CONTENT_DRAG_SLOP_PX = 8;
+// Touches on these never drag the sheet, so text can be selected and sliders used
+const NO_DRAG_SELECTOR = 'input, textarea, select, [contenteditable="true"], [data-bottom-sheet-no-drag]';
+// Fields that bring up the on-screen keyboard
+const TEXT_FIELD_SELECTOR = 'input:not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="button"]):not([type="submit"]), textarea, [contenteditable="true"]';
+
 /**
  * Initialize bottom sheet touch interactions
  * @param {HTMLElement} sheetElement - The bottom sheet container element
  * @param {HTMLElement} handleElement - The drag handle element
  * @param {object} dotNetRef - Blazor .NET object reference for callbacks
- * @param {object} options - Configuration options
+ * @param {object} options - Configuration options. snapPoints is a list of
+ *   { name, height } with height as a fraction of the viewport; when empty, a released
+ *   sheet springs back to its CSS height.
  * @returns {object} Cleanup function to remove event listeners
  */
 export function initBottomSheet(sheetElement, handleElement, dotNetRef, options = {}) {
@@ -20,6 +40,9 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
         maxHeight: options.maxHeight || 0.9, // 90% maximum height
         isDraggable: options.isDraggable !== false,
         isCloseOnSwipeDown: options.isCloseOnSwipeDown !== false,
+        snapPoints: (options.snapPoints || [])
+            .filter(point => point && point.height > 0)
+            .sort((a, b) => a.height - b.height),
     };
 
     let isDragging = false;
@@ -27,6 +50,12 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
     let startHeight = 0;
     let startTime = 0;
     let currentY = 0;
+    let samples = [];
+    let currentSnap = options.snap || null;
+    let settleTimer = 0;
+    let isContentDrag = false;
+    let contentTouch = null;
+    const visualViewport = window.visualViewport;
 
     /**
      * Get the current viewport height
@@ -36,6 +65,38 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
         return window.visualViewport?.height || window.innerHeight;
     }
 
+    /**
+     * Height range the sheet can be dragged within, in px
+     */
+    function getBounds() {
+        const viewportHeight = getViewportHeight();
+        if (config.snapPoints.length > 0) {
+            return {
+                min: viewportHeight * config.snapPoints[0].height,
+                max: viewportHeight * config.snapPoints[config.snapPoints.length - 1].height,
+            };
+        }
+
+        return {
+            min: viewportHeight * config.minHeight,
+            max: viewportHeight * config.maxHeight,
+        };
+    }
+
+    /**
+     * Release velocity over the last VELOCITY_WINDOW_MS, in px/ms; positive is downwards
+     */
+    function getReleaseVelocity() {
+        if (samples.length < 2) {
+            return 0;
+        }
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.time - first.time;
+        return elapsed > 0 ? (last.y - first.y) / elapsed : 0;
+    }
+
     /**
      * Handle touch/mouse start
      */
@@ -45,10 +106,75 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
         // Only handle primary touch/click
         if (e.touches && e.touches.length > 1) return;
 
+        isContentDrag = false;
+        beginDrag(e.touches ? e.touches[0].clientY : e.clientY);
+    }
+
+    /**
+     * Watch a touch on the content; it may turn into a sheet drag once the content is at its top
+     */
+    function onContentTouchStart(e) {
+        if (!config.isDraggable || isDragging || e.touches.length > 1) return;
+        if (handleElement?.contains(e.target) || e.target.closest?.(NO_DRAG_SELECTOR)) return;
+
+        const y = e.touches[0].clientY;
+        contentTouch = { anchorY: y, lastY: y, scrollers: getScrollAncestors(e.target) };
+    }
+
+    /**
+     * Hand the touch to the sheet when it pulls down on content that can't scroll up any further.
+     * Until then the content scrolls as usual, so one gesture can scroll to the top and then
+     * carry on pulling the sheet down.
+     */
+    function onContentTouchMove(e) {
+        const y = e.touches[0].clientY;
+        if (y < contentTouch.lastY || !isAtScrollTop(contentTouch.scrollers)) {
+            // Still scrolling the content; measure the pull from here
+            contentTouch.anchorY = y;
+        } else if (y - contentTouch.anchorY >= CONTENT_DRAG_SLOP_PX) {
+            contentTouch = null;
+            isContentDrag = true;
+            beginDrag(y);
+            return;
+        }
+
+        contentTouch.lastY = y;
+    }
+
+    /**
+     * Scrollable elements between the touched element and the sheet, innermost first
+     */
+    function getScrollAncestors(target) {
+        const scrollers = [];
+        for (let element = target; element && sheetElement.contains(element); element = element.parentElement) {
+            const overflowY = getComputedStyle(element).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+                scrollers.push(element);
+            }
+        }
+
+        return scrollers;
+    }
+
+    function isAtScrollTop(scrollers) {
+        return scrollers.every(element => element.scrollTop <= 0);
+    }
+
+    /**
+     * Start dragging the sheet from a pointer position
+     * @param {number} y - clientY the drag starts at
+     */
+    function beginDrag(y) {
+        clearTimeout(settleTimer);
+        sheetElement.style.transition = '';
+        // The CSS max-height would stop the rubber band
+        sheetElement.style.maxHeight = 'none';
+
         isDragging = true;
-        startY = e.touches ? e.touches[0].clientY : e.clientY;
+        startY = y;
         startHeight = sheetElement.getBoundingClientRect().height;
         startTime = Date.now();
+        samples = [{ y: startY, time: startTime }];
 
         sheetElement.classList.add('is-dragging');
 
@@ -61,27 +187,42 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
      * Handle touch/mouse move
      */
     function onPointerMove(e) {
+        if (!isDragging && contentTouch && e.touches) {
+            onContentTouchMove(e);
+        }
+
         if (!isDragging) return;
 
+        // The content must not scroll along with a drag that started on it
+        if (isContentDrag && e.cancelable) {
+            e.preventDefault();
+        }
+
         currentY = e.touches ? e.touches[0].clientY : e.clientY;
+        const now = Date.now();
+        samples.push({ y: currentY, time: now });
+        while (samples.length > 2 && now - samples[0].time > VELOCITY_WINDOW_MS) {
+            samples.shift();
+        }
+
         const deltaY = currentY - startY;
         const viewportHeight = getViewportHeight();
+        const bounds = getBounds();
 
         // Calculate new height (dragging down = positive delta = less height)
         let newHeight = startHeight - deltaY;
 
-        // Clamp to min/max bounds
-        const minPx = viewportHeight * config.minHeight;
-        const maxPx = viewportHeight * config.maxHeight;
-        newHeight = Math.max(minPx, Math.min(maxPx, newHeight));
+        // Past the top the sheet follows ever more reluctantly instead of stopping dead
+        if (newHeight > bounds.max) {
+            newHeight = Math.min(viewportHeight, bounds.max + rubberBand(newHeight - bounds.max, viewportHeight));
+        }
 
         // Apply the new height directly for smooth dragging
-        sheetElement.style.height = `${newHeight}px`;
+        sheetElement.style.height = `${Math.max(bounds.min, newHeight)}px`;
 
         // If dragging past the minimum (closing gesture), translate instead
-        if (startHeight - deltaY < minPx) {
-            const translateY = Math.max(0, deltaY - (startHeight - minPx));
-            sheetElement.style.transform = `translateY(${translateY}px)`;
+        if (newHeight < bounds.min) {
+            sheetElement.style.transform = `translateY(${bounds.min - newHeight}px)`;
         } else {
             sheetElement.style.transform = '';
         }
@@ -91,9 +232,11 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
      * Handle touch/mouse end
      */
     function onPointerUp(e) {
+        contentTouch = null;
         if (!isDragging) return;
 
         isDragging = false;
+        isContentDrag = false;
         sheetElement.classList.remove('is-dragging');
 
         // Restore text selection
@@ -102,6 +245,12 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
 
         const endY = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
         const deltaY = endY - startY;
+
+        if (config.snapPoints.length > 0) {
+            settleOnSnapPoint(startHeight - deltaY, getReleaseVelocity());
+            return;
+        }
+
         const elapsed = Date.now() - startTime;
         const velocity = deltaY / elapsed; // px/ms
 
@@ -112,33 +261,120 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
                 (velocity > config.velocityThreshold && deltaY > 50);
 
             if (shouldClose) {
-                // Reset inline styles and trigger close
-                sheetElement.style.height = '';
-                sheetElement.style.transform = '';
-                dotNetRef.invokeMethodAsync('OnSwipeClose');
+                close();
                 return;
             }
         }
 
-        // Snap to nearest height breakpoint or restore original
+        // No snap points: spring back to the height the sheet was given
+        animateTo('');
+    }
+
+    /**
+     * Pick the snap point the release is heading for and settle there, or close
+     * @param {number} releasedHeight - Height the finger left the sheet at, in px
+     * @param {number} velocity - Release velocity in px/ms, positive downwards
+     */
+    function settleOnSnapPoint(releasedHeight, velocity) {
+        const viewportHeight = getViewportHeight();
+        const bounds = getBounds();
+
+        // Where the sheet would coast to if it kept decelerating from the release speed
+        const projected = releasedHeight - velocity * PROJECTION_MS;
+
+        if (config.isCloseOnSwipeDown && projected < bounds.min - config.closeThreshold) {
+            close();
+            return;
+        }
+
+        let target = config.snapPoints[0];
+        for (const point of config.snapPoints) {
+            if (Math.abs(point.height * viewportHeight - projected) < Math.abs(target.height * viewportHeight - projected)) {
+                target = point;
+            }
+        }
+
+        animateTo(`${target.height * viewportHeight}px`);
+
+        if (target.name !== currentSnap) {
+            currentSnap = target.name;
+            triggerHaptic('selection');
+            dotNetRef.invokeMethodAsync('OnSnapChanged', target.name);
+        }
+    }
+
+    /**
+     * Animate the height to a value, then hand sizing back to the CSS class
+     * @param {string} height - Target height; '' animates to the class height
+     */
+    function animateTo(height) {
+        const duration = getMotionDuration(SNAP_MS);
+        sheetElement.style.transition = duration > 0 ? `height ${duration}ms ${SNAP_EASING}, transform ${duration}ms ${SNAP_EASING}` : '';
+        sheetElement.style.height = height;
+        sheetElement.style.transform = '';
+
+        // By now .NET has applied the class for the new snap point, so the inline height can go
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => {
+            sheetElement.style.transition = '';
+            sheetElement.style.height = '';
+            sheetElement.style.maxHeight = '';
+        }, duration + 50);
+    }
+
+    /**
+     * Reset inline styles and let .NET run the close animation
+     */
+    function close() {
+        clearTimeout(settleTimer);
+        sheetElement.style.transition = '';
         sheetElement.style.height = '';
+        sheetElement.style.maxHeight = '';
         sheetElement.style.transform = '';
+        dotNetRef.invokeMethodAsync('OnSwipeClose');
     }
 
     /**
      * Handle touch cancel (e.g., incoming call)
      */
     function onPointerCancel() {
+        contentTouch = null;
         if (!isDragging) return;
 
         isDragging = false;
+        isContentDrag = false;
         sheetElement.classList.remove('is-dragging');
         document.body.style.userSelect = '';
         document.body.style.webkitUserSelect = '';
 
         // Reset to original state
-        sheetElement.style.height = '';
-        sheetElement.style.transform = '';
+        animateTo('');
+    }
+
+    /**
+     * Keep the sheet above the on-screen keyboard. Browsers that overlay the keyboard
+     * (iOS Safari) shrink only the visual viewport, which would leave the bottom of the
+     * sheet, and often the field being typed in, under the keys.
+     */
+    function onViewportChange() {
+        const keyboardInset = Math.max(0, window.innerHeight - visualViewport.height - visualViewport.offsetTop);
+        sheetElement.style.setProperty('--bottom-sheet-keyboard-inset', `${Math.round(keyboardInset)}px`);
+        keepFocusedFieldVisible();
+    }
+
+    function onFocusIn() {
+        // Moving between fields with the keyboard already up doesn't resize the viewport
+        keepFocusedFieldVisible();
+    }
+
+    function keepFocusedFieldVisible() {
+        const field = document.activeElement;
+        if (!field || !sheetElement.contains(field) || !field.matches(TEXT_FIELD_SELECTOR)) return;
+
+        // Wait for the new sheet position to be laid out
+        requestAnimationFrame(() => {
+            field.scrollIntoView({ block: 'nearest', behavior: isMotionReduced() ? 'auto' : 'smooth' });
+        });
     }
 
     // Attach event listeners to handle element
@@ -147,6 +383,15 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
         handleElement.addEventListener('mousedown', onPointerDown);
     }
 
+    sheetElement.addEventListener('touchstart', onContentTouchStart, { passive: true });
+    sheetElement.addEventListener('focusin', onFocusIn);
+
+    if (visualViewport) {
+        visualViewport.addEventListener('resize', onViewportChange);
+        visualViewport.addEventListener('scroll', onViewportChange);
+        onViewportChange();
+    }
+
     // Move and end events on document to catch gestures outside element
     document.addEventListener('touchmove', onPointerMove, { passive: false });
     document.addEventListener('mousemove', onPointerMove);
@@ -156,11 +401,26 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
 
     // Return cleanup function
     return {
+        /**
+         * Tell the gesture code which snap point .NET moved the sheet to (e.g. an Expand button)
+         * @param {string} name - Snap point name
+         */
+        setSnap: function (name) {
+            currentSnap = name;
+        },
         dispose: function () {
+            clearTimeout(settleTimer);
             if (handleElement) {
                 handleElement.removeEventListener('touchstart', onPointerDown);
                 handleElement.removeEventListener('mousedown', onPointerDown);
             }
+            sheetElement.removeEventListener('touchstart', onContentTouchStart);
+            sheetElement.removeEventListener('focusin', onFocusIn);
+            if (visualViewport) {
+                visualViewport.removeEventListener('resize', onViewportChange);
+                visualViewport.removeEventListener('scroll', onViewportChange);
+                sheetElement.style.removeProperty('--bottom-sheet-keyboard-inset');
+            }
             document.removeEventListener('touchmove', onPointerMove);
             document.removeEventListener('mousemove', onPointerMove);
             document.removeEventListener('touchend', onPointerUp);
@@ -171,90 +431,19 @@ export function initBottomSheet(sheetElement, handleElement, dotNetRef, options
 }
 
 /**
- * Trap focus within an element (for accessibility)
- * @param {HTMLElement} containerElement - The container to trap focus within
- * @returns {object} Object with dispose method to remove trap
+ * Overshoot shown for a distance dragged past the limit: it starts at RUBBER_BAND_FACTOR
+ * of the finger's movement and tails off, the same curve iOS scroll views use
+ * @param {number} distance - px dragged past the limit
+ * @param {number} dimension - viewport height in px
  */
-export function trapFocus(containerElement) {
-    const focusableSelector = [
-        'a[href]',
-        'button:not([disabled])',
-        'textarea:not([disabled])',
-        'input:not([disabled])',
-        'select:not([disabled])',
-        '[tabindex]:not([tabindex="-1"])',
-    ].join(', ');
-
-    function getFocusableElements() {
-        return Array.from(containerElement.querySelectorAll(focusableSelector))
-            .filter(el => el.offsetParent !== null); // Only visible elements
-    }
-
-    function onKeyDown(e) {
-        if (e.key !== 'Tab') return;
-
-        const focusable = getFocusableElements();
-        if (focusable.length === 0) return;
-
-        const first = focusable[0];
-        const last = focusable[focusable.length - 1];
-
-        if (e.shiftKey && document.activeElement === first) {
-            e.preventDefault();
-            last.focus();
-        } else if (!e.shiftKey && document.activeElement === last) {
-            e.preventDefault();
-            first.focus();
-        }
-    }
-
-    containerElement.addEventListener('keydown', onKeyDown);
-
-    // Focus first focusable element
-    const focusable = getFocusableElements();
-    if (focusable.length > 0) {
-        focusable[0].focus();
-    }
-
-    return {
-        dispose: function () {
-            containerElement.removeEventListener('keydown', onKeyDown);
-        }
-    };
+function rubberBand(distance, dimension) {
+    return (1 - 1 / (distance * RUBBER_BAND_FACTOR / dimension + 1)) * dimension;
 }
 
 /**
- * Trigger haptic feedback if supported
+ * Trigger haptic feedback, unless haptics are off or unsupported
  * @param {string} type - Type of feedback: 'light', 'medium', 'heavy'
  */
 export function triggerHapticFeedback(type = 'light') {
-    // Check for Vibration API support
-    if ('vibrate' in navigator) {
-        const durations = {
-            light: 10,
-            medium: 20,
-            heavy: 30,
-        };
-        navigator.vibrate(durations[type] || 10);
-    }
-}
-
-/**
- * Prevent body scroll when bottom sheet is open
- * @param {boolean} prevent - Whether to prevent scrolling
- */
-export function preventBodyScroll(prevent) {
-    if (prevent) {
-        document.body.style.overflow = 'hidden';
-        document.body.style.position = 'fixed';
-        document.body.style.width = '100%';
-        document.body.style.top = `-${window.scrollY}px`;
-    } else {
-        const scrollY = document.body.style.top;
-        document.body.style.overflow = '';
-        document.body.style.position = '';
-        document.body.style.width = '';
-        document.body.style.top = '';
-        window.scrollTo(0, parseInt(scrollY || '0', 10) * -1);
-    }
+    triggerHaptic(type);
 }
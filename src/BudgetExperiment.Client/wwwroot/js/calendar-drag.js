@@ -0,0 +1,506 @@
+/**
+ * Calendar Drag JavaScript Module
+ * Moves a day's items (scheduled recurring occurrences and transactions) onto another calendar
+ * day. A mouse drags straight away and a finger after a long press; from the keyboard, an item's
+ * move button picks it up, the arrow keys walk the days and Enter drops it. Tapping the move
+ * button and then a day works too. .NET previews the balances for the day under the item and
+ * carries out the move.
+ * Items live outside the swipeable grid and a touch drag stops its touchmoves here, so swipe.js
+ * month navigation and pull-to-refresh never see them.
+ * Budget Experiment - Mobile Experience Feature
+ */
+
+import { triggerHaptic } from './interaction-feedback.js';
+
+const LONG_PRESS_MS = 400;
+// Movement before a mouse press becomes a drag
+const DRAG_SLOP_PX = 6;
+// Movement before a finger's press is taken as a scroll instead
+const TOUCH_SLOP_PX = 10;
+const AUTO_SCROLL_EDGE_PX = 48;
+const AUTO_SCROLL_MAX_SPEED = 18;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Initialize drag-and-drop from day items onto calendar days.
+ * Items carry data-drag-item (their id) and data-drag-date (yyyy-MM-dd), with a data-drag-handle
+ * button inside; days carry data-drop-date. The item being moved gets data-drag-state
+ * (pressing, dragging or grabbed) and the day under it data-drop-active, which .NET never
+ * renders, so a re-render can't wipe them.
+ * @param {HTMLElement} element - Container holding both the items and the days
+ * @param {object} dotNetRef - .NET object reference with OnDragOver(itemId, sourceDate, date) and
+ *   OnDragEnded(itemId, sourceDate, date) methods; date is null over no day, and when a move is cancelled
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function initCalendarDrag(element, dotNetRef) {
+    // A press that may still become a drag
+    let pending = null;
+    // The move under way; mode is 'pointer' or 'keyboard'
+    let active = null;
+    let suppressClick = false;
+
+    /**
+     * Handle pointerdown — a mouse press waits to move, a finger waits for a long press.
+     * @param {PointerEvent} e
+     */
+    function onPointerDown(e) {
+        if (e.button !== 0 || active) return;
+
+        const item = e.target.closest('[data-drag-item]');
+        if (!item || !element.contains(item)) return;
+
+        // The item's other buttons still just click
+        const control = e.target.closest('button, a, input, select, textarea');
+        if (control && !control.hasAttribute('data-drag-handle')) return;
+
+        cancelPending();
+        pending = {
+            item,
+            pointerId: e.pointerId,
+            isTouch: e.pointerType === 'touch',
+            startX: e.clientX,
+            startY: e.clientY,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            timer: 0,
+        };
+
+        if (pending.isTouch) {
+            item.dataset.dragState = 'pressing';
+            pending.timer = setTimeout(() => {
+                const press = pending;
+                pending = null;
+                startPointerDrag(press);
+                triggerHaptic('light');
+            }, LONG_PRESS_MS);
+        }
+    }
+
+    /**
+     * Handle pointermove — start a mouse drag once it moves, or move the item being dragged.
+     * @param {PointerEvent} e
+     */
+    function onPointerMove(e) {
+        if (pending && e.pointerId === pending.pointerId) {
+            pending.lastX = e.clientX;
+            pending.lastY = e.clientY;
+
+            const distance = Math.hypot(e.clientX - pending.startX, e.clientY - pending.startY);
+            if (pending.isTouch) {
+                // The finger moved before the press completed: it's a scroll
+                if (distance > TOUCH_SLOP_PX) {
+                    cancelPending();
+                }
+                return;
+            }
+
+            if (distance <= DRAG_SLOP_PX) return;
+
+            const press = pending;
+            pending = null;
+            startPointerDrag(press);
+        }
+
+        if (!active || active.mode !== 'pointer' || e.pointerId !== active.pointerId) return;
+
+        active.pointerX = e.clientX;
+        active.pointerY = e.clientY;
+        updatePointerDrag();
+        e.preventDefault();
+    }
+
+    /**
+     * Handle pointerup — drop on the day under the pointer, if any.
+     * @param {PointerEvent} e
+     */
+    function onPointerUp(e) {
+        cancelPending();
+
+        if (active && active.mode === 'pointer' && e.pointerId === active.pointerId) {
+            // The click that follows the release must not select the day underneath
+            suppressClick = true;
+            setTimeout(() => {
+                suppressClick = false;
+            }, 0);
+            finish(active.targetDate);
+        }
+    }
+
+    /**
+     * Handle pointercancel — put the item back.
+     * @param {PointerEvent} e
+     */
+    function onPointerCancel(e) {
+        cancelPending();
+
+        if (active && active.mode === 'pointer' && e.pointerId === active.pointerId) {
+            finish(null);
+        }
+    }
+
+    /**
+     * Once a touch drag is under way, keep the page from scrolling and the gestures of the
+     * containers around it (pull-to-refresh, swipe navigation) from seeing the finger move.
+     * @param {TouchEvent} e
+     */
+    function onTouchMove(e) {
+        if (!active || active.mode !== 'pointer') return;
+
+        if (e.cancelable) {
+            e.preventDefault();
+        }
+
+        e.stopPropagation();
+    }
+
+    /**
+     * Long-pressing an item would otherwise open the context menu on some devices.
+     * @param {MouseEvent} e
+     */
+    function onContextMenu(e) {
+        if (pending || active) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle click — an item's move button picks it up for the keyboard (or a second tap).
+     * @param {MouseEvent} e
+     */
+    function onClick(e) {
+        const handle = e.target.closest('[data-drag-handle]');
+        if (!handle || active) return;
+
+        const item = handle.closest('[data-drag-item]');
+        if (!item || !element.contains(item)) return;
+
+        startDrag(item, 'keyboard');
+        active.handle = handle;
+        handle.setAttribute('aria-pressed', 'true');
+        setTarget(active.sourceDate);
+    }
+
+    /**
+     * Clicks are looked at before anything else on the page: a click ending a mouse drag is
+     * swallowed, and while an item is picked up a tap on a day drops it there and a tap
+     * anywhere else puts it back.
+     * @param {MouseEvent} e
+     */
+    function onDocumentClick(e) {
+        if (suppressClick) {
+            suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+            return;
+        }
+
+        if (!active || active.mode !== 'keyboard') return;
+
+        const day = e.target.closest('[data-drop-date]');
+        if (day && element.contains(day)) {
+            e.preventDefault();
+            e.stopPropagation();
+            finish(day.dataset.dropDate);
+            return;
+        }
+
+        if (active.handle.contains(e.target)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        finish(null);
+    }
+
+    /**
+     * Handle keydown — while an item is picked up, the arrow keys choose a day, Enter or Space
+     * drops it and Escape puts it back. Escape also cancels a mouse or touch drag.
+     * @param {KeyboardEvent} e
+     */
+    function onKeyDown(e) {
+        if (!active) return;
+
+        if (active.mode === 'pointer') {
+            if (e.key === 'Escape') {
+                finish(null);
+                e.preventDefault();
+            }
+            return;
+        }
+
+        if (e.target !== active.handle) return;
+
+        const step = {
+            ArrowLeft: -1,
+            ArrowRight: 1,
+            ArrowUp: -7,
+            ArrowDown: 7,
+        }[e.key];
+
+        if (step) {
+            moveTargetBy(step);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            // The button clicks when Space comes back up; that click must not pick the item up again
+            suppressClick = e.key === ' ';
+            finish(active.targetDate);
+        } else if (e.key === 'Escape') {
+            finish(null);
+        } else {
+            return;
+        }
+
+        // Keep the keys from the button's own click and from any navigation around it
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Handle keyup — stop waiting for the click of a Space that dropped an item, in case the
+     * browser never sends it.
+     * @param {KeyboardEvent} e
+     */
+    function onKeyUp(e) {
+        if (suppressClick && e.key === ' ') {
+            setTimeout(() => {
+                suppressClick = false;
+            }, 0);
+        }
+    }
+
+    /**
+     * Leaving the move button puts a picked-up item back, unless focus went to a day that
+     * is being tapped to drop it there.
+     * @param {FocusEvent} e
+     */
+    function onFocusOut(e) {
+        if (!active || active.mode !== 'keyboard' || e.target !== active.handle) return;
+
+        const next = e.relatedTarget;
+        if (next && next.closest('[data-drop-date]') && element.contains(next)) return;
+
+        finish(null);
+    }
+
+    function startPointerDrag(press) {
+        startDrag(press.item, 'pointer');
+        active.pointerId = press.pointerId;
+        active.pointerX = press.lastX;
+        active.pointerY = press.lastY;
+
+        // The item follows the pointer as a copy, keeping the offset it was grabbed at
+        const rect = press.item.getBoundingClientRect();
+        active.grabX = press.startX - rect.left;
+        active.grabY = press.startY - rect.top;
+        active.ghost = createGhost(press.item, rect.width);
+        active.scrollParent = findScrollParent(element);
+        active.scrollFrame = requestAnimationFrame(autoScroll);
+
+        updatePointerDrag();
+    }
+
+    function startDrag(item, mode) {
+        active = {
+            item,
+            mode,
+            itemId: item.dataset.dragItem,
+            sourceDate: item.dataset.dragDate,
+            targetDate: null,
+        };
+
+        item.dataset.dragState = mode === 'keyboard' ? 'grabbed' : 'dragging';
+        element.dataset.dragState = 'active';
+    }
+
+    function updatePointerDrag() {
+        const { ghost, pointerX, pointerY, grabX, grabY } = active;
+        ghost.style.transform = `translate(${pointerX - grabX}px, ${pointerY - grabY}px)`;
+
+        const under = document.elementFromPoint(pointerX, pointerY);
+        const day = under ? under.closest('[data-drop-date]') : null;
+        setTarget(day && element.contains(day) ? day.dataset.dropDate : null);
+    }
+
+    /**
+     * Scroll while the pointer is held near the top or bottom of the viewport, faster the
+     * closer it gets to the edge, so days scrolled out of sight can still be reached.
+     */
+    function autoScroll() {
+        if (!active || active.mode !== 'pointer') return;
+
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        let speed = 0;
+        if (active.pointerY < AUTO_SCROLL_EDGE_PX) {
+            speed = -AUTO_SCROLL_MAX_SPEED * (1 - Math.max(0, active.pointerY) / AUTO_SCROLL_EDGE_PX);
+        } else if (active.pointerY > viewportHeight - AUTO_SCROLL_EDGE_PX) {
+            speed = AUTO_SCROLL_MAX_SPEED * (1 - Math.max(0, viewportHeight - active.pointerY) / AUTO_SCROLL_EDGE_PX);
+        }
+
+        if (speed !== 0) {
+            const before = active.scrollParent.scrollTop;
+            active.scrollParent.scrollTop = before + Math.round(speed);
+            if (active.scrollParent.scrollTop !== before) {
+                updatePointerDrag();
+            }
+        }
+
+        active.scrollFrame = requestAnimationFrame(autoScroll);
+    }
+
+    /**
+     * Move the target a number of days on, as long as that day is on screen.
+     * @param {number} days - Negative to go back
+     */
+    function moveTargetBy(days) {
+        const next = addDays(active.targetDate ?? active.sourceDate, days);
+        const day = findDay(next);
+        if (!day) return;
+
+        setTarget(next);
+        day.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Mark the day under the item and have .NET preview the balances for it.
+     * @param {string|null} date - yyyy-MM-dd, or null over no day
+     */
+    function setTarget(date) {
+        if (date === active.targetDate) return;
+
+        const previous = active.targetDate ? findDay(active.targetDate) : null;
+        if (previous) {
+            delete previous.dataset.dropActive;
+        }
+
+        active.targetDate = date;
+        const day = date ? findDay(date) : null;
+        if (day) {
+            day.dataset.dropActive = '';
+            if (active.mode === 'pointer') {
+                triggerHaptic('selection');
+            }
+        }
+
+        invokeDotNet('OnDragOver', active.itemId, active.sourceDate, date);
+    }
+
+    /**
+     * End the move, dropping the item on a day other than its own or putting it back.
+     * @param {string|null} date - Where it was dropped, or null to cancel
+     * @param {boolean} [notify=true] - Whether .NET needs telling
+     */
+    function finish(date, notify = true) {
+        const move = active;
+        active = null;
+
+        cancelAnimationFrame(move.scrollFrame);
+        move.ghost?.remove();
+        delete move.item.dataset.dragState;
+        delete element.dataset.dragState;
+        move.handle?.removeAttribute('aria-pressed');
+
+        const target = move.targetDate ? findDay(move.targetDate) : null;
+        if (target) {
+            delete target.dataset.dropActive;
+        }
+
+        if (notify) {
+            invokeDotNet('OnDragEnded', move.itemId, move.sourceDate, date && date !== move.sourceDate ? date : null);
+        }
+    }
+
+    function cancelPending() {
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        if (pending.item.dataset.dragState === 'pressing') {
+            delete pending.item.dataset.dragState;
+        }
+
+        pending = null;
+    }
+
+    function findDay(date) {
+        return element.querySelector(`[data-drop-date="${date}"]`);
+    }
+
+    function invokeDotNet(method, ...args) {
+        return dotNetRef.invokeMethodAsync(method, ...args).catch(() => {
+            // DotNet reference may be disposed
+        });
+    }
+
+    // pointermove must be able to stop text selection; touchmove must be able to stop scrolling
+    element.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove, { passive: false });
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerCancel);
+    element.addEventListener('touchmove', onTouchMove, { passive: false });
+    element.addEventListener('contextmenu', onContextMenu);
+    element.addEventListener('click', onClick);
+    document.addEventListener('click', onDocumentClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.addEventListener('keyup', onKeyUp, true);
+    element.addEventListener('focusout', onFocusOut);
+
+    return {
+        dispose() {
+            cancelPending();
+            if (active) {
+                finish(null, false);
+            }
+
+            element.removeEventListener('pointerdown', onPointerDown);
+            window.removeEventListener('pointermove', onPointerMove);
+            window.removeEventListener('pointerup', onPointerUp);
+            window.removeEventListener('pointercancel', onPointerCancel);
+            element.removeEventListener('touchmove', onTouchMove);
+            element.removeEventListener('contextmenu', onContextMenu);
+            element.removeEventListener('click', onClick);
+            document.removeEventListener('click', onDocumentClick, true);
+            document.removeEventListener('keydown', onKeyDown, true);
+            document.removeEventListener('keyup', onKeyUp, true);
+            element.removeEventListener('focusout', onFocusOut);
+        },
+    };
+}
+
+/**
+ * A copy of the item that follows the pointer; the item itself stays put, dimmed.
+ * @param {HTMLElement} item
+ * @param {number} width - The item's width in px
+ */
+function createGhost(item, width) {
+    const ghost = item.cloneNode(true);
+    ghost.removeAttribute('data-drag-item');
+    ghost.removeAttribute('data-drag-state');
+    ghost.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    ghost.classList.add('calendar-drag-ghost');
+    ghost.setAttribute('aria-hidden', 'true');
+    ghost.style.width = `${width}px`;
+    document.body.appendChild(ghost);
+    return ghost;
+}
+
+/**
+ * The nearest container that scrolls vertically, or the page.
+ * @param {HTMLElement} element
+ */
+function findScrollParent(element) {
+    for (let current = element.parentElement; current && current !== document.body; current = current.parentElement) {
+        const overflowY = getComputedStyle(current).overflowY;
+        if ((overflowY === 'auto' || overflowY === 'scroll') && current.scrollHeight > current.clientHeight) {
+            return current;
+        }
+    }
+
+    return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * @param {string} date - yyyy-MM-dd
+ * @param {number} days
+ * @returns {string} yyyy-MM-dd
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
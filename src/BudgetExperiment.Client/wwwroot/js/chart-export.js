@@ -0,0 +1,195 @@
+/**
+ * Chart Export JavaScript Module
+ * Saves a rendered chart as a standalone SVG or PNG file, or its series as CSV.
+ * Computed styles are inlined into a copy of the chart's SVG so the file keeps the
+ * colours of the active data-theme when it is opened outside the app.
+ * Budget Experiment - Charts
+ */
+
+import { saveFile } from './file-download.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CSS_PIXELS_PER_INCH = 96;
+const METRES_PER_INCH = 0.0254;
+const MAX_CANVAS_PIXELS = 16 * 1024 * 1024;
+
+// Properties the chart stylesheets set through CSS variables or classes.
+const INLINED_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap',
+    'stroke-linejoin', 'stroke-opacity', 'opacity', 'stop-color', 'stop-opacity',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'letter-spacing',
+    'text-anchor', 'dominant-baseline', 'visibility', 'display'
+];
+
+/**
+ * Save the chart containing the anchor element as an SVG file.
+ * @param {HTMLElement} anchor - An element inside the chart's [data-chart-root] container
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<"completed"|"canceled">}
+ */
+export function exportSvg(anchor, fileName) {
+    const { markup } = serializeChart(anchor);
+    return saveFile(new Blob([markup], { type: 'image/svg+xml' }), fileName);
+}
+
+/**
+ * Save the chart containing the anchor element as a PNG file.
+ * @param {HTMLElement} anchor - An element inside the chart's [data-chart-root] container
+ * @param {string} fileName - Suggested file name
+ * @param {number} dpi - Target resolution; 96 matches the on-screen size
+ * @returns {Promise<"completed"|"canceled">}
+ */
+export async function exportPng(anchor, fileName, dpi) {
+    const { markup, width, height } = serializeChart(anchor);
+    const blob = await rasterize(markup, width, height, dpi);
+    return saveFile(blob, fileName);
+}
+
+/**
+ * Save CSV text built by .NET.
+ * @param {string} fileName - Suggested file name
+ * @param {string} csv - The CSV contents
+ * @returns {Promise<"completed"|"canceled">}
+ */
+export function exportCsv(fileName, csv) {
+    // Byte order mark so Excel opens the file as UTF-8
+    return saveFile(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), fileName);
+}
+
+/**
+ * Copy the chart's SVG with its computed styles and an opaque background.
+ * @returns {{ markup: string, width: number, height: number }}
+ */
+function serializeChart(anchor) {
+    const root = anchor ? anchor.closest('[data-chart-root]') : null;
+    const svg = root ? root.querySelector('svg') : null;
+    if (!svg) {
+        throw new Error('There is no rendered chart to export.');
+    }
+
+    const bounds = svg.getBoundingClientRect();
+    const width = Math.max(1, Math.round(bounds.width));
+    const height = Math.max(1, Math.round(bounds.height));
+
+    const clone = svg.cloneNode(true);
+    inlineStyles(svg, clone);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', String(width));
+    clone.setAttribute('height', String(height));
+    clone.insertBefore(createBackground(svg, getBackgroundColor(root)), clone.firstChild);
+
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+function inlineStyles(source, target) {
+    const computed = window.getComputedStyle(source);
+    const declarations = [];
+
+    for (const property of INLINED_PROPERTIES) {
+        const value = computed.getPropertyValue(property);
+        if (value) {
+            declarations.push(`${property}:${value}`);
+        }
+    }
+
+    target.setAttribute('style', declarations.join(';'));
+
+    for (let i = 0; i < source.children.length; i++) {
+        inlineStyles(source.children[i], target.children[i]);
+    }
+}
+
+function createBackground(svg, color) {
+    const viewBox = svg.viewBox && svg.viewBox.baseVal;
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    const hasViewBox = viewBox && viewBox.width > 0 && viewBox.height > 0;
+
+    rect.setAttribute('x', hasViewBox ? String(viewBox.x) : '0');
+    rect.setAttribute('y', hasViewBox ? String(viewBox.y) : '0');
+    rect.setAttribute('width', hasViewBox ? String(viewBox.width) : '100%');
+    rect.setAttribute('height', hasViewBox ? String(viewBox.height) : '100%');
+    rect.setAttribute('fill', color);
+    return rect;
+}
+
+/**
+ * The first opaque background behind the chart, so dark themes export on a dark surface.
+ */
+function getBackgroundColor(element) {
+    for (let current = element; current; current = current.parentElement) {
+        const color = window.getComputedStyle(current).backgroundColor;
+        if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) {
+            return color;
+        }
+    }
+
+    return '#ffffff';
+}
+
+async function rasterize(markup, width, height, dpi) {
+    const requestedScale = (Number(dpi) > 0 ? Number(dpi) : CSS_PIXELS_PER_INCH) / CSS_PIXELS_PER_INCH;
+    const scale = Math.min(requestedScale, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The chart could not be converted to PNG.')), 'image/png');
+    });
+
+    return withPhysicalDpi(png, scale * CSS_PIXELS_PER_INCH);
+}
+
+/**
+ * Add a pHYs chunk so slide and document editors place the image at its on-screen size
+ * instead of scaling a high-DPI export up.
+ */
+async function withPhysicalDpi(png, dpi) {
+    const bytes = new Uint8Array(await png.arrayBuffer());
+    const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+    const pixelsPerMetre = Math.round(dpi / METRES_PER_INCH);
+
+    const chunk = new Uint8Array(4 + 4 + 9 + 4);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,160 @@
+/**
+ * Client Preferences JavaScript Module
+ * The one place preferences are read from and written to localStorage. Each preference
+ * has a name here; changes made in one tab are delivered to the others, which apply them live.
+ * Budget Experiment
+ */
+
+const CHANNEL_NAME = 'budget-experiment-preferences';
+
+/**
+ * Storage keys by preference name. The keys predate this module and must not change.
+ */
+export const PREFERENCE_KEYS = Object.freeze({
+    theme: 'budget-experiment-theme',
+    themeOverride: 'budget-experiment-theme-override',
+    customThemes: 'budget-experiment-custom-themes',
+    themeSchedule: 'budget-experiment-theme-schedule',
+    themeSnapshot: 'budget-experiment-theme-snapshot',
+    reduceMotion: 'budget-experiment-reduce-motion',
+    disableHaptics: 'budget-experiment-disable-haptics',
+    calendarView: 'budget-experiment-calendar-view',
+    monthlyTrendsGroupByKakeibo: 'report:monthly-trends:groupByKakeibo',
+    monthlyCategoriesGroupByKakeibo: 'report:category-spending:groupByKakeibo',
+    budgetComparisonGroupByKakeibo: 'report:budget-comparison:groupByKakeibo',
+    quickAddLastAccount: 'budget-experiment-last-account',
+    rulesViewMode: 'budget-experiment-rules-view-mode',
+    rulesPageSize: 'budget-experiment-rules-page-size'
+});
+
+const listeners = new Set();
+// Last value seen per preference, so a change that arrives both through the channel
+// and as a storage event is only delivered once
+const lastValues = new Map();
+let channel = null;
+let isListening = false;
+
+/**
+ * Reads a preference.
+ * @param {string} name - A key of PREFERENCE_KEYS.
+ * @returns {string|null} The stored value, or null when unset or storage is unavailable.
+ */
+export function getPreference(name) {
+    const key = storageKey(name);
+    try {
+        const value = localStorage.getItem(key);
+        lastValues.set(name, value);
+        return value;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Writes a preference and tells other open tabs about it.
+ * Listeners in this tab are not called; the caller already knows.
+ * @param {string} name - A key of PREFERENCE_KEYS.
+ * @param {string|null} value - The new value; null removes the preference.
+ */
+export function setPreference(name, value) {
+    const key = storageKey(name);
+    const stored = value === null || value === undefined ? null : String(value);
+    try {
+        if (stored === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, stored);
+        }
+    } catch {
+        // Storage full or disabled; the preference lasts for this page only
+    }
+
+    lastValues.set(name, stored);
+    ensureListening();
+    if (channel) {
+        channel.postMessage({ name, value: stored });
+    }
+}
+
+/**
+ * Calls back whenever another tab changes a preference.
+ * @param {(name: string, value: string|null) => void} callback
+ * @returns {() => void} Stops the callbacks.
+ */
+export function subscribe(callback) {
+    ensureListening();
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+/**
+ * Forwards preference changes from other tabs to .NET's OnPreferenceChanged.
+ * @param {object} dotNetRef - .NET object reference with an OnPreferenceChanged(name, value) method
+ * @returns {{ dispose: function }} Call dispose() to stop forwarding.
+ */
+export function watchPreferences(dotNetRef) {
+    const unsubscribe = subscribe((name, value) => {
+        dotNetRef.invokeMethodAsync('OnPreferenceChanged', name, value);
+    });
+
+    return {
+        dispose() {
+            unsubscribe();
+        }
+    };
+}
+
+function storageKey(name) {
+    const key = PREFERENCE_KEYS[name];
+    if (!key) {
+        throw new Error(`Unknown preference '${name}'.`);
+    }
+    return key;
+}
+
+function ensureListening() {
+    if (isListening) {
+        return;
+    }
+
+    isListening = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', event => {
+            const { name, value } = event.data || {};
+            if (Object.prototype.hasOwnProperty.call(PREFERENCE_KEYS, name)) {
+                deliver(name, value ?? null);
+            }
+        });
+    }
+
+    // Also catches writes that don't go through this module, and browsers without BroadcastChannel
+    window.addEventListener('storage', event => {
+        if (event.storageArea !== localStorage) {
+            return;
+        }
+
+        // key is null when another tab called localStorage.clear()
+        for (const [name, key] of Object.entries(PREFERENCE_KEYS)) {
+            if (event.key === null || event.key === key) {
+                deliver(name, event.key === null ? null : event.newValue);
+            }
+        }
+    });
+}
+
+function deliver(name, value) {
+    if (lastValues.has(name) && lastValues.get(name) === value) {
+        return;
+    }
+
+    lastValues.set(name, value);
+    for (const listener of listeners) {
+        try {
+            listener(name, value);
+        } catch {
+            // DotNet reference may be disposed; the other listeners still run
+        }
+    }
+}
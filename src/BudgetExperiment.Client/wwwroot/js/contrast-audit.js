@@ -0,0 +1,177 @@
+/**
+ * Contrast Audit JavaScript Module
+ * Checks the design-system colour tokens of a theme against the WCAG 2.x contrast minimums.
+ * Colours are read as the browser computes them, so var() chains, custom theme overrides and
+ * translucent colours are all accounted for. Used by the panel on the component showcase and
+ * by the end-to-end tests, which audit every built-in theme.
+ * Budget Experiment
+ */
+
+// WCAG 2.x minimums: 4.5:1 for body text, 3:1 for large text and graphics (SC 1.4.3, 1.4.11)
+const TEXT_MINIMUM = 4.5;
+const GRAPHICS_MINIMUM = 3;
+
+/**
+ * Token pairs to check: foreground drawn on background.
+ */
+export const CONTRAST_PAIRS = Object.freeze([
+    { id: 'text-on-background', label: 'Text on background', foreground: '--color-text-primary', background: '--color-background', minimum: TEXT_MINIMUM },
+    { id: 'text-on-surface', label: 'Text on surface', foreground: '--color-text-primary', background: '--color-surface', minimum: TEXT_MINIMUM },
+    { id: 'text-on-surface-secondary', label: 'Text on secondary surface', foreground: '--color-text-primary', background: '--color-surface-secondary', minimum: TEXT_MINIMUM },
+    { id: 'secondary-text-on-background', label: 'Secondary text on background', foreground: '--color-text-secondary', background: '--color-background', minimum: TEXT_MINIMUM },
+    { id: 'secondary-text-on-surface', label: 'Secondary text on surface', foreground: '--color-text-secondary', background: '--color-surface', minimum: TEXT_MINIMUM },
+    { id: 'inverse-text-on-brand', label: 'Text on brand colour', foreground: '--color-text-inverse', background: '--color-brand-primary', minimum: TEXT_MINIMUM },
+    { id: 'header-text', label: 'Header text', foreground: '--color-header-text', background: '--color-header-bg', minimum: TEXT_MINIMUM },
+    { id: 'sidebar-text', label: 'Sidebar text', foreground: '--color-sidebar-text', background: '--color-sidebar-bg', minimum: TEXT_MINIMUM },
+    { id: 'brand-on-surface', label: 'Brand colour on surface', foreground: '--color-brand-primary', background: '--color-surface', minimum: GRAPHICS_MINIMUM },
+    { id: 'success-on-surface', label: 'Success on surface', foreground: '--color-success', background: '--color-surface', minimum: GRAPHICS_MINIMUM },
+    { id: 'warning-on-surface', label: 'Warning on surface', foreground: '--color-warning', background: '--color-surface', minimum: GRAPHICS_MINIMUM },
+    { id: 'error-on-surface', label: 'Error on surface', foreground: '--color-error', background: '--color-surface', minimum: GRAPHICS_MINIMUM },
+    { id: 'income-on-surface', label: 'Income on surface', foreground: '--color-income', background: '--color-surface', minimum: GRAPHICS_MINIMUM },
+    { id: 'expense-on-surface', label: 'Expense on surface', foreground: '--color-expense', background: '--color-surface', minimum: GRAPHICS_MINIMUM }
+]);
+
+let canvasContext = null;
+
+/**
+ * Audits a theme. With no theme, audits what is on screen, including any custom theme.
+ * A named theme is applied only for the duration of the call, without saving or notifying.
+ * @param {string} [theme] - A built-in theme name, e.g. 'geocities'.
+ * @returns {{ theme: string, results: object[], failureCount: number }}
+ *   results has one entry per CONTRAST_PAIRS item with the resolved colours, the ratio and whether it passes.
+ */
+export function auditTheme(theme) {
+    const root = document.documentElement;
+    const previousTheme = root.getAttribute('data-theme');
+    const previousCustomTheme = root.getAttribute('data-custom-theme');
+
+    if (theme) {
+        root.setAttribute('data-theme', theme);
+        root.removeAttribute('data-custom-theme');
+    }
+
+    try {
+        const results = CONTRAST_PAIRS.map(pair => checkPair(pair));
+        return {
+            theme: theme || previousTheme || 'light',
+            results,
+            failureCount: results.filter(result => !result.passes).length
+        };
+    } finally {
+        if (theme) {
+            restoreAttribute(root, 'data-theme', previousTheme);
+            restoreAttribute(root, 'data-custom-theme', previousCustomTheme);
+        }
+    }
+}
+
+/**
+ * Audits several themes in turn.
+ * @param {string[]} themes - Built-in theme names.
+ * @returns {object[]} One auditTheme report per theme, in order.
+ */
+export function auditThemes(themes) {
+    return (themes || []).map(theme => auditTheme(theme));
+}
+
+/**
+ * Calculates the WCAG 2.x contrast ratio of two opaque colours.
+ * @param {number[]} first - [r, g, b] from 0 to 255.
+ * @param {number[]} second - [r, g, b] from 0 to 255.
+ * @returns {number} From 1 (identical) to 21 (black on white).
+ */
+export function contrastRatio(first, second) {
+    const a = relativeLuminance(first);
+    const b = relativeLuminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+function checkPair(pair) {
+    const styles = getComputedStyle(document.documentElement);
+    const missing = [pair.foreground, pair.background].filter(name => !styles.getPropertyValue(name).trim());
+    if (missing.length > 0) {
+        return {
+            ...pair,
+            foregroundColor: null,
+            backgroundColor: null,
+            ratio: 0,
+            passes: false,
+            error: `${missing.join(' and ')} not set`
+        };
+    }
+
+    // Translucent colours are judged as they appear: background over the page, then text over that
+    const page = composite(toRgba(resolveColor('--color-background')), [255, 255, 255]);
+    const background = composite(toRgba(resolveColor(pair.background)), page);
+    const foreground = composite(toRgba(resolveColor(pair.foreground)), background);
+    const ratio = Math.round(contrastRatio(foreground, background) * 100) / 100;
+
+    return {
+        ...pair,
+        foregroundColor: toHex(foreground),
+        backgroundColor: toHex(background),
+        ratio,
+        passes: ratio >= pair.minimum,
+        error: null
+    };
+}
+
+/**
+ * Lets the browser resolve a token to a colour; a probe element follows var() chains.
+ */
+function resolveColor(token) {
+    const probe = document.createElement('span');
+    probe.style.color = `var(${token})`;
+    probe.style.display = 'none';
+    document.body.appendChild(probe);
+    const color = getComputedStyle(probe).color;
+    probe.remove();
+    return color;
+}
+
+/**
+ * Converts any CSS colour to [r, g, b, a] by painting it, which copes with the
+ * rgb(), color() and oklch() forms browsers may report.
+ */
+function toRgba(color) {
+    if (!canvasContext) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        canvasContext = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    canvasContext.clearRect(0, 0, 1, 1);
+    canvasContext.fillStyle = '#000';
+    canvasContext.fillStyle = color;
+    canvasContext.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = canvasContext.getImageData(0, 0, 1, 1).data;
+    return [r, g, b, a / 255];
+}
+
+function composite([r, g, b, a = 1], [br, bg, bb]) {
+    return [
+        r * a + br * (1 - a),
+        g * a + bg * (1 - a),
+        b * a + bb * (1 - a)
+    ];
+}
+
+function relativeLuminance([r, g, b]) {
+    const channel = value => {
+        const srgb = value / 255;
+        return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function toHex(rgb) {
+    return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+function restoreAttribute(element, name, value) {
+    if (value === null) {
+        element.removeAttribute(name);
+    } else {
+        element.setAttribute(name, value);
+    }
+}
@@ -1,19 +1,17 @@
 /**
  * fab.js - Floating Action Button JavaScript Module
  * Budget Experiment Design System
- * Provides haptic feedback support for FAB interactions
+ * Provides haptic feedback and ripples for FAB interactions
  */
 
+import { isMotionReduced, triggerHaptic } from './interaction-feedback.js';
+
 /**
- * Triggers haptic feedback if supported by the device.
- * Uses the Vibration API with a short pattern suitable for button feedback.
+ * Triggers haptic feedback, unless haptics are off or unsupported.
+ * Uses the short 'light' pattern suitable for button feedback.
  */
 export function triggerHapticFeedback() {
-    // Check if Vibration API is supported
-    if ('vibrate' in navigator) {
-        // Short vibration pattern for button feedback (10ms)
-        navigator.vibrate(10);
-    }
+    triggerHaptic('light');
 }
 
 /**
@@ -22,6 +20,11 @@ export function triggerHapticFeedback() {
  * @param {MouseEvent|TouchEvent} event - The interaction event.
  */
 export function createRipple(element, event) {
+    // With motion reduced the ripple wouldn't animate, so animationend would never remove it
+    if (isMotionReduced()) {
+        return;
+    }
+
     const ripple = document.createElement('span');
     ripple.classList.add('fab-ripple');
 
@@ -1,13 +1,230 @@
 // File download helper for client exports.
+// Streams the response body from .NET straight to disk through the File System Access
+// save picker where available, otherwise assembles it into a Blob in chunks. Either way
+// the file is never held as a single ArrayBuffer in WASM or JS memory.
 
-export async function downloadFileFromStream(fileName, contentType, streamRef) {
-    const arrayBuffer = await streamRef.arrayBuffer();
-    const type = contentType || "application/octet-stream";
-    const blob = new Blob([arrayBuffer], { type });
+const BLOB_PART_BYTES = 8 * 1024 * 1024;
+const PROGRESS_INTERVAL_MS = 200;
+const CANCELED = Symbol("canceled");
+
+/**
+ * Create a download handle. Call open() from the click that started the download, then
+ * run() to stream the file into it; cancel() aborts either step.
+ * @param {object} dotNetRef - .NET object reference receiving OnDownloadProgress callbacks
+ * @returns {{ open: function, run: function, cancel: function }}
+ */
+export function createDownload(dotNetRef) {
+    const controller = new AbortController();
+    let openedSink = null;
+
+    return {
+        // The save picker needs the click's user activation, which has expired by the time
+        // the export response arrives, so it has to be shown before the request is sent
+        async open(fileName) {
+            const sink = await openFileSink(fileName || "export");
+            if (sink === CANCELED) {
+                return "canceled";
+            }
+
+            openedSink = sink;
+            return "opened";
+        },
+        cancel() {
+            controller.abort();
+            if (openedSink) {
+                openedSink.abort();
+                openedSink = null;
+            }
+        },
+        run(fileName, contentType, totalBytes, streamRef) {
+            const sink = openedSink || createBlobSink(fileName || "export", contentType || "application/octet-stream");
+            openedSink = null;
+            return runDownload(sink, totalBytes, streamRef, dotNetRef, controller.signal);
+        },
+    };
+}
+
+/**
+ * Save a Blob that was produced in the browser (e.g. a chart image) through the same
+ * save picker / anchor fallback used for streamed downloads.
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<"completed"|"canceled">}
+ */
+export async function saveFile(blob, fileName) {
+    fileName = fileName || "export";
+    const sink = await openFileSink(fileName, blob.type || "application/octet-stream");
+    if (sink === CANCELED) {
+        return "canceled";
+    }
+
+    if (!sink) {
+        saveBlob(blob, fileName);
+        return "completed";
+    }
+
+    try {
+        await sink.write(blob);
+        await sink.close();
+        return "completed";
+    } catch (error) {
+        await sink.abort();
+        throw error;
+    }
+}
+
+/**
+ * Stream the body into the chosen sink, reporting progress along the way.
+ * @returns {Promise<"completed"|"canceled">}
+ */
+async function runDownload(sink, totalBytes, streamRef, dotNetRef, signal) {
+    if (signal.aborted) {
+        await sink.abort();
+        return "canceled";
+    }
+
+    const reader = (await streamRef.stream()).getReader();
+    const reporter = createProgressReporter(dotNetRef, totalBytes);
+    const onAbort = () => reader.cancel().catch(() => { });
+    signal.addEventListener("abort", onAbort);
+
+    let bytesWritten = 0;
+    try {
+        while (!signal.aborted) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            await sink.write(value);
+            bytesWritten += value.byteLength;
+            reporter.report(bytesWritten);
+        }
+
+        if (signal.aborted) {
+            await sink.abort();
+            return "canceled";
+        }
+
+        reporter.report(bytesWritten, true);
+        await sink.close();
+        return "completed";
+    } catch (error) {
+        await sink.abort();
+        if (signal.aborted) {
+            return "canceled";
+        }
+        throw error;
+    } finally {
+        signal.removeEventListener("abort", onAbort);
+    }
+}
+
+/**
+ * Ask the user where to save the file and open a writable stream to it.
+ * @returns {Promise<object|symbol|null>} A sink, CANCELED if the picker was dismissed,
+ * or null if the API is unavailable or not allowed here (falls back to a Blob).
+ */
+async function openFileSink(fileName, contentType) {
+    if (typeof window.showSaveFilePicker !== "function") {
+        return null;
+    }
+
+    let writable;
+    try {
+        const handle = await window.showSaveFilePicker(getPickerOptions(fileName, contentType));
+        writable = await handle.createWritable();
+    } catch (error) {
+        if (error && error.name === "AbortError") {
+            return CANCELED;
+        }
+        // SecurityError / NotAllowedError: e.g. the click's user activation has expired
+        return null;
+    }
+
+    return {
+        write: chunk => writable.write(chunk),
+        close: () => writable.close(),
+        abort: () => writable.abort().catch(() => { }),
+    };
+}
+
+function getPickerOptions(fileName, contentType) {
+    const options = { suggestedName: fileName };
+    const dot = fileName.lastIndexOf(".");
+    const mimeType = (contentType || "").split(";")[0].trim();
+
+    if (dot > 0 && /^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) {
+        options.types = [{ accept: { [mimeType]: [fileName.substring(dot)] } }];
+    }
+
+    return options;
+}
+
+/**
+ * Collect chunks into intermediate Blobs so the browser can page them out,
+ * then save the assembled Blob through a temporary anchor.
+ */
+function createBlobSink(fileName, contentType) {
+    let parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+
+    function flushPending() {
+        if (pending.length > 0) {
+            parts.push(new Blob(pending));
+            pending = [];
+            pendingBytes = 0;
+        }
+    }
+
+    return {
+        write(chunk) {
+            pending.push(chunk);
+            pendingBytes += chunk.byteLength;
+            if (pendingBytes >= BLOB_PART_BYTES) {
+                flushPending();
+            }
+        },
+        close() {
+            flushPending();
+            saveBlob(new Blob(parts, { type: contentType }), fileName);
+            parts = [];
+        },
+        abort() {
+            parts = [];
+            pending = [];
+            pendingBytes = 0;
+        },
+    };
+}
+
+function saveBlob(blob, fileName) {
     const url = URL.createObjectURL(blob);
     const anchor = document.createElement("a");
     anchor.href = url;
-    anchor.download = fileName || "export";
+    anchor.download = fileName;
     anchor.click();
     setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
+
+/**
+ * Throttle progress callbacks so large downloads don't flood the interop bridge.
+ */
+function createProgressReporter(dotNetRef, totalBytes) {
+    let lastReport = 0;
+
+    return {
+        report(bytesWritten, force) {
+            const now = Date.now();
+            if (!force && now - lastReport < PROGRESS_INTERVAL_MS) {
+                return;
+            }
+
+            lastReport = now;
+            try {
+                dotNetRef.invokeMethodAsync("OnDownloadProgress", bytesWritten, totalBytes ?? null);
+            } catch {
+                // DotNet reference may be disposed
+            }
+        },
+    };
+}
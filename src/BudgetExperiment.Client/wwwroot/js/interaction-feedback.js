@@ -0,0 +1,163 @@
+/**
+ * Interaction Feedback JavaScript Module
+ * The one place that decides whether gestures animate and whether the device vibrates.
+ * Motion is reduced when the OS asks for it or the in-app "Reduce motion" setting is on;
+ * haptics can be turned off in-app. Other modules ask here instead of calling
+ * navigator.vibrate or hardcoding transitions.
+ * Budget Experiment
+ */
+
+import { getPreference, setPreference, subscribe } from './client-preferences.js';
+
+/**
+ * Vibration patterns by name, in the form navigator.vibrate takes.
+ */
+export const HAPTIC_PATTERNS = Object.freeze({
+    selection: 5,          // Crossing a snap point or detent
+    light: 10,             // Button press, long-press pick-up
+    medium: 20,
+    heavy: 30,
+    success: [10, 60, 10],
+    warning: [30, 60, 30]
+});
+
+const reducedMotionQuery = typeof window !== 'undefined' && window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+const listeners = new Set();
+let settings = readSettings();
+
+applySettings();
+
+reducedMotionQuery?.addEventListener?.('change', notify);
+
+// Settings changed in another tab
+subscribe(name => {
+    if (name === 'reduceMotion' || name === 'disableHaptics') {
+        settings = readSettings();
+        applySettings();
+        notify();
+    }
+});
+
+/**
+ * Gets whether animations should be skipped, from the OS preference or the in-app setting.
+ * @returns {boolean}
+ */
+export function isMotionReduced() {
+    return settings.reduceMotion || Boolean(reducedMotionQuery?.matches);
+}
+
+/**
+ * Gets how long an animation should run.
+ * @param {number} ms - The full-motion duration.
+ * @returns {number} ms, or 0 when motion is reduced.
+ */
+export function getMotionDuration(ms) {
+    return isMotionReduced() ? 0 : ms;
+}
+
+/**
+ * Vibrates with a named pattern, unless haptics are off or unsupported.
+ * @param {string} pattern - A key of HAPTIC_PATTERNS; unknown names use 'light'.
+ * @returns {boolean} Whether the device was asked to vibrate.
+ */
+export function triggerHaptic(pattern = 'light') {
+    if (settings.disableHaptics || typeof navigator === 'undefined' || !('vibrate' in navigator)) {
+        return false;
+    }
+
+    try {
+        return navigator.vibrate(HAPTIC_PATTERNS[pattern] ?? HAPTIC_PATTERNS.light);
+    } catch {
+        // Some browsers throw when vibrating before the user has interacted with the page
+        return false;
+    }
+}
+
+/**
+ * Gets the current settings.
+ * @returns {{ reduceMotion: boolean, disableHaptics: boolean, systemReducedMotion: boolean }}
+ */
+export function getFeedbackSettings() {
+    return {
+        reduceMotion: settings.reduceMotion,
+        disableHaptics: settings.disableHaptics,
+        systemReducedMotion: Boolean(reducedMotionQuery?.matches)
+    };
+}
+
+/**
+ * Saves the in-app settings, applies them and shares them with other tabs.
+ * @param {{ reduceMotion?: boolean, disableHaptics?: boolean }} value - Settings to change; missing ones are kept.
+ * @returns {{ reduceMotion: boolean, disableHaptics: boolean, systemReducedMotion: boolean }} The settings now in effect.
+ */
+export function setFeedbackSettings(value = {}) {
+    settings = {
+        reduceMotion: typeof value.reduceMotion === 'boolean' ? value.reduceMotion : settings.reduceMotion,
+        disableHaptics: typeof value.disableHaptics === 'boolean' ? value.disableHaptics : settings.disableHaptics
+    };
+
+    // Unset rather than "false", so a later change of default reaches people who never chose
+    setPreference('reduceMotion', settings.reduceMotion ? 'true' : null);
+    setPreference('disableHaptics', settings.disableHaptics ? 'true' : null);
+    applySettings();
+    notify();
+    return getFeedbackSettings();
+}
+
+/**
+ * Calls back whenever the settings or the OS reduced-motion preference change, in any tab.
+ * @param {(settings: object) => void} callback - Receives getFeedbackSettings().
+ * @returns {() => void} Stops the callbacks.
+ */
+export function onFeedbackSettingsChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+/**
+ * Forwards settings changes to .NET's OnFeedbackSettingsChanged.
+ * @param {object} dotNetRef - .NET object reference with an OnFeedbackSettingsChanged(settings) method
+ * @returns {{ dispose: function }} Call dispose() to stop forwarding.
+ */
+export function watchFeedbackSettings(dotNetRef) {
+    const unsubscribe = onFeedbackSettingsChange(value => {
+        dotNetRef.invokeMethodAsync('OnFeedbackSettingsChanged', value);
+    });
+
+    return {
+        dispose() {
+            unsubscribe();
+        }
+    };
+}
+
+function readSettings() {
+    return {
+        reduceMotion: getPreference('reduceMotion') === 'true',
+        disableHaptics: getPreference('disableHaptics') === 'true'
+    };
+}
+
+/**
+ * The OS preference is handled by CSS media queries; the attribute extends the same rules
+ * (see reset.css) to the in-app setting.
+ */
+function applySettings() {
+    if (typeof document !== 'undefined') {
+        document.documentElement.toggleAttribute('data-reduce-motion', settings.reduceMotion);
+    }
+}
+
+function notify() {
+    const value = getFeedbackSettings();
+    for (const listener of listeners) {
+        try {
+            listener(value);
+        } catch {
+            // DotNet reference may be disposed; the other listeners still run
+        }
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Offline Cache JavaScript Module
+ * Relays offline read cache notifications from the published service worker to Blazor
+ * and clears cached API data on sign-out.
+ * Budget Experiment - Offline Support
+ */
+
+const API_CACHE_PREFIX = 'api-cache-';
+
+/**
+ * Subscribe to offline read cache messages posted by the service worker.
+ * @param {object} dotNetRef - Blazor .NET object reference for callbacks
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function subscribe(dotNetRef) {
+    if (!('serviceWorker' in navigator)) {
+        return { dispose() { } };
+    }
+
+    /**
+     * Forward cache notifications to .NET.
+     * @param {MessageEvent} e
+     */
+    function onMessage(e) {
+        const message = e.data;
+        if (!message || typeof message.type !== 'string') return;
+
+        try {
+            if (message.type === 'api-cache:served') {
+                dotNetRef.invokeMethodAsync('OnCachedResponseServed', message.url, message.cachedAt || null);
+            } else if (message.type === 'api-cache:fresh') {
+                dotNetRef.invokeMethodAsync('OnNetworkResponseReceived', message.url);
+            }
+        } catch {
+            // DotNet reference may be disposed
+        }
+    }
+
+    navigator.serviceWorker.addEventListener('message', onMessage);
+
+    return {
+        dispose() {
+            navigator.serviceWorker.removeEventListener('message', onMessage);
+        },
+    };
+}
+
+/**
+ * Delete every per-user API cache partition.
+ * @returns {Promise<number>} The number of cache partitions removed.
+ */
+export async function clearCache() {
+    if (!('caches' in window)) {
+        return 0;
+    }
+
+    const keys = await caches.keys();
+    const apiKeys = keys.filter(key => key.startsWith(API_CACHE_PREFIX));
+    await Promise.all(apiKeys.map(key => caches.delete(key)));
+    return apiKeys.length;
+}
@@ -0,0 +1,174 @@
+/**
+ * Offline Outbox JavaScript Module
+ * IndexedDB storage and connectivity signals for writes queued while offline.
+ * Replay itself runs in .NET so requests go through the authenticated HttpClient.
+ * Budget Experiment - Offline Support
+ */
+
+const DB_NAME = 'budget-experiment-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'items';
+const REPLAY_LOCK_NAME = 'budget-experiment-outbox-replay';
+const CHANNEL_NAME = 'budget-experiment-outbox';
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the outbox database.
+ * Items are keyed by their idempotency key, so enqueuing the same write twice is a no-op.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the outbox store.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} action
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Tell other open tabs that the outbox changed.
+ */
+function broadcastChange() {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.postMessage({ type: 'outbox:changed' });
+    channel.close();
+}
+
+/**
+ * Get every queued item, oldest first.
+ * @returns {Promise<object[]>}
+ */
+export async function getItems() {
+    const items = await withStore('readonly', store => store.getAll());
+    return (items || []).sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Insert or update a queued item.
+ * @param {object} item - The outbox item; item.id is the idempotency key
+ */
+export async function putItem(item) {
+    await withStore('readwrite', store => store.put(item));
+    broadcastChange();
+}
+
+/**
+ * Remove a queued item.
+ * @param {string} id - The idempotency key of the item
+ */
+export async function deleteItem(id) {
+    await withStore('readwrite', store => store.delete(id));
+    broadcastChange();
+}
+
+/**
+ * Remove every queued item, e.g. on sign-out so another user's token never replays them.
+ */
+export async function clearItems() {
+    await withStore('readwrite', store => store.clear());
+    broadcastChange();
+}
+
+/**
+ * Whether the browser currently believes it has connectivity.
+ * @returns {boolean}
+ */
+export function isOnline() {
+    return navigator.onLine !== false;
+}
+
+/**
+ * Run the .NET replay while holding a cross-tab lock so two tabs never send the same item.
+ * Falls back to an unlocked call where the Web Locks API is unavailable.
+ * @param {object} dotNetRef - Blazor .NET object reference
+ * @returns {Promise<boolean>} False if another tab is already replaying
+ */
+export async function runExclusive(dotNetRef) {
+    if (!navigator.locks) {
+        await dotNetRef.invokeMethodAsync('ReplayExclusiveAsync');
+        return true;
+    }
+
+    return navigator.locks.request(REPLAY_LOCK_NAME, { ifAvailable: true }, async lock => {
+        if (!lock) return false;
+        await dotNetRef.invokeMethodAsync('ReplayExclusiveAsync');
+        return true;
+    });
+}
+
+/**
+ * Subscribe to connectivity changes and outbox changes made in other tabs.
+ * @param {object} dotNetRef - Blazor .NET object reference for callbacks
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function subscribe(dotNetRef) {
+    let channel = null;
+
+    function onOnline() {
+        try {
+            dotNetRef.invokeMethodAsync('OnConnectivityRestored');
+        } catch {
+            // DotNet reference may be disposed
+        }
+    }
+
+    function onChannelMessage(e) {
+        if (!e.data || e.data.type !== 'outbox:changed') return;
+
+        try {
+            dotNetRef.invokeMethodAsync('OnOutboxChanged');
+        } catch {
+            // DotNet reference may be disposed
+        }
+    }
+
+    window.addEventListener('online', onOnline);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', onChannelMessage);
+    }
+
+    return {
+        dispose() {
+            window.removeEventListener('online', onOnline);
+            if (channel) {
+                channel.removeEventListener('message', onChannelMessage);
+                channel.close();
+            }
+        },
+    };
+}
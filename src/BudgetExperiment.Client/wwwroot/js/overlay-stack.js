@@ -0,0 +1,209 @@
+/**
+ * Overlay Stack JavaScript Module
+ * Tracks open modals and bottom sheets, with the top-most last. Only the top overlay takes
+ * the keyboard: Tab stays inside it and Escape closes it alone. Everything behind it is
+ * inert, the page stays scroll-locked while any overlay is open, and focus goes back to
+ * where it was when an overlay closes.
+ * Budget Experiment
+ */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'textarea:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Live regions (toasts, announcements) must still be heard while an overlay is open
+const NEVER_INERT_SELECTOR = '[aria-live], script, style, template';
+
+const stack = [];
+// Only elements made inert here are ever un-inerted here
+const inertElements = new Set();
+let scrollLockCount = 0;
+let lockedScrollY = 0;
+
+/**
+ * Opens an overlay on top of any that are already open.
+ * @param {HTMLElement} element - The overlay; everything outside it becomes inert.
+ * @param {object} dotNetRef - .NET object reference with an OnOverlayEscape() method,
+ *   called when Escape is pressed while this overlay is on top.
+ * @param {object} [options]
+ * @param {HTMLElement} [options.backdrop] - A backdrop rendered beside the overlay; it stays clickable.
+ * @param {HTMLElement} [options.initialFocus] - Element to focus; defaults to the first focusable element.
+ * @param {boolean} [options.lockScroll=true] - Whether the page must not scroll while the overlay is open.
+ * @returns {{ dispose: function }} Call dispose() when the overlay closes.
+ */
+export function pushOverlay(element, dotNetRef, options = {}) {
+    const entry = {
+        element,
+        dotNetRef,
+        backdrop: options.backdrop || null,
+        returnFocus: document.activeElement,
+        lockScroll: options.lockScroll !== false,
+    };
+
+    if (stack.length === 0) {
+        document.addEventListener('keydown', onKeyDown);
+    }
+
+    stack.push(entry);
+    if (entry.lockScroll) {
+        lockScroll();
+    }
+
+    applyInert();
+    focusElement(options.initialFocus || getFocusableElements(element)[0] || element);
+
+    return {
+        dispose: function () {
+            removeOverlay(entry);
+        }
+    };
+}
+
+function removeOverlay(entry) {
+    const index = stack.indexOf(entry);
+    if (index < 0) return;
+
+    const wasTop = index === stack.length - 1;
+    stack.splice(index, 1);
+
+    // Overlays opened from inside this one can no longer send focus back there
+    for (const above of stack.slice(index)) {
+        if (entry.element.contains(above.returnFocus)) {
+            above.returnFocus = entry.returnFocus;
+        }
+    }
+
+    if (entry.lockScroll) {
+        unlockScroll();
+    }
+
+    applyInert();
+
+    if (stack.length === 0) {
+        document.removeEventListener('keydown', onKeyDown);
+    }
+
+    // An overlay closing underneath another leaves focus where it is
+    if (wasTop) {
+        restoreFocus(entry);
+    }
+}
+
+function restoreFocus(entry) {
+    const active = document.activeElement;
+    const isFocusLost = !active || active === document.body || entry.element.contains(active);
+    if (!isFocusLost) return;
+
+    if (entry.returnFocus?.isConnected && entry.returnFocus !== document.body) {
+        focusElement(entry.returnFocus);
+    } else if (stack.length > 0) {
+        focusElement(stack[stack.length - 1].element);
+    }
+}
+
+/**
+ * Makes everything but the top overlay (and its backdrop) inert, by walking up from the
+ * overlay and marking the siblings at each level. Works wherever the overlay is rendered.
+ */
+function applyInert() {
+    for (const element of inertElements) {
+        element.inert = false;
+    }
+    inertElements.clear();
+
+    const top = stack[stack.length - 1];
+    if (!top) return;
+
+    for (let node = top.element; node && node !== document.body && node.parentElement; node = node.parentElement) {
+        for (const sibling of node.parentElement.children) {
+            if (sibling === node || sibling === top.backdrop || sibling.inert || sibling.matches(NEVER_INERT_SELECTOR)) {
+                continue;
+            }
+
+            sibling.inert = true;
+            inertElements.add(sibling);
+        }
+    }
+}
+
+function onKeyDown(e) {
+    const top = stack[stack.length - 1];
+    if (!top) return;
+
+    if (e.key === 'Escape') {
+        // Something inside the overlay (a menu, a drag) already used this Escape
+        if (e.defaultPrevented) return;
+
+        e.preventDefault();
+        top.dotNetRef?.invokeMethodAsync('OnOverlayEscape');
+    } else if (e.key === 'Tab') {
+        trapTab(e, top.element);
+    }
+}
+
+/**
+ * Wrap Tab and Shift+Tab around inside the overlay
+ */
+function trapTab(e, containerElement) {
+    const focusable = getFocusableElements(containerElement);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!containerElement.contains(active)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+function getFocusableElements(containerElement) {
+    return Array.from(containerElement.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.offsetParent !== null); // Only visible elements
+}
+
+function focusElement(element) {
+    element?.focus?.({ preventScroll: true });
+}
+
+/**
+ * Stop the page scrolling; counted, so the lock holds until the last overlay closes
+ */
+function lockScroll() {
+    scrollLockCount++;
+    if (scrollLockCount > 1) return;
+
+    lockedScrollY = window.scrollY;
+    document.body.style.overflow = 'hidden';
+    document.body.style.position = 'fixed';
+    document.body.style.width = '100%';
+    document.body.style.top = `-${lockedScrollY}px`;
+}
+
+function unlockScroll() {
+    if (scrollLockCount === 0) return;
+
+    scrollLockCount--;
+    if (scrollLockCount > 0) return;
+
+    document.body.style.overflow = '';
+    document.body.style.position = '';
+    document.body.style.width = '';
+    document.body.style.top = '';
+    window.scrollTo(0, lockedScrollY);
+}
@@ -0,0 +1,228 @@
+/**
+ * Pull-to-Refresh JavaScript Module
+ * Pulling down on content that is already scrolled to the top slides an indicator down over
+ * it, following the finger and then resisting like a rubber band. Letting go past the
+ * threshold asks .NET to refresh and keeps the spinner up until that finishes.
+ * Horizontal gestures are left to swipe.js, and content that can still scroll up scrolls.
+ * Budget Experiment - Mobile Experience Feature
+ */
+
+import { getMotionDuration, triggerHaptic } from './interaction-feedback.js';
+
+// Movement before the gesture is judged to be a pull, a horizontal swipe or a scroll
+const DIRECTION_SLOP_PX = 10;
+// The indicator moves at half the finger's speed up to the threshold
+const PULL_RATIO = 0.5;
+const RUBBER_BAND_FACTOR = 0.55;
+const SETTLE_MS = 200;
+
+/**
+ * Initialize pull-to-refresh on an element.
+ * @param {HTMLElement} element - The content that can be pulled
+ * @param {HTMLElement} indicatorElement - The indicator that slides down over the content
+ * @param {object} dotNetRef - .NET object reference with an OnPullToRefresh() method;
+ *   the spinner stays until the task it returns completes
+ * @param {object} options - Configuration options
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function initPullToRefresh(element, indicatorElement, dotNetRef, options = {}) {
+    const config = {
+        threshold: options.threshold || 72,             // Pull distance (px) that triggers a refresh
+        maxPull: options.maxPull || 128,                // The indicator never comes further than this
+    };
+
+    let startX = 0;
+    let startY = 0;
+    let tracking = false;
+    let pulling = false;
+    let armed = false;
+    let refreshing = false;
+    let pullDistance = 0;
+    let settleTimer = 0;
+
+    /**
+     * Handle touchstart — only a page scrolled to the very top can be pulled.
+     * @param {TouchEvent} e
+     */
+    function onTouchStart(e) {
+        if (refreshing || e.touches.length > 1 || !isAtTop(e.target)) {
+            tracking = false;
+            return;
+        }
+
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+        tracking = true;
+        pulling = false;
+        armed = false;
+    }
+
+    /**
+     * Handle touchmove — decide the gesture's direction, then move the indicator.
+     * @param {TouchEvent} e
+     */
+    function onTouchMove(e) {
+        if (!tracking) return;
+
+        const deltaX = e.touches[0].clientX - startX;
+        const deltaY = e.touches[0].clientY - startY;
+
+        if (!pulling) {
+            if (Math.abs(deltaX) < DIRECTION_SLOP_PX && Math.abs(deltaY) < DIRECTION_SLOP_PX) return;
+
+            // Sideways is a swipe and upwards is a scroll; either way it isn't ours
+            if (Math.abs(deltaX) >= Math.abs(deltaY) || deltaY < 0) {
+                tracking = false;
+                return;
+            }
+
+            pulling = true;
+            clearTimeout(settleTimer);
+            indicatorElement.style.transition = 'none';
+        }
+
+        // Stop the browser's own pull-to-refresh and overscroll bounce
+        if (e.cancelable) {
+            e.preventDefault();
+        }
+
+        showPull(getPullDistance(deltaY - DIRECTION_SLOP_PX));
+
+        const isPastThreshold = pullDistance >= config.threshold;
+        if (isPastThreshold !== armed) {
+            armed = isPastThreshold;
+            indicatorElement.classList.toggle('is-armed', armed);
+            if (armed) {
+                triggerHaptic('selection');
+            }
+        }
+    }
+
+    /**
+     * Handle touchend — refresh if the pull went far enough, otherwise spring back.
+     */
+    async function onTouchEnd() {
+        if (!tracking) return;
+
+        tracking = false;
+        if (!pulling) return;
+
+        pulling = false;
+        if (!armed) {
+            settle(0);
+            return;
+        }
+
+        armed = false;
+        refreshing = true;
+        indicatorElement.classList.remove('is-armed');
+        indicatorElement.classList.add('is-refreshing');
+        settle(config.threshold);
+
+        try {
+            await dotNetRef.invokeMethodAsync('OnPullToRefresh');
+        } catch {
+            // DotNet reference may be disposed, or the refresh failed; .NET reports its own errors
+        } finally {
+            refreshing = false;
+            indicatorElement.classList.remove('is-refreshing');
+            settle(0);
+        }
+    }
+
+    /**
+     * Handle touchcancel — put everything back.
+     */
+    function onTouchCancel() {
+        if (!tracking) return;
+
+        tracking = false;
+        if (pulling) {
+            pulling = false;
+            armed = false;
+            indicatorElement.classList.remove('is-armed');
+            settle(0);
+        }
+    }
+
+    /**
+     * Whether the touched element and every container above it are scrolled to the top,
+     * so pulling down can't mean "scroll up".
+     * @param {Element} target
+     */
+    function isAtTop(target) {
+        if (window.scrollY > 0) return false;
+
+        for (let el = target; el && el !== document.documentElement; el = el.parentElement) {
+            if (el.scrollTop > 0) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * How far the indicator comes down for a finger movement.
+     * @param {number} deltaY - px the finger has moved down
+     */
+    function getPullDistance(deltaY) {
+        const distance = Math.max(0, deltaY) * PULL_RATIO;
+        if (distance <= config.threshold) return distance;
+
+        return config.threshold + rubberBand(distance - config.threshold, config.maxPull - config.threshold);
+    }
+
+    /**
+     * Position the indicator; the CSS reads both properties (see pull-to-refresh.css).
+     * @param {number} distance - px from the top of the content
+     */
+    function showPull(distance) {
+        pullDistance = distance;
+        indicatorElement.style.setProperty('--pull-to-refresh-distance', `${distance}px`);
+        indicatorElement.style.setProperty('--pull-to-refresh-progress', Math.min(1, distance / config.threshold).toFixed(3));
+    }
+
+    /**
+     * Animate the indicator to a pull distance.
+     * @param {number} distance - 0 hides the indicator
+     */
+    function settle(distance) {
+        const duration = getMotionDuration(SETTLE_MS);
+        indicatorElement.style.transition = duration > 0 ? `transform ${duration}ms ease-out, opacity ${duration}ms ease-out` : '';
+        showPull(distance);
+
+        clearTimeout(settleTimer);
+        if (distance === 0) {
+            settleTimer = setTimeout(() => {
+                indicatorElement.style.transition = '';
+                indicatorElement.style.removeProperty('--pull-to-refresh-distance');
+                indicatorElement.style.removeProperty('--pull-to-refresh-progress');
+            }, duration + 10);
+        }
+    }
+
+    // touchmove must be able to cancel the browser's own pull; the rest stay passive
+    element.addEventListener('touchstart', onTouchStart, { passive: true });
+    element.addEventListener('touchmove', onTouchMove, { passive: false });
+    element.addEventListener('touchend', onTouchEnd, { passive: true });
+    element.addEventListener('touchcancel', onTouchCancel, { passive: true });
+
+    return {
+        dispose() {
+            clearTimeout(settleTimer);
+            element.removeEventListener('touchstart', onTouchStart);
+            element.removeEventListener('touchmove', onTouchMove);
+            element.removeEventListener('touchend', onTouchEnd);
+            element.removeEventListener('touchcancel', onTouchCancel);
+        },
+    };
+}
+
+/**
+ * Overshoot shown for a distance pulled past the threshold: it starts at RUBBER_BAND_FACTOR
+ * of the movement and tails off towards the limit, the same curve iOS scroll views use
+ * @param {number} distance - px pulled past the threshold
+ * @param {number} limit - px the result approaches but never reaches
+ */
+function rubberBand(distance, limit) {
+    return (1 - 1 / (distance * RUBBER_BAND_FACTOR / limit + 1)) * limit;
+}
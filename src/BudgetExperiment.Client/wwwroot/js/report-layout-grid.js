@@ -1,3 +1,172 @@
+import { triggerHaptic } from './interaction-feedback.js';
+
+const LONG_PRESS_MS = 400;
+const TOUCH_SLOP_PX = 10;
+const AUTO_SCROLL_EDGE_PX = 48;
+const AUTO_SCROLL_MAX_SPEED = 18;
+const MARQUEE_CLICK_PX = 4;
+// How close, in grid cells, an edge must get to a neighbour's edge before it snaps to it
+const GUIDE_SNAP_CELLS = 0.75;
+
+const layoutsCollide = (a, b) => {
+    return a.x < b.x + b.w &&
+        b.x < a.x + a.w &&
+        a.y < b.y + b.h &&
+        b.y < a.y + a.h;
+};
+
+const copyLayouts = (layouts) => {
+    const copy = new Map();
+    layouts.forEach((layout, id) => copy.set(id, { ...layout }));
+    return copy;
+};
+
+const byReadingOrder = (a, b) => a.y - b.y || a.x - b.x;
+
+// Move every widget that overlaps the moved one to just below it, cascading downwards.
+// Pinned widgets are the ones being placed and never move.
+const pushCollisionsDown = (layouts, movedId, pinned) => {
+    const moved = layouts.get(movedId);
+    const others = [...layouts.entries()]
+        .filter(([id]) => id !== movedId && !pinned.has(id))
+        .sort(([, a], [, b]) => byReadingOrder(a, b));
+
+    for (const [id, layout] of others) {
+        if (layoutsCollide(moved, layout)) {
+            layout.y = moved.y + moved.h;
+            pushCollisionsDown(layouts, id, pinned);
+        }
+    }
+};
+
+// Float every widget up as far as it can go without overlapping the ones above it.
+// Overlaps left over from older saved layouts are pushed apart on the way.
+const compactLayouts = (layouts) => {
+    const placed = [];
+    const ordered = [...layouts.values()].sort(byReadingOrder);
+
+    for (const layout of ordered) {
+        let blockers = placed.filter(other => layoutsCollide(layout, other));
+        while (blockers.length > 0) {
+            layout.y = Math.max(...blockers.map(other => other.y + other.h));
+            blockers = placed.filter(other => layoutsCollide(layout, other));
+        }
+
+        while (layout.y > 1 && !placed.some(other => layoutsCollide({ ...layout, y: layout.y - 1 }, other))) {
+            layout.y -= 1;
+        }
+
+        placed.push(layout);
+    }
+};
+
+// Move widgets in a group down until none of them overlap each other, keeping
+// the earliest ones in reading order where they were put.
+const separateGroup = (proposed) => {
+    const placed = [];
+    for (const layout of [...proposed.values()].sort(byReadingOrder)) {
+        let blockers = placed.filter(other => layoutsCollide(layout, other));
+        while (blockers.length > 0) {
+            layout.y = Math.max(...blockers.map(other => other.y + other.h));
+            blockers = placed.filter(other => layoutsCollide(layout, other));
+        }
+
+        placed.push(layout);
+    }
+};
+
+/**
+ * Place several widgets at once and resolve the rest of the grid around them.
+ * @param {Map<string, {x:number,y:number,w:number,h:number}>} layouts - Current layouts by widget id
+ * @param {Map<string, {x:number,y:number,w:number,h:number}>} proposed - New positions of the widgets being placed
+ * @param {boolean} compact - Close vertical gaps after resolving collisions
+ * @returns {Map<string, {x:number,y:number,w:number,h:number}>} New layouts; the inputs are not modified
+ */
+export function resolveGroupLayout(layouts, proposed, compact) {
+    const result = copyLayouts(layouts);
+    proposed.forEach((layout, id) => result.set(id, { ...layout }));
+
+    const pinned = new Set(proposed.keys());
+    const ordered = [...pinned].sort((a, b) => byReadingOrder(result.get(a), result.get(b)));
+    const collidesWithPinned = (id) => {
+        const layout = result.get(id);
+        return ordered.some(pinnedId => layoutsCollide(result.get(pinnedId), layout));
+    };
+
+    // A widget pushed below one pinned widget can land on another, so repeat until settled
+    for (let pass = 0; pass <= result.size; pass++) {
+        ordered.forEach(id => pushCollisionsDown(result, id, pinned));
+        if (![...result.keys()].some(id => !pinned.has(id) && collidesWithPinned(id))) {
+            break;
+        }
+    }
+
+    if (compact) {
+        compactLayouts(result);
+    }
+
+    return result;
+}
+
+/**
+ * Place one widget at a proposed position and resolve the rest of the grid around it.
+ * @param {Map<string, {x:number,y:number,w:number,h:number}>} layouts - Current layouts by widget id
+ * @param {string} widgetId - The widget being moved or resized
+ * @param {{x:number,y:number,w:number,h:number}} proposed - Where the widget was dropped
+ * @param {boolean} compact - Close vertical gaps after resolving collisions
+ * @returns {Map<string, {x:number,y:number,w:number,h:number}>} New layouts; the input is not modified
+ */
+export function resolveLayout(layouts, widgetId, proposed, compact) {
+    return resolveGroupLayout(layouts, new Map([[widgetId, proposed]]), compact);
+}
+
+/**
+ * Compute new positions for an "align top", "match width" or "distribute" command.
+ * @param {string} command - 'align-top', 'match-width' or 'distribute'
+ * @param {Map<string, {x:number,y:number,w:number,h:number}>} selected - Layouts of the selected widgets
+ * @param {string|null} anchorId - The widget whose width 'match-width' copies
+ * @param {number} columns - Column count at the current breakpoint
+ * @param {(id: string) => {minW:number,maxW:number}} constraintsFor - Size limits per widget
+ * @returns {Map<string, {x:number,y:number,w:number,h:number}>} Proposed layouts for the selected widgets
+ */
+export function arrangeLayouts(command, selected, anchorId, columns, constraintsFor) {
+    const proposed = copyLayouts(selected);
+    const items = [...proposed.entries()];
+
+    if (command === 'align-top') {
+        const top = Math.min(...items.map(([, layout]) => layout.y));
+        items.forEach(([, layout]) => {
+            layout.y = top;
+        });
+    } else if (command === 'match-width') {
+        const anchor = proposed.get(anchorId) || items[0][1];
+        const width = anchor.w;
+        items.forEach(([id, layout]) => {
+            const constraints = constraintsFor(id);
+            layout.w = Math.max(constraints.minW, Math.min(width, constraints.maxW, columns));
+            layout.x = Math.max(1, Math.min(layout.x, columns - layout.w + 1));
+        });
+    } else if (command === 'distribute' && items.length > 2) {
+        // Keep the outermost widgets and spread the rest so the gaps between them are equal
+        const ordered = items.map(([, layout]) => layout).sort((a, b) => a.x - b.x || a.y - b.y);
+        const first = ordered[0];
+        const last = ordered[ordered.length - 1];
+        const span = last.x + last.w - first.x;
+        const free = Math.max(0, span - ordered.reduce((total, layout) => total + layout.w, 0));
+        const gap = Math.floor(free / (ordered.length - 1));
+        const extra = free % (ordered.length - 1);
+
+        let cursor = first.x;
+        ordered.forEach((layout, index) => {
+            layout.x = Math.max(1, Math.min(cursor, columns - layout.w + 1));
+            cursor += layout.w + gap + (index < extra ? 1 : 0);
+        });
+    }
+
+    separateGroup(proposed);
+    return proposed;
+}
+
 export function initializeGridLayout(gridElement, dotNetHelper, options) {
     if (!gridElement || !dotNetHelper) {
         return;
@@ -7,16 +176,27 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         gridElement,
         dotNetHelper,
         options: options || {},
+        breakpoint: null,
         active: null,
-        lastLayoutKey: null,
+        pending: null,
+        grab: null,
+        marquee: null,
+        placeholders: [],
+        guides: [],
+        resizeObserver: null,
         onPointerDown: null,
         onPointerMove: null,
         onPointerUp: null,
-        onKeyDown: null
+        onPointerCancel: null,
+        onTouchMove: null,
+        onContextMenu: null,
+        onKeyDown: null,
+        onFocusOut: null
     };
 
-    const getBreakpoint = () => {
-        const width = window.innerWidth || 0;
+    // Breakpoints follow the grid's own width, not the window's, so a canvas in a
+    // narrow panel lays out like it would on a narrow screen.
+    const breakpointForWidth = (width) => {
         if (width <= (state.options.breakpointSmMax || 720)) {
             return 'sm';
         }
@@ -26,6 +206,8 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         return 'lg';
     };
 
+    const getBreakpoint = () => state.breakpoint || 'lg';
+
     const readMetrics = () => {
         const styles = getComputedStyle(state.gridElement);
         const columns = parseInt(styles.getPropertyValue('--grid-columns'), 10) || 12;
@@ -56,6 +238,14 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         return breakpoint.charAt(0).toUpperCase() + breakpoint.slice(1).toLowerCase();
     };
 
+    const getWidgets = () => {
+        return Array.from(state.gridElement.querySelectorAll('.report-widget[data-widget-id]'));
+    };
+
+    const getSelectedWidgets = () => {
+        return getWidgets().filter(widget => widget.classList.contains('is-selected'));
+    };
+
     const readLayout = (widget, breakpoint) => {
         const prefix = toDatasetKey(breakpoint);
         const x = parseInt(widget.dataset[`colStart${prefix}`], 10) || 1;
@@ -66,6 +256,12 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         return { x, y, w, h };
     };
 
+    const readAllLayouts = (breakpoint) => {
+        const layouts = new Map();
+        getWidgets().forEach(widget => layouts.set(widget.dataset.widgetId, readLayout(widget, breakpoint)));
+        return layouts;
+    };
+
     const readConstraints = (widget) => {
         return {
             minW: parseInt(widget.dataset.minW, 10) || 1,
@@ -75,40 +271,141 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         };
     };
 
+    const findWidget = (widgetId) => {
+        return getWidgets().find(widget => widget.dataset.widgetId === widgetId) || null;
+    };
+
     const applyLayoutData = (widget, breakpoint, layout) => {
         const prefix = toDatasetKey(breakpoint);
         widget.dataset[`colStart${prefix}`] = layout.x;
         widget.dataset[`rowStart${prefix}`] = layout.y;
         widget.dataset[`colSpan${prefix}`] = layout.w;
         widget.dataset[`rowSpan${prefix}`] = layout.h;
+
+        // Move the widget now; .NET re-renders the same values once notified
+        widget.style.setProperty(`--grid-col-start-${breakpoint}`, layout.x);
+        widget.style.setProperty(`--grid-row-start-${breakpoint}`, layout.y);
+        widget.style.setProperty(`--grid-col-span-${breakpoint}`, layout.w);
+        widget.style.setProperty(`--grid-row-span-${breakpoint}`, layout.h);
+    };
+
+    const applyLayouts = (breakpoint, layouts, skipWidgets) => {
+        getWidgets().forEach(widget => {
+            const layout = layouts.get(widget.dataset.widgetId);
+            if (layout && !(skipWidgets && skipWidgets.includes(widget))) {
+                applyLayoutData(widget, breakpoint, layout);
+            }
+        });
+    };
+
+    const sameLayout = (a, b) => {
+        return !!a && !!b && a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
     };
 
-    const notifyLayout = (widgetId, breakpoint, layout) => {
-        const key = `${widgetId}-${breakpoint}-${layout.x}-${layout.y}-${layout.w}-${layout.h}`;
-        if (state.lastLayoutKey === key) {
+    // Send every widget whose position changed in a single call.
+    const notifyLayouts = (breakpoint, before, after) => {
+        const changes = [];
+        after.forEach((layout, widgetId) => {
+            if (!sameLayout(before.get(widgetId), layout)) {
+                changes.push({ widgetId, x: layout.x, y: layout.y, width: layout.w, height: layout.h });
+            }
+        });
+
+        if (changes.length === 0) {
             return;
         }
 
-        state.lastLayoutKey = key;
-        state.dotNetHelper.invokeMethodAsync(
-            'UpdateWidgetLayoutAsync',
-            widgetId,
-            breakpoint,
-            layout.x,
-            layout.y,
-            layout.w,
-            layout.h);
+        state.dotNetHelper.invokeMethodAsync('UpdateWidgetLayoutsAsync', breakpoint, changes);
+    };
+
+    const createOverlay = (className) => {
+        const element = document.createElement('div');
+        element.className = className;
+        element.setAttribute('aria-hidden', 'true');
+        state.gridElement.appendChild(element);
+        return element;
     };
 
-    const snapDrag = (start, delta, metrics, constraints) => {
+    const showPlaceholders = (layouts) => {
+        while (state.placeholders.length < layouts.length) {
+            state.placeholders.push(createOverlay('report-grid-placeholder'));
+        }
+
+        while (state.placeholders.length > layouts.length) {
+            state.placeholders.pop().remove();
+        }
+
+        layouts.forEach((layout, index) => {
+            state.placeholders[index].style.gridColumn = `${layout.x} / span ${layout.w}`;
+            state.placeholders[index].style.gridRow = `${layout.y} / span ${layout.h}`;
+        });
+    };
+
+    const hidePlaceholders = () => {
+        state.placeholders.forEach(element => element.remove());
+        state.placeholders = [];
+    };
+
+    // Draw a line on every grid line where the moving widget's edges meet a neighbour's edges.
+    const showGuides = (layout, neighbours, metrics) => {
+        hideGuides();
+
+        const columnLines = new Set();
+        const rowLines = new Set();
+        for (const other of neighbours) {
+            [layout.x, layout.x + layout.w]
+                .filter(line => line === other.x || line === other.x + other.w)
+                .forEach(line => columnLines.add(line));
+            [layout.y, layout.y + layout.h]
+                .filter(line => line === other.y || line === other.y + other.h)
+                .forEach(line => rowLines.add(line));
+        }
+
+        columnLines.forEach(line => {
+            const guide = createOverlay('report-grid-guide is-vertical');
+            guide.style.left = `${Math.max(0, (line - 1) * metrics.columnUnit - metrics.gap / 2)}px`;
+            state.guides.push(guide);
+        });
+
+        rowLines.forEach(line => {
+            const guide = createOverlay('report-grid-guide is-horizontal');
+            guide.style.top = `${Math.max(0, (line - 1) * metrics.rowUnit - metrics.gap / 2)}px`;
+            state.guides.push(guide);
+        });
+    };
+
+    const hideGuides = () => {
+        state.guides.forEach(element => element.remove());
+        state.guides = [];
+    };
+
+    // Round a fractional grid position, but prefer lining an edge up with a nearby
+    // neighbour's edge over the nearest grid line.
+    const snapToEdges = (raw, size, edges) => {
+        let best = Math.round(raw);
+        let bestDistance = GUIDE_SNAP_CELLS;
+        for (const edge of edges) {
+            for (const candidate of [edge, edge - size]) {
+                const distance = Math.abs(raw - candidate);
+                if (distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        return best;
+    };
+
+    const snapDrag = (start, delta, metrics, constraints, edges) => {
         const width = clamp(start.w, constraints.minW, Math.min(constraints.maxW, metrics.columns));
         const height = clamp(start.h, constraints.minH, constraints.maxH);
 
         const offsetX = start.left + delta.x;
         const offsetY = start.top + delta.y;
 
-        const x = clamp(Math.round(offsetX / metrics.columnUnit) + 1, 1, Math.max(1, metrics.columns - width + 1));
-        const y = Math.max(1, Math.round(offsetY / metrics.rowUnit) + 1);
+        const x = clamp(snapToEdges(offsetX / metrics.columnUnit + 1, width, edges.columns), 1, Math.max(1, metrics.columns - width + 1));
+        const y = Math.max(1, snapToEdges(offsetY / metrics.rowUnit + 1, height, edges.rows));
 
         return { x, y, w: width, h: height };
     };
@@ -133,17 +430,60 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
         return { x, y, w: width, h: height };
     };
 
-    const startInteraction = (event, widget, mode) => {
-        if (event.button !== 0) {
-            return;
+    // Shift a group by a whole number of cells without pushing any member off the grid.
+    const moveGroup = (members, dx, dy, columns) => {
+        const minX = Math.min(...members.map(member => member.layout.x));
+        const maxRight = Math.max(...members.map(member => member.layout.x + member.layout.w));
+        const minY = Math.min(...members.map(member => member.layout.y));
+        const clampedDx = clamp(dx, 1 - minX, columns + 1 - maxRight);
+        const clampedDy = Math.max(dy, 1 - minY);
+
+        const proposed = new Map();
+        members.forEach(member => proposed.set(member.id, {
+            ...member.layout,
+            x: member.layout.x + clampedDx,
+            y: member.layout.y + clampedDy
+        }));
+        return proposed;
+    };
+
+    const findScrollParent = (element) => {
+        for (let current = element.parentElement; current && current !== document.body; current = current.parentElement) {
+            const overflowY = getComputedStyle(current).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && current.scrollHeight > current.clientHeight) {
+                return current;
+            }
         }
 
+        return document.scrollingElement || document.documentElement;
+    };
+
+    const startInteraction = (point, widget, mode) => {
+        endGrab(false);
         const breakpoint = getBreakpoint();
         const metrics = readMetrics();
         const constraints = readConstraints(widget);
         const rect = widget.getBoundingClientRect();
         const gridRect = state.gridElement.getBoundingClientRect();
         const layout = readLayout(widget, breakpoint);
+        const startLayouts = readAllLayouts(breakpoint);
+        const scrollParent = findScrollParent(state.gridElement);
+
+        // Dragging a selected widget drags the whole selection with it
+        const selected = getSelectedWidgets();
+        const groupWidgets = mode === 'drag' && selected.length > 1 && selected.includes(widget)
+            ? selected
+            : [widget];
+        const group = groupWidgets.map(element => ({
+            id: element.dataset.widgetId,
+            element,
+            layout: startLayouts.get(element.dataset.widgetId)
+        }));
+
+        const groupIds = new Set(group.map(member => member.id));
+        const neighbours = [...startLayouts.entries()]
+            .filter(([id]) => !groupIds.has(id))
+            .map(([, other]) => other);
 
         state.active = {
             widget,
@@ -151,163 +491,620 @@ export function initializeGridLayout(gridElement, dotNetHelper, options) {
             breakpoint,
             metrics,
             constraints,
-            startX: event.clientX,
-            startY: event.clientY,
+            group,
+            neighbours,
+            edges: {
+                columns: neighbours.flatMap(other => [other.x, other.x + other.w]),
+                rows: neighbours.flatMap(other => [other.y, other.y + other.h])
+            },
+            scrollParent,
+            startScrollTop: scrollParent.scrollTop,
+            startX: point.clientX,
+            startY: point.clientY,
+            pointerX: point.clientX,
+            pointerY: point.clientY,
             startLayout: layout,
+            startLayouts,
+            currentLayouts: startLayouts,
             startLeft: rect.left - gridRect.left,
             startTop: rect.top - gridRect.top,
             startWidth: rect.width,
-            startHeight: rect.height
+            startHeight: rect.height,
+            scrollFrame: 0
         };
 
-        widget.classList.add('is-dragging');
+        groupWidgets.forEach(element => element.classList.add('is-dragging'));
         state.gridElement.classList.add('is-dragging');
-        event.preventDefault();
+        showPlaceholders(group.map(member => member.layout));
+        state.active.scrollFrame = requestAnimationFrame(autoScroll);
     };
 
-    const updateInteraction = (event) => {
-        if (!state.active) {
-            return;
-        }
-
+    const updateInteraction = () => {
+        const active = state.active;
+        // Content scrolled under the pointer counts as pointer movement
         const delta = {
-            x: event.clientX - state.active.startX,
-            y: event.clientY - state.active.startY
+            x: active.pointerX - active.startX,
+            y: active.pointerY - active.startY + active.scrollParent.scrollTop - active.startScrollTop
         };
 
-        let layout;
-        if (state.active.mode === 'resize') {
-            layout = snapResize(
+        const widgetId = active.widget.dataset.widgetId;
+        let proposed;
+        if (active.mode === 'resize') {
+            proposed = new Map([[widgetId, snapResize(
                 {
-                    x: state.active.startLayout.x,
-                    y: state.active.startLayout.y,
-                    width: state.active.startWidth,
-                    height: state.active.startHeight
+                    x: active.startLayout.x,
+                    y: active.startLayout.y,
+                    width: active.startWidth,
+                    height: active.startHeight
                 },
                 delta,
-                state.active.metrics,
-                state.active.constraints);
+                active.metrics,
+                active.constraints)]]);
         } else {
-            layout = snapDrag(
+            const snapped = snapDrag(
                 {
-                    x: state.active.startLayout.x,
-                    y: state.active.startLayout.y,
-                    w: state.active.startLayout.w,
-                    h: state.active.startLayout.h,
-                    left: state.active.startLeft,
-                    top: state.active.startTop
+                    x: active.startLayout.x,
+                    y: active.startLayout.y,
+                    w: active.startLayout.w,
+                    h: active.startLayout.h,
+                    left: active.startLeft,
+                    top: active.startTop
                 },
                 delta,
-                state.active.metrics,
-                state.active.constraints);
+                active.metrics,
+                active.constraints,
+                active.edges);
+
+            proposed = active.group.length > 1
+                ? moveGroup(active.group, snapped.x - active.startLayout.x, snapped.y - active.startLayout.y, active.metrics.columns)
+                : new Map([[widgetId, snapped]]);
+
+            // Dragged widgets follow the pointer; placeholders show where they will land
+            active.group.forEach(member => {
+                member.element.style.transform = `translate(${delta.x}px, ${delta.y}px)`;
+            });
         }
 
-        applyLayoutData(state.active.widget, state.active.breakpoint, layout);
-        notifyLayout(state.active.widget.dataset.widgetId, state.active.breakpoint, layout);
-        event.preventDefault();
+        active.currentLayouts = resolveGroupLayout(active.startLayouts, proposed, !!state.options.compact);
+
+        const moving = active.mode === 'drag' ? active.group.map(member => member.element) : null;
+        applyLayouts(active.breakpoint, active.currentLayouts, moving);
+        showPlaceholders(active.group.map(member => active.currentLayouts.get(member.id)));
+        showGuides(active.currentLayouts.get(widgetId), active.neighbours, active.metrics);
     };
 
-    const endInteraction = () => {
+    // Scroll while the pointer is held near the top or bottom of the viewport,
+    // faster the closer it gets to the edge.
+    const autoScroll = () => {
+        const active = state.active;
+        if (!active) {
+            return;
+        }
+
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        let speed = 0;
+        if (active.pointerY < AUTO_SCROLL_EDGE_PX) {
+            speed = -AUTO_SCROLL_MAX_SPEED * (1 - Math.max(0, active.pointerY) / AUTO_SCROLL_EDGE_PX);
+        } else if (active.pointerY > viewportHeight - AUTO_SCROLL_EDGE_PX) {
+            speed = AUTO_SCROLL_MAX_SPEED * (1 - Math.max(0, viewportHeight - active.pointerY) / AUTO_SCROLL_EDGE_PX);
+        }
+
+        if (speed !== 0) {
+            const before = active.scrollParent.scrollTop;
+            active.scrollParent.scrollTop = before + Math.round(speed);
+            if (active.scrollParent.scrollTop !== before) {
+                updateInteraction();
+            }
+        }
+
+        active.scrollFrame = requestAnimationFrame(autoScroll);
+    };
+
+    const finishInteraction = (commit) => {
         if (!state.active) {
             return;
         }
 
-        state.active.widget.classList.remove('is-dragging');
-        state.gridElement.classList.remove('is-dragging');
+        const active = state.active;
         state.active = null;
+
+        cancelAnimationFrame(active.scrollFrame);
+        active.group.forEach(member => {
+            member.element.style.transform = '';
+            member.element.classList.remove('is-dragging');
+        });
+        state.gridElement.classList.remove('is-dragging');
+        hidePlaceholders();
+        hideGuides();
+
+        if (commit) {
+            applyLayouts(active.breakpoint, active.currentLayouts, null);
+            notifyLayouts(active.breakpoint, active.startLayouts, active.currentLayouts);
+            if (!active.group.every(member => sameLayout(member.layout, active.currentLayouts.get(member.id)))) {
+                announceMove(active.mode === 'resize' ? 'Resized ' : 'Moved ', active.group, active.startLayouts, active.currentLayouts);
+            }
+        } else {
+            applyLayouts(active.breakpoint, active.startLayouts, null);
+        }
+    };
+
+    const cancelPendingPress = () => {
+        if (!state.pending) {
+            return;
+        }
+
+        clearTimeout(state.pending.timer);
+        state.pending.widget.classList.remove('is-pressing');
+        state.pending = null;
+    };
+
+    // Touch drags start after a long press so a quick swipe still scrolls the page.
+    const startLongPress = (event, widget) => {
+        cancelPendingPress();
+
+        const pending = {
+            widget,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastX: event.clientX,
+            lastY: event.clientY,
+            timer: 0
+        };
+
+        pending.timer = setTimeout(() => {
+            state.pending = null;
+            widget.classList.remove('is-pressing');
+            startInteraction({ clientX: pending.startX, clientY: pending.startY }, widget, 'drag');
+            state.active.pointerX = pending.lastX;
+            state.active.pointerY = pending.lastY;
+            triggerHaptic('light');
+        }, LONG_PRESS_MS);
+
+        widget.classList.add('is-pressing');
+        state.pending = pending;
+    };
+
+    // Drag on empty grid space to select every widget the rectangle touches.
+    const startMarquee = (event) => {
+        const gridRect = state.gridElement.getBoundingClientRect();
+        state.marquee = {
+            startX: event.clientX,
+            startY: event.clientY,
+            gridLeft: gridRect.left,
+            gridTop: gridRect.top,
+            additive: event.shiftKey || event.ctrlKey || event.metaKey,
+            element: createOverlay('report-grid-marquee'),
+            hits: []
+        };
+
+        updateMarquee(event);
+    };
+
+    const updateMarquee = (event) => {
+        const marquee = state.marquee;
+        const left = Math.min(marquee.startX, event.clientX);
+        const top = Math.min(marquee.startY, event.clientY);
+        const right = Math.max(marquee.startX, event.clientX);
+        const bottom = Math.max(marquee.startY, event.clientY);
+
+        marquee.element.style.left = `${left - marquee.gridLeft}px`;
+        marquee.element.style.top = `${top - marquee.gridTop}px`;
+        marquee.element.style.width = `${right - left}px`;
+        marquee.element.style.height = `${bottom - top}px`;
+        marquee.moved = right - left > MARQUEE_CLICK_PX || bottom - top > MARQUEE_CLICK_PX;
+
+        marquee.hits = getWidgets().filter(widget => {
+            const rect = widget.getBoundingClientRect();
+            return marquee.moved && rect.left < right && left < rect.right && rect.top < bottom && top < rect.bottom;
+        });
+
+        getWidgets().forEach(widget => widget.classList.toggle('is-marquee-hit', marquee.hits.includes(widget)));
+    };
+
+    const finishMarquee = (commit) => {
+        const marquee = state.marquee;
+        if (!marquee) {
+            return;
+        }
+
+        state.marquee = null;
+        marquee.element.remove();
+        getWidgets().forEach(widget => widget.classList.remove('is-marquee-hit'));
+
+        if (!commit) {
+            return;
+        }
+
+        // A click on empty space without dragging clears the selection
+        const breakpoint = getBreakpoint();
+        const ids = marquee.hits
+            .map(widget => ({ id: widget.dataset.widgetId, layout: readLayout(widget, breakpoint) }))
+            .sort((a, b) => byReadingOrder(a.layout, b.layout))
+            .map(hit => hit.id);
+
+        state.dotNetHelper.invokeMethodAsync('OnMarqueeSelection', ids, marquee.additive);
+    };
+
+    const updateBreakpoint = (width) => {
+        const breakpoint = breakpointForWidth(width);
+        if (breakpoint === state.breakpoint) {
+            return;
+        }
+
+        // Positions being dragged belong to the old breakpoint
+        cancelPendingPress();
+        finishInteraction(false);
+        finishMarquee(false);
+        endGrab(false);
+
+        state.breakpoint = breakpoint;
+        state.gridElement.dataset.breakpoint = breakpoint;
+        state.dotNetHelper.invokeMethodAsync('OnBreakpointChanged', breakpoint);
     };
 
     state.onPointerDown = (event) => {
+        if (event.button !== 0 || state.active || state.marquee) {
+            return;
+        }
+
         const header = event.target.closest('.report-widget-header');
         const resizeHandle = event.target.closest('.report-widget-resize-handle');
         const widget = event.target.closest('.report-widget');
 
         if (!widget) {
+            if (event.pointerType !== 'touch' && !event.target.closest('.report-canvas-empty')) {
+                startMarquee(event);
+                event.preventDefault();
+            }
             return;
         }
 
         if (resizeHandle) {
             startInteraction(event, widget, 'resize');
+            event.preventDefault();
             return;
         }
 
-        if (header) {
-            startInteraction(event, widget, 'drag');
+        // Modifier clicks toggle selection in .NET rather than starting a drag
+        if (!header || event.target.closest('.report-widget-action') || event.shiftKey || event.ctrlKey || event.metaKey) {
+            return;
         }
+
+        if (event.pointerType === 'touch') {
+            startLongPress(event, widget);
+            return;
+        }
+
+        startInteraction(event, widget, 'drag');
+        event.preventDefault();
     };
 
     state.onPointerMove = (event) => {
+        const pending = state.pending;
+        if (pending && event.pointerId === pending.pointerId) {
+            pending.lastX = event.clientX;
+            pending.lastY = event.clientY;
+            if (Math.hypot(event.clientX - pending.startX, event.clientY - pending.startY) > TOUCH_SLOP_PX) {
+                // The finger moved before the press completed: it's a scroll
+                cancelPendingPress();
+            }
+            return;
+        }
+
+        if (state.marquee) {
+            updateMarquee(event);
+            event.preventDefault();
+            return;
+        }
+
         if (!state.active) {
             return;
         }
 
-        updateInteraction(event);
+        state.active.pointerX = event.clientX;
+        state.active.pointerY = event.clientY;
+        updateInteraction();
+        event.preventDefault();
     };
 
     state.onPointerUp = () => {
-        endInteraction();
+        cancelPendingPress();
+        finishMarquee(true);
+        finishInteraction(true);
+    };
+
+    state.onPointerCancel = () => {
+        cancelPendingPress();
+        finishMarquee(false);
+        finishInteraction(false);
+    };
+
+    // Once a touch drag is under way, stop the browser from scrolling the page instead.
+    state.onTouchMove = (event) => {
+        if (state.active) {
+            event.preventDefault();
+        }
+    };
+
+    // Long-pressing a header would otherwise open the context menu on some devices.
+    state.onContextMenu = (event) => {
+        if (state.pending || state.active) {
+            event.preventDefault();
+        }
+    };
+
+    const describeWidget = (widget, layout) => {
+        const titleElement = widget.querySelector('.report-widget-title');
+        const title = titleElement ? titleElement.textContent.trim() : 'Report';
+        return `${title} widget, column ${layout.x} row ${layout.y}, ${layout.w} by ${layout.h}`;
+    };
+
+    const describeGroup = (group, layouts) => {
+        if (group.length === 1) {
+            return describeWidget(group[0].element, layouts.get(group[0].id));
+        }
+
+        const placed = group.map(member => layouts.get(member.id));
+        const x = Math.min(...placed.map(layout => layout.x));
+        const y = Math.min(...placed.map(layout => layout.y));
+        return `${group.length} widgets, top left at column ${x} row ${y}`;
     };
 
+    const countMovedOthers = (group, before, after) => {
+        const ids = new Set(group.map(member => member.id));
+        let count = 0;
+        after.forEach((layout, id) => {
+            if (!ids.has(id) && !sameLayout(before.get(id), layout)) {
+                count++;
+            }
+        });
+        return count;
+    };
+
+    // Write to the canvas's live region so screen readers hear where a widget went.
+    const announce = (message) => {
+        const region = state.gridElement.closest('.report-canvas')?.querySelector('.report-canvas-announcer');
+        if (!region) {
+            return;
+        }
+
+        // Clearing first makes a repeated message ("column 1 row 1" at an edge) read again
+        region.textContent = '';
+        requestAnimationFrame(() => {
+            region.textContent = message;
+        });
+    };
+
+    const announceMove = (prefix, group, before, after) => {
+        const others = countMovedOthers(group, before, after);
+        const suffix = others === 0 ? '' : others === 1 ? '. 1 other widget moved' : `. ${others} other widgets moved`;
+        announce(`${prefix}${describeGroup(group, after)}${suffix}.`);
+    };
+
+    const setGrabbed = (widget, grabbed) => {
+        widget.classList.toggle('is-grabbed', grabbed);
+        const header = widget.querySelector('.report-widget-header');
+        if (header) {
+            header.setAttribute('aria-pressed', grabbed ? 'true' : 'false');
+        }
+    };
+
+    const startGrab = (widget) => {
+        const breakpoint = getBreakpoint();
+        const startLayouts = readAllLayouts(breakpoint);
+        const selected = getSelectedWidgets();
+        const groupWidgets = selected.length > 1 && selected.includes(widget) ? selected : [widget];
+
+        state.grab = {
+            widget,
+            breakpoint,
+            group: groupWidgets.map(element => ({ id: element.dataset.widgetId, element })),
+            startLayouts,
+            currentLayouts: startLayouts
+        };
+
+        groupWidgets.forEach(element => setGrabbed(element, true));
+        announce(`Picked up ${describeGroup(state.grab.group, startLayouts)}. ` +
+            'Use the arrow keys to move, Shift and the arrow keys to resize, Space to drop, Escape to cancel.');
+    };
+
+    const moveGrab = (key, resize) => {
+        const grab = state.grab;
+        const metrics = readMetrics();
+        const step = {
+            ArrowRight: [1, 0],
+            ArrowLeft: [-1, 0],
+            ArrowDown: [0, 1],
+            ArrowUp: [0, -1]
+        }[key];
+
+        let proposed;
+        if (resize) {
+            proposed = new Map();
+            grab.group.forEach(member => {
+                const constraints = readConstraints(member.element);
+                const layout = grab.currentLayouts.get(member.id);
+                const w = clamp(layout.w + step[0], constraints.minW, Math.min(constraints.maxW, metrics.columns));
+                proposed.set(member.id, {
+                    x: clamp(layout.x, 1, Math.max(1, metrics.columns - w + 1)),
+                    y: layout.y,
+                    w,
+                    h: clamp(layout.h + step[1], constraints.minH, constraints.maxH)
+                });
+            });
+            separateGroup(proposed);
+        } else {
+            const members = grab.group.map(member => ({ id: member.id, layout: grab.currentLayouts.get(member.id) }));
+            proposed = moveGroup(members, step[0], step[1], metrics.columns);
+        }
+
+        grab.currentLayouts = resolveGroupLayout(grab.startLayouts, proposed, !!state.options.compact);
+        applyLayouts(grab.breakpoint, grab.currentLayouts, null);
+        announceMove('', grab.group, grab.startLayouts, grab.currentLayouts);
+    };
+
+    const endGrab = (commit) => {
+        const grab = state.grab;
+        if (!grab) {
+            return;
+        }
+
+        state.grab = null;
+        grab.group.forEach(member => setGrabbed(member.element, false));
+
+        if (commit) {
+            applyLayouts(grab.breakpoint, grab.currentLayouts, null);
+            notifyLayouts(grab.breakpoint, grab.startLayouts, grab.currentLayouts);
+            announceMove('Dropped ', grab.group, grab.startLayouts, grab.currentLayouts);
+        } else {
+            applyLayouts(grab.breakpoint, grab.startLayouts, null);
+            announce(`Move cancelled. ${describeGroup(grab.group, grab.startLayouts)}.`);
+        }
+    };
+
+    // Arrow keys only move a widget after it has been picked up with Space or Enter,
+    // so they keep working for normal page navigation otherwise.
     state.onKeyDown = (event) => {
         const header = event.target.closest('.report-widget-header');
         const widget = event.target.closest('.report-widget');
 
-        if (!header || !widget) {
+        if (!header || !widget || event.target !== header) {
             return;
         }
 
         const key = event.key;
-        if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
+        const grabbed = state.grab && state.grab.widget === widget;
+
+        if (key === ' ' || key === 'Enter') {
+            if (grabbed) {
+                endGrab(true);
+            } else {
+                endGrab(false);
+                startGrab(widget);
+            }
+            event.preventDefault();
             return;
         }
 
+        if (!grabbed) {
+            return;
+        }
+
+        if (key === 'Escape') {
+            endGrab(false);
+            event.preventDefault();
+            return;
+        }
+
+        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
+            moveGrab(key, event.shiftKey);
+            event.preventDefault();
+        }
+    };
+
+    // Leaving the widget mid-move puts it back where it was.
+    state.onFocusOut = (event) => {
+        if (state.grab && !state.grab.widget.contains(event.relatedTarget)) {
+            endGrab(false);
+        }
+    };
+
+    // Compact the current breakpoint immediately, e.g. when compaction is switched on.
+    state.compactNow = () => {
         const breakpoint = getBreakpoint();
-        const metrics = readMetrics();
-        const constraints = readConstraints(widget);
-        const current = readLayout(widget, breakpoint);
-        let layout = { ...current };
-        if (event.shiftKey) {
-            if (key === 'ArrowRight') {
-                layout.w += 1;
-            } else if (key === 'ArrowLeft') {
-                layout.w -= 1;
-            } else if (key === 'ArrowDown') {
-                layout.h += 1;
-            } else if (key === 'ArrowUp') {
-                layout.h -= 1;
-            }
-        } else {
-            if (key === 'ArrowRight') {
-                layout.x += 1;
-            } else if (key === 'ArrowLeft') {
-                layout.x -= 1;
-            } else if (key === 'ArrowDown') {
-                layout.y += 1;
-            } else if (key === 'ArrowUp') {
-                layout.y -= 1;
-            }
+        const before = readAllLayouts(breakpoint);
+        const after = copyLayouts(before);
+        compactLayouts(after);
+        applyLayouts(breakpoint, after, null);
+        notifyLayouts(breakpoint, before, after);
+    };
+
+    state.arrange = (command, widgetIds, anchorId) => {
+        endGrab(false);
+
+        const breakpoint = getBreakpoint();
+        const before = readAllLayouts(breakpoint);
+        const selected = new Map();
+        (widgetIds || []).filter(id => before.has(id)).forEach(id => selected.set(id, before.get(id)));
+        if (selected.size < 2) {
+            return;
         }
 
-        const snapped = {
-            x: clamp(layout.x, 1, Math.max(1, metrics.columns - layout.w + 1)),
-            y: Math.max(1, layout.y),
-            w: clamp(layout.w, constraints.minW, Math.min(constraints.maxW, metrics.columns)),
-            h: clamp(layout.h, constraints.minH, constraints.maxH)
+        const constraintsFor = (id) => {
+            const widget = findWidget(id);
+            return widget ? readConstraints(widget) : { minW: 1, maxW: 12 };
         };
 
-        applyLayoutData(widget, breakpoint, snapped);
-        notifyLayout(widget.dataset.widgetId, breakpoint, snapped);
-        event.preventDefault();
+        const proposed = arrangeLayouts(command, selected, anchorId, readMetrics().columns, constraintsFor);
+        const after = resolveGroupLayout(before, proposed, !!state.options.compact);
+        applyLayouts(breakpoint, after, null);
+        notifyLayouts(breakpoint, before, after);
+
+        const verb = {
+            'align-top': 'Aligned the tops of',
+            'match-width': 'Matched the width of',
+            distribute: 'Distributed'
+        }[command] || 'Arranged';
+        announce(`${verb} ${selected.size} widgets.`);
     };
 
     state.gridElement.addEventListener('pointerdown', state.onPointerDown);
     window.addEventListener('pointermove', state.onPointerMove);
     window.addEventListener('pointerup', state.onPointerUp);
+    window.addEventListener('pointercancel', state.onPointerCancel);
+    window.addEventListener('touchmove', state.onTouchMove, { passive: false });
+    state.gridElement.addEventListener('contextmenu', state.onContextMenu);
     state.gridElement.addEventListener('keydown', state.onKeyDown);
+    state.gridElement.addEventListener('focusout', state.onFocusOut);
+
+    updateBreakpoint(state.gridElement.getBoundingClientRect().width);
+    if (typeof ResizeObserver !== 'undefined') {
+        state.resizeObserver = new ResizeObserver(entries => {
+            const entry = entries[entries.length - 1];
+            updateBreakpoint(entry.contentRect.width);
+        });
+        state.resizeObserver.observe(state.gridElement);
+    }
 
     gridElement.__reportLayoutState = state;
 }
 
+/**
+ * Update grid options after initialization. Turning compaction on compacts the grid right away.
+ * @param {HTMLElement} gridElement - The grid passed to initializeGridLayout
+ * @param {{ compact?: boolean }} options - Options to merge into the current ones
+ */
+export function setGridOptions(gridElement, options) {
+    const state = gridElement && gridElement.__reportLayoutState;
+    if (!state) {
+        return;
+    }
+
+    const wasCompact = !!state.options.compact;
+    state.options = { ...state.options, ...options };
+
+    if (!wasCompact && state.options.compact) {
+        state.compactNow();
+    }
+}
+
+/**
+ * Align, resize or spread the selected widgets and report every moved widget to .NET in one batch.
+ * @param {HTMLElement} gridElement - The grid passed to initializeGridLayout
+ * @param {'align-top'|'match-width'|'distribute'} command - The arrangement to apply
+ * @param {string[]} widgetIds - The selected widgets
+ * @param {string|null} anchorId - The widget whose width 'match-width' copies
+ */
+export function arrangeSelection(gridElement, command, widgetIds, anchorId) {
+    const state = gridElement && gridElement.__reportLayoutState;
+    if (!state) {
+        return;
+    }
+
+    state.arrange(command, widgetIds, anchorId);
+}
+
 export function disposeGridLayout(gridElement) {
     if (!gridElement || !gridElement.__reportLayoutState) {
         return;
@@ -316,8 +1113,31 @@ export function disposeGridLayout(gridElement) {
     const state = gridElement.__reportLayoutState;
     state.gridElement.removeEventListener('pointerdown', state.onPointerDown);
     state.gridElement.removeEventListener('keydown', state.onKeyDown);
+    state.gridElement.removeEventListener('focusout', state.onFocusOut);
     window.removeEventListener('pointermove', state.onPointerMove);
     window.removeEventListener('pointerup', state.onPointerUp);
+    window.removeEventListener('pointercancel', state.onPointerCancel);
+    window.removeEventListener('touchmove', state.onTouchMove);
+    state.gridElement.removeEventListener('contextmenu', state.onContextMenu);
+
+    if (state.resizeObserver) {
+        state.resizeObserver.disconnect();
+    }
+
+    if (state.pending) {
+        clearTimeout(state.pending.timer);
+    }
+
+    if (state.active) {
+        cancelAnimationFrame(state.active.scrollFrame);
+    }
+
+    if (state.marquee) {
+        state.marquee.element.remove();
+    }
+
+    state.placeholders.forEach(element => element.remove());
+    state.guides.forEach(element => element.remove());
 
     delete gridElement.__reportLayoutState;
 }
@@ -0,0 +1,223 @@
+/**
+ * Report Print JavaScript Module
+ * Prints a ReportCanvas layout, or saves it as PDF from the browser's print dialog.
+ * The on-screen grid switches columns with the viewport, so widgets are cloned into a
+ * print-only flow instead: widgets whose rows overlap are kept together in a band laid
+ * out from their large-breakpoint positions, and no widget is split across pages.
+ * Budget Experiment - Reports
+ */
+
+const PRINT_ROOT_CLASS = 'report-print-root';
+const PAGE_STYLE_ID = 'report-print-page-style';
+const PRINTING_CLASS = 'report-printing';
+const APEX_CHART_SELECTOR = '.budget-radar, .budget-treemap';
+const CHART_SETTLE_MS = 400;
+const CHART_TIMEOUT_MS = 10000;
+
+/**
+ * Wait for chart widgets to render, build the print layout and open the print dialog.
+ * The print layout is removed again on afterprint.
+ * @param {HTMLElement} gridElement - The .report-canvas-grid element
+ * @param {{ title: string, dateRange: string|null, columns: number, rowHeight: number, gap: number }} options
+ * @returns {Promise<void>}
+ */
+export async function printReport(gridElement, options) {
+    if (!gridElement) {
+        return;
+    }
+
+    const settings = { title: 'Report', dateRange: null, columns: 12, rowHeight: 24, gap: 12, ...options };
+
+    await waitForCharts(gridElement);
+    cleanup();
+
+    const root = buildPrintLayout(gridElement, settings);
+    const previousTitle = document.title;
+
+    document.head.appendChild(createPageStyle(settings));
+    document.body.appendChild(root);
+    document.documentElement.classList.add(PRINTING_CLASS);
+    // Browsers suggest the document title as the PDF file name
+    document.title = [settings.title, settings.dateRange].filter(Boolean).join(' - ');
+
+    window.addEventListener('afterprint', () => {
+        document.title = previousTitle;
+        cleanup();
+    }, { once: true });
+
+    window.print();
+}
+
+function cleanup() {
+    document.documentElement.classList.remove(PRINTING_CLASS);
+    document.querySelectorAll(`.${PRINT_ROOT_CLASS}, #${PAGE_STYLE_ID}`).forEach(element => element.remove());
+}
+
+/**
+ * Resolve once every ApexCharts widget has drawn its SVG and stopped animating,
+ * or after a timeout so a broken chart can't block printing.
+ */
+function waitForCharts(container) {
+    const charts = Array.from(container.querySelectorAll(APEX_CHART_SELECTOR));
+    return Promise.all(charts.map(waitForChart));
+}
+
+function waitForChart(chart) {
+    return new Promise(resolve => {
+        let settleTimer = 0;
+
+        const finish = () => {
+            observer.disconnect();
+            clearTimeout(settleTimer);
+            clearTimeout(timeoutTimer);
+            resolve();
+        };
+
+        const check = () => {
+            clearTimeout(settleTimer);
+            if (isChartRendered(chart)) {
+                settleTimer = setTimeout(finish, CHART_SETTLE_MS);
+            }
+        };
+
+        const observer = new MutationObserver(check);
+        observer.observe(chart, { childList: true, subtree: true, attributes: true });
+        const timeoutTimer = setTimeout(finish, CHART_TIMEOUT_MS);
+        check();
+    });
+}
+
+function isChartRendered(chart) {
+    const svg = chart.querySelector('svg.apexcharts-svg');
+    return !!svg && svg.getBoundingClientRect().width > 0;
+}
+
+function buildPrintLayout(gridElement, settings) {
+    const root = document.createElement('div');
+    root.className = PRINT_ROOT_CLASS;
+    root.appendChild(buildHeader(settings));
+
+    const widgets = Array.from(gridElement.querySelectorAll('.report-widget'))
+        .map(element => ({ element, layout: readLayout(element, settings.columns) }));
+
+    for (const band of groupIntoBands(widgets)) {
+        root.appendChild(buildBand(band, settings));
+    }
+
+    return root;
+}
+
+function buildHeader(settings) {
+    const header = document.createElement('header');
+    header.className = 'report-print-header';
+
+    const title = document.createElement('h1');
+    title.textContent = settings.title;
+    header.appendChild(title);
+
+    if (settings.dateRange) {
+        const range = document.createElement('p');
+        range.className = 'report-print-range';
+        range.textContent = settings.dateRange;
+        header.appendChild(range);
+    }
+
+    return header;
+}
+
+function readLayout(widget, columns) {
+    const read = (key, fallback) => parseInt(widget.dataset[key], 10) || fallback;
+    const w = Math.min(read('colSpanLg', 1), columns);
+
+    return {
+        x: Math.min(read('colStartLg', 1), columns - w + 1),
+        y: read('rowStartLg', 1),
+        w,
+        h: read('rowSpanLg', 1)
+    };
+}
+
+/**
+ * Group widgets into bands of vertically overlapping rows. Empty rows between bands
+ * are dropped, and each band can move to the next page as a unit.
+ */
+function groupIntoBands(widgets) {
+    const sorted = [...widgets].sort((a, b) => a.layout.y - b.layout.y || a.layout.x - b.layout.x);
+    const bands = [];
+    let current = null;
+
+    for (const widget of sorted) {
+        const bottom = widget.layout.y + widget.layout.h;
+        if (current && widget.layout.y < current.bottom) {
+            current.items.push(widget);
+            current.bottom = Math.max(current.bottom, bottom);
+        } else {
+            current = { top: widget.layout.y, bottom, items: [widget] };
+            bands.push(current);
+        }
+    }
+
+    return bands;
+}
+
+function buildBand(band, settings) {
+    const section = document.createElement('section');
+    section.className = 'report-print-band';
+    section.style.gridTemplateColumns = `repeat(${settings.columns}, minmax(0, 1fr))`;
+    section.style.gridAutoRows = `${settings.rowHeight}px`;
+    section.style.gap = `${settings.gap}px`;
+    section.style.marginBottom = `${settings.gap}px`;
+
+    for (const { element, layout } of band.items) {
+        const clone = cloneWidget(element);
+        clone.style.gridColumn = `${layout.x} / span ${layout.w}`;
+        clone.style.gridRow = `${layout.y - band.top + 1} / span ${layout.h}`;
+        section.appendChild(clone);
+    }
+
+    return section;
+}
+
+function cloneWidget(element) {
+    const clone = element.cloneNode(true);
+    clone.removeAttribute('style');
+    clone.classList.remove('is-selected', 'is-dragging');
+    clone.classList.add('report-print-widget');
+    clone.querySelectorAll('.report-widget-actions, .report-widget-resize-handle').forEach(node => node.remove());
+    clone.querySelectorAll('[tabindex]').forEach(node => node.removeAttribute('tabindex'));
+
+    // cloneNode copies canvas elements but not their pixels
+    const sourceCanvases = element.querySelectorAll('canvas');
+    clone.querySelectorAll('canvas').forEach((canvas, index) => {
+        const source = sourceCanvases[index];
+        if (source && source.width > 0 && source.height > 0) {
+            canvas.getContext('2d').drawImage(source, 0, 0);
+        }
+    });
+
+    return clone;
+}
+
+/**
+ * Page margins with a running title and page numbers. Margin boxes are ignored by
+ * browsers that don't support them; the layout itself still prints.
+ */
+function createPageStyle(settings) {
+    const running = [settings.title, settings.dateRange].filter(Boolean).join(' · ');
+    const style = document.createElement('style');
+    style.id = PAGE_STYLE_ID;
+    style.textContent = `
+@page {
+    margin: 16mm 12mm;
+    @top-left { content: ${toCssString(running)}; font-size: 9pt; color: #6b7280; }
+    @bottom-right { content: "Page " counter(page) " of " counter(pages); font-size: 9pt; color: #6b7280; }
+}
+@page :first {
+    @top-left { content: none; }
+}`;
+    return style;
+}
+
+function toCssString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+}
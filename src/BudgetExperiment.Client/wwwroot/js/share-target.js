@@ -0,0 +1,66 @@
+/**
+ * Share Target JavaScript Module
+ * Reads a file that another app shared into Budget Experiment. The published service
+ * worker receives the share POST and stores the file in IndexedDB before opening /import.
+ * Budget Experiment - Import
+ */
+
+const DB_NAME = 'budget-experiment-share-target';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+const FILE_KEY = 'pending';
+
+/**
+ * Open (and create if needed) the share target database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                request.result.createObjectStore(STORE_NAME);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read and remove the pending shared file, so it is only imported once.
+ * Files over the upload limit arrive without content; their size is still reported.
+ * @returns {Promise<{name: string, contentType: string, size: number, content: Uint8Array}|null>}
+ */
+export async function takeSharedFile() {
+    if (!('indexedDB' in window)) {
+        return null;
+    }
+
+    const db = await openDatabase();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(FILE_KEY);
+            store.delete(FILE_KEY);
+
+            transaction.oncomplete = () => {
+                const record = request.result;
+                resolve(record
+                    ? {
+                        name: record.name,
+                        contentType: record.contentType,
+                        size: record.size ?? record.content.byteLength,
+                        content: record.content ? new Uint8Array(record.content) : new Uint8Array(0)
+                    }
+                    : null);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
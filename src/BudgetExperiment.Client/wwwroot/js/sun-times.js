@@ -0,0 +1,75 @@
+/**
+ * Sun Times JavaScript Module
+ * Computes local sunrise and sunset offline from a latitude and longitude, using the
+ * low-precision solar position formulas from Meeus' Astronomical Algorithms. Accurate to
+ * about a minute away from the poles, which is plenty for switching themes.
+ * Budget Experiment
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+
+// Sun's upper limb touching the horizon, allowing for refraction
+const SUNRISE_ALTITUDE = RAD * -0.833;
+
+/**
+ * Gets sunrise and sunset for the local calendar day containing a date.
+ * @param {Date} date - Any time on the day.
+ * @param {number} latitude - Degrees north.
+ * @param {number} longitude - Degrees east.
+ * @returns {{ sunrise: Date|null, sunset: Date|null, polar: 'day'|'night'|null }}
+ *   sunrise and sunset are null when the sun doesn't cross the horizon that day;
+ *   polar then says whether it stays up or down.
+ */
+export function getSunTimes(date, latitude, longitude) {
+    // Local noon keeps the result on the caller's calendar day
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+    const lw = RAD * -longitude;
+    const phi = RAD * latitude;
+    const days = toJulian(noon) - J2000;
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+
+    const approxNoon = approxTransit(0, lw, cycle);
+    const anomaly = RAD * (357.5291 + 0.98560028 * approxNoon);
+    const eclipticLongitude = anomaly
+        + RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly))
+        + RAD * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude));
+    const solarNoon = solarTransit(approxNoon, anomaly, eclipticLongitude);
+
+    const cosHourAngle = (Math.sin(SUNRISE_ALTITUDE) - Math.sin(phi) * Math.sin(declination))
+        / (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle > 1) {
+        return { sunrise: null, sunset: null, polar: 'night' };
+    }
+    if (cosHourAngle < -1) {
+        return { sunrise: null, sunset: null, polar: 'day' };
+    }
+
+    const hourAngle = Math.acos(cosHourAngle);
+    const sunset = solarTransit(approxTransit(hourAngle, lw, cycle), anomaly, eclipticLongitude);
+    const sunrise = solarNoon - (sunset - solarNoon);
+
+    return { sunrise: fromJulian(sunrise), sunset: fromJulian(sunset), polar: null };
+}
+
+function toJulian(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970;
+}
+
+function fromJulian(julian) {
+    return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function approxTransit(hourAngle, lw, cycle) {
+    return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+}
+
+function solarTransit(approx, anomaly, eclipticLongitude) {
+    return J2000 + approx + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+}
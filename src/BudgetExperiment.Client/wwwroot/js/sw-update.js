@@ -0,0 +1,127 @@
+/**
+ * Service Worker Update JavaScript Module
+ * Detects when a new build has been installed behind the running one and
+ * performs the skip-waiting and reload handshake once the user accepts it.
+ * Budget Experiment - Offline Support
+ */
+
+const SKIP_WAITING_MESSAGE = 'sw-update:skip-waiting';
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let isReloading = false;
+
+/**
+ * Notify .NET that an update is waiting.
+ * @param {object} dotNetRef - Blazor .NET object reference
+ */
+function notifyUpdateAvailable(dotNetRef) {
+    try {
+        dotNetRef.invokeMethodAsync('OnUpdateAvailable');
+    } catch {
+        // DotNet reference may be disposed
+    }
+}
+
+/**
+ * Watch the service worker registration for a new build.
+ * The first install is not an update: there is no controller yet, so nothing is reported.
+ * @param {object} dotNetRef - Blazor .NET object reference for callbacks
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function subscribe(dotNetRef) {
+    if (!('serviceWorker' in navigator)) {
+        return { dispose() { } };
+    }
+
+    let registration = null;
+    let intervalId = null;
+    let disposed = false;
+    const hadController = !!navigator.serviceWorker.controller;
+
+    function onStateChange(e) {
+        if (e.target.state === 'installed' && navigator.serviceWorker.controller) {
+            notifyUpdateAvailable(dotNetRef);
+        }
+    }
+
+    function onUpdateFound() {
+        const worker = registration.installing;
+        if (worker) {
+            worker.addEventListener('statechange', onStateChange);
+        }
+    }
+
+    function checkForUpdate() {
+        if (registration) {
+            registration.update().catch(() => { });
+        }
+    }
+
+    // Another tab accepted the update: this tab still runs the old build, so offer a reload
+    function onControllerChange() {
+        if (hadController && !isReloading) {
+            notifyUpdateAvailable(dotNetRef);
+        }
+    }
+
+    // Long-lived tabs would otherwise only see a new build after a navigation
+    function onVisibilityChange() {
+        if (document.visibilityState === 'visible') {
+            checkForUpdate();
+        }
+    }
+
+    navigator.serviceWorker.ready.then(reg => {
+        if (disposed) return;
+
+        registration = reg;
+        registration.addEventListener('updatefound', onUpdateFound);
+        navigator.serviceWorker.addEventListener('controllerchange', onControllerChange);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        intervalId = setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+
+        // A build may already have finished installing before Blazor started
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            notifyUpdateAvailable(dotNetRef);
+        }
+    });
+
+    return {
+        dispose() {
+            disposed = true;
+            if (registration) {
+                registration.removeEventListener('updatefound', onUpdateFound);
+            }
+            navigator.serviceWorker.removeEventListener('controllerchange', onControllerChange);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            if (intervalId) {
+                clearInterval(intervalId);
+            }
+        },
+    };
+}
+
+/**
+ * Activate the waiting service worker and reload once it has taken control.
+ * Reloads straight away if no worker is waiting (e.g. another tab already activated it).
+ * @returns {Promise<void>}
+ */
+export async function applyUpdate() {
+    const registration = 'serviceWorker' in navigator
+        ? await navigator.serviceWorker.getRegistration()
+        : null;
+    const waiting = registration ? registration.waiting : null;
+
+    if (!waiting) {
+        window.location.reload();
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isReloading) return;
+        isReloading = true;
+        window.location.reload();
+    });
+
+    waiting.postMessage({ type: SKIP_WAITING_MESSAGE });
+}
@@ -0,0 +1,253 @@
+/**
+ * Swipe Actions JavaScript Module
+ * Swiping a table row left slides its cells aside to reveal the action buttons behind them.
+ * Swiping on past most of the row's width and letting go commits the primary action. Only
+ * one row is open at a time, and a tap anywhere outside the buttons closes it again.
+ * The buttons are rendered and handled by .NET (SwipeRow.razor); the touch tracking is swipe.js's.
+ * Budget Experiment - Mobile Experience Feature
+ */
+
+import { trackHorizontalSwipe } from './swipe.js';
+import { getMotionDuration, triggerHaptic } from './interaction-feedback.js';
+
+// Fraction of the row's width a swipe must cover to commit the primary action
+const FULL_SWIPE_RATIO = 0.6;
+// A flick faster than this (px/ms) opens or closes the row however far it went
+const FLICK_VELOCITY = 0.4;
+// Movement past where the row can go is scaled down by this much
+const RESISTANCE = 0.25;
+const SETTLE_MS = 200;
+
+// The row that is open now, so opening another can close it
+let openRow = null;
+
+/**
+ * Initialize swipe-to-reveal actions on a table row.
+ * The row's state is kept in its data-swipe-state attribute (dragging, armed, open, closing or
+ * committing), which .NET never renders, so a re-render can't wipe it; swipe-row.css reads it.
+ * @param {HTMLTableRowElement} rowElement - The row whose cells slide
+ * @param {HTMLElement} trayElement - The action buttons the cells uncover
+ * @param {object} dotNetRef - .NET object reference with OnSwipeOpenChanged(bool) and
+ *   OnSwipeCommitted() methods
+ * @param {object} options - Configuration options
+ * @returns {object} Object with setOpen(open) and dispose() methods
+ */
+export function initSwipeActions(rowElement, trayElement, dotNetRef, options = {}) {
+    const config = {
+        fullSwipe: options.fullSwipe !== false,         // Whether a full swipe commits the primary action
+    };
+
+    let isOpen = false;
+    let isDragging = false;
+    let isArmed = false;
+    let isCommitting = false;
+    let startOffset = 0;
+    let offset = 0;
+    // Measured when a drag starts; the tray stretches across the row once a full swipe is armed
+    let trayWidth = 0;
+    let settleTimer = 0;
+
+    const row = {
+        close() {
+            setOpen(false, true);
+        },
+    };
+
+    const tracker = trackHorizontalSwipe(rowElement, {
+        onStart() {
+            if (openRow && openRow !== row) {
+                openRow.close();
+            }
+        },
+
+        onMove(deltaX) {
+            if (isCommitting) return;
+
+            if (!isDragging) {
+                isDragging = true;
+                trayWidth = trayElement.offsetWidth;
+                startOffset = isOpen ? -trayWidth : 0;
+                clearTimeout(settleTimer);
+                setState('dragging');
+            }
+
+            showOffset(getOffset(startOffset + deltaX));
+
+            const isPastCommit = config.fullSwipe && -offset >= getCommitDistance();
+            if (isPastCommit !== isArmed) {
+                isArmed = isPastCommit;
+                setState(isArmed ? 'armed' : 'dragging');
+                triggerHaptic(isArmed ? 'medium' : 'selection');
+            }
+        },
+
+        onEnd({ deltaX, elapsed }) {
+            if (!isDragging) return;
+
+            isDragging = false;
+            if (isArmed) {
+                commit();
+                return;
+            }
+
+            const velocity = deltaX / elapsed;
+            const shouldOpen = velocity < -FLICK_VELOCITY
+                || (velocity <= FLICK_VELOCITY && -offset > trayWidth / 2);
+            setOpen(shouldOpen, true);
+        },
+
+        onAbandon() {
+            if (!isDragging) return;
+
+            isDragging = false;
+            setOpen(isOpen, false);
+        },
+    });
+
+    /**
+     * Open or close the row; the cells settle at the tray's width or back at zero.
+     * @param {boolean} open
+     * @param {boolean} notify - Whether .NET needs telling (it doesn't when it asked)
+     */
+    function setOpen(open, notify) {
+        isArmed = false;
+        rowElement.style.removeProperty('--swipe-offset');
+        offset = open ? -trayWidth : 0;
+        settle(open ? 'open' : 'closing');
+
+        if (open) {
+            if (openRow && openRow !== row) {
+                openRow.close();
+            }
+
+            openRow = row;
+            document.addEventListener('click', onDocumentClick, true);
+        } else {
+            if (openRow === row) {
+                openRow = null;
+            }
+
+            document.removeEventListener('click', onDocumentClick, true);
+        }
+
+        if (open !== isOpen) {
+            isOpen = open;
+            if (notify) {
+                invokeDotNet('OnSwipeOpenChanged', open);
+            }
+        }
+    }
+
+    /**
+     * Slide the cells the rest of the way out and have .NET carry out the primary action.
+     */
+    async function commit() {
+        isCommitting = true;
+        isArmed = false;
+        setState('committing');
+        showOffset(-rowElement.offsetWidth);
+        triggerHaptic('success');
+
+        await invokeDotNet('OnSwipeCommitted');
+
+        isCommitting = false;
+        isOpen = false;
+        if (openRow === row) {
+            openRow = null;
+        }
+
+        document.removeEventListener('click', onDocumentClick, true);
+        rowElement.style.removeProperty('--swipe-offset');
+        offset = 0;
+        settle('closing');
+    }
+
+    /**
+     * A tap while the row is open closes it, unless it was on one of the actions.
+     * A tap on the open row itself only closes it, so it can't also edit a cell.
+     * @param {MouseEvent} e
+     */
+    function onDocumentClick(e) {
+        if (trayElement.contains(e.target)) return;
+
+        if (rowElement.contains(e.target)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        setOpen(false, true);
+    }
+
+    /**
+     * Where the cells go for a finger position: never right of closed, and no further left
+     * than the tray's width unless a full swipe can commit, all with resistance past the end.
+     * @param {number} x - Unrestricted offset in px (negative is left)
+     */
+    function getOffset(x) {
+        if (x > 0) return x * RESISTANCE;
+
+        const limit = config.fullSwipe ? rowElement.offsetWidth : trayWidth;
+        if (-x <= limit) return x;
+
+        return -(limit + (-x - limit) * RESISTANCE);
+    }
+
+    function getCommitDistance() {
+        // Always well past the tray, so a row narrower than expected still reveals it first
+        return Math.max(rowElement.offsetWidth * FULL_SWIPE_RATIO, trayWidth + 48);
+    }
+
+    function showOffset(px) {
+        offset = px;
+        rowElement.style.setProperty('--swipe-offset', `${px}px`);
+    }
+
+    function setState(state) {
+        if (state) {
+            rowElement.dataset.swipeState = state;
+        } else {
+            delete rowElement.dataset.swipeState;
+        }
+    }
+
+    /**
+     * Let the cells animate to where the row's classes put them, and forget the state once a
+     * closing row has got there.
+     * @param {string} state - 'open' or 'closing'
+     */
+    function settle(state) {
+        setState(state);
+        clearTimeout(settleTimer);
+
+        if (state === 'closing') {
+            settleTimer = setTimeout(() => setState(null), getMotionDuration(SETTLE_MS) + 10);
+        }
+    }
+
+    function invokeDotNet(method, ...args) {
+        return dotNetRef.invokeMethodAsync(method, ...args).catch(() => {
+            // DotNet reference may be disposed
+        });
+    }
+
+    return {
+        /**
+         * Open or close the row from .NET (the keyboard and screen reader route).
+         * @param {boolean} open
+         */
+        setOpen(open) {
+            if (isCommitting || open === isOpen) return;
+
+            setOpen(open, false);
+        },
+
+        dispose() {
+            tracker.dispose();
+            clearTimeout(settleTimer);
+            document.removeEventListener('click', onDocumentClick, true);
+            if (openRow === row) {
+                openRow = null;
+            }
+        },
+    };
+}
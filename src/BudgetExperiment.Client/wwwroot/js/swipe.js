@@ -1,10 +1,31 @@
 /**
  * Swipe Detection JavaScript Module
- * Handles horizontal swipe gestures for navigation (e.g., month switching).
+ * Handles navigation gestures (e.g., month switching): a finger swipe, a mouse or pen drag,
+ * a horizontal trackpad or mouse-wheel scroll, and PageUp/PageDown or Alt+Arrow while focus is
+ * inside the container. Every one of them ends in the same OnSwipeLeft/OnSwipeRight call.
  * Uses touch events with passive listeners for optimal scroll performance.
+ * The touch tracking is exported for other horizontal gestures (see swipe-actions.js).
  * Budget Experiment - Mobile Experience Feature
  */
 
+import { getMotionDuration, isMotionReduced } from './interaction-feedback.js';
+
+const SPRING_BACK_MS = 200;
+// Movement before a gesture counts as a horizontal swipe or a vertical scroll
+const DIRECTION_SLOP_PX = 10;
+// One navigation per gesture, even when a pen or stylus also sends touch events
+const GESTURE_COOLDOWN_MS = 300;
+// Horizontal wheel travel that navigates
+const WHEEL_THRESHOLD_PX = 100;
+// A pause this long between wheel events ends the gesture
+const WHEEL_IDLE_MS = 150;
+// After navigating, a wheel delta this much bigger than the one before is a new flick, not momentum
+const WHEEL_RESTART_RATIO = 1.5;
+const WHEEL_RESTART_MIN_PX = 8;
+const WHEEL_LINE_PX = 16;
+// Where a press is left alone: form fields, and items the calendar drag layer moves
+const IGNORED_PRESS_TARGETS = 'input, textarea, select, [contenteditable], [data-drag-item]';
+
 /**
  * Initialize swipe detection on an element.
  * @param {HTMLElement} element - The container element to detect swipes on
@@ -17,131 +38,261 @@ export function initSwipeDetection(element, dotNetRef, options = {}) {
         threshold: options.threshold || 50,       // Minimum horizontal distance (px)
         maxTime: options.maxTime || 500,           // Maximum swipe duration (ms)
         velocityThreshold: options.velocityThreshold || 0.3, // px/ms - fast swipes bypass threshold
+        wheelThreshold: options.wheelThreshold || WHEEL_THRESHOLD_PX, // Horizontal wheel travel (px)
     };
 
-    let startX = 0;
-    let startY = 0;
-    let startTime = 0;
-    let tracking = false;
-    let swiping = false;
+    let lastGestureAt = -Infinity;
+    const wheel = {
+        accumX: 0,
+        accumY: 0,
+        lastTime: -Infinity,
+        lastAbsX: 0,
+        // Set once the gesture has navigated; the rest of it, momentum included, is swallowed
+        locked: false,
+    };
+
+    const swipeHandlers = {
+        // Apply subtle parallax during horizontal swipe; skipped when motion is reduced
+        onMove(deltaX) {
+            if (isMotionReduced()) return;
+
+            const dampedX = deltaX * 0.3; // Dampen movement for subtle effect
+            requestAnimationFrame(() => {
+                element.style.transform = `translateX(${dampedX}px)`;
+                element.style.transition = 'none';
+            });
+        },
+
+        // Evaluate if the swipe meets the threshold
+        onEnd({ deltaX, deltaY, elapsed }) {
+            const velocity = Math.abs(deltaX) / elapsed;
+
+            // Reset visual feedback with smooth transition
+            resetTransform(element);
+
+            // Determine if this qualifies as a horizontal swipe:
+            // 1. Horizontal distance exceeds threshold (or velocity is high enough)
+            // 2. Horizontal movement > vertical movement
+            // 3. Completed within max time
+            const meetsThreshold = Math.abs(deltaX) > config.threshold || velocity > config.velocityThreshold;
+            const isHorizontal = Math.abs(deltaX) > Math.abs(deltaY);
+            const inTime = elapsed < config.maxTime;
+
+            if (meetsThreshold && isHorizontal && inTime) {
+                navigate(deltaX > 0 ? 'OnSwipeRight' : 'OnSwipeLeft', true);
+            }
+        },
+
+        onAbandon() {
+            resetTransform(element);
+        },
+    };
+
+    const touchTracker = trackHorizontalSwipe(element, swipeHandlers);
+    const pointerTracker = trackPointerSwipe(element, swipeHandlers, isOtherGestureActive);
 
     /**
-     * Handle touchstart — record starting position.
-     * @param {TouchEvent} e
+     * Handle wheel — add up horizontal scrolling until it is far enough to navigate, once per
+     * gesture. Vertical scrolling, pinch zoom and content that can still scroll sideways are
+     * left to the browser.
+     * @param {WheelEvent} e
      */
-    function onTouchStart(e) {
-        // Ignore multi-touch
-        if (e.touches.length > 1) {
-            tracking = false;
-            return;
+    function onWheel(e) {
+        if (e.ctrlKey || isOtherGestureActive()) return;
+
+        const scale = e.deltaMode === 1 ? WHEEL_LINE_PX : e.deltaMode === 2 ? element.clientWidth : 1;
+        const deltaX = e.deltaX * scale;
+        const deltaY = e.deltaY * scale;
+        const now = e.timeStamp || performance.now();
+
+        if (now - wheel.lastTime > WHEEL_IDLE_MS) {
+            resetWheel();
         }
+        wheel.lastTime = now;
 
-        startX = e.touches[0].clientX;
-        startY = e.touches[0].clientY;
-        startTime = Date.now();
-        tracking = true;
-        swiping = false;
-    }
+        if (wheel.locked) {
+            // Momentum only ever slows down; a sudden jump is the next flick starting
+            const absX = Math.abs(deltaX);
+            const restarted = absX >= WHEEL_RESTART_MIN_PX && absX > wheel.lastAbsX * WHEEL_RESTART_RATIO;
+            wheel.lastAbsX = absX;
+            if (!restarted) {
+                if (e.cancelable && Math.abs(deltaX) >= Math.abs(deltaY)) {
+                    e.preventDefault();
+                }
+                return;
+            }
 
-    /**
-     * Handle touchmove — apply visual feedback if swiping horizontally.
-     * @param {TouchEvent} e
-     */
-    function onTouchMove(e) {
-        if (!tracking) return;
+            resetWheel();
+        }
 
-        const currentX = e.touches[0].clientX;
-        const currentY = e.touches[0].clientY;
-        const deltaX = currentX - startX;
-        const deltaY = currentY - startY;
+        wheel.lastAbsX = Math.abs(deltaX);
 
-        // If vertical movement dominates early, stop tracking (user is scrolling)
-        if (!swiping && Math.abs(deltaY) > Math.abs(deltaX) && Math.abs(deltaY) > 10) {
-            tracking = false;
-            resetTransform(element);
+        if (deltaX !== 0 && Math.sign(deltaX) !== Math.sign(wheel.accumX)) {
+            wheel.accumX = 0;
+        }
+        wheel.accumX += deltaX;
+        wheel.accumY += deltaY;
+
+        if (Math.abs(wheel.accumX) <= Math.abs(wheel.accumY)) return;
+
+        if (canScrollHorizontally(e.target, element, deltaX)) {
+            resetWheel();
             return;
         }
 
-        // If horizontal dominates, mark as swiping for visual feedback
-        if (Math.abs(deltaX) > 10 && Math.abs(deltaX) > Math.abs(deltaY)) {
-            swiping = true;
+        // Keep the browser from treating the scroll as a back/forward swipe
+        if (e.cancelable) {
+            e.preventDefault();
         }
 
-        // Apply subtle parallax during horizontal swipe
-        if (swiping) {
-            const dampedX = deltaX * 0.3; // Dampen movement for subtle effect
-            requestAnimationFrame(() => {
-                element.style.transform = `translateX(${dampedX}px)`;
-                element.style.transition = 'none';
-            });
+        if (Math.abs(wheel.accumX) >= config.wheelThreshold) {
+            // Scrolling right brings in what's to the right, like swiping left
+            navigate(wheel.accumX > 0 ? 'OnSwipeLeft' : 'OnSwipeRight', true);
+            wheel.locked = true;
         }
     }
 
+    function resetWheel() {
+        wheel.accumX = 0;
+        wheel.accumY = 0;
+        wheel.lastAbsX = 0;
+        wheel.locked = false;
+    }
+
     /**
-     * Handle touchend — evaluate if swipe meets threshold.
-     * @param {TouchEvent} e
+     * Handle keydown — PageDown and Alt+ArrowRight go forward, PageUp and Alt+ArrowLeft back.
+     * Held keys don't repeat, and typing in a field is left alone.
+     * @param {KeyboardEvent} e
      */
-    function onTouchEnd(e) {
-        if (!tracking) {
-            resetTransform(element);
-            return;
+    function onKeyDown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        if (isOtherGestureActive() || e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+        const keys = e.altKey
+            ? { ArrowRight: 'OnSwipeLeft', ArrowLeft: 'OnSwipeRight' }
+            : { PageDown: 'OnSwipeLeft', PageUp: 'OnSwipeRight' };
+        const method = keys[e.key];
+        if (!method) return;
+
+        // Alt+ArrowLeft would otherwise go back in the browser's history
+        e.preventDefault();
+        if (!e.repeat) {
+            navigate(method, false);
         }
+    }
 
-        tracking = false;
-
-        const endX = e.changedTouches[0].clientX;
-        const endY = e.changedTouches[0].clientY;
-        const deltaX = endX - startX;
-        const deltaY = endY - startY;
-        const elapsed = Date.now() - startTime;
-        const velocity = Math.abs(deltaX) / elapsed;
-
-        // Reset visual feedback with smooth transition
-        resetTransform(element);
-
-        // Determine if this qualifies as a horizontal swipe:
-        // 1. Horizontal distance exceeds threshold (or velocity is high enough)
-        // 2. Horizontal movement > vertical movement
-        // 3. Completed within max time
-        const meetsThreshold = Math.abs(deltaX) > config.threshold || velocity > config.velocityThreshold;
-        const isHorizontal = Math.abs(deltaX) > Math.abs(deltaY);
-        const inTime = elapsed < config.maxTime;
-
-        if (meetsThreshold && isHorizontal && inTime) {
-            const direction = deltaX > 0 ? 'OnSwipeRight' : 'OnSwipeLeft';
-            try {
-                dotNetRef.invokeMethodAsync(direction);
-            } catch {
-                // DotNet reference may be disposed
-            }
+    /**
+     * Call .NET; a swipe, drag or wheel gesture navigates at most once in quick succession.
+     * @param {string} method - OnSwipeLeft or OnSwipeRight
+     * @param {boolean} isGesture - False for a key press
+     */
+    function navigate(method, isGesture) {
+        if (isGesture) {
+            const now = Date.now();
+            if (now - lastGestureAt < GESTURE_COOLDOWN_MS) return;
+            lastGestureAt = now;
+        }
+
+        try {
+            dotNetRef.invokeMethodAsync(method);
+        } catch {
+            // DotNet reference may be disposed
         }
     }
 
     /**
-     * Handle touchcancel — clean up tracking state.
+     * Whether the calendar drag layer around the container is moving an item.
      */
-    function onTouchCancel() {
-        tracking = false;
-        swiping = false;
-        resetTransform(element);
+    function isOtherGestureActive() {
+        return element.closest('[data-drag-state]') !== null;
     }
 
     /**
-     * Reset the element transform with a smooth spring-back animation.
+     * Reset the element transform with a smooth spring-back animation,
+     * or at once when motion is reduced.
      * @param {HTMLElement} el
      */
     function resetTransform(el) {
+        const duration = getMotionDuration(SPRING_BACK_MS);
         requestAnimationFrame(() => {
-            el.style.transition = 'transform 200ms ease-out';
+            el.style.transition = duration > 0 ? `transform ${duration}ms ease-out` : '';
             el.style.transform = '';
             // Clean up inline styles after transition
             setTimeout(() => {
                 el.style.transition = '';
                 el.style.transform = '';
-            }, 210);
+            }, duration + 10);
         });
     }
 
+    // wheel must be able to stop the browser's own horizontal swipe navigation
+    element.addEventListener('wheel', onWheel, { passive: false });
+    element.addEventListener('keydown', onKeyDown);
+
+    return {
+        dispose() {
+            touchTracker.dispose();
+            pointerTracker.dispose();
+            element.removeEventListener('wheel', onWheel);
+            element.removeEventListener('keydown', onKeyDown);
+            resetTransform(element);
+        },
+    };
+}
+
+/**
+ * Track single-finger horizontal swipes on an element. A gesture that starts out vertical is
+ * left to the page as a scroll. Listeners are passive, so nothing here blocks scrolling.
+ * @param {HTMLElement} element - The element to track touches on
+ * @param {object} handlers - Callbacks, all optional
+ * @param {function(TouchEvent): void} [handlers.onStart] - A finger went down
+ * @param {function(number, TouchEvent): void} [handlers.onMove] - Called with deltaX (px) once
+ *   the gesture is known to be horizontal
+ * @param {function({deltaX: number, deltaY: number, elapsed: number, swiping: boolean}): void} [handlers.onEnd]
+ *   - The finger lifted; elapsed is in ms, swiping says whether onMove was ever called
+ * @param {function(): void} [handlers.onAbandon] - The gesture turned into a scroll, or was cancelled
+ * @returns {object} Object with dispose() method for cleanup
+ */
+export function trackHorizontalSwipe(element, handlers) {
+    const gesture = createSwipeGesture(handlers);
+
+    /**
+     * Handle touchstart — record starting position.
+     * @param {TouchEvent} e
+     */
+    function onTouchStart(e) {
+        // Ignore multi-touch
+        if (e.touches.length > 1) {
+            gesture.stop();
+            return;
+        }
+
+        gesture.start(e.touches[0].clientX, e.touches[0].clientY, e);
+    }
+
+    /**
+     * Handle touchmove — report movement once the swipe is known to be horizontal.
+     * @param {TouchEvent} e
+     */
+    function onTouchMove(e) {
+        gesture.move(e.touches[0].clientX, e.touches[0].clientY, e);
+    }
+
+    /**
+     * Handle touchend — report the finished gesture.
+     * @param {TouchEvent} e
+     */
+    function onTouchEnd(e) {
+        gesture.end(e.changedTouches[0].clientX, e.changedTouches[0].clientY);
+    }
+
+    /**
+     * Handle touchcancel — clean up tracking state.
+     */
+    function onTouchCancel() {
+        gesture.cancel();
+    }
+
     // Attach listeners — passive for touchstart/touchmove to not block scrolling
     element.addEventListener('touchstart', onTouchStart, { passive: true });
     element.addEventListener('touchmove', onTouchMove, { passive: true });
@@ -154,7 +305,220 @@ export function initSwipeDetection(element, dotNetRef, options = {}) {
             element.removeEventListener('touchmove', onTouchMove);
             element.removeEventListener('touchend', onTouchEnd);
             element.removeEventListener('touchcancel', onTouchCancel);
-            resetTransform(element);
         },
     };
 }
+
+/**
+ * Track mouse and pen drags on an element the way trackHorizontalSwipe tracks fingers (touch
+ * pointers are left to it). Only a drag that went sideways past the slop ends in onEnd. While
+ * it does, the element gets data-swipe-state="dragging" so text isn't selected, and the click
+ * that ends the drag is swallowed.
+ * @param {HTMLElement} element - The element to track drags on
+ * @param {object} handlers - The same callbacks as trackHorizontalSwipe, given PointerEvents
+ * @param {function(): boolean} isBlocked - Whether presses should be left alone right now
+ * @returns {object} Object with dispose() method for cleanup
+ */
+function trackPointerSwipe(element, handlers, isBlocked) {
+    let pointerId = null;
+    let suppressClick = false;
+
+    const gesture = createSwipeGesture({
+        ...handlers,
+        onMove(deltaX, e) {
+            // A mouse press may already have started selecting the text under it
+            element.dataset.swipeState = 'dragging';
+            window.getSelection?.()?.removeAllRanges();
+            handlers.onMove?.(deltaX, e);
+        },
+        onEnd(result) {
+            // A click never navigates, however quick it was
+            if (!result.swiping) {
+                handlers.onAbandon?.();
+                return;
+            }
+
+            suppressClick = true;
+            setTimeout(() => {
+                suppressClick = false;
+            }, 0);
+            handlers.onEnd?.(result);
+        },
+    });
+
+    /**
+     * Handle pointerdown — start tracking a mouse or pen press.
+     * @param {PointerEvent} e
+     */
+    function onPointerDown(e) {
+        if (e.pointerType === 'touch' || e.button !== 0 || pointerId !== null) return;
+        if (isBlocked() || e.target.closest(IGNORED_PRESS_TARGETS)) return;
+
+        pointerId = e.pointerId;
+        gesture.start(e.clientX, e.clientY, e);
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerCancel);
+    }
+
+    /**
+     * Handle pointermove — follow the press wherever it goes, even off the element.
+     * @param {PointerEvent} e
+     */
+    function onPointerMove(e) {
+        if (e.pointerId !== pointerId) return;
+
+        gesture.move(e.clientX, e.clientY, e);
+    }
+
+    /**
+     * Handle pointerup — report the finished drag.
+     * @param {PointerEvent} e
+     */
+    function onPointerUp(e) {
+        if (e.pointerId !== pointerId) return;
+
+        stopListening();
+        gesture.end(e.clientX, e.clientY);
+    }
+
+    /**
+     * Handle pointercancel — the browser took the pointer over.
+     * @param {PointerEvent} e
+     */
+    function onPointerCancel(e) {
+        if (e.pointerId !== pointerId) return;
+
+        stopListening();
+        gesture.cancel();
+    }
+
+    /**
+     * A drag that moved sideways must not also click the day it ended on.
+     * @param {MouseEvent} e
+     */
+    function onClick(e) {
+        if (!suppressClick) return;
+
+        suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    function stopListening() {
+        pointerId = null;
+        delete element.dataset.swipeState;
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', onPointerUp);
+        window.removeEventListener('pointercancel', onPointerCancel);
+    }
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('click', onClick, true);
+
+    return {
+        dispose() {
+            stopListening();
+            element.removeEventListener('pointerdown', onPointerDown);
+            element.removeEventListener('click', onClick, true);
+        },
+    };
+}
+
+/**
+ * The part of a swipe that doesn't care what is doing the swiping: where it started, whether it
+ * has turned out horizontal or vertical, and how far it got.
+ * @param {object} handlers - The callbacks described at trackHorizontalSwipe
+ * @returns {object} start(x, y, e), move(x, y, e), end(x, y), cancel() and stop()
+ */
+function createSwipeGesture(handlers) {
+    let startX = 0;
+    let startY = 0;
+    let startTime = 0;
+    let tracking = false;
+    let swiping = false;
+
+    return {
+        start(x, y, e) {
+            startX = x;
+            startY = y;
+            startTime = Date.now();
+            tracking = true;
+            swiping = false;
+            handlers.onStart?.(e);
+        },
+
+        move(x, y, e) {
+            if (!tracking) return;
+
+            const deltaX = x - startX;
+            const deltaY = y - startY;
+
+            // If vertical movement dominates early, stop tracking (user is scrolling)
+            if (!swiping && Math.abs(deltaY) > Math.abs(deltaX) && Math.abs(deltaY) > DIRECTION_SLOP_PX) {
+                tracking = false;
+                handlers.onAbandon?.();
+                return;
+            }
+
+            // If horizontal dominates, mark as swiping
+            if (Math.abs(deltaX) > DIRECTION_SLOP_PX && Math.abs(deltaX) > Math.abs(deltaY)) {
+                swiping = true;
+            }
+
+            if (swiping) {
+                handlers.onMove?.(deltaX, e);
+            }
+        },
+
+        end(x, y) {
+            if (!tracking) {
+                handlers.onAbandon?.();
+                return;
+            }
+
+            tracking = false;
+
+            handlers.onEnd?.({
+                deltaX: x - startX,
+                deltaY: y - startY,
+                elapsed: Math.max(1, Date.now() - startTime),
+                swiping,
+            });
+        },
+
+        cancel() {
+            tracking = false;
+            swiping = false;
+            handlers.onAbandon?.();
+        },
+
+        // Forget the gesture without reporting anything
+        stop() {
+            tracking = false;
+        },
+    };
+}
+
+/**
+ * Whether something between the wheel's target and the container can still scroll that way,
+ * in which case the wheel is its to use.
+ * @param {Element} target - Where the wheel event happened
+ * @param {HTMLElement} container - The swipe container
+ * @param {number} deltaX - Positive when scrolling right
+ */
+function canScrollHorizontally(target, container, deltaX) {
+    for (let el = target; el && el !== container.parentElement; el = el.parentElement) {
+        if (el.scrollWidth <= el.clientWidth) continue;
+
+        const overflowX = getComputedStyle(el).overflowX;
+        if (overflowX !== 'auto' && overflowX !== 'scroll') continue;
+
+        const canGo = deltaX > 0
+            ? el.scrollLeft + el.clientWidth < el.scrollWidth - 1
+            : el.scrollLeft > 0;
+        if (canGo) return true;
+    }
+
+    return false;
+}
@@ -1,18 +1,58 @@
 // Theme management JavaScript module
-const STORAGE_KEY = 'budget-experiment-theme';
-const OVERRIDE_KEY = 'budget-experiment-theme-override';
+import { saveFile } from './file-download.js';
+import { getPreference, setPreference, subscribe } from './client-preferences.js';
+import { getSunTimes } from './sun-times.js';
+
+const THEME_PREFERENCES = ['theme', 'themeOverride', 'customThemes', 'themeSchedule'];
 const THEME_ATTRIBUTE = 'data-theme';
+const CUSTOM_THEME_ATTRIBUTE = 'data-custom-theme';
+const CUSTOM_THEME_PREFIX = 'custom:';
+const CUSTOM_STYLE_ID = 'custom-theme-style';
+const BACKGROUND_TOKEN = '--color-background';
+const SCHEDULED_THEME = 'scheduled';
+const DEFAULT_SCHEDULE = {
+    mode: 'FixedTimes',
+    dayTheme: 'light',
+    nightTheme: 'dark',
+    dayStart: '07:00:00',
+    nightStart: '19:00:00',
+    latitude: null,
+    longitude: null
+};
+
+// Longest single wait between schedule checks, so a laptop waking from sleep or a
+// clock change can't leave the wrong theme up for long
+const MAX_SCHEDULE_WAIT_MS = 15 * 60 * 1000;
+
+// Tokens that other styles use as "r, g, b" triples, kept in step with their colour
+const RGB_COMPANIONS = {
+    '--color-brand-primary': '--color-brand-rgb',
+    '--color-warning': '--color-warning-rgb',
+    '--color-recurring': '--color-recurring-rgb'
+};
+
+// Token values allowed in a custom theme; mirrors CustomThemeDefinition.IsValidValue and CssColor
+const UNSAFE_VALUE_PATTERN = /[;{}<>\\]|(url|src|image|image-set|cross-fade|element|expression)\s*\(/i;
+const COLOR_VALUE_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?)\(\s*[-+0-9.]+(deg|turn|rad|%)?((\s*[,/]\s*|\s+)[-+0-9.]+%?){2,3}\s*\))$/i;
+const CSS_WIDE_KEYWORDS = /^(inherit|initial|unset|revert|revert-layer)$/i;
 
 // Track if accessible theme was auto-applied
 let accessibilityPreferenceDetected = false;
 let themeAutoApplied = false;
 
+// .NET ThemeService instances told about theme changes made in other tabs
+const themeWatchers = new Set();
+
+// Theme the schedule currently shows, and the timer for its next switch
+let activeScheduledTheme = null;
+let scheduleTimer = 0;
+
 /**
- * Gets the saved theme from localStorage.
+ * Gets the saved theme.
  * @returns {string|null} The saved theme or null.
  */
 export function getTheme() {
-    return localStorage.getItem(STORAGE_KEY);
+    return getPreference('theme');
 }
 
 /**
@@ -37,7 +77,7 @@ export function detectAccessibilityPreferences() {
  * @returns {boolean} True if user has an explicit override.
  */
 export function hasExplicitOverride() {
-    return localStorage.getItem(OVERRIDE_KEY) === 'true';
+    return getPreference('themeOverride') === 'true';
 }
 
 /**
@@ -75,11 +115,11 @@ export function getEffectiveTheme() {
  * @param {boolean} isExplicitChoice - Whether user explicitly chose this theme.
  */
 export function setTheme(theme, isExplicitChoice = true) {
-    localStorage.setItem(STORAGE_KEY, theme);
+    setPreference('theme', theme);
     
     // Mark as explicit override if user made a choice
     if (isExplicitChoice) {
-        localStorage.setItem(OVERRIDE_KEY, 'true');
+        setPreference('themeOverride', 'true');
         themeAutoApplied = false;
     }
     
@@ -90,16 +130,36 @@ export function setTheme(theme, isExplicitChoice = true) {
  * Clears the explicit theme override, allowing auto-detection to work.
  */
 export function clearThemeOverride() {
-    localStorage.removeItem(OVERRIDE_KEY);
+    setPreference('themeOverride', null);
     const effectiveTheme = getEffectiveTheme();
     applyTheme(effectiveTheme);
 }
 
 /**
  * Applies a theme to the document.
- * @param {string} theme - The theme to apply.
+ * @param {string} theme - The theme to apply, or 'custom:<id>' for a saved custom theme.
  */
 export function applyTheme(theme) {
+    if (theme === SCHEDULED_THEME) {
+        theme = startSchedule();
+    } else {
+        stopSchedule();
+    }
+
+    if (isCustomTheme(theme)) {
+        const custom = findCustomTheme(theme);
+        if (custom) {
+            const css = applyCustomTheme(custom);
+            saveThemeSnapshot({ theme: custom.baseTheme, customThemeId: sanitizeThemeId(custom.id), css });
+            return;
+        }
+
+        // The custom theme was deleted, e.g. in another tab
+        theme = 'system';
+    }
+
+    removeCustomTheme();
+    saveThemeSnapshot({ theme, customThemeId: null, css: null });
     const resolvedTheme = resolveTheme(theme);
     document.documentElement.setAttribute(THEME_ATTRIBUTE, resolvedTheme);
     
@@ -108,17 +168,365 @@ export function applyTheme(theme) {
 }
 
 /**
- * Resolves 'system' theme to actual light/dark based on user preference.
+ * Saves what applyTheme showed, so the inline script in index.html can paint it before
+ * this module loads. A scheduled theme is saved as the day or night theme it resolved to,
+ * and custom theme CSS is stored already sanitized.
+ * @param {{theme: string, customThemeId: string|null, css: string|null}} snapshot
+ */
+function saveThemeSnapshot(snapshot) {
+    const value = JSON.stringify(snapshot);
+    if (getPreference('themeSnapshot') !== value) {
+        setPreference('themeSnapshot', value);
+    }
+}
+
+/**
+ * Resolves 'system' theme to actual light/dark based on user preference,
+ * and a custom theme to the built-in theme it is based on.
  * @param {string} theme - The theme to resolve.
  * @returns {string} The resolved theme name.
  */
 function resolveTheme(theme) {
+    if (theme === SCHEDULED_THEME) {
+        return resolveTheme(getScheduleState(new Date()).theme);
+    }
+    if (isCustomTheme(theme)) {
+        const custom = findCustomTheme(theme);
+        return custom ? custom.baseTheme : resolveTheme('system');
+    }
     if (theme === 'system') {
         return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
     }
     return theme;
 }
 
+/**
+ * Gets the theme schedule used by the 'scheduled' theme.
+ * @returns {{mode: 'FixedTimes'|'SunriseSunset', dayTheme: string, nightTheme: string,
+ *   dayStart: string, nightStart: string, latitude: number|null, longitude: number|null}}
+ */
+export function getThemeSchedule() {
+    try {
+        const saved = JSON.parse(getPreference('themeSchedule') || 'null');
+        return saved && typeof saved === 'object' ? { ...DEFAULT_SCHEDULE, ...saved } : { ...DEFAULT_SCHEDULE };
+    } catch {
+        return { ...DEFAULT_SCHEDULE };
+    }
+}
+
+/**
+ * Saves the theme schedule, and re-applies it if the scheduled theme is showing.
+ * @param {object} schedule - See getThemeSchedule.
+ * @returns {object} The new state; see getThemeScheduleStatus.
+ */
+export function setThemeSchedule(schedule) {
+    setPreference('themeSchedule', JSON.stringify(schedule));
+
+    if (getEffectiveTheme() === SCHEDULED_THEME) {
+        applyTheme(SCHEDULED_THEME);
+    }
+
+    return getThemeScheduleStatus();
+}
+
+/**
+ * Describes what the schedule shows now and when it next switches.
+ * @returns {{activeTheme: string, isDay: boolean, nextSwitch: Date, sunrise: Date|null, sunset: Date|null}}
+ *   sunrise and sunset are set when switching by the sun and a location is known.
+ */
+export function getThemeScheduleStatus() {
+    const state = getScheduleState(new Date());
+    return {
+        activeTheme: state.theme,
+        isDay: state.isDay,
+        nextSwitch: state.nextSwitch,
+        sunrise: state.sunrise,
+        sunset: state.sunset
+    };
+}
+
+function getScheduleState(now) {
+    const schedule = getThemeSchedule();
+    const sun = schedule.mode === 'SunriseSunset' && hasLocation(schedule)
+        ? getSunTimes(now, schedule.latitude, schedule.longitude)
+        : null;
+
+    let isDay;
+    let nextSwitch;
+    if (sun && sun.polar) {
+        // Midnight sun or polar night: look again tomorrow
+        isDay = sun.polar === 'day';
+        nextSwitch = startOfNextDay(now);
+    } else if (sun) {
+        isDay = now >= sun.sunrise && now < sun.sunset;
+        if (now < sun.sunrise) {
+            nextSwitch = sun.sunrise;
+        } else if (now < sun.sunset) {
+            nextSwitch = sun.sunset;
+        } else {
+            nextSwitch = getSunTimes(startOfNextDay(now), schedule.latitude, schedule.longitude).sunrise
+                || startOfNextDay(now);
+        }
+    } else {
+        // Fixed times, which sunrise/sunset mode also falls back to until a location is set
+        const dayStart = parseMinutes(schedule.dayStart, 7 * 60);
+        const nightStart = parseMinutes(schedule.nightStart, 19 * 60);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+
+        if (dayStart === nightStart) {
+            isDay = true;
+            nextSwitch = startOfNextDay(now);
+        } else {
+            isDay = dayStart < nightStart
+                ? minutes >= dayStart && minutes < nightStart
+                : minutes >= dayStart || minutes < nightStart;
+            nextSwitch = nextOccurrence(now, isDay ? nightStart : dayStart);
+        }
+    }
+
+    return {
+        theme: isDay ? scheduledThemeOr(schedule.dayTheme, 'light') : scheduledThemeOr(schedule.nightTheme, 'dark'),
+        isDay,
+        nextSwitch,
+        sunrise: sun ? sun.sunrise : null,
+        sunset: sun ? sun.sunset : null
+    };
+}
+
+function startSchedule() {
+    const now = new Date();
+    const state = getScheduleState(now);
+    activeScheduledTheme = state.theme;
+
+    clearTimeout(scheduleTimer);
+    const wait = Math.min(Math.max(state.nextSwitch - now, 1000), MAX_SCHEDULE_WAIT_MS);
+    scheduleTimer = setTimeout(checkSchedule, wait);
+
+    return state.theme;
+}
+
+function stopSchedule() {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = 0;
+    activeScheduledTheme = null;
+}
+
+function checkSchedule() {
+    scheduleTimer = 0;
+
+    // An explicit choice or the accessible theme may have replaced the schedule meanwhile
+    if (getEffectiveTheme() !== SCHEDULED_THEME) {
+        return;
+    }
+
+    const previous = activeScheduledTheme;
+    applyTheme(SCHEDULED_THEME);
+    if (activeScheduledTheme !== previous) {
+        themeWatchers.forEach(watcher => watcher.invokeMethodAsync('OnScheduledThemeSwitched', activeScheduledTheme));
+    }
+}
+
+function scheduledThemeOr(theme, fallback) {
+    return typeof theme === 'string' && theme && theme !== SCHEDULED_THEME && theme !== 'system' ? theme : fallback;
+}
+
+function hasLocation(schedule) {
+    return Number.isFinite(schedule.latitude) && Number.isFinite(schedule.longitude);
+}
+
+function parseMinutes(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return fallback;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function nextOccurrence(now, minutes) {
+    const next = new Date(now);
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+function startOfNextDay(now) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+function isCustomTheme(theme) {
+    return typeof theme === 'string' && theme.startsWith(CUSTOM_THEME_PREFIX);
+}
+
+function findCustomTheme(theme) {
+    const id = theme.slice(CUSTOM_THEME_PREFIX.length);
+    return getCustomThemes().find(custom => custom.id === id) || null;
+}
+
+/**
+ * Gets the custom themes saved on this device.
+ * @returns {Array<{id: string, name: string, baseTheme: string, tokens: Object<string, string>, version: number}>}
+ */
+export function getCustomThemes() {
+    try {
+        const themes = JSON.parse(getPreference('customThemes') || '[]');
+        return Array.isArray(themes) ? themes : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Adds or replaces a custom theme, and re-applies it if it is the current theme.
+ * @param {{id: string, name: string, baseTheme: string, tokens: Object<string, string>, version: number}} theme
+ */
+export function saveCustomTheme(theme) {
+    const themes = getCustomThemes().filter(custom => custom.id !== theme.id);
+    themes.push(theme);
+    setPreference('customThemes', JSON.stringify(themes));
+
+    if (getTheme() === CUSTOM_THEME_PREFIX + theme.id) {
+        applyTheme(getTheme());
+    }
+}
+
+/**
+ * Deletes a custom theme. If it was the current theme, its base theme becomes the current theme.
+ * @param {string} id - The custom theme's id.
+ */
+export function deleteCustomTheme(id) {
+    const themes = getCustomThemes();
+    const deleted = themes.find(custom => custom.id === id);
+    setPreference('customThemes', JSON.stringify(themes.filter(custom => custom.id !== id)));
+
+    if (deleted && getTheme() === CUSTOM_THEME_PREFIX + id) {
+        setTheme(deleted.baseTheme, hasExplicitOverride());
+    }
+}
+
+/**
+ * Applies an unsaved custom theme while it is being edited. Re-apply the current
+ * theme with applyTheme to end the preview.
+ * @param {{id: string, baseTheme: string, tokens: Object<string, string>}} theme
+ */
+export function previewCustomTheme(theme) {
+    applyCustomTheme(theme);
+}
+
+/**
+ * Reads the values a built-in theme gives to design-system tokens.
+ * @param {string} baseTheme - A built-in theme name.
+ * @param {string[]} names - Custom property names.
+ * @returns {Object<string, string>} Values by name.
+ */
+export function readThemeTokens(baseTheme, names) {
+    // Theme styles match any [data-theme] element, so a hidden probe picks them up
+    const probe = document.createElement('div');
+    probe.setAttribute(THEME_ATTRIBUTE, baseTheme);
+    probe.hidden = true;
+    document.body.appendChild(probe);
+
+    const styles = getComputedStyle(probe);
+    const values = {};
+    for (const name of names) {
+        values[name] = styles.getPropertyValue(name).trim();
+    }
+
+    probe.remove();
+    return values;
+}
+
+/**
+ * Saves a custom theme's JSON so it can be shared.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} json - The theme JSON built by .NET.
+ * @returns {Promise<"completed"|"canceled">}
+ */
+export function exportCustomTheme(fileName, json) {
+    return saveFile(new Blob([json], { type: 'application/json' }), fileName);
+}
+
+function applyCustomTheme(theme) {
+    const root = document.documentElement;
+    root.setAttribute(THEME_ATTRIBUTE, theme.baseTheme);
+    root.setAttribute(CUSTOM_THEME_ATTRIBUTE, sanitizeThemeId(theme.id));
+
+    let style = document.getElementById(CUSTOM_STYLE_ID);
+    if (!style) {
+        style = document.createElement('style');
+        style.id = CUSTOM_STYLE_ID;
+        document.head.appendChild(style);
+    }
+    style.textContent = buildCustomThemeCss(theme);
+
+    const background = getComputedStyle(root).getPropertyValue(BACKGROUND_TOKEN).trim();
+    setMetaThemeColor(background || '#ffffff');
+    return style.textContent;
+}
+
+function removeCustomTheme() {
+    document.documentElement.removeAttribute(CUSTOM_THEME_ATTRIBUTE);
+    const style = document.getElementById(CUSTOM_STYLE_ID);
+    if (style) {
+        style.remove();
+    }
+}
+
+/**
+ * Builds the stylesheet for a custom theme. The selector outranks the base theme's
+ * [data-theme] rule, so only the overridden tokens change.
+ */
+function buildCustomThemeCss(theme) {
+    const declarations = [];
+    for (const [name, value] of Object.entries(theme.tokens || {})) {
+        // Values come from storage or imported files; never let one end the rule or load a resource
+        if (!isAllowedTokenValue(name, value)) {
+            continue;
+        }
+
+        declarations.push(`  ${name}: ${value};`);
+
+        const rgb = RGB_COMPANIONS[name] && hexToRgb(value);
+        if (rgb) {
+            declarations.push(`  ${RGB_COMPANIONS[name]}: ${rgb};`);
+        }
+    }
+
+    return `:root[${CUSTOM_THEME_ATTRIBUTE}="${sanitizeThemeId(theme.id)}"] {\n${declarations.join('\n')}\n}`;
+}
+
+function sanitizeThemeId(id) {
+    return String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+}
+
+function isAllowedTokenValue(name, value) {
+    if (!/^--[a-z0-9-]+$/.test(name) || typeof value !== 'string' || UNSAFE_VALUE_PATTERN.test(value)) {
+        return false;
+    }
+
+    return !name.startsWith('--color-') || isColorValue(value.trim());
+}
+
+// Hex, rgb()/hsl() or a named colour; the browser's colour parser decides which names exist
+function isColorValue(value) {
+    if (COLOR_VALUE_PATTERN.test(value)) {
+        return true;
+    }
+
+    return /^[a-z]+$/i.test(value) && !CSS_WIDE_KEYWORDS.test(value) && CSS.supports('color', value);
+}
+
+function hexToRgb(value) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).join(', ');
+}
+
 /**
  * Gets the resolved theme (for Blazor interop).
  * @returns {string} The resolved theme name.
@@ -133,14 +541,6 @@ export function getResolvedTheme() {
  * @param {string} theme - The resolved theme name.
  */
 function updateMetaThemeColor(theme) {
-    let metaThemeColor = document.querySelector('meta[name="theme-color"]');
-    
-    if (!metaThemeColor) {
-        metaThemeColor = document.createElement('meta');
-        metaThemeColor.name = 'theme-color';
-        document.head.appendChild(metaThemeColor);
-    }
-    
     // Set appropriate color based on theme
     const colors = {
         'light': '#ffffff',
@@ -154,7 +554,19 @@ function updateMetaThemeColor(theme) {
         'crayons': '#1f75fe'
     };
     
-    metaThemeColor.content = colors[theme] || colors['light'];
+    setMetaThemeColor(colors[theme] || colors['light']);
+}
+
+function setMetaThemeColor(color) {
+    let metaThemeColor = document.querySelector('meta[name="theme-color"]');
+    
+    if (!metaThemeColor) {
+        metaThemeColor = document.createElement('meta');
+        metaThemeColor.name = 'theme-color';
+        document.head.appendChild(metaThemeColor);
+    }
+    
+    metaThemeColor.content = color;
 }
 
 // Listen for system theme changes
@@ -193,6 +605,40 @@ export function getAccessibilityState() {
     };
 }
 
+/**
+ * Tells .NET when another tab changes the theme or edits the custom themes, and when
+ * the scheduled theme switches between its day and night themes.
+ * @param {object} dotNetRef - .NET object reference with OnThemeChangedElsewhere(theme)
+ *   and OnScheduledThemeSwitched(activeTheme) methods
+ * @returns {{ dispose: function }} Call dispose() to stop the notifications.
+ */
+export function watchThemeChanges(dotNetRef) {
+    themeWatchers.add(dotNetRef);
+    return {
+        dispose() {
+            themeWatchers.delete(dotNetRef);
+        }
+    };
+}
+
+// Timers are throttled or frozen in background tabs; catch up when the tab is shown again
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && scheduleTimer) {
+        checkSchedule();
+    }
+});
+
+// Follow theme changes made in other tabs
+subscribe((name) => {
+    if (!THEME_PREFERENCES.includes(name)) {
+        return;
+    }
+
+    applyTheme(getEffectiveTheme());
+    const theme = getTheme() || 'system';
+    themeWatchers.forEach(watcher => watcher.invokeMethodAsync('OnThemeChangedElsewhere', theme));
+});
+
 // Apply theme on initial load (before Blazor initializes)
 (function initTheme() {
     const effectiveTheme = getEffectiveTheme();
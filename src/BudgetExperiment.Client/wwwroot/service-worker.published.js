@@ -2,14 +2,46 @@
 // Cache versioning is handled by service-worker-assets.js (auto-generated at publish time).
 
 // Caution: this is NOT a general-purpose service worker; Blazor WASM cache strategy only.
-// API responses are NOT cached — dynamic data always goes to the network.
+// API responses go to the network first. A small allow-list of read-only GET endpoints is
+// kept in a per-user offline read cache so recently viewed pages still render without signal.
 
 const cacheNamePrefix = 'offline-cache-';
 const selfAssetsManifest = self.assetsManifest;
 
+// Offline read cache for API data (network first; the cached copy is only used when the
+// network fails or doesn't answer in time, and any successful API write clears it).
+// Requests are only cached when the client tags them with a partition header
+// (a hash of the signed-in user), so cached responses can never cross users.
+const apiCacheNamePrefix = 'api-cache-';
+const apiCachePartitionHeader = 'X-Offline-Cache-Partition';
+const apiCachedAtHeader = 'X-Offline-Cached-At';
+const apiCacheConfig = {
+    maxAgeMs: 24 * 60 * 60 * 1000,
+    networkTimeoutMs: 4000,
+    routes: [
+        /^\/api\/v1\/accounts(\/|$)/,
+        /^\/api\/v1\/calendar(\/|$)/,
+        /^\/api\/v1\/transactions(\/|$)/,
+        /^\/api\/v1\/categories(\/|$)/
+    ]
+};
+
+// Web Share Target: files shared from other apps arrive as a POST to the manifest's
+// share_target action. The worker stores the file in IndexedDB and redirects to the
+// import wizard, which picks it up through js/share-target.js.
+const shareTargetPath = '/import';
+const shareTargetParam = 'share-target';
+const shareTargetRedirect = '/import?shared=true';
+const shareDbName = 'budget-experiment-share-target';
+const shareStoreName = 'files';
+const shareFileKey = 'pending';
+// Matches the import wizard's upload limit; larger files are recorded without their content
+const shareMaxFileBytes = 10 * 1024 * 1024;
+
 self.addEventListener('install', event => event.waitUntil(onInstall(event)));
 self.addEventListener('activate', event => event.waitUntil(onActivate(event)));
 self.addEventListener('fetch', event => event.respondWith(onFetch(event)));
+self.addEventListener('message', event => onMessage(event));
 
 async function onInstall(event) {
     // Pre-cache all assets listed in the Blazor-generated manifest
@@ -39,16 +71,34 @@ async function onActivate(event) {
     );
 }
 
+// A new build waits until every tab is closed unless the page asks it to take over.
+// The page sends this after the user accepts the "Update ready" prompt, then reloads
+// on controllerchange so the new framework assets are loaded in one step.
+function onMessage(event) {
+    if (event.data && event.data.type === 'sw-update:skip-waiting') {
+        self.skipWaiting();
+    }
+}
+
 async function onFetch(event) {
-    // Only cache GET requests for same-origin assets
-    if (event.request.method !== 'GET') {
-        return fetch(event.request);
+    if (isShareTargetRequest(event.request)) {
+        return onShareTarget(event);
     }
 
-    // Never cache API calls or index.html (dynamic content)
     const requestUrl = new URL(event.request.url);
-    if (requestUrl.pathname.startsWith('/api/') ||
-        requestUrl.pathname === '/' ||
+
+    // Only cache GET requests for same-origin assets; API writes go through to clear cached reads
+    if (event.request.method !== 'GET') {
+        return requestUrl.pathname.startsWith('/api/') ? onApiWrite(event) : fetch(event.request);
+    }
+
+    // API calls go through the offline read cache; it decides what may be cached
+    if (requestUrl.pathname.startsWith('/api/')) {
+        return onApiFetch(event);
+    }
+
+    // Never cache index.html (dynamic content)
+    if (requestUrl.pathname === '/' ||
         requestUrl.pathname === '/index.html') {
         return fetch(event.request);
     }
@@ -78,3 +128,181 @@ function isFrameworkAsset(request) {
            url.pathname.endsWith('.js') ||
            url.pathname.endsWith('.wasm');
 }
+
+async function onApiFetch(event) {
+    const partition = event.request.headers.get(apiCachePartitionHeader);
+    const networkRequest = withoutPartitionHeader(event.request);
+
+    if (!partition || !isCacheableApiRequest(event.request)) {
+        return fetch(networkRequest);
+    }
+
+    const cache = await caches.open(apiCacheNamePrefix + partition);
+    const cacheKey = event.request.url;
+    const networkResponse = fetch(networkRequest).then(async response => {
+        if (response.ok) {
+            await cache.put(cacheKey, await stampCachedAt(response.clone()));
+        }
+        return response;
+    });
+
+    // Keep the worker alive until the response has been written to the cache
+    event.waitUntil(networkResponse.catch(() => { }));
+
+    const cachedResponse = await matchUnexpired(cache, cacheKey);
+    if (!cachedResponse) {
+        return networkResponse;
+    }
+
+    try {
+        const response = await withTimeout(networkResponse, apiCacheConfig.networkTimeoutMs);
+        if (response.status < 500) {
+            await notifyClient(event.clientId, { type: 'api-cache:fresh', url: cacheKey });
+            return response;
+        }
+    } catch {
+        // Offline, timed out or unreachable: fall through to the cached copy
+    }
+
+    await notifyClient(event.clientId, {
+        type: 'api-cache:served',
+        url: cacheKey,
+        cachedAt: cachedResponse.headers.get(apiCachedAtHeader)
+    });
+    return cachedResponse;
+}
+
+async function onApiWrite(event) {
+    const response = await fetch(event.request);
+    if (response.ok) {
+        // A write can change balances and lists under every cached route, so no cached read
+        // may outlive it. Writes carry no partition header, so every partition is cleared.
+        await clearApiCaches();
+    }
+    return response;
+}
+
+async function clearApiCaches() {
+    const cacheKeys = await caches.keys();
+    await Promise.all(
+        cacheKeys
+            .filter(key => key.startsWith(apiCacheNamePrefix))
+            .map(key => caches.delete(key))
+    );
+}
+
+function isCacheableApiRequest(request) {
+    const url = new URL(request.url);
+    return url.origin === self.location.origin &&
+           apiCacheConfig.routes.some(route => route.test(url.pathname));
+}
+
+function withoutPartitionHeader(request) {
+    if (!request.headers.has(apiCachePartitionHeader)) {
+        return request;
+    }
+
+    const headers = new Headers(request.headers);
+    headers.delete(apiCachePartitionHeader);
+    return new Request(request, { headers });
+}
+
+async function matchUnexpired(cache, cacheKey) {
+    const response = await cache.match(cacheKey);
+    if (!response) {
+        return null;
+    }
+
+    const cachedAt = Date.parse(response.headers.get(apiCachedAtHeader) || '');
+    if (Number.isNaN(cachedAt) || Date.now() - cachedAt > apiCacheConfig.maxAgeMs) {
+        await cache.delete(cacheKey);
+        return null;
+    }
+
+    return response;
+}
+
+async function stampCachedAt(response) {
+    const headers = new Headers(response.headers);
+    headers.set(apiCachedAtHeader, new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function withTimeout(promise, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), timeoutMs);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); });
+    });
+}
+
+async function notifyClient(clientId, message) {
+    if (!clientId) {
+        return;
+    }
+
+    const client = await self.clients.get(clientId);
+    if (client) {
+        client.postMessage(message);
+    }
+}
+
+function isShareTargetRequest(request) {
+    if (request.method !== 'POST') {
+        return false;
+    }
+
+    const url = new URL(request.url);
+    return url.pathname === shareTargetPath && url.searchParams.has(shareTargetParam);
+}
+
+async function onShareTarget(event) {
+    try {
+        const formData = await event.request.formData();
+        const file = formData.get('file');
+        if (file && typeof file !== 'string') {
+            await storeSharedFile({
+                name: file.name,
+                contentType: file.type || 'application/octet-stream',
+                size: file.size,
+                content: file.size > shareMaxFileBytes ? null : await file.arrayBuffer(),
+                receivedAt: new Date().toISOString()
+            });
+        }
+    } catch {
+        // Storage or parsing failed: the import page opens without a preloaded file
+    }
+
+    return Response.redirect(shareTargetRedirect, 303);
+}
+
+function storeSharedFile(record) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(shareDbName, 1);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(shareStoreName)) {
+                request.result.createObjectStore(shareStoreName);
+            }
+        };
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            const transaction = db.transaction(shareStoreName, 'readwrite');
+            // Only the most recent share is kept; the import wizard handles one file at a time
+            transaction.objectStore(shareStoreName).put(record, shareFileKey);
+            transaction.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
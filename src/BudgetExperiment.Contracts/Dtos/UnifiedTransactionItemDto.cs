@@ -60,6 +60,12 @@ public sealed class UnifiedTransactionItemDto
         get; set;
     }
 
+    /// <summary>Gets or sets a value indicating whether this transaction has cleared the bank.</summary>
+    public bool IsCleared
+    {
+        get; set;
+    }
+
     /// <summary>Gets or sets the concurrency version token for optimistic concurrency on inline edits.</summary>
     public string? Version
     {
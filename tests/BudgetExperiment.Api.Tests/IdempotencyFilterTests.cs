@@ -0,0 +1,213 @@
+// <copyright file="IdempotencyFilterTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Net;
+using System.Net.Http.Json;
+
+using BudgetExperiment.Api.Filters;
+using BudgetExperiment.Contracts.Dtos;
+
+namespace BudgetExperiment.Api.Tests;
+
+/// <summary>
+/// Integration tests for <see cref="IdempotencyFilter"/> on the create endpoints replayed by the offline outbox.
+/// </summary>
+[Collection("ApiDb")]
+public sealed class IdempotencyFilterTests : IClassFixture<CustomWebApplicationFactory>
+{
+    private static readonly DateOnly TransactionDate = new(2026, 3, 14);
+
+    private readonly HttpClient _client;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IdempotencyFilterTests"/> class.
+    /// </summary>
+    /// <param name="factory">The test factory.</param>
+    public IdempotencyFilterTests(CustomWebApplicationFactory factory)
+    {
+        _client = factory.CreateApiClient();
+    }
+
+    /// <summary>
+    /// POST /api/v1/transactions repeated with the same key returns the stored result and creates one transaction.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransaction_SameKeyTwice_ReturnsStoredResultWithoutDuplicate()
+    {
+        // Arrange
+        var account = await this.CreateAccountAsync("Idempotent Transactions");
+        var dto = CreateTransactionDto(account.Id, $"Replayed {Guid.NewGuid()}");
+        var key = Guid.NewGuid().ToString();
+
+        // Act
+        using var first = await this.PostWithKeyAsync("/api/v1/transactions", dto, key);
+        using var second = await this.PostWithKeyAsync("/api/v1/transactions", dto, key);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Created, first.StatusCode);
+        Assert.Equal(HttpStatusCode.Created, second.StatusCode);
+        var created = await first.Content.ReadFromJsonAsync<TransactionDto>();
+        var replayed = await second.Content.ReadFromJsonAsync<TransactionDto>();
+        Assert.NotNull(created);
+        Assert.NotNull(replayed);
+        Assert.Equal(created.Id, replayed.Id);
+        Assert.Equal(first.Headers.Location, second.Headers.Location);
+        Assert.False(first.Headers.Contains(IdempotencyFilter.ReplayedHeaderName));
+        Assert.Equal("true", Assert.Single(second.Headers.GetValues(IdempotencyFilter.ReplayedHeaderName)));
+
+        var transactions = await this.GetTransactionsAsync(account.Id);
+        Assert.Single(transactions, t => t.Description == dto.Description);
+    }
+
+    /// <summary>
+    /// POST /api/v1/transfers repeated with the same key returns the same transfer.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransfer_SameKeyTwice_ReturnsSameTransfer()
+    {
+        // Arrange
+        var source = await this.CreateAccountAsync("Idempotent Source");
+        var destination = await this.CreateAccountAsync("Idempotent Destination");
+        var request = new CreateTransferRequest
+        {
+            SourceAccountId = source.Id,
+            DestinationAccountId = destination.Id,
+            Amount = 75m,
+            Currency = "USD",
+            Date = TransactionDate,
+            Description = "Replayed transfer",
+        };
+        var key = Guid.NewGuid().ToString();
+
+        // Act
+        using var first = await this.PostWithKeyAsync("/api/v1/transfers", request, key);
+        using var second = await this.PostWithKeyAsync("/api/v1/transfers", request, key);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Created, first.StatusCode);
+        Assert.Equal(HttpStatusCode.Created, second.StatusCode);
+        var created = await first.Content.ReadFromJsonAsync<TransferResponse>();
+        var replayed = await second.Content.ReadFromJsonAsync<TransferResponse>();
+        Assert.NotNull(created);
+        Assert.NotNull(replayed);
+        Assert.Equal(created.TransferId, replayed.TransferId);
+        Assert.Equal(first.Headers.Location, second.Headers.Location);
+
+        var transactions = await this.GetTransactionsAsync(source.Id);
+        Assert.Single(transactions);
+    }
+
+    /// <summary>
+    /// Reusing a key for a different request body returns 422 and creates nothing.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransaction_SameKeyDifferentBody_Returns422()
+    {
+        // Arrange
+        var account = await this.CreateAccountAsync("Idempotent Mismatch");
+        var key = Guid.NewGuid().ToString();
+        using var first = await this.PostWithKeyAsync("/api/v1/transactions", CreateTransactionDto(account.Id, "Original"), key);
+        Assert.Equal(HttpStatusCode.Created, first.StatusCode);
+
+        // Act
+        using var second = await this.PostWithKeyAsync("/api/v1/transactions", CreateTransactionDto(account.Id, "Changed"), key);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.UnprocessableEntity, second.StatusCode);
+        var transactions = await this.GetTransactionsAsync(account.Id);
+        Assert.DoesNotContain(transactions, t => t.Description == "Changed");
+    }
+
+    /// <summary>
+    /// A failed request is not stored, so retrying the key after fixing the cause can still succeed.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransfer_FailedRequest_IsNotStored()
+    {
+        // Arrange
+        var account = await this.CreateAccountAsync("Idempotent Failure");
+        var request = new CreateTransferRequest
+        {
+            SourceAccountId = account.Id,
+            DestinationAccountId = account.Id,
+            Amount = 10m,
+            Date = TransactionDate,
+        };
+        var key = Guid.NewGuid().ToString();
+
+        // Act
+        using var first = await this.PostWithKeyAsync("/api/v1/transfers", request, key);
+        using var second = await this.PostWithKeyAsync("/api/v1/transfers", request, key);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.UnprocessableEntity, first.StatusCode);
+        Assert.Equal(HttpStatusCode.UnprocessableEntity, second.StatusCode);
+        Assert.False(second.Headers.Contains(IdempotencyFilter.ReplayedHeaderName));
+    }
+
+    /// <summary>
+    /// Requests without a key are not deduplicated.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransaction_WithoutKey_CreatesEachTime()
+    {
+        // Arrange
+        var account = await this.CreateAccountAsync("Idempotent Without Key");
+        var dto = CreateTransactionDto(account.Id, "No key");
+
+        // Act
+        var first = await _client.PostAsJsonAsync("/api/v1/transactions", dto);
+        var second = await _client.PostAsJsonAsync("/api/v1/transactions", dto);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.Created, first.StatusCode);
+        Assert.Equal(HttpStatusCode.Created, second.StatusCode);
+        var transactions = await this.GetTransactionsAsync(account.Id);
+        Assert.Equal(2, transactions.Count(t => t.Description == "No key"));
+    }
+
+    private static TransactionCreateDto CreateTransactionDto(Guid accountId, string description)
+    {
+        return new TransactionCreateDto
+        {
+            AccountId = accountId,
+            Amount = new MoneyDto { Currency = "USD", Amount = -12.5m },
+            Date = TransactionDate,
+            Description = description,
+        };
+    }
+
+    private async Task<HttpResponseMessage> PostWithKeyAsync<T>(string url, T body, string key)
+    {
+        using var request = new HttpRequestMessage(HttpMethod.Post, url)
+        {
+            Content = JsonContent.Create(body),
+        };
+        request.Headers.Add(IdempotencyFilter.KeyHeaderName, key);
+        return await _client.SendAsync(request);
+    }
+
+    private async Task<List<TransactionDto>> GetTransactionsAsync(Guid accountId)
+    {
+        var response = await _client.GetAsync($"/api/v1/transactions?startDate=2026-03-01&endDate=2026-03-31&accountId={accountId}");
+        response.EnsureSuccessStatusCode();
+        return (await response.Content.ReadFromJsonAsync<List<TransactionDto>>())!;
+    }
+
+    private async Task<AccountDto> CreateAccountAsync(string name)
+    {
+        var response = await _client.PostAsJsonAsync("/api/v1/accounts", new
+        {
+            name,
+            type = "Checking",
+        });
+        response.EnsureSuccessStatusCode();
+        return (await response.Content.ReadFromJsonAsync<AccountDto>())!;
+    }
+}
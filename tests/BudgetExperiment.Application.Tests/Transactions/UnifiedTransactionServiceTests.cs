@@ -400,6 +400,7 @@ public class UnifiedTransactionServiceTests
             new DateOnly(2026, 3, 5),
             "Online Purchase",
             categoryId);
+        transaction.MarkCleared(new DateOnly(2026, 3, 7));
 
         var transactionRepo = new Mock<ITransactionRepository>();
         transactionRepo
@@ -441,6 +442,7 @@ public class UnifiedTransactionServiceTests
         Assert.Equal("Savings", item.AccountName);
         Assert.Equal(categoryId, item.CategoryId);
         Assert.False(item.IsTransfer);
+        Assert.True(item.IsCleared);
     }
 
     [Fact]
@@ -312,4 +312,56 @@ public class BarChartTests : BunitContext
         Assert.Equal("#EF4444", bars[0].GetAttribute("fill"));
         Assert.Equal("#10B981", bars[1].GetAttribute("fill"));
     }
+
+    [Fact]
+    public void BarChart_DoesNotRender_ExportMenu_ByDefault()
+    {
+        // Arrange
+        var groups = new List<BarChartGroup>
+        {
+            new() { Label = "Jan", Values = [new BarChartValue { Series = "Spending", Value = 500m, Color = "#EF4444" }] },
+        };
+
+        // Act
+        var cut = Render<BarChart>(parameters => parameters
+            .Add(p => p.Groups, groups));
+
+        // Assert
+        Assert.Empty(cut.FindAll("button.export-chart-btn"));
+    }
+
+    [Fact]
+    public void BarChart_ShowExport_Exports_Series_As_Csv()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/chart-export.js");
+        module.Setup<string>("exportCsv", _ => true).SetResult("completed");
+        var groups = new List<BarChartGroup>
+        {
+            new()
+            {
+                Label = "Jan",
+                Values =
+                [
+                    new BarChartValue { Series = "Spending", Value = 500m, Color = "#EF4444" },
+                    new BarChartValue { Series = "Income", Value = 1000m, Color = "#10B981" },
+                ],
+            },
+            new() { Label = "Feb", Values = [new BarChartValue { Series = "Income", Value = 1200m, Color = "#10B981" }] },
+        };
+
+        var cut = Render<BarChart>(parameters => parameters
+            .Add(p => p.Groups, groups)
+            .Add(p => p.AriaLabel, "Monthly trends")
+            .Add(p => p.ShowExport, true));
+
+        // Act
+        cut.Find("[data-chart-root] button.export-chart-btn").Click();
+        cut.Find("[data-format='csv']").Click();
+
+        // Assert
+        var invocation = module.VerifyInvoke("exportCsv");
+        Assert.Equal("monthly-trends.csv", invocation.Arguments[0]);
+        Assert.Equal("Group,Spending,Income\r\nJan,500,1000\r\nFeb,,1200\r\n", invocation.Arguments[1]);
+    }
 }
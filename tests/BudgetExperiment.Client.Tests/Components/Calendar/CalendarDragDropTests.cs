@@ -0,0 +1,122 @@
+// <copyright file="CalendarDragDropTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Calendar;
+using BudgetExperiment.Client.Models;
+
+using Bunit;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Components.Calendar;
+
+/// <summary>
+/// Unit tests for the <see cref="CalendarDragDrop"/> component.
+/// </summary>
+public sealed class CalendarDragDropTests : BunitContext
+{
+    private static readonly Guid ItemId = Guid.NewGuid();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CalendarDragDropTests"/> class.
+    /// </summary>
+    public CalendarDragDropTests()
+    {
+        this.JSInterop.Mode = JSRuntimeMode.Loose;
+    }
+
+    /// <summary>
+    /// Verifies the drag layer is set up on the wrapper on first render.
+    /// </summary>
+    [Fact]
+    public void FirstRender_InitializesCalendarDrag()
+    {
+        var module = this.JSInterop.SetupModule("./js/calendar-drag.js");
+
+        var cut = Render<CalendarDragDrop>(p => p
+            .AddChildContent("<div data-drop-date='2026-03-01'></div>"));
+
+        module.VerifyInvoke("initCalendarDrag");
+        cut.Find(".calendar-drag [data-drop-date]").ShouldNotBeNull();
+    }
+
+    /// <summary>
+    /// Verifies moving over a day reports the item, its day and the day under it.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnDragOver_ReportsTargetDay()
+    {
+        CalendarItemMove? reported = null;
+        var cut = Render<CalendarDragDrop>(p => p
+            .Add(x => x.OnDragTargetChanged, (CalendarItemMove move) => reported = move));
+
+        await cut.InvokeAsync(() => cut.Instance.OnDragOver(ItemId.ToString(), "2026-03-02", "2026-03-05"));
+
+        reported.ShouldNotBeNull();
+        reported.ItemId.ShouldBe(ItemId);
+        reported.SourceDate.ShouldBe(new DateOnly(2026, 3, 2));
+        reported.TargetDate.ShouldBe(new DateOnly(2026, 3, 5));
+    }
+
+    /// <summary>
+    /// Verifies moving off every day reports no target.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnDragOver_OffEveryDay_ReportsNoTarget()
+    {
+        CalendarItemMove? reported = null;
+        var cut = Render<CalendarDragDrop>(p => p
+            .Add(x => x.OnDragTargetChanged, (CalendarItemMove move) => reported = move));
+
+        await cut.InvokeAsync(() => cut.Instance.OnDragOver(ItemId.ToString(), "2026-03-02", null));
+
+        reported.ShouldNotBeNull();
+        reported.TargetDate.ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies a drop on a day reports the move.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnDragEnded_WithDay_ReportsDrop()
+    {
+        CalendarItemMove? dropped = null;
+        var cancelled = false;
+        var cut = Render<CalendarDragDrop>(p => p
+            .Add(x => x.OnItemDropped, (CalendarItemMove move) => dropped = move)
+            .Add(x => x.OnDragCancelled, () => cancelled = true));
+
+        await cut.InvokeAsync(() => cut.Instance.OnDragEnded(ItemId.ToString(), "2026-03-02", "2026-03-05"));
+
+        dropped.ShouldNotBeNull();
+        dropped.TargetDate.ShouldBe(new DateOnly(2026, 3, 5));
+        cancelled.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies a drag ending without a day, or for an unknown item, is reported as cancelled.
+    /// </summary>
+    /// <param name="itemId">The item id sent by the script.</param>
+    /// <param name="date">The drop date sent by the script.</param>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Theory]
+    [InlineData("3f2504e0-4f89-11d3-9a0c-0305e82c3301", null)]
+    [InlineData("not-a-guid", "2026-03-05")]
+    public async Task OnDragEnded_WithoutMove_ReportsCancelled(string itemId, string? date)
+    {
+        var dropped = false;
+        var cancelled = false;
+        var cut = Render<CalendarDragDrop>(p => p
+            .Add(x => x.OnItemDropped, (CalendarItemMove _) => dropped = true)
+            .Add(x => x.OnDragCancelled, () => cancelled = true));
+
+        await cut.InvokeAsync(() => cut.Instance.OnDragEnded(itemId, "2026-03-02", date));
+
+        cancelled.ShouldBeTrue();
+        dropped.ShouldBeFalse();
+    }
+}
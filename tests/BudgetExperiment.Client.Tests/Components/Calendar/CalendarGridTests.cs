@@ -3,6 +3,7 @@
 // </copyright>
 
 using BudgetExperiment.Client.Components.Calendar;
+using BudgetExperiment.Client.Models;
 using BudgetExperiment.Client.Services;
 using BudgetExperiment.Contracts.Dtos;
 
@@ -308,6 +309,49 @@ public class CalendarGridTests : BunitContext, IAsyncLifetime
         Assert.Contains("to", firstWeekLabel);
     }
 
+    /// <summary>
+    /// Verifies that every day cell carries its date for the drag layer to drop on.
+    /// </summary>
+    [Fact]
+    public void CalendarGrid_DayCells_CarryDropDate()
+    {
+        // Arrange
+        var days = CreateDays(42);
+
+        // Act
+        var cut = Render<CalendarGrid>(p => p
+            .Add(x => x.Days, days));
+
+        // Assert
+        var cells = cut.FindAll(".calendar-day");
+        Assert.Equal(42, cells.Count);
+        Assert.Equal("2026-02-01", cells[0].GetAttribute("data-drop-date"));
+        Assert.Equal("2026-03-14", cells[41].GetAttribute("data-drop-date"));
+    }
+
+    /// <summary>
+    /// Verifies that a drop preview replaces the balances of the days it changes.
+    /// </summary>
+    [Fact]
+    public void CalendarGrid_DropPreview_ShowsPreviewBalances()
+    {
+        // Arrange — a -100 item moved from Feb 2 to Feb 4
+        var days = CreateDays(42);
+        var preview = CalendarDropPreview.Create(days, new DateOnly(2026, 2, 2), new DateOnly(2026, 2, 4), -100m);
+
+        // Act
+        var cut = Render<CalendarGrid>(p => p
+            .Add(x => x.Days, days)
+            .Add(x => x.DropPreview, preview));
+
+        // Assert
+        var previewed = cut.FindAll(".day-balance.is-preview");
+        Assert.Equal(3, previewed.Count);
+        Assert.Contains("1,100", cut.Find("[data-drop-date='2026-02-02'] .day-balance").TextContent);
+        Assert.Contains("1,000", cut.Find("[data-drop-date='2026-02-04'] .day-balance").TextContent);
+        Assert.Empty(cut.FindAll("[data-drop-date='2026-02-05'] .day-balance.is-preview"));
+    }
+
     private static List<CalendarDaySummaryDto> CreateDays(int count)
     {
         var startDate = new DateOnly(2026, 2, 1);
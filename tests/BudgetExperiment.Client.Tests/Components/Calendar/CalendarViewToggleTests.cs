@@ -5,6 +5,7 @@
 using BudgetExperiment.Client.Components.Calendar;
 using BudgetExperiment.Client.Models;
 using BudgetExperiment.Client.Services;
+using BudgetExperiment.Client.Tests.TestHelpers;
 
 using Bunit;
 
@@ -17,6 +18,8 @@ namespace BudgetExperiment.Client.Tests.Components.Calendar;
 /// </summary>
 public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
 {
+    private readonly StubClientPreferencesService _preferences = new();
+
     /// <summary>
     /// Initializes a new instance of the <see cref="CalendarViewToggleTests"/> class.
     /// </summary>
@@ -25,6 +28,7 @@ public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
         this.JSInterop.Mode = JSRuntimeMode.Loose;
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<IClientPreferencesService>(_preferences);
     }
 
     /// <inheritdoc/>
@@ -152,10 +156,10 @@ public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
     }
 
     /// <summary>
-    /// Verifies clicking Week button persists preference to localStorage.
+    /// Verifies clicking Week button persists the preference.
     /// </summary>
     [Fact]
-    public void Toggle_ClickWeek_PersistsToLocalStorage()
+    public void Toggle_ClickWeek_PersistsPreference()
     {
         // Arrange
         var cut = Render<CalendarViewToggle>(p => p
@@ -166,13 +170,7 @@ public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
         cut.FindAll(".toggle-btn")[1].Click(); // Week button
 
         // Assert
-        var invocations = this.JSInterop.Invocations
-            .Where(i => i.Identifier == "localStorage.setItem")
-            .ToList();
-        Assert.NotEmpty(invocations);
-        var invocation = invocations.Last();
-        Assert.Equal("budget-experiment-calendar-view", invocation.Arguments[0]);
-        Assert.Equal("Week", invocation.Arguments[1]);
+        Assert.Equal("Week", _preferences.Values[ClientPreference.CalendarView]);
     }
 
     /// <summary>
@@ -192,15 +190,14 @@ public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
     }
 
     /// <summary>
-    /// Verifies LoadPreferenceAsync loads saved view from localStorage.
+    /// Verifies LoadPreferenceAsync loads the saved view.
     /// </summary>
     /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
-    public async Task Toggle_LoadPreference_SetsViewFromLocalStorage()
+    public async Task Toggle_LoadPreference_SetsViewFromSavedPreference()
     {
         // Arrange
-        this.JSInterop.Setup<string?>("localStorage.getItem", "budget-experiment-calendar-view")
-            .SetResult("Week");
+        _preferences.Values[ClientPreference.CalendarView] = "Week";
 
         CalendarViewMode? newMode = null;
         var cut = Render<CalendarViewToggle>(p => p
@@ -217,4 +214,51 @@ public class CalendarViewToggleTests : BunitContext, IAsyncLifetime
         // Assert
         Assert.Equal(CalendarViewMode.Week, newMode);
     }
+
+    /// <summary>
+    /// Verifies switching views in another tab switches this toggle too.
+    /// </summary>
+    [Fact]
+    public void Toggle_ViewChangedInAnotherTab_FiresCurrentViewChanged()
+    {
+        // Arrange
+        CalendarViewMode? newMode = null;
+        var cut = Render<CalendarViewToggle>(p => p
+            .Add(x => x.CurrentView, CalendarViewMode.Month)
+            .Add(x => x.CurrentViewChanged, mode =>
+            {
+                newMode = mode;
+                return Task.CompletedTask;
+            }));
+
+        // Act
+        _preferences.RaiseChangedElsewhere(ClientPreference.CalendarView, "Week");
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.Equal(CalendarViewMode.Week, newMode));
+        Assert.Contains("active", cut.FindAll(".toggle-btn")[1].ClassList);
+    }
+
+    /// <summary>
+    /// Verifies changes to other preferences are ignored.
+    /// </summary>
+    [Fact]
+    public void Toggle_OtherPreferenceChanged_DoesNotFireCallback()
+    {
+        // Arrange
+        CalendarViewMode? newMode = null;
+        Render<CalendarViewToggle>(p => p
+            .Add(x => x.CurrentView, CalendarViewMode.Month)
+            .Add(x => x.CurrentViewChanged, mode =>
+            {
+                newMode = mode;
+                return Task.CompletedTask;
+            }));
+
+        // Act
+        _preferences.RaiseChangedElsewhere(ClientPreference.RulesViewMode, "Week");
+
+        // Assert
+        Assert.Null(newMode);
+    }
 }
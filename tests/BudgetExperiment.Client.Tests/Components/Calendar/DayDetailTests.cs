@@ -238,6 +238,94 @@ public class DayDetailTests : BunitContext
         cut.Markup.ShouldContain("Rent");
     }
 
+    /// <summary>
+    /// Verifies items have no move buttons unless moving is turned on.
+    /// </summary>
+    [Fact]
+    public void CanMoveItemsOff_RendersNoMoveButtons()
+    {
+        var cut = Render<DayDetail>(p => p.Add(x => x.Detail, CreateMovableDetail()));
+
+        cut.FindAll("[data-drag-handle]").ShouldBeEmpty();
+        cut.FindAll("[data-drag-item]").ShouldBeEmpty();
+    }
+
+    /// <summary>
+    /// Verifies recurring occurrences and plain transactions can be moved, but transfer transactions cannot.
+    /// </summary>
+    [Fact]
+    public void CanMoveItemsOn_MarksMovableItems()
+    {
+        var detail = CreateMovableDetail();
+
+        var cut = Render<DayDetail>(p => p
+            .Add(x => x.Detail, detail)
+            .Add(x => x.CanMoveItems, true));
+
+        var items = cut.FindAll("[data-drag-item]");
+        items.Count.ShouldBe(2);
+        items.Select(i => i.GetAttribute("data-drag-item")).ShouldBe(
+            [detail.Items[0].Id.ToString(), detail.Items[1].Id.ToString()],
+            ignoreOrder: true);
+        items.ShouldAllBe(i => i.GetAttribute("data-drag-date") == "2025-06-15");
+        cut.FindAll("[data-drag-handle]").Count.ShouldBe(2);
+    }
+
+    /// <summary>
+    /// Verifies the move button is labelled for the item and points at the instructions.
+    /// </summary>
+    [Fact]
+    public void MoveButton_IsLabelledAndDescribed()
+    {
+        var cut = Render<DayDetail>(p => p
+            .Add(x => x.Detail, CreateMovableDetail())
+            .Add(x => x.CanMoveItems, true));
+
+        var handle = cut.Find(".recurring-item [data-drag-handle]");
+        handle.GetAttribute("aria-label").ShouldBe("Move Rent to another day");
+        var helpId = handle.GetAttribute("aria-describedby");
+        helpId.ShouldNotBeNullOrEmpty();
+        cut.Find($"#{helpId}").TextContent.ShouldContain("arrow keys");
+    }
+
+    private static DayDetailDto CreateMovableDetail()
+    {
+        var detail = CreateDetail();
+        detail.Items =
+        [
+            new DayDetailItemDto
+            {
+                Id = Guid.NewGuid(),
+                Type = "recurring",
+                Description = "Rent",
+                Amount = new MoneyDto { Amount = -1500m, Currency = "USD" },
+                AccountName = "Checking",
+                RecurringTransactionId = Guid.NewGuid(),
+            },
+            new DayDetailItemDto
+            {
+                Id = Guid.NewGuid(),
+                Type = "transaction",
+                Description = "Grocery Store",
+                Amount = new MoneyDto { Amount = -45m, Currency = "USD" },
+                AccountName = "Checking",
+            },
+            new DayDetailItemDto
+            {
+                Id = Guid.NewGuid(),
+                Type = "transaction",
+                Description = "To Savings",
+                Amount = new MoneyDto { Amount = -200m, Currency = "USD" },
+                AccountName = "Checking",
+                IsTransfer = true,
+                TransferId = Guid.NewGuid(),
+                TransferDirection = "Source",
+            },
+        ];
+
+        return detail;
+    }
+
     private static DayDetailDto CreateDetail()
     {
         return new DayDetailDto
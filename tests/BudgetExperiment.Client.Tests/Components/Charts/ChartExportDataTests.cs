@@ -0,0 +1,89 @@
+// <copyright file="ChartExportDataTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+
+using BudgetExperiment.Client.Components.Charts.Models;
+
+namespace BudgetExperiment.Client.Tests.Components.Charts;
+
+/// <summary>
+/// Unit tests for <see cref="ChartExportData"/> CSV serialization.
+/// </summary>
+public class ChartExportDataTests
+{
+    [Fact]
+    public void ToCsv_Writes_Header_Then_Rows()
+    {
+        // Arrange
+        var data = new ChartExportData(
+            ["Group", "Spending", "Income"],
+            [
+                new object?[] { "Jan", 500m, 1000m },
+                new object?[] { "Feb", 600.5m, null },
+            ]);
+
+        // Act
+        var csv = data.ToCsv();
+
+        // Assert
+        Assert.Equal("Group,Spending,Income\r\nJan,500,1000\r\nFeb,600.5,\r\n", csv);
+    }
+
+    [Fact]
+    public void ToCsv_Quotes_Cells_With_Commas_Quotes_And_Newlines()
+    {
+        // Arrange
+        var data = new ChartExportData(
+            ["Category"],
+            [
+                new object?[] { "Food, Dining" },
+                new object?[] { "The \"good\" stuff" },
+                new object?[] { "Line\nbreak" },
+            ]);
+
+        // Act
+        var csv = data.ToCsv();
+
+        // Assert
+        Assert.Equal("Category\r\n\"Food, Dining\"\r\n\"The \"\"good\"\" stuff\"\r\n\"Line\nbreak\"\r\n", csv);
+    }
+
+    [Fact]
+    public void ToCsv_Prefixes_Formula_Text_But_Not_Negative_Numbers()
+    {
+        // Arrange
+        var data = new ChartExportData(
+            ["Label", "Amount"],
+            [new object?[] { "=HYPERLINK(\"x\")", -42.25m }]);
+
+        // Act
+        var csv = data.ToCsv();
+
+        // Assert
+        Assert.Equal("Label,Amount\r\n\"'=HYPERLINK(\"\"x\"\")\",-42.25\r\n", csv);
+    }
+
+    [Fact]
+    public void ToCsv_Uses_Invariant_Culture_For_Numbers()
+    {
+        // Arrange
+        var original = CultureInfo.CurrentCulture;
+        CultureInfo.CurrentCulture = new CultureInfo("de-DE");
+        var data = new ChartExportData(["Amount"], [new object?[] { 1234.56m }]);
+
+        try
+        {
+            // Act
+            var csv = data.ToCsv();
+
+            // Assert
+            Assert.Equal("Amount\r\n1234.56\r\n", csv);
+        }
+        finally
+        {
+            CultureInfo.CurrentCulture = original;
+        }
+    }
+}
@@ -3,6 +3,7 @@
 // </copyright>
 
 using BudgetExperiment.Client.Components.Chat;
+using BudgetExperiment.Client.Components.Common;
 using BudgetExperiment.Client.Services;
 using BudgetExperiment.Contracts.Dtos;
 
@@ -239,6 +240,121 @@ public class MobileChatSheetTests : BunitContext, IAsyncLifetime
         Assert.Contains("Expand", cut.Markup);
     }
 
+    /// <summary>
+    /// Verifies Expand takes the sheet to full height and then offers to shrink it.
+    /// </summary>
+    [Fact]
+    public void Sheet_Expand_SnapsToFullHeight()
+    {
+        // Arrange
+        chatApi.SessionToReturn = new ChatSessionDto
+        {
+            Id = Guid.NewGuid(),
+            IsActive = true,
+            CreatedAtUtc = DateTime.UtcNow,
+        };
+        chatApi.MessagesToReturn = [];
+        var cut = Render<MobileChatSheet>(p => p
+            .Add(x => x.IsVisible, true));
+        Assert.Contains("bottom-sheet--half", cut.Find(".bottom-sheet").ClassList);
+
+        // Act
+        cut.Find("button[title='Expand chat']").Click();
+
+        // Assert
+        Assert.Contains("bottom-sheet--full", cut.Find(".bottom-sheet").ClassList);
+        Assert.NotNull(cut.Find("button[title='Shrink chat']"));
+    }
+
+    /// <summary>
+    /// Verifies dragging the sheet to full height is reflected in the footer.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task Sheet_DraggedToFull_OffersShrink()
+    {
+        // Arrange
+        chatApi.SessionToReturn = new ChatSessionDto
+        {
+            Id = Guid.NewGuid(),
+            IsActive = true,
+            CreatedAtUtc = DateTime.UtcNow,
+        };
+        chatApi.MessagesToReturn = [];
+        var cut = Render<MobileChatSheet>(p => p
+            .Add(x => x.IsVisible, true));
+
+        // Act
+        var sheet = cut.FindComponent<BottomSheet>();
+        await cut.InvokeAsync(() => sheet.Instance.OnSnapChanged("Full"));
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.NotNull(cut.Find("button[title='Shrink chat']")));
+    }
+
+    /// <summary>
+    /// Verifies the sheet sets up drags, including pulling down on the conversation, with
+    /// the chat's snap points.
+    /// </summary>
+    [Fact]
+    public void Sheet_InitializesGesturesWithSnapPoints()
+    {
+        // Arrange
+        var module = this.JSInterop.SetupModule("./js/bottom-sheet.js");
+        chatApi.SessionToReturn = new ChatSessionDto
+        {
+            Id = Guid.NewGuid(),
+            IsActive = true,
+            CreatedAtUtc = DateTime.UtcNow,
+        };
+        chatApi.MessagesToReturn = [];
+
+        // Act
+        var cut = Render<MobileChatSheet>(p => p
+            .Add(x => x.IsVisible, true));
+
+        // Assert
+        cut.WaitForAssertion(() => module.VerifyInvoke("initBottomSheet"));
+        var options = module.VerifyInvoke("initBottomSheet").Arguments[3]!;
+        Assert.Equal(true, options.GetType().GetProperty("isDraggable")!.GetValue(options));
+        Assert.Equal(true, options.GetType().GetProperty("isCloseOnSwipeDown")!.GetValue(options));
+        Assert.Equal("Half", options.GetType().GetProperty("snap")!.GetValue(options));
+        var snapPoints = (IEnumerable<object>)options.GetType().GetProperty("snapPoints")!.GetValue(options)!;
+        Assert.Equal(new[] { "Half", "Full" }, snapPoints.Select(point => (string)point.GetType().GetProperty("name")!.GetValue(point)!));
+    }
+
+    /// <summary>
+    /// Verifies the close callback fires when the conversation is pulled down past the close threshold.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task Sheet_SwipedClosed_FiresCallback()
+    {
+        // Arrange
+        bool closed = false;
+        chatApi.SessionToReturn = new ChatSessionDto
+        {
+            Id = Guid.NewGuid(),
+            IsActive = true,
+            CreatedAtUtc = DateTime.UtcNow,
+        };
+        chatApi.MessagesToReturn = [];
+        var cut = Render<MobileChatSheet>(p => p
+            .Add(x => x.IsVisible, true)
+            .Add(x => x.OnClose, () =>
+            {
+                closed = true;
+                return Task.CompletedTask;
+            }));
+
+        // Act
+        var sheet = cut.FindComponent<BottomSheet>();
+        await cut.InvokeAsync(() => sheet.Instance.OnSwipeClose());
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.True(closed), TimeSpan.FromSeconds(5));
+    }
+
     /// <summary>
     /// Verifies the footer contains the New Chat button when session exists.
     /// </summary>
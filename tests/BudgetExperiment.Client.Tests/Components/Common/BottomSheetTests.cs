@@ -344,7 +344,8 @@ public class BottomSheetTests : BunitContext, IAsyncLifetime
     }
 
     /// <summary>
-    /// Verifies that the bottom sheet calls OnClose when Escape key is pressed.
+    /// Verifies that the bottom sheet calls OnClose when the overlay stack reports Escape,
+    /// which it does only for the top-most overlay.
     /// </summary>
     /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
@@ -359,8 +360,33 @@ public class BottomSheetTests : BunitContext, IAsyncLifetime
             .AddChildContent("<p>Content</p>"));
 
         // Act
-        var sheet = cut.Find(".bottom-sheet");
-        await sheet.KeyDownAsync(new Microsoft.AspNetCore.Components.Web.KeyboardEventArgs { Key = "Escape" });
+        await cut.InvokeAsync(() => cut.Instance.OnOverlayEscape());
+
+        // Wait for animation delay
+        await Task.Delay(250);
+
+        // Assert
+        Assert.True(closeCalled);
+    }
+
+    /// <summary>
+    /// Verifies that the bottom sheet calls OnClose when a drag, from the handle or from
+    /// content scrolled to its top, is released past the close threshold.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task BottomSheet_CallsOnClose_WhenSwipedClosed()
+    {
+        // Arrange
+        var closeCalled = false;
+
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.OnClose, EventCallback.Factory.Create(this, () => closeCalled = true))
+            .AddChildContent("<p>Content</p>"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnSwipeClose());
 
         // Wait for animation delay
         await Task.Delay(250);
@@ -436,4 +462,168 @@ public class BottomSheetTests : BunitContext, IAsyncLifetime
         var sheet = cut.Find(".bottom-sheet");
         Assert.Contains("is-closing", sheet.ClassList);
     }
+
+    /// <summary>
+    /// Verifies snap points replace the fixed height, starting at the first snap point.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_WithSnapPoints_StartsAtFirstSnapPoint()
+    {
+        // Arrange & Act
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.Height, BottomSheetHeight.Large)
+            .Add(p => p.SnapPoints, [BottomSheetSnapPoint.Peek, BottomSheetSnapPoint.Full])
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        var sheet = cut.Find(".bottom-sheet");
+        Assert.Contains("bottom-sheet--peek", sheet.ClassList);
+        Assert.DoesNotContain("bottom-sheet--large", sheet.ClassList);
+        Assert.Equal("25", cut.Find(".bottom-sheet__handle").GetAttribute("aria-valuenow"));
+    }
+
+    /// <summary>
+    /// Verifies a drag settling on another snap point updates the sheet and notifies the parent.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task BottomSheet_OnSnapChanged_UpdatesSnapAndNotifies()
+    {
+        // Arrange
+        BottomSheetSnapPoint? reported = null;
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.SnapPoints, [BottomSheetSnapPoint.Half, BottomSheetSnapPoint.Full])
+            .Add(p => p.SnapChanged, EventCallback.Factory.Create<BottomSheetSnapPoint>(this, snap => reported = snap))
+            .AddChildContent("<p>Content</p>"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnSnapChanged("Full"));
+
+        // Assert
+        Assert.Equal(BottomSheetSnapPoint.Full, reported);
+        Assert.Contains("bottom-sheet--full", cut.Find(".bottom-sheet").ClassList);
+    }
+
+    /// <summary>
+    /// Verifies the handle's arrow keys step through the snap points.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_HandleArrowKeys_StepThroughSnapPoints()
+    {
+        // Arrange
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.SnapPoints, [BottomSheetSnapPoint.Peek, BottomSheetSnapPoint.Half, BottomSheetSnapPoint.Full])
+            .Add(p => p.Snap, BottomSheetSnapPoint.Half)
+            .AddChildContent("<p>Content</p>"));
+
+        // Act
+        cut.Find(".bottom-sheet__handle").KeyDown(new Microsoft.AspNetCore.Components.Web.KeyboardEventArgs { Key = "ArrowUp" });
+
+        // Assert
+        Assert.Contains("bottom-sheet--full", cut.Find(".bottom-sheet").ClassList);
+
+        // Act
+        cut.Find(".bottom-sheet__handle").KeyDown(new Microsoft.AspNetCore.Components.Web.KeyboardEventArgs { Key = "Home" });
+
+        // Assert
+        Assert.Contains("bottom-sheet--peek", cut.Find(".bottom-sheet").ClassList);
+    }
+
+    /// <summary>
+    /// Verifies that the sheet joins the overlay stack when it opens and leaves it when the
+    /// parent hides it, so the page behind doesn't stay inert.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_ReleasesOverlay_WhenParentHidesIt()
+    {
+        // Arrange
+        var overlayModule = JSInterop.SetupModule("./js/overlay-stack.js");
+        var overlay = overlayModule.SetupModule(invocation => invocation.Identifier == "pushOverlay");
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .AddChildContent("<p>Content</p>"));
+        cut.WaitForAssertion(() => overlayModule.VerifyInvoke("pushOverlay"));
+
+        // Act
+        cut.Render(parameters => parameters
+            .Add(p => p.IsVisible, false));
+
+        // Assert
+        overlay.VerifyInvoke("dispose");
+    }
+
+    /// <summary>
+    /// Verifies that gestures are set up on the whole sheet, not just the handle, so the
+    /// content can be pulled down once it is scrolled to the top.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_InitializesGestures_OnWholeSheet()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/bottom-sheet.js");
+
+        // Act
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        cut.WaitForAssertion(() => module.VerifyInvoke("initBottomSheet"));
+        var invocation = module.VerifyInvoke("initBottomSheet");
+        var sheetRef = (ElementReference)invocation.Arguments[0]!;
+        Assert.Equal(cut.Find(".bottom-sheet").GetAttribute("blazor:elementReference"), sheetRef.Id);
+        var options = invocation.Arguments[3]!;
+        Assert.Equal(true, options.GetType().GetProperty("isDraggable")!.GetValue(options));
+        Assert.Equal(true, options.GetType().GetProperty("isCloseOnSwipeDown")!.GetValue(options));
+    }
+
+    /// <summary>
+    /// Verifies that a sheet which can't be dragged tells the script, so neither the handle
+    /// nor the content starts a drag.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_NotDraggable_DisablesDragsInScript()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/bottom-sheet.js");
+
+        // Act
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.IsDraggable, false)
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        cut.WaitForAssertion(() => module.VerifyInvoke("initBottomSheet"));
+        var invocation = module.VerifyInvoke("initBottomSheet");
+        Assert.Null(((ElementReference)invocation.Arguments[1]!).Id);
+        var options = invocation.Arguments[3]!;
+        Assert.Equal(false, options.GetType().GetProperty("isDraggable")!.GetValue(options));
+    }
+
+    /// <summary>
+    /// Verifies that the gesture script is not set up when the sheet can neither be dragged
+    /// nor swiped closed.
+    /// </summary>
+    [Fact]
+    public void BottomSheet_WithoutGestures_SkipsGestureSetup()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/bottom-sheet.js");
+        var overlayModule = JSInterop.SetupModule("./js/overlay-stack.js");
+
+        // Act
+        var cut = Render<BottomSheet>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.IsDraggable, false)
+            .Add(p => p.IsCloseOnSwipeDown, false)
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        cut.WaitForAssertion(() => overlayModule.VerifyInvoke("pushOverlay"));
+        Assert.Empty(module.Invocations["initBottomSheet"]);
+    }
 }
@@ -0,0 +1,126 @@
+// <copyright file="ContrastAuditPanelTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Models;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="ContrastAuditPanel"/> component.
+/// </summary>
+public sealed class ContrastAuditPanelTests : BunitContext, IAsyncLifetime
+{
+    private const string ModulePath = "./js/contrast-audit.js";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ContrastAuditPanelTests"/> class.
+    /// </summary>
+    public ContrastAuditPanelTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies a theme where every pair passes shows a single passing summary.
+    /// </summary>
+    [Fact]
+    public void ContrastAuditPanel_AllPairsPass_ShowsPassingSummary()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule(ModulePath);
+        module.Setup<ContrastAuditReport?>("auditTheme")
+            .SetResult(new ContrastAuditReport("accessible", [CreateResult("text-on-surface", 21, passes: true)], 0));
+
+        // Act
+        var cut = Render<ContrastAuditPanel>();
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.Contains("All 1 token pairs in Accessible meet WCAG AA.", cut.Markup));
+        Assert.Empty(cut.FindAll(".contrast-audit-failure"));
+    }
+
+    /// <summary>
+    /// Verifies failing pairs are listed with their ratio and the minimum they need.
+    /// </summary>
+    [Fact]
+    public void ContrastAuditPanel_FailingPairs_AreListed()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule(ModulePath);
+        module.Setup<ContrastAuditReport?>("auditTheme")
+            .SetResult(new ContrastAuditReport(
+                "geocities",
+                [
+                    CreateResult("text-on-surface", 12.5, passes: true),
+                    CreateResult("header-text", 2.92, passes: false),
+                ],
+                1));
+
+        // Act
+        var cut = Render<ContrastAuditPanel>();
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.Single(cut.FindAll(".contrast-audit-failure")));
+        var row = cut.Find(".contrast-audit-failure");
+        Assert.Equal("header-text", row.GetAttribute("data-pair"));
+        Assert.Contains("2.92:1", row.TextContent);
+        Assert.Contains("4.5:1", row.TextContent);
+        Assert.Contains("1 of 2 token pairs in GeoCities fall short of WCAG AA.", cut.Markup);
+    }
+
+    /// <summary>
+    /// Verifies auditing all themes asks for every built-in theme and summarises each one.
+    /// </summary>
+    [Fact]
+    public void ContrastAuditPanel_AuditAllThemes_ListsEachTheme()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule(ModulePath);
+        var auditThemes = module.Setup<IReadOnlyList<ContrastAuditReport>?>("auditThemes", _ => true)
+            .SetResult(
+            [
+                new ContrastAuditReport("light", [CreateResult("text-on-surface", 15, passes: true)], 0),
+                new ContrastAuditReport("crayons", [CreateResult("sidebar-text", 3.38, passes: false)], 1),
+            ]);
+        var cut = Render<ContrastAuditPanel>();
+
+        // Act
+        cut.Find(".contrast-audit-all").Click();
+
+        // Assert
+        var invocation = Assert.Single(auditThemes.Invocations);
+        Assert.Equal(ThemeTokenCatalog.BaseThemes, invocation.Arguments[0]);
+        cut.WaitForAssertion(() => Assert.Equal(2, cut.FindAll(".contrast-audit-themes li").Count));
+        Assert.Contains("all pass", cut.Find("li[data-theme-name='light']").TextContent);
+        Assert.Contains("1 failing: sidebar-text label", cut.Find("li[data-theme-name='crayons']").TextContent);
+    }
+
+    private static ContrastCheckResult CreateResult(string id, double ratio, bool passes)
+    {
+        return new ContrastCheckResult(
+            id,
+            $"{id} label",
+            "--color-text-primary",
+            "--color-surface",
+            "#000000",
+            "#ffffff",
+            ratio,
+            4.5,
+            passes,
+            null);
+    }
+}
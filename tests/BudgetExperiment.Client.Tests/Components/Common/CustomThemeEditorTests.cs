@@ -0,0 +1,128 @@
+// <copyright file="CustomThemeEditorTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Models;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="CustomThemeEditor"/> component.
+/// </summary>
+public sealed class CustomThemeEditorTests : BunitContext, IAsyncLifetime
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CustomThemeEditorTests"/> class.
+    /// </summary>
+    public CustomThemeEditorTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<CultureService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies the editor explains custom themes when none exist.
+    /// </summary>
+    [Fact]
+    public void CustomThemeEditor_WithNoThemes_ShowsEmptyMessage()
+    {
+        // Arrange & Act
+        var cut = Render<CustomThemeEditor>();
+
+        // Assert
+        Assert.Contains("You haven't made a custom theme yet", cut.Markup);
+        Assert.Empty(cut.FindAll(".custom-theme-item"));
+    }
+
+    /// <summary>
+    /// Verifies a new theme lists every editable token.
+    /// </summary>
+    [Fact]
+    public void CustomThemeEditor_NewTheme_ShowsTokenForm()
+    {
+        // Arrange
+        var cut = Render<CustomThemeEditor>();
+
+        // Act
+        cut.Find(".custom-theme-new").Click();
+
+        // Assert
+        Assert.Equal(ThemeTokenCatalog.Tokens.Count, cut.FindAll(".custom-theme-token").Count);
+        Assert.Empty(cut.FindAll(".custom-theme-new"));
+    }
+
+    /// <summary>
+    /// Verifies saving stores the overrides and switches to the new theme.
+    /// </summary>
+    [Fact]
+    public void CustomThemeEditor_Save_StoresAndAppliesTheme()
+    {
+        // Arrange
+        var themeService = Services.GetRequiredService<ThemeService>();
+        var cut = Render<CustomThemeEditor>();
+        cut.Find(".custom-theme-new").Click();
+        cut.Find("#custom-theme-name").Change("Forest");
+
+        // Act
+        cut.Find("[data-token='--color-background'] .custom-theme-value").Change("#102010");
+        cut.Find(".custom-theme-save").Click();
+
+        // Assert
+        var saved = Assert.Single(themeService.CustomThemes);
+        Assert.Equal("Forest", saved.Name);
+        Assert.Equal("#102010", saved.Tokens["--color-background"]);
+        Assert.Equal(saved.ThemeValue, themeService.CurrentTheme);
+        Assert.Contains("In use", cut.Find(".custom-theme-item.active").TextContent);
+    }
+
+    /// <summary>
+    /// Verifies unsafe values typed into the editor are not kept.
+    /// </summary>
+    [Fact]
+    public void CustomThemeEditor_IgnoresUnsafeValues()
+    {
+        // Arrange
+        var themeService = Services.GetRequiredService<ThemeService>();
+        var cut = Render<CustomThemeEditor>();
+        cut.Find(".custom-theme-new").Click();
+
+        // Act
+        cut.Find("[data-token='--color-surface'] .custom-theme-value").Change("red; } body { display: none");
+        cut.Find(".custom-theme-save").Click();
+
+        // Assert
+        Assert.Empty(Assert.Single(themeService.CustomThemes).Tokens);
+    }
+
+    /// <summary>
+    /// Verifies cancelling discards the draft without saving.
+    /// </summary>
+    [Fact]
+    public void CustomThemeEditor_Cancel_DiscardsDraft()
+    {
+        // Arrange
+        var themeService = Services.GetRequiredService<ThemeService>();
+        var cut = Render<CustomThemeEditor>();
+        cut.Find(".custom-theme-new").Click();
+
+        // Act
+        cut.Find(".custom-theme-cancel").Click();
+
+        // Assert
+        Assert.Empty(themeService.CustomThemes);
+        Assert.Empty(cut.FindAll(".custom-theme-form"));
+    }
+}
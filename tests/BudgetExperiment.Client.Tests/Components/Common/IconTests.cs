@@ -199,6 +199,7 @@ public class IconTests : BunitContext, IDisposable
     [InlineData("more-vertical")]
     [InlineData("file")]
     [InlineData("help-circle")]
+    [InlineData("wifi-off")]
     [InlineData("check-circle")]
     [InlineData("alert-circle")]
     [InlineData("plus-circle")]
@@ -17,6 +17,8 @@ namespace BudgetExperiment.Client.Tests.Components.Common;
 /// </summary>
 public class ModalTests : BunitContext, IAsyncLifetime
 {
+    private readonly BunitJSModuleInterop overlayModule;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="ModalTests"/> class.
     /// Sets up JSInterop mocks and required services for the component.
@@ -26,6 +28,7 @@ public class ModalTests : BunitContext, IAsyncLifetime
         JSInterop.Mode = JSRuntimeMode.Loose;
         Services.AddSingleton<ThemeService>();
         Services.AddSingleton<CultureService>();
+        overlayModule = JSInterop.SetupModule("./js/overlay-stack.js");
     }
 
     /// <inheritdoc/>
@@ -81,12 +84,8 @@ public class ModalTests : BunitContext, IAsyncLifetime
             .Add(p => p.Title, "Focus Test")
             .AddChildContent("<p>Content</p>"));
 
-        // Assert – the eval JS call that focuses the modal should have been invoked exactly once
-        var focusInvocations = JSInterop.Invocations
-            .Where(i => i.Identifier == "eval"
-                && i.Arguments.Any(a => a?.ToString()?.Contains("modal-dialog") == true))
-            .ToList();
-        Assert.Single(focusInvocations);
+        // Assert – the modal is pushed onto the overlay stack, which focuses the dialog, exactly once
+        Assert.Single(overlayModule.Invocations["pushOverlay"]);
     }
 
     /// <summary>
@@ -103,10 +102,7 @@ public class ModalTests : BunitContext, IAsyncLifetime
             .AddChildContent("<input type=\"text\" />"));
 
         // Record how many focus calls happened on initial render
-        int initialFocusCount = JSInterop.Invocations
-            .Count(i => i.Identifier == "eval"
-                && i.Arguments.Any(a => a?.ToString()?.Contains("modal-dialog") == true));
-        Assert.Equal(1, initialFocusCount);
+        Assert.Single(overlayModule.Invocations["pushOverlay"]);
 
         // Act – trigger a re-render while the modal stays visible (simulates typing causing re-render)
         cut.Render(parameters => parameters
@@ -115,10 +111,7 @@ public class ModalTests : BunitContext, IAsyncLifetime
             .AddChildContent("<input type=\"text\" value=\"typed\" />"));
 
         // Assert – focus should NOT have been called again
-        int totalFocusCount = JSInterop.Invocations
-            .Count(i => i.Identifier == "eval"
-                && i.Arguments.Any(a => a?.ToString()?.Contains("modal-dialog") == true));
-        Assert.Equal(1, totalFocusCount);
+        Assert.Single(overlayModule.Invocations["pushOverlay"]);
     }
 
     /// <summary>
@@ -145,17 +138,38 @@ public class ModalTests : BunitContext, IAsyncLifetime
             .AddChildContent("<p>Content</p>"));
 
         // Assert – focus should have been called exactly twice (once per open)
-        int totalFocusCount = JSInterop.Invocations
-            .Count(i => i.Identifier == "eval"
-                && i.Arguments.Any(a => a?.ToString()?.Contains("modal-dialog") == true));
-        Assert.Equal(2, totalFocusCount);
+        Assert.Equal(2, overlayModule.Invocations["pushOverlay"].Count);
+    }
+
+    /// <summary>
+    /// Verifies that closing the modal takes it off the overlay stack, which restores focus.
+    /// </summary>
+    [Fact]
+    public void Modal_ReleasesOverlay_WhenClosed()
+    {
+        // Arrange
+        var overlay = overlayModule.SetupModule(invocation => invocation.Identifier == "pushOverlay");
+        var cut = Render<Modal>(parameters => parameters
+            .Add(p => p.IsVisible, true)
+            .Add(p => p.Title, "Release Test")
+            .AddChildContent("<p>Content</p>"));
+
+        // Act
+        cut.Render(parameters => parameters
+            .Add(p => p.IsVisible, false)
+            .Add(p => p.Title, "Release Test")
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        overlay.VerifyInvoke("dispose");
     }
 
     /// <summary>
-    /// Verifies that pressing Escape triggers the OnClose callback.
+    /// Verifies that Escape, which the overlay stack sends to the top-most overlay only, triggers the OnClose callback.
     /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
-    public void Modal_ClosesOnEscape()
+    public async Task Modal_ClosesOnEscape()
     {
         // Arrange
         var closed = false;
@@ -165,8 +179,8 @@ public class ModalTests : BunitContext, IAsyncLifetime
             .Add(p => p.OnClose, () => { closed = true; })
             .AddChildContent("<p>Content</p>"));
 
-        // Act – press Escape on the backdrop
-        cut.Find(".modal-backdrop").KeyDown(key: "Escape");
+        // Act – the overlay stack reports Escape
+        await cut.InvokeAsync(() => cut.Instance.OnOverlayEscape());
 
         // Assert
         Assert.True(closed);
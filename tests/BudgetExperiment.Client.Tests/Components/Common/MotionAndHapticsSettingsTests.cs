@@ -0,0 +1,87 @@
+// <copyright file="MotionAndHapticsSettingsTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+using BudgetExperiment.Client.Tests.TestHelpers;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="MotionAndHapticsSettings"/> component.
+/// </summary>
+public sealed class MotionAndHapticsSettingsTests : BunitContext, IAsyncLifetime
+{
+    private readonly StubInteractionFeedbackService _feedback = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="MotionAndHapticsSettingsTests"/> class.
+    /// </summary>
+    public MotionAndHapticsSettingsTests()
+    {
+        Services.AddSingleton<IInteractionFeedbackService>(_feedback);
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies the toggles reflect the saved settings.
+    /// </summary>
+    [Fact]
+    public void MotionAndHapticsSettings_ShowsSavedSettings()
+    {
+        // Arrange
+        _feedback.Settings = new InteractionFeedbackSettings(true, false, false);
+
+        // Act
+        var cut = Render<MotionAndHapticsSettings>();
+
+        // Assert
+        Assert.True(cut.Find("#reduce-motion-toggle").HasAttribute("checked"));
+        Assert.False(cut.Find("#disable-haptics-toggle").HasAttribute("checked"));
+    }
+
+    /// <summary>
+    /// Verifies the toggles save through the feedback service.
+    /// </summary>
+    [Fact]
+    public void MotionAndHapticsSettings_Toggles_SaveSettings()
+    {
+        // Arrange
+        var cut = Render<MotionAndHapticsSettings>();
+
+        // Act
+        cut.Find("#reduce-motion-toggle").Change(true);
+        cut.Find("#disable-haptics-toggle").Change(true);
+
+        // Assert
+        Assert.True(_feedback.Settings.ReduceMotion);
+        Assert.True(_feedback.Settings.DisableHaptics);
+    }
+
+    /// <summary>
+    /// Verifies the OS preference is explained, since it reduces motion whatever the toggle says.
+    /// </summary>
+    [Fact]
+    public void MotionAndHapticsSettings_WhenSystemReducesMotion_ShowsNote()
+    {
+        // Arrange
+        var cut = Render<MotionAndHapticsSettings>();
+        Assert.Empty(cut.FindAll(".motion-system-note"));
+
+        // Act
+        _feedback.RaiseChanged(new InteractionFeedbackSettings(false, false, true));
+
+        // Assert
+        cut.WaitForAssertion(() => Assert.NotNull(cut.Find(".motion-system-note")));
+    }
+}
@@ -0,0 +1,77 @@
+// <copyright file="OfflineDataBannerTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="OfflineDataBanner"/> component.
+/// </summary>
+public sealed class OfflineDataBannerTests : BunitContext, IAsyncLifetime
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineDataBannerTests"/> class.
+    /// </summary>
+    public OfflineDataBannerTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<OfflineCacheService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies nothing is rendered while data comes from the network.
+    /// </summary>
+    [Fact]
+    public void Render_WithLiveData_RendersNothing()
+    {
+        var cut = Render<OfflineDataBanner>();
+
+        Assert.Empty(cut.FindAll("[data-testid='offline-data-banner']"));
+    }
+
+    /// <summary>
+    /// Verifies the banner appears when the service worker serves cached data.
+    /// </summary>
+    [Fact]
+    public void CachedResponseServed_ShowsBanner()
+    {
+        var cut = Render<OfflineDataBanner>();
+        var offlineCache = Services.GetRequiredService<OfflineCacheService>();
+
+        cut.InvokeAsync(() => offlineCache.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z"));
+
+        var banner = cut.Find("[data-testid='offline-data-banner']");
+        Assert.Contains("showing cached data from", banner.TextContent);
+        Assert.Equal("status", banner.GetAttribute("role"));
+    }
+
+    /// <summary>
+    /// Verifies navigating to another page hides the banner until a new cache hit.
+    /// </summary>
+    [Fact]
+    public void Navigation_ResetsBanner()
+    {
+        var cut = Render<OfflineDataBanner>();
+        var offlineCache = Services.GetRequiredService<OfflineCacheService>();
+        cut.InvokeAsync(() => offlineCache.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z"));
+
+        cut.InvokeAsync(() => Services.GetRequiredService<NavigationManager>().NavigateTo("/transactions"));
+
+        Assert.Empty(cut.FindAll("[data-testid='offline-data-banner']"));
+    }
+}
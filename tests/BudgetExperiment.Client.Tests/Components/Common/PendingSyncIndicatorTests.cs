@@ -0,0 +1,117 @@
+// <copyright file="PendingSyncIndicatorTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+using BudgetExperiment.Client.Tests.TestHelpers;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="PendingSyncIndicator"/> component.
+/// </summary>
+public sealed class PendingSyncIndicatorTests : BunitContext, IAsyncLifetime
+{
+    private readonly StubOfflineOutboxService _outbox = new();
+    private readonly ToastService _toastService = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PendingSyncIndicatorTests"/> class.
+    /// </summary>
+    public PendingSyncIndicatorTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<IOfflineOutboxService>(_outbox);
+        Services.AddSingleton<IToastService>(_toastService);
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies no badge is shown when nothing is queued.
+    /// </summary>
+    [Fact]
+    public void Render_WithEmptyOutbox_HidesButton()
+    {
+        var cut = Render<PendingSyncIndicator>();
+
+        Assert.Empty(cut.FindAll("[data-testid='pending-sync-button']"));
+    }
+
+    /// <summary>
+    /// Verifies the badge shows the number of queued items.
+    /// </summary>
+    [Fact]
+    public void Render_WithQueuedItems_ShowsCount()
+    {
+        _outbox.Seed(CreateItem("Coffee"));
+        _outbox.Seed(CreateItem("Lunch"));
+
+        var cut = Render<PendingSyncIndicator>();
+
+        Assert.Equal("2", cut.Find(".pending-sync-count").TextContent);
+        Assert.Equal("2 changes waiting to sync", cut.Find("[data-testid='pending-sync-button']").GetAttribute("aria-label"));
+    }
+
+    /// <summary>
+    /// Verifies the dialog lists queued items and discarding removes them.
+    /// </summary>
+    [Fact]
+    public void Discard_RemovesItemFromList()
+    {
+        _outbox.Seed(CreateItem("Coffee"));
+        var cut = Render<PendingSyncIndicator>();
+
+        cut.Find("[data-testid='pending-sync-button']").Click();
+        Assert.Single(cut.FindAll("[data-testid='pending-sync-item']"));
+
+        cut.Find("button[aria-label='Discard Coffee']").Click();
+
+        Assert.Empty(_outbox.Items);
+        Assert.Contains("Everything is synced.", cut.Markup);
+    }
+
+    /// <summary>
+    /// Verifies conflicts are surfaced with the server's reason.
+    /// </summary>
+    [Fact]
+    public void Render_ConflictItem_ShowsError()
+    {
+        _outbox.Seed(CreateItem("Rent") with { Status = OutboxItemStatus.Conflict, Error = "Account not found." });
+        var cut = Render<PendingSyncIndicator>();
+
+        cut.Find("[data-testid='pending-sync-button']").Click();
+
+        Assert.Contains("Account not found.", cut.Find(".pending-sync-item-error").TextContent);
+        Assert.NotNull(cut.Find(".pending-sync-count.has-conflicts"));
+    }
+
+    /// <summary>
+    /// Verifies each replay outcome is reported with a toast.
+    /// </summary>
+    [Fact]
+    public void ItemReplayed_ShowsSuccessAndConflictToasts()
+    {
+        Render<PendingSyncIndicator>();
+        var item = CreateItem("Coffee");
+
+        _outbox.RaiseItemReplayed(new OutboxReplayResult(item, true));
+        _outbox.RaiseItemReplayed(new OutboxReplayResult(item, false, "Account not found."));
+
+        Assert.Contains(_toastService.Toasts, t => t.Level == ToastLevel.Success && t.Title == "Synced");
+        Assert.Contains(_toastService.Toasts, t => t.Level == ToastLevel.Error && t.Message.Contains("Account not found."));
+    }
+
+    private static OutboxItem CreateItem(string description) =>
+        new(Guid.NewGuid(), "POST", "api/v1/transactions", "{}", description, DateTimeOffset.UtcNow);
+}
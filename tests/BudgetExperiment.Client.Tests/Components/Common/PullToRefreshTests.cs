@@ -0,0 +1,101 @@
+// <copyright file="PullToRefreshTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="PullToRefresh"/> component.
+/// </summary>
+public sealed class PullToRefreshTests : BunitContext, IAsyncLifetime
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PullToRefreshTests"/> class.
+    /// </summary>
+    public PullToRefreshTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<CultureService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies that the wrapper takes the page's container class and renders the content.
+    /// </summary>
+    [Fact]
+    public void Render_WrapsChildContentWithClass()
+    {
+        // Act
+        var cut = Render<PullToRefresh>(p => p
+            .Add(x => x.Class, "page-container")
+            .AddChildContent("<div class='calendar-grid'>Grid</div>"));
+
+        // Assert
+        var container = cut.Find(".pull-to-refresh");
+        Assert.Contains("page-container", container.ClassList);
+        Assert.NotNull(container.QuerySelector(".calendar-grid"));
+        Assert.NotNull(container.QuerySelector(".pull-to-refresh__indicator"));
+    }
+
+    /// <summary>
+    /// Verifies that the gesture is set up with the threshold on first render.
+    /// </summary>
+    [Fact]
+    public void FirstRender_InitializesPullToRefresh()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/pull-to-refresh.js");
+
+        // Act
+        Render<PullToRefresh>(p => p
+            .Add(x => x.ThresholdPx, 90)
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        var invocation = module.VerifyInvoke("initPullToRefresh");
+        var options = invocation.Arguments[3]!;
+        Assert.Equal(90, options.GetType().GetProperty("threshold")!.GetValue(options));
+    }
+
+    /// <summary>
+    /// Verifies that the refresh is announced until OnRefresh completes.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnPullToRefresh_AnnouncesRefreshingUntilCallbackCompletes()
+    {
+        // Arrange
+        var refresh = new TaskCompletionSource();
+        var cut = Render<PullToRefresh>(p => p
+            .Add(x => x.OnRefresh, () => refresh.Task)
+            .AddChildContent("<p>Content</p>"));
+
+        // Act — simulate JS calling the [JSInvokable] method
+        var pull = cut.InvokeAsync(() => cut.Instance.OnPullToRefresh());
+
+        // Assert
+        Assert.Equal("Refreshing", cut.Find("[role=status]").TextContent);
+        Assert.False(pull.IsCompleted);
+
+        // Act
+        refresh.SetResult();
+        await pull;
+
+        // Assert
+        Assert.Equal(string.Empty, cut.Find("[role=status]").TextContent);
+    }
+}
@@ -81,6 +81,42 @@ public sealed class SwipeContainerTests : BunitContext, IAsyncLifetime
         JSInterop.VerifyInvoke("import");
     }
 
+    /// <summary>
+    /// Verifies that the container can take focus for its keyboard shortcuts without adding a tab stop.
+    /// </summary>
+    [Fact]
+    public void Render_ContainerIsFocusableWithKeyboardShortcuts()
+    {
+        // Act
+        var cut = Render<SwipeContainer>(p => p
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        var container = cut.Find(".swipe-container");
+        Assert.Equal("-1", container.GetAttribute("tabindex"));
+        Assert.Equal("PageUp PageDown Alt+ArrowLeft Alt+ArrowRight", container.GetAttribute("aria-keyshortcuts"));
+    }
+
+    /// <summary>
+    /// Verifies that the wheel threshold is passed to the gesture module.
+    /// </summary>
+    [Fact]
+    public void FirstRender_PassesWheelThreshold()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/swipe.js");
+
+        // Act
+        Render<SwipeContainer>(p => p
+            .Add(x => x.WheelThresholdPx, 160)
+            .AddChildContent("<p>Content</p>"));
+
+        // Assert
+        var invocation = module.VerifyInvoke("initSwipeDetection");
+        var options = invocation.Arguments[2]!;
+        Assert.Equal(160, options.GetType().GetProperty("wheelThreshold")!.GetValue(options));
+    }
+
     /// <summary>
     /// Verifies that OnSwipedLeft fires when OnSwipeLeft JSInvokable is called.
     /// </summary>
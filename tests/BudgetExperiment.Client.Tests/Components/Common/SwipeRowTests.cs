@@ -0,0 +1,208 @@
+// <copyright file="SwipeRowTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.AspNetCore.Components.Web;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="SwipeRow"/> component.
+/// </summary>
+public sealed class SwipeRowTests : BunitContext, IAsyncLifetime
+{
+    private readonly ToastService _toastService = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="SwipeRowTests"/> class.
+    /// </summary>
+    public SwipeRowTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<IToastService>(_toastService);
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<CultureService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync()
+    {
+        _toastService.Dispose();
+        return base.DisposeAsync().AsTask();
+    }
+
+    /// <summary>
+    /// Verifies that a row without actions is a plain row with no gesture set up.
+    /// </summary>
+    [Fact]
+    public void Render_WithoutActions_IsPlainRow()
+    {
+        // Act
+        var cut = RenderRow([]);
+
+        // Assert
+        Assert.Contains("Coffee", cut.Find("tr").TextContent);
+        Assert.Empty(cut.FindAll(".swipe-row__tray-cell"));
+        Assert.DoesNotContain(JSInterop.Invocations, invocation => invocation.Identifier == "import");
+    }
+
+    /// <summary>
+    /// Verifies that the gesture is set up and the actions rendered, primary first.
+    /// </summary>
+    [Fact]
+    public void Render_WithActions_InitializesSwipeActions()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/swipe-actions.js");
+
+        // Act
+        var cut = RenderRow([CreateAction("Categorize"), CreateAction("Delete")]);
+
+        // Assert
+        module.VerifyInvoke("initSwipeActions");
+        var labels = cut.FindAll(".swipe-row__action").Select(button => button.TextContent.Trim()).ToList();
+        Assert.Equal(new[] { "Categorize", "Delete" }, labels);
+        Assert.Equal("Actions for Coffee", cut.Find(".swipe-row__toggle").GetAttribute("aria-label"));
+    }
+
+    /// <summary>
+    /// Verifies that pressing an action carries it out and offers Undo.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ClickAction_ExecutesAndShowsUndoToast()
+    {
+        // Arrange
+        var executed = false;
+        var undone = false;
+        var action = CreateAction(
+            "Cleared",
+            execute: () =>
+            {
+                executed = true;
+                return Task.FromResult(true);
+            },
+            undo: () =>
+            {
+                undone = true;
+                return Task.CompletedTask;
+            });
+        var cut = RenderRow([action]);
+
+        // Act
+        cut.Find(".swipe-row__action").Click();
+
+        // Assert
+        Assert.True(executed);
+        var toast = Assert.Single(_toastService.Toasts);
+        Assert.Equal("Cleared done.", toast.Message);
+
+        await _toastService.UndoAsync(toast.Id);
+        Assert.True(undone);
+    }
+
+    /// <summary>
+    /// Verifies that an action that fails gets no undo toast.
+    /// </summary>
+    [Fact]
+    public void ClickAction_WhenExecuteFails_ShowsNoUndoToast()
+    {
+        // Arrange
+        var cut = RenderRow([CreateAction("Cleared", execute: () => Task.FromResult(false))]);
+
+        // Act
+        cut.Find(".swipe-row__action").Click();
+
+        // Assert
+        Assert.Empty(_toastService.Toasts);
+    }
+
+    /// <summary>
+    /// Verifies that a full swipe commits the first action only.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnSwipeCommitted_ExecutesPrimaryAction()
+    {
+        // Arrange
+        var executed = new List<string>();
+        var cut = RenderRow(
+        [
+            CreateAction("Categorize", execute: () => Record(executed, "Categorize")),
+            CreateAction("Delete", execute: () => Record(executed, "Delete")),
+        ]);
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnSwipeCommitted());
+
+        // Assert
+        Assert.Equal(new[] { "Categorize" }, executed);
+        Assert.Single(_toastService.Toasts);
+    }
+
+    /// <summary>
+    /// Verifies that the actions button opens the row for keyboard and screen reader users,
+    /// and Escape closes it again.
+    /// </summary>
+    [Fact]
+    public void Toggle_OpensRow_AndEscapeClosesIt()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/swipe-actions.js");
+        var swipe = module.SetupModule(invocation => invocation.Identifier == "initSwipeActions");
+        var cut = RenderRow([CreateAction("Delete")]);
+
+        // Act
+        cut.Find(".swipe-row__toggle").Click();
+
+        // Assert
+        Assert.Equal("true", cut.Find(".swipe-row__toggle").GetAttribute("aria-expanded"));
+        Assert.Contains("is-open", cut.Find("tr").ClassList);
+        Assert.True((bool)swipe.VerifyInvoke("setOpen").Arguments[0]!);
+
+        // Act
+        cut.Find("tr").KeyDown(new KeyboardEventArgs { Key = "Escape" });
+
+        // Assert
+        Assert.Equal("false", cut.Find(".swipe-row__toggle").GetAttribute("aria-expanded"));
+        Assert.DoesNotContain("is-open", cut.Find("tr").ClassList);
+    }
+
+    private static SwipeRowAction CreateAction(
+        string label,
+        Func<Task<bool>>? execute = null,
+        Func<Task>? undo = null)
+    {
+        return new SwipeRowAction
+        {
+            Label = label,
+            Icon = "check",
+            CompletedMessage = $"{label} done.",
+            Execute = execute ?? (() => Task.FromResult(true)),
+            Undo = undo ?? (() => Task.CompletedTask),
+        };
+    }
+
+    private static Task<bool> Record(List<string> executed, string label)
+    {
+        executed.Add(label);
+        return Task.FromResult(true);
+    }
+
+    private IRenderedComponent<SwipeRow> RenderRow(IReadOnlyList<SwipeRowAction> actions)
+    {
+        return Render<SwipeRow>(p => p
+            .Add(x => x.Actions, actions)
+            .Add(x => x.Label, "Coffee")
+            .AddChildContent("<td>Coffee</td><td>-4.50</td>"));
+    }
+}
@@ -0,0 +1,145 @@
+// <copyright file="ThemeScheduleEditorTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.Json;
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Models;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="ThemeScheduleEditor"/> component.
+/// </summary>
+public sealed class ThemeScheduleEditorTests : BunitContext, IAsyncLifetime
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ThemeScheduleEditorTests"/> class.
+    /// </summary>
+    public ThemeScheduleEditorTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<CultureService>();
+        Services.AddSingleton<GeolocationService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies the theme pickers leave out themes a schedule can't show.
+    /// </summary>
+    [Fact]
+    public void ThemeScheduleEditor_ThemePickers_ExcludeSystemAndScheduled()
+    {
+        // Arrange & Act
+        var cut = Render<ThemeScheduleEditor>();
+
+        // Assert
+        var values = cut.FindAll("#theme-schedule-day option").Select(o => o.GetAttribute("value")).ToList();
+        Assert.Contains("light", values);
+        Assert.Contains("dark", values);
+        Assert.DoesNotContain("system", values);
+        Assert.DoesNotContain(ThemeSchedule.ThemeValue, values);
+    }
+
+    /// <summary>
+    /// Verifies fixed times are edited by default and the location only appears for sunrise and sunset.
+    /// </summary>
+    [Fact]
+    public void ThemeScheduleEditor_SunriseSunsetMode_ShowsLocation()
+    {
+        // Arrange
+        var cut = Render<ThemeScheduleEditor>();
+        Assert.NotNull(cut.Find("#theme-schedule-day-start"));
+        Assert.Empty(cut.FindAll("#theme-schedule-latitude"));
+
+        // Act
+        cut.Find("input[value='sun']").Change(true);
+
+        // Assert
+        Assert.NotNull(cut.Find("#theme-schedule-latitude"));
+        Assert.NotNull(cut.Find("#theme-schedule-longitude"));
+        Assert.Contains("Until you set one, the times above are used.", cut.Markup);
+    }
+
+    /// <summary>
+    /// Verifies saving stores the schedule and switches to the scheduled theme.
+    /// </summary>
+    [Fact]
+    public void ThemeScheduleEditor_Save_AppliesScheduledTheme()
+    {
+        // Arrange
+        var themeService = Services.GetRequiredService<ThemeService>();
+        var cut = Render<ThemeScheduleEditor>();
+        cut.Find("#theme-schedule-night").Change("vscode-dark");
+        cut.Find("#theme-schedule-night-start").Change("21:30");
+
+        // Act
+        cut.Find(".theme-schedule-save").Click();
+
+        // Assert
+        Assert.Equal(ThemeSchedule.ThemeValue, themeService.CurrentTheme);
+        Assert.Equal("vscode-dark", themeService.Schedule.NightTheme);
+        Assert.Equal(new TimeOnly(21, 30), themeService.Schedule.NightStart);
+        Assert.Equal("Save schedule", cut.Find(".theme-schedule-save").TextContent.Trim());
+    }
+
+    /// <summary>
+    /// Verifies "Use my location" fills in rounded coordinates.
+    /// </summary>
+    [Fact]
+    public void ThemeScheduleEditor_UseMyLocation_FillsRoundedCoordinates()
+    {
+        // Arrange
+        var geolocation = JSInterop.SetupModule("./js/geolocation.js");
+        geolocation.Setup<JsonElement>("getCurrentPosition").SetResult(JsonSerializer.SerializeToElement(new
+        {
+            latitude = 51.50735m,
+            longitude = -0.12776m,
+        }));
+        var themeService = Services.GetRequiredService<ThemeService>();
+        var cut = Render<ThemeScheduleEditor>();
+        cut.Find("input[value='sun']").Change(true);
+
+        // Act
+        cut.Find(".theme-schedule-locate").Click();
+        cut.Find(".theme-schedule-save").Click();
+
+        // Assert
+        Assert.Equal(ThemeScheduleMode.SunriseSunset, themeService.Schedule.Mode);
+        Assert.Equal(51.51, themeService.Schedule.Latitude);
+        Assert.Equal(-0.13, themeService.Schedule.Longitude);
+    }
+
+    /// <summary>
+    /// Verifies a failed location lookup is reported.
+    /// </summary>
+    [Fact]
+    public void ThemeScheduleEditor_UseMyLocation_WhenDenied_ShowsError()
+    {
+        // Arrange
+        var geolocation = JSInterop.SetupModule("./js/geolocation.js");
+        geolocation.Setup<JsonElement>("getCurrentPosition")
+            .SetException(new JSException("Location permission denied."));
+        var cut = Render<ThemeScheduleEditor>();
+        cut.Find("input[value='sun']").Change(true);
+
+        // Act
+        cut.Find(".theme-schedule-locate").Click();
+
+        // Assert
+        Assert.Equal("Location permission denied.", cut.Find(".theme-schedule-error").TextContent);
+    }
+}
@@ -123,6 +123,45 @@ public sealed class ToastContainerTests : BunitContext, IAsyncLifetime
         Assert.Empty(cut.FindAll(".toast"));
     }
 
+    /// <summary>
+    /// Verifies that an undo toast shows an Undo button that runs the undo.
+    /// </summary>
+    [Fact]
+    public void ClickUndo_RunsUndo_AndRemovesToast()
+    {
+        // Arrange
+        var undone = false;
+        var cut = Render<ToastContainer>();
+        _toastService.ShowUndo("Marked cleared.", () =>
+        {
+            undone = true;
+            return Task.CompletedTask;
+        });
+
+        // Act
+        var undoBtn = cut.Find(".toast-action");
+        Assert.Equal("Undo", undoBtn.TextContent.Trim());
+        undoBtn.Click();
+
+        // Assert
+        Assert.True(undone);
+        Assert.Empty(cut.FindAll(".toast"));
+    }
+
+    /// <summary>
+    /// Verifies that toasts without an action have no action button.
+    /// </summary>
+    [Fact]
+    public void Render_PlainToast_HasNoActionButton()
+    {
+        // Act
+        var cut = Render<ToastContainer>();
+        _toastService.ShowInfo("Just so you know");
+
+        // Assert
+        Assert.Empty(cut.FindAll(".toast-action"));
+    }
+
     /// <summary>
     /// Verifies that the container has an aria-live region for accessibility.
     /// </summary>
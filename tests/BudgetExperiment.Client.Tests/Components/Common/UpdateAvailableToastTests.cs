@@ -0,0 +1,90 @@
+// <copyright file="UpdateAvailableToastTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Common;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Common;
+
+/// <summary>
+/// Unit tests for the <see cref="UpdateAvailableToast"/> component.
+/// </summary>
+public sealed class UpdateAvailableToastTests : BunitContext, IAsyncLifetime
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UpdateAvailableToastTests"/> class.
+    /// </summary>
+    public UpdateAvailableToastTests()
+    {
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton<ThemeService>();
+        Services.AddSingleton<ServiceWorkerUpdateService>();
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    /// <summary>
+    /// Verifies nothing is rendered while the running build is current.
+    /// </summary>
+    [Fact]
+    public void Render_WithoutUpdate_RendersNothing()
+    {
+        var cut = Render<UpdateAvailableToast>();
+
+        Assert.Empty(cut.FindAll("[data-testid='update-available-toast']"));
+    }
+
+    /// <summary>
+    /// Verifies the prompt appears when the service worker reports a new build.
+    /// </summary>
+    [Fact]
+    public void UpdateAvailable_ShowsPrompt()
+    {
+        var cut = Render<UpdateAvailableToast>();
+        var updateService = Services.GetRequiredService<ServiceWorkerUpdateService>();
+
+        cut.InvokeAsync(updateService.OnUpdateAvailable);
+
+        var toast = cut.Find("[data-testid='update-available-toast']");
+        Assert.Contains("Update ready", toast.TextContent);
+        Assert.Equal("alert", toast.GetAttribute("role"));
+    }
+
+    /// <summary>
+    /// Verifies Reload starts the skip-waiting handshake.
+    /// </summary>
+    [Fact]
+    public void ReloadClick_AppliesUpdate()
+    {
+        var moduleInterop = JSInterop.SetupModule("./js/sw-update.js");
+        var cut = Render<UpdateAvailableToast>();
+        cut.InvokeAsync(Services.GetRequiredService<ServiceWorkerUpdateService>().OnUpdateAvailable);
+
+        cut.Find("[data-testid='update-reload-button']").Click();
+
+        moduleInterop.VerifyInvoke("applyUpdate");
+    }
+
+    /// <summary>
+    /// Verifies dismissing hides the prompt.
+    /// </summary>
+    [Fact]
+    public void DismissClick_HidesPrompt()
+    {
+        var cut = Render<UpdateAvailableToast>();
+        cut.InvokeAsync(Services.GetRequiredService<ServiceWorkerUpdateService>().OnUpdateAvailable);
+
+        cut.Find("button[aria-label='Dismiss update notification']").Click();
+
+        Assert.Empty(cut.FindAll("[data-testid='update-available-toast']"));
+    }
+}
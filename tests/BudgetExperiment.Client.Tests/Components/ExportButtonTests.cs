@@ -87,6 +87,61 @@ public class ExportButtonTests : BunitContext
         Assert.Equal("/export.csv", downloadService.LastUrl);
     }
 
+    [Fact]
+    public void ExportButton_Passes_Suggested_FileName()
+    {
+        // Arrange
+        var options = new List<ExportOption>
+        {
+            new() { Label = "CSV", Href = "/api/v1/exports/trends?months=6", FileName = "spending-trends-6m.csv" },
+        };
+
+        var downloadService = new TestExportDownloadService();
+        Services.AddSingleton<IExportDownloadService>(downloadService);
+        Services.AddSingleton<IToastService>(new ToastService());
+
+        var cut = Render<ExportButton>(parameters => parameters
+            .Add(p => p.Options, options));
+
+        // Act
+        cut.Find("button.export-trigger").Click();
+        cut.Find("button.export-item").Click();
+
+        // Assert
+        Assert.Equal("spending-trends-6m.csv", downloadService.LastFileName);
+    }
+
+    [Fact]
+    public void ExportButton_Shows_Progress_And_Cancels_Download()
+    {
+        // Arrange
+        var options = new List<ExportOption>
+        {
+            new() { Label = "CSV", Href = "/export.csv" },
+        };
+
+        var downloadService = new TestExportDownloadService { Pending = new TaskCompletionSource<ExportDownloadResult>() };
+        var toastService = new ToastService();
+        Services.AddSingleton<IExportDownloadService>(downloadService);
+        Services.AddSingleton<IToastService>(toastService);
+
+        var cut = Render<ExportButton>(parameters => parameters
+            .Add(p => p.Options, options));
+        cut.Find("button.export-trigger").Click();
+        cut.Find("button.export-item").Click();
+
+        // Act
+        cut.InvokeAsync(() => downloadService.LastProgress!.Report(new ExportDownloadProgress(512, 1024)));
+        cut.WaitForAssertion(() => Assert.Contains("50%", cut.Find("button.export-trigger").TextContent));
+        cut.Find("button.export-cancel").Click();
+
+        // Assert
+        Assert.True(downloadService.LastToken.IsCancellationRequested);
+        cut.InvokeAsync(() => downloadService.Pending.SetResult(ExportDownloadResult.Canceled()));
+        cut.WaitForAssertion(() => Assert.Empty(cut.FindAll("button.export-cancel")));
+        Assert.Empty(toastService.Toasts);
+    }
+
     private sealed class TestExportDownloadService : IExportDownloadService
     {
         public string? LastUrl
@@ -94,10 +149,37 @@ public class ExportButtonTests : BunitContext
             get; private set;
         }
 
-        public Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default)
+        public string? LastFileName
+        {
+            get; private set;
+        }
+
+        public IProgress<ExportDownloadProgress>? LastProgress
+        {
+            get; private set;
+        }
+
+        public CancellationToken LastToken
+        {
+            get; private set;
+        }
+
+        public TaskCompletionSource<ExportDownloadResult>? Pending
+        {
+            get; init;
+        }
+
+        public Task<ExportDownloadResult> DownloadAsync(
+            string url,
+            string? suggestedFileName = null,
+            IProgress<ExportDownloadProgress>? progress = null,
+            CancellationToken cancellationToken = default)
         {
             LastUrl = url;
-            return Task.FromResult(ExportDownloadResult.Ok());
+            LastFileName = suggestedFileName;
+            LastProgress = progress;
+            LastToken = cancellationToken;
+            return Pending?.Task ?? Task.FromResult(ExportDownloadResult.Ok());
         }
     }
 }
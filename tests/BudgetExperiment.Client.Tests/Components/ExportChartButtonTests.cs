@@ -8,9 +8,12 @@
 // IMPORTANT: Do NOT test the actual JS export functionality — that is browser-only.
 // Only the DOM structure of the button is verified here.
 using BudgetExperiment.Client.Components.Charts;
+using BudgetExperiment.Client.Components.Charts.Models;
 
 using Bunit;
 
+using Microsoft.JSInterop;
+
 namespace BudgetExperiment.Client.Tests.Components;
 
 /// <summary>
@@ -76,4 +79,93 @@ public class ExportChartButtonTests : BunitContext
         var button = cut.Find("button.export-chart-btn");
         Assert.NotNull(button);
     }
+
+    [Fact]
+    public void ExportChartButton_Click_Opens_Format_Menu()
+    {
+        // Arrange
+        var cut = Render<ExportChartButton>();
+
+        // Act
+        cut.Find("button.export-chart-btn").Click();
+
+        // Assert
+        Assert.Equal("true", cut.Find("button.export-chart-btn").GetAttribute("aria-expanded"));
+        Assert.Equal(3, cut.FindAll("[data-format='png']").Count);
+        Assert.Single(cut.FindAll("[data-format='svg']"));
+        Assert.Empty(cut.FindAll("[data-format='csv']"));
+    }
+
+    [Fact]
+    public void ExportChartButton_Offers_Csv_WhenDataProvided()
+    {
+        // Arrange
+        var cut = Render<ExportChartButton>(parameters => parameters
+            .Add(p => p.Data, new ChartExportData(["Label"], [])));
+
+        // Act
+        cut.Find("button.export-chart-btn").Click();
+
+        // Assert
+        Assert.Single(cut.FindAll("[data-format='csv']"));
+    }
+
+    [Fact]
+    public void ExportChartButton_Png_Invokes_Module_With_FileName_And_Dpi()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/chart-export.js");
+        module.Setup<string>("exportPng", _ => true).SetResult("completed");
+        var cut = Render<ExportChartButton>(parameters => parameters
+            .Add(p => p.ChartTitle, "Monthly Spending: 2026"));
+
+        // Act
+        cut.Find("button.export-chart-btn").Click();
+        cut.FindAll("[data-format='png']")[2].Click();
+
+        // Assert
+        var invocation = module.VerifyInvoke("exportPng");
+        Assert.Equal("monthly-spending-2026.png", invocation.Arguments[1]);
+        Assert.Equal(300, invocation.Arguments[2]);
+        Assert.Empty(cut.FindAll(".export-chart-menu"));
+    }
+
+    [Fact]
+    public void ExportChartButton_Csv_Sends_Serialized_Data()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/chart-export.js");
+        module.Setup<string>("exportCsv", _ => true).SetResult("completed");
+        var data = new ChartExportData(["Label", "Value"], [new object?[] { "Jan", 10m }]);
+        var cut = Render<ExportChartButton>(parameters => parameters
+            .Add(p => p.ChartTitle, "Trends")
+            .Add(p => p.Data, data));
+
+        // Act
+        cut.Find("button.export-chart-btn").Click();
+        cut.Find("[data-format='csv']").Click();
+
+        // Assert
+        var invocation = module.VerifyInvoke("exportCsv");
+        Assert.Equal("trends.csv", invocation.Arguments[0]);
+        Assert.Equal(data.ToCsv(), invocation.Arguments[1]);
+    }
+
+    [Fact]
+    public void ExportChartButton_Shows_Error_WhenExportFails()
+    {
+        // Arrange
+        var module = JSInterop.SetupModule("./js/chart-export.js");
+        module.Setup<string>("exportSvg", _ => true).SetException(new JSException("There is no rendered chart to export."));
+        var cut = Render<ExportChartButton>();
+
+        // Act
+        cut.Find("button.export-chart-btn").Click();
+        cut.Find("[data-format='svg']").Click();
+
+        // Assert
+        var error = cut.Find(".export-chart-error");
+        Assert.Contains("There is no rendered chart to export.", error.TextContent);
+        Assert.Null(cut.Find("button.export-chart-btn").GetAttribute("disabled"));
+    }
 }
@@ -4,6 +4,7 @@
 
 using BudgetExperiment.Client.Components.Forms;
 using BudgetExperiment.Client.Services;
+using BudgetExperiment.Client.Tests.TestHelpers;
 using BudgetExperiment.Contracts.Dtos;
 
 using Bunit;
@@ -19,6 +20,7 @@ public sealed class QuickAddFormTests : BunitContext, IAsyncLifetime
 {
     private readonly Guid _testAccountId = Guid.NewGuid();
     private readonly Guid _testCategoryId = Guid.NewGuid();
+    private readonly StubClientPreferencesService _preferences = new();
 
     /// <summary>
     /// Initializes a new instance of the <see cref="QuickAddFormTests"/> class.
@@ -28,6 +30,7 @@ public sealed class QuickAddFormTests : BunitContext, IAsyncLifetime
         JSInterop.Mode = JSRuntimeMode.Loose;
         Services.AddSingleton<ThemeService>();
         Services.AddSingleton<CultureService>();
+        Services.AddSingleton<IClientPreferencesService>(_preferences);
     }
 
     /// <inheritdoc/>
@@ -171,6 +174,46 @@ public sealed class QuickAddFormTests : BunitContext, IAsyncLifetime
         Assert.Equal(_testAccountId, submitted.AccountId);
     }
 
+    /// <summary>
+    /// Verifies that submitting remembers the account for next time.
+    /// </summary>
+    [Fact]
+    public void Submit_WithValidData_SavesLastUsedAccount()
+    {
+        // Arrange
+        var cut = RenderQuickAddForm();
+        cut.Find("#qa-description").Input("Coffee");
+        cut.Find("#qa-amount").Change("-5.50");
+        cut.Find("#qa-account").Change(_testAccountId.ToString());
+
+        // Act
+        cut.Find("form").Submit();
+
+        // Assert
+        Assert.Equal(_testAccountId.ToString(), _preferences.Values[ClientPreference.QuickAddLastAccount]);
+    }
+
+    /// <summary>
+    /// Verifies that the last used account is preselected.
+    /// </summary>
+    [Fact]
+    public void Render_WithSavedAccount_PreselectsAccount()
+    {
+        // Arrange
+        _preferences.Values[ClientPreference.QuickAddLastAccount] = _testAccountId.ToString();
+        TransactionCreateDto? submitted = null;
+        var cut = RenderQuickAddForm(onSubmit: dto => submitted = dto);
+
+        // Act
+        cut.Find("#qa-description").Input("Coffee");
+        cut.Find("#qa-amount").Change("-5.50");
+        cut.Find("form").Submit();
+
+        // Assert
+        Assert.NotNull(submitted);
+        Assert.Equal(_testAccountId, submitted!.AccountId);
+    }
+
     /// <summary>
     /// Verifies that submit is blocked when description is empty.
     /// </summary>
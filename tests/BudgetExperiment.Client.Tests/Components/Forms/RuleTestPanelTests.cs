@@ -220,7 +220,7 @@ public sealed class RuleTestPanelTests : BunitContext, IAsyncLifetime
         public Task<TransactionDto?> GetTransactionAsync(Guid id) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
-        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model) => Task.FromResult<TransactionDto?>(null);
+        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
         public Task<ApiResult<TransactionDto>> UpdateTransactionAsync(Guid id, TransactionUpdateDto model, string? version = null) => Task.FromResult(ApiResult<TransactionDto>.Failure());
@@ -283,7 +283,7 @@ public sealed class RuleTestPanelTests : BunitContext, IAsyncLifetime
         public Task<ApiResult<RecurringInstanceDto>> ModifyRecurringInstanceAsync(Guid id, DateOnly date, RecurringInstanceModifyDto model, string? version = null) => Task.FromResult(ApiResult<RecurringInstanceDto>.Failure());
 
         /// <inheritdoc/>
-        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model) => Task.FromResult<TransferResponse?>(null);
+        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null) => Task.FromResult<TransferResponse?>(null);
 
         /// <inheritdoc/>
         public Task<TransferResponse?> GetTransferAsync(Guid transferId) => Task.FromResult<TransferResponse?>(null);
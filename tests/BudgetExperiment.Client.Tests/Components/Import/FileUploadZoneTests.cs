@@ -61,6 +61,20 @@ public sealed class FileUploadZoneTests : BunitContext, IAsyncLifetime
         Assert.Contains(".csv", cut.Markup);
     }
 
+    /// <summary>
+    /// Verifies that a file shared from another app is named in the upload zone.
+    /// </summary>
+    [Fact]
+    public void FileUploadZone_ShowsSharedFileName()
+    {
+        // Arrange & Act
+        var cut = Render<FileUploadZone>(parameters => parameters
+            .Add(p => p.SharedFileName, "bank-export.csv"));
+
+        // Assert
+        Assert.Contains("bank-export.csv", cut.Find("[data-testid='shared-file']").TextContent);
+    }
+
     /// <summary>
     /// Verifies that the upload zone shows max file size.
     /// </summary>
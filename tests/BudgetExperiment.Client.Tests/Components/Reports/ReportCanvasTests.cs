@@ -0,0 +1,406 @@
+// <copyright file="ReportCanvasTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Components.Reports;
+using BudgetExperiment.Client.Models;
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.AspNetCore.Components.Web;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BudgetExperiment.Client.Tests.Components.Reports;
+
+/// <summary>
+/// Unit tests for the ReportCanvas component.
+/// </summary>
+public class ReportCanvasTests : BunitContext, IAsyncLifetime
+{
+    private readonly BunitJSModuleInterop gridModule;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ReportCanvasTests"/> class.
+    /// </summary>
+    public ReportCanvasTests()
+    {
+        this.Services.AddSingleton<ThemeService>();
+        this.Services.AddSingleton<CultureService>();
+        this.JSInterop.Mode = JSRuntimeMode.Loose;
+        this.gridModule = this.JSInterop.SetupModule("./js/report-layout-grid.js");
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public new Task DisposeAsync() => base.DisposeAsync().AsTask();
+
+    [Fact]
+    public async Task UpdateWidgetLayoutsAsync_Applies_Every_Change()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.UpdateWidgetLayoutsAsync(
+            "lg",
+            [
+                new ReportWidgetLayoutChange { WidgetId = first.Id.ToString(), X = 1, Y = 5, Width = 4, Height = 4 },
+                new ReportWidgetLayoutChange { WidgetId = second.Id.ToString(), X = 1, Y = 1, Width = 4, Height = 4 },
+            ]));
+
+        // Assert
+        Assert.Equal(5, first.Layouts["lg"].Y);
+        Assert.Equal(1, second.Layouts["lg"].X);
+        Assert.Equal(1, second.Layouts["lg"].Y);
+        Assert.Contains("--grid-row-start-lg: 5;", cut.Markup);
+    }
+
+    [Fact]
+    public async Task UpdateWidgetLayoutsAsync_Ignores_Unknown_Widget_Ids()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out _);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.UpdateWidgetLayoutsAsync(
+            "lg",
+            [
+                new ReportWidgetLayoutChange { WidgetId = "not-a-guid", X = 9, Y = 9, Width = 2, Height = 2 },
+                new ReportWidgetLayoutChange { WidgetId = first.Id.ToString(), X = 5, Y = 1, Width = 4, Height = 4 },
+            ]));
+
+        // Assert
+        Assert.Equal(5, first.Layouts["lg"].X);
+    }
+
+    [Fact]
+    public async Task UpdateWidgetLayoutsAsync_Invokes_OnLayoutChanging_Once_Before_Applying()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        var calls = 0;
+        int? firstYWhenNotified = null;
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.OnLayoutChanging, () =>
+            {
+                calls++;
+                firstYWhenNotified = first.Layouts["lg"].Y;
+            }));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.UpdateWidgetLayoutsAsync(
+            "lg",
+            [
+                new ReportWidgetLayoutChange { WidgetId = first.Id.ToString(), X = 1, Y = 9, Width = 4, Height = 4 },
+                new ReportWidgetLayoutChange { WidgetId = second.Id.ToString(), X = 1, Y = 1, Width = 4, Height = 4 },
+            ]));
+
+        // Assert
+        Assert.Equal(1, calls);
+        Assert.Equal(1, firstYWhenNotified);
+    }
+
+    [Theory]
+    [InlineData("z", false, true)]
+    [InlineData("Z", true, false)]
+    [InlineData("y", false, false)]
+    public void Canvas_Shortcuts_Invoke_Undo_And_Redo(string key, bool shift, bool expectUndo)
+    {
+        // Arrange
+        var undo = 0;
+        var redo = 0;
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _))
+            .Add(p => p.OnUndo, () => undo++)
+            .Add(p => p.OnRedo, () => redo++));
+
+        // Act
+        cut.Find(".report-canvas").KeyDown(new KeyboardEventArgs { Key = key, CtrlKey = true, ShiftKey = shift });
+
+        // Assert
+        Assert.Equal(expectUndo ? 1 : 0, undo);
+        Assert.Equal(expectUndo ? 0 : 1, redo);
+    }
+
+    [Fact]
+    public void Canvas_Ignores_Z_Without_Modifier()
+    {
+        // Arrange
+        var undo = 0;
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _))
+            .Add(p => p.OnUndo, () => undo++));
+
+        // Act
+        cut.Find(".report-canvas").KeyDown(new KeyboardEventArgs { Key = "z" });
+
+        // Assert
+        Assert.Equal(0, undo);
+    }
+
+    [Fact]
+    public void Breakpoint_Indicator_Shows_Auto_Until_Hand_Tuned()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out _);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout));
+        Assert.Contains("Auto", cut.Find(".report-canvas-breakpoint[data-breakpoint='md']").TextContent);
+
+        // Act
+        layout.UpdateWidgetLayout(first.Id, "md", new ReportWidgetLayoutPosition { X = 3, Y = 1, Width = 4, Height = 4 });
+        cut.Render();
+
+        // Assert
+        var tablet = cut.Find(".report-canvas-breakpoint[data-breakpoint='md']");
+        Assert.Contains("Hand-tuned", tablet.TextContent);
+        Assert.Contains("is-customized", tablet.ClassList);
+        Assert.Empty(cut.Find(".report-canvas-breakpoint[data-breakpoint='sm']").QuerySelectorAll("button"));
+    }
+
+    [Fact]
+    public void Breakpoint_Reset_Rederives_From_Desktop_Layout()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out _);
+        var changing = 0;
+        layout.UpdateWidgetLayout(first.Id, "md", new ReportWidgetLayoutPosition { X = 5, Y = 9, Width = 4, Height = 4 });
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.OnLayoutChanging, () => changing++));
+
+        // Act
+        cut.Find(".report-canvas-breakpoint[data-breakpoint='md'] .report-canvas-breakpoint-reset").Click();
+
+        // Assert
+        Assert.Equal(1, changing);
+        Assert.False(layout.IsCustomized("md"));
+        Assert.Equal(1, first.Layouts["md"].Y);
+        Assert.Contains("Auto", cut.Find(".report-canvas-breakpoint[data-breakpoint='md']").TextContent);
+    }
+
+    [Fact]
+    public void Renders_Live_Region_And_Grab_Instructions()
+    {
+        // Act
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _)));
+
+        // Assert
+        var announcer = cut.Find(".report-canvas-announcer");
+        Assert.Equal("polite", announcer.GetAttribute("aria-live"));
+        Assert.Equal("status", announcer.GetAttribute("role"));
+        Assert.Contains("Escape", cut.Find("#report-canvas-grab-help").TextContent);
+        Assert.All(
+            cut.FindAll(".report-widget-header"),
+            header => Assert.Equal("report-canvas-grab-help", header.GetAttribute("aria-describedby")));
+    }
+
+    [Fact]
+    public void Grid_Starts_At_Large_Breakpoint()
+    {
+        // Act
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _)));
+
+        // Assert
+        Assert.Equal("lg", cut.Find(".report-canvas-grid").GetAttribute("data-breakpoint"));
+        Assert.Empty(cut.FindAll(".report-canvas-breakpoint.is-active"));
+    }
+
+    [Fact]
+    public async Task OnBreakpointChanged_Updates_Grid_And_Indicator()
+    {
+        // Arrange
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnBreakpointChanged("sm"));
+
+        // Assert
+        Assert.Equal("sm", cut.Find(".report-canvas-grid").GetAttribute("data-breakpoint"));
+        Assert.Equal("true", cut.Find(".report-canvas-breakpoint[data-breakpoint='sm']").GetAttribute("aria-current"));
+    }
+
+    [Fact]
+    public async Task OnBreakpointChanged_Ignores_Unknown_Breakpoints()
+    {
+        // Arrange
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, CreateLayout(out _, out _)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnBreakpointChanged("xl"));
+
+        // Assert
+        Assert.Equal("lg", cut.Find(".report-canvas-grid").GetAttribute("data-breakpoint"));
+    }
+
+    [Fact]
+    public void Initialize_Passes_Compact_Option_From_Grid()
+    {
+        // Arrange
+        var layout = CreateLayout(out _, out _);
+        layout.Grid.CompactVertically = false;
+
+        // Act
+        Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout));
+
+        // Assert
+        var options = this.gridModule.VerifyInvoke("initializeGridLayout").Arguments[2]!;
+        Assert.False((bool)options.GetType().GetProperty("compact")!.GetValue(options)!);
+    }
+
+    [Fact]
+    public void Toggling_AutoCompact_Updates_Grid_And_Module()
+    {
+        // Arrange
+        var layout = CreateLayout(out _, out _);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout));
+
+        // Act
+        cut.Find(".report-canvas-compact input").Change(false);
+
+        // Assert
+        Assert.False(layout.Grid.CompactVertically);
+        var options = this.gridModule.VerifyInvoke("setGridOptions").Arguments[1]!;
+        Assert.False((bool)options.GetType().GetProperty("compact")!.GetValue(options)!);
+    }
+
+    [Fact]
+    public void Modifier_Click_Adds_To_Selection_And_Shows_Toolbar()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        Guid? selectedId = first.Id;
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.SelectedWidgetId, selectedId)
+            .Add(p => p.OnSelectWidget, id => selectedId = id));
+
+        // Act
+        cut.FindAll(".report-widget-header")[1].Click(new MouseEventArgs { CtrlKey = true });
+
+        // Assert
+        Assert.Equal(second.Id, selectedId);
+        Assert.Equal(2, cut.FindAll(".report-widget.is-selected").Count);
+        Assert.Contains("2 selected", cut.Find(".report-canvas-selection-toolbar").TextContent);
+        Assert.True(cut.Find(".report-canvas-selection-toolbar [data-command='distribute']").HasAttribute("disabled"));
+    }
+
+    [Fact]
+    public void Plain_Click_Outside_Selection_Collapses_It()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out _);
+        var third = CreateWidget("Category Breakdown");
+        layout.AddWidget(third);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.SelectedWidgetId, first.Id));
+        cut.FindAll(".report-widget-header")[1].Click(new MouseEventArgs { ShiftKey = true });
+
+        // Act
+        cut.FindAll(".report-widget-header")[2].Click();
+
+        // Assert
+        Assert.Empty(cut.FindAll(".report-canvas-selection-toolbar"));
+    }
+
+    [Fact]
+    public async Task OnMarqueeSelection_Selects_Hit_Widgets()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        Guid? selectedId = null;
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.OnSelectWidget, id => selectedId = id));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnMarqueeSelection([first.Id.ToString(), second.Id.ToString()], false));
+
+        // Assert
+        Assert.Equal(first.Id, selectedId);
+        Assert.Equal(2, cut.FindAll(".report-widget.is-selected").Count);
+    }
+
+    [Fact]
+    public async Task OnMarqueeSelection_Adds_To_Selection_When_Additive()
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.SelectedWidgetId, first.Id));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnMarqueeSelection([second.Id.ToString(), "not-a-guid"], true));
+
+        // Assert
+        Assert.Equal(2, cut.FindAll(".report-widget.is-selected").Count);
+    }
+
+    [Theory]
+    [InlineData("align-top")]
+    [InlineData("match-width")]
+    public void Selection_Toolbar_Arranges_Selected_Widgets(string command)
+    {
+        // Arrange
+        var layout = CreateLayout(out var first, out var second);
+        var cut = Render<ReportCanvas>(parameters => parameters
+            .Add(p => p.ReportLayout, layout)
+            .Add(p => p.SelectedWidgetId, first.Id));
+        cut.FindAll(".report-widget-header")[1].Click(new MouseEventArgs { ShiftKey = true });
+
+        // Act
+        cut.Find($".report-canvas-selection-toolbar [data-command='{command}']").Click();
+
+        // Assert
+        var invocation = this.gridModule.VerifyInvoke("arrangeSelection");
+        Assert.Equal(command, invocation.Arguments[1]);
+        Assert.Equal(new[] { first.Id.ToString(), second.Id.ToString() }, (string[])invocation.Arguments[2]!);
+        Assert.Equal(first.Id.ToString(), invocation.Arguments[3]);
+    }
+
+    private static CustomReportLayoutDefinition CreateLayout(
+        out ReportWidgetDefinition first,
+        out ReportWidgetDefinition second)
+    {
+        first = CreateWidget("Summary Card");
+        second = CreateWidget("Trend Chart");
+
+        var layout = new CustomReportLayoutDefinition();
+        layout.AddWidget(first);
+        layout.AddWidget(second);
+        return layout;
+    }
+
+    private static ReportWidgetDefinition CreateWidget(string title)
+    {
+        return new ReportWidgetDefinition
+        {
+            Id = Guid.NewGuid(),
+            Type = "summary",
+            Title = title,
+            Constraints = new ReportWidgetConstraints
+            {
+                MinWidth = 2,
+                MinHeight = 2,
+                MaxWidth = 12,
+                MaxHeight = 12,
+            },
+        };
+    }
+}
@@ -9,6 +9,7 @@ using BudgetExperiment.Client.Services;
 using Bunit;
 
 using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Web;
 using Microsoft.Extensions.DependencyInjection;
 
 namespace BudgetExperiment.Client.Tests.Components.Reports;
@@ -91,6 +92,30 @@ public class ReportWidgetTests : BunitContext, IAsyncLifetime
         Assert.Equal(widget.Id, selectedId);
     }
 
+    [Fact]
+    public void ReportWidget_Invokes_Toggle_Select_On_Modifier_Click()
+    {
+        // Arrange
+        var widget = CreateWidget();
+        var selected = false;
+        var toggledId = Guid.Empty;
+
+        // Act
+        var cut = Render<ReportWidget>(parameters => parameters
+            .Add(p => p.Widget, widget)
+            .Add(p => p.OnSelect, EventCallback.Factory.Create<Guid>(this, _ => selected = true))
+            .Add(p => p.OnToggleSelect, EventCallback.Factory.Create<Guid>(this, id => toggledId = id))
+            .Add(p => p.LayoutLg, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 })
+            .Add(p => p.LayoutMd, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 })
+            .Add(p => p.LayoutSm, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 }));
+
+        cut.Find(".report-widget-header").Click(new MouseEventArgs { ShiftKey = true });
+
+        // Assert
+        Assert.Equal(widget.Id, toggledId);
+        Assert.False(selected);
+    }
+
     [Fact]
     public void ReportWidget_Invokes_Duplicate_Action()
     {
@@ -134,6 +159,26 @@ public class ReportWidgetTests : BunitContext, IAsyncLifetime
         Assert.Equal(widget.Id, removeId);
     }
 
+    [Fact]
+    public void ReportWidget_Header_Describes_Grab_Mode()
+    {
+        // Arrange
+        var widget = CreateWidget();
+
+        // Act
+        var cut = Render<ReportWidget>(parameters => parameters
+            .Add(p => p.Widget, widget)
+            .Add(p => p.LayoutLg, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 })
+            .Add(p => p.LayoutMd, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 })
+            .Add(p => p.LayoutSm, new ReportWidgetLayoutPosition { X = 1, Y = 1, Width = 4, Height = 4 }));
+
+        // Assert
+        var header = cut.Find(".report-widget-header");
+        Assert.Equal("Move or resize Summary Card", header.GetAttribute("aria-label"));
+        Assert.Equal("false", header.GetAttribute("aria-pressed"));
+        Assert.Equal("report-canvas-grab-help", header.GetAttribute("aria-describedby"));
+    }
+
     private static ReportWidgetDefinition CreateWidget()
     {
         return new ReportWidgetDefinition
@@ -74,6 +74,22 @@ public class WidgetConfigPanelTests : BunitContext, IAsyncLifetime
         Assert.Equal("Net Summary", widget.Title);
     }
 
+    [Fact]
+    public void WidgetConfigPanel_DateRangeOptions_MatchResolvablePresets()
+    {
+        // Arrange
+        var widget = CreateWidget("summary", "Summary");
+
+        // Act
+        var cut = Render<WidgetConfigPanel>(parameters => parameters
+            .Add(p => p.Widget, widget));
+
+        // Assert
+        var values = cut.FindAll("#widget-date-range option").Select(option => option.GetAttribute("value"));
+        Assert.Equal(ReportDateRange.Presets.Select(preset => preset.Id), values);
+        Assert.Contains("last-6-months", values);
+    }
+
     [Fact]
     public void WidgetConfigPanel_Shows_Chart_Options_WhenChartWidget()
     {
@@ -6,6 +6,7 @@ using System.Security.Claims;
 
 using BudgetExperiment.Client.Components.Auth;
 using BudgetExperiment.Client.Services;
+using BudgetExperiment.Client.Tests.TestHelpers;
 using BudgetExperiment.Contracts.Dtos;
 
 using Bunit;
@@ -102,6 +103,8 @@ public class UserProfileAuthOffTests : BunitContext, IAsyncLifetime
         Services.AddSingleton<IAuthorizationService, AlwaysAllowAuthorizationService>();
         Services.AddSingleton<ThemeService>();
         Services.AddSingleton<CultureService>();
+        Services.AddSingleton<OfflineCacheService>();
+        Services.AddSingleton<IOfflineOutboxService, StubOfflineOutboxService>();
     }
 
     private void RegisterUnauthenticatedUser()
@@ -116,6 +119,8 @@ public class UserProfileAuthOffTests : BunitContext, IAsyncLifetime
         Services.AddSingleton<IAuthorizationService, DenyAllAuthorizationService>();
         Services.AddSingleton<ThemeService>();
         Services.AddSingleton<CultureService>();
+        Services.AddSingleton<OfflineCacheService>();
+        Services.AddSingleton<IOfflineOutboxService, StubOfflineOutboxService>();
     }
 
     private sealed class FakeAuthStateProvider : AuthenticationStateProvider
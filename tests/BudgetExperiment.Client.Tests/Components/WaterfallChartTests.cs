@@ -162,4 +162,25 @@ public class WaterfallChartTests : BunitContext
         var labels = cut.FindAll(".waterfall-label");
         Assert.Equal(2, labels.Count);
     }
+
+    [Fact]
+    public void WaterfallChart_ShowExport_Renders_ExportMenu_Outside_Image_Region()
+    {
+        // Arrange
+        var segments = new List<WaterfallSegment>
+        {
+            new("Income", 2000m, 2000m, IsTotal: false),
+            new("Rent", -800m, 1200m, IsTotal: false),
+        };
+
+        // Act
+        var cut = Render<WaterfallChart>(parameters => parameters
+            .Add(p => p.Segments, segments)
+            .Add(p => p.ShowExport, true));
+
+        // Assert — the export control must not be hidden inside the role="img" region
+        var root = cut.Find("[data-chart-root]");
+        Assert.Contains(root.Children, child => child.ClassList.Contains("export-chart"));
+        Assert.Empty(cut.FindAll(".waterfall-chart .export-chart-btn"));
+    }
 }
@@ -0,0 +1,79 @@
+// <copyright file="CalendarDropPreviewTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Models;
+using BudgetExperiment.Contracts.Dtos;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="CalendarDropPreview"/>.
+/// </summary>
+public class CalendarDropPreviewTests
+{
+    private static readonly DateOnly FirstDay = new(2026, 3, 1);
+
+    /// <summary>
+    /// Verifies moving an expense later raises the balances between the two days.
+    /// </summary>
+    [Fact]
+    public void Create_MovedLater_DaysBeforeTargetNoLongerIncludeIt()
+    {
+        // Balances 1000, 900 (rent -100 on day 2), 900, 900
+        var days = CreateDays(1000m, 900m, 900m, 900m);
+
+        var preview = CalendarDropPreview.Create(days, FirstDay.AddDays(1), FirstDay.AddDays(3), -100m);
+
+        preview.TargetDate.ShouldBe(FirstDay.AddDays(3));
+        preview.GetBalance(FirstDay).ShouldBeNull();
+        preview.GetBalance(FirstDay.AddDays(1)).ShouldBe(1000m);
+        preview.GetBalance(FirstDay.AddDays(2)).ShouldBe(1000m);
+        preview.GetBalance(FirstDay.AddDays(3)).ShouldBe(900m);
+    }
+
+    /// <summary>
+    /// Verifies moving an expense earlier lowers the balances between the two days.
+    /// </summary>
+    [Fact]
+    public void Create_MovedEarlier_DaysFromTargetNowIncludeIt()
+    {
+        // Balances 1000, 1000, 1000, 900 (rent -100 on day 4)
+        var days = CreateDays(1000m, 1000m, 1000m, 900m);
+
+        var preview = CalendarDropPreview.Create(days, FirstDay.AddDays(3), FirstDay.AddDays(1), -100m);
+
+        preview.GetBalance(FirstDay).ShouldBeNull();
+        preview.GetBalance(FirstDay.AddDays(1)).ShouldBe(900m);
+        preview.GetBalance(FirstDay.AddDays(2)).ShouldBe(900m);
+        preview.GetBalance(FirstDay.AddDays(3)).ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies the target day always has a balance, even when the move leaves it unchanged.
+    /// </summary>
+    [Fact]
+    public void Create_SameDay_OnlyTargetHasBalance()
+    {
+        var days = CreateDays(1000m, 900m);
+
+        var preview = CalendarDropPreview.Create(days, FirstDay.AddDays(1), FirstDay.AddDays(1), -100m);
+
+        preview.GetBalance(FirstDay).ShouldBeNull();
+        preview.GetBalance(FirstDay.AddDays(1)).ShouldBe(900m);
+    }
+
+    private static List<CalendarDaySummaryDto> CreateDays(params decimal[] balances)
+    {
+        return balances
+            .Select((balance, i) => new CalendarDaySummaryDto
+            {
+                Date = FirstDay.AddDays(i),
+                IsCurrentMonth = true,
+                EndOfDayBalance = new MoneyDto { Amount = balance, Currency = "USD" },
+            })
+            .ToList();
+    }
+}
@@ -0,0 +1,49 @@
+// <copyright file="CssColorTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Models;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="CssColor"/>.
+/// </summary>
+public class CssColorTests
+{
+    /// <summary>
+    /// Verifies the accepted colour forms and rejects everything else.
+    /// </summary>
+    /// <param name="value">The CSS value.</param>
+    /// <param name="expected">Whether the value is a colour.</param>
+    [Theory]
+    [InlineData("#fff", true)]
+    [InlineData("#ffff", true)]
+    [InlineData("#1F1F1F", true)]
+    [InlineData("#1f1f1f80", true)]
+    [InlineData("rgb(255, 0, 0)", true)]
+    [InlineData("rgba(0, 0, 0, 0.5)", true)]
+    [InlineData("rgb(255 0 0 / 50%)", true)]
+    [InlineData("hsl(210deg 50% 40%)", true)]
+    [InlineData("hsla(210, 50%, 40%, 0.8)", true)]
+    [InlineData("CornflowerBlue", true)]
+    [InlineData("transparent", true)]
+    [InlineData(" red ", true)]
+    [InlineData("#ff", false)]
+    [InlineData("#fffff", false)]
+    [InlineData("rgb(1234)", false)]
+    [InlineData("rgb(0, 0)", false)]
+    [InlineData("rgb(url(x), 0, 0)", false)]
+    [InlineData("notacolour", false)]
+    [InlineData("inherit", false)]
+    [InlineData("var(--color-surface)", false)]
+    [InlineData("url(x.png)", false)]
+    [InlineData("", false)]
+    [InlineData(null, false)]
+    public void IsValid_RecognisesCssColours(string? value, bool expected)
+    {
+        CssColor.IsValid(value).ShouldBe(expected);
+    }
+}
@@ -2,6 +2,8 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using System.Text.Json;
+
 using BudgetExperiment.Client.Models;
 
 using Shouldly;
@@ -318,4 +320,243 @@ public class CustomReportLayoutDefinitionTests
 
         widget.Layouts["sm"].Width.ShouldBeLessThanOrEqualTo(4);
     }
+
+    /// <summary>
+    /// Verifies md and sm layouts scale widths proportionally from lg.
+    /// </summary>
+    [Fact]
+    public void AddWidget_DerivesSmallerBreakpoints_WithProportionalWidths()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var left = CreateWidget(1, 1, 6, 4);
+        var right = CreateWidget(7, 1, 6, 4);
+
+        layout.AddWidget(left);
+        layout.AddWidget(right);
+
+        ShouldBeAt(left.Layouts["md"], 1, 1, 4, 4);
+        ShouldBeAt(right.Layouts["md"], 5, 1, 4, 4);
+        ShouldBeAt(left.Layouts["sm"], 1, 1, 2, 4);
+        ShouldBeAt(right.Layouts["sm"], 3, 1, 2, 4);
+    }
+
+    /// <summary>
+    /// Verifies derived layouts follow lg reading order rather than insertion order.
+    /// </summary>
+    [Fact]
+    public void Normalize_DerivesSmallerBreakpoints_InReadingOrder()
+    {
+        var lower = CreateWidget(1, 5, 12, 4);
+        var upper = CreateWidget(1, 1, 12, 4);
+        var layout = new CustomReportLayoutDefinition { Widgets = [lower, upper] };
+
+        layout.Normalize();
+
+        ShouldBeAt(upper.Layouts["sm"], 1, 1, 4, 4);
+        ShouldBeAt(lower.Layouts["sm"], 1, 5, 4, 4);
+    }
+
+    /// <summary>
+    /// Verifies scaled widths never go below the widget's minimum width.
+    /// </summary>
+    [Fact]
+    public void AddWidget_DerivedWidth_RespectsMinimumWidth()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var widget = CreateWidget(1, 1, 3, 4);
+        widget.Constraints = new ReportWidgetConstraints { MinWidth = 3, MinHeight = 2, MaxWidth = 12, MaxHeight = 12 };
+
+        layout.AddWidget(widget);
+
+        widget.Layouts["sm"].Width.ShouldBe(3);
+    }
+
+    /// <summary>
+    /// Verifies moving a widget at lg re-derives breakpoints that were not hand-tuned.
+    /// </summary>
+    [Fact]
+    public void UpdateWidgetLayout_Lg_RederivesAutoBreakpoints()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var first = CreateWidget(1, 1, 6, 4);
+        var second = CreateWidget(7, 1, 6, 4);
+        layout.AddWidget(first);
+        layout.AddWidget(second);
+
+        layout.UpdateWidgetLayout(first.Id, "lg", new ReportWidgetLayoutPosition { X = 1, Y = 5, Width = 6, Height = 4 });
+
+        ShouldBeAt(second.Layouts["md"], 1, 1, 4, 4);
+        ShouldBeAt(first.Layouts["md"], 5, 1, 4, 4);
+    }
+
+    /// <summary>
+    /// Verifies moving a widget at a smaller breakpoint marks it hand-tuned and keeps it.
+    /// </summary>
+    [Fact]
+    public void UpdateWidgetLayout_Md_MarksBreakpointCustomized()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var widget = CreateWidget(1, 1, 6, 4);
+        layout.AddWidget(widget);
+
+        layout.UpdateWidgetLayout(widget.Id, "md", new ReportWidgetLayoutPosition { X = 3, Y = 2, Width = 4, Height = 4 });
+        layout.UpdateWidgetLayout(widget.Id, "lg", new ReportWidgetLayoutPosition { X = 7, Y = 1, Width = 6, Height = 4 });
+
+        layout.IsCustomized("md").ShouldBeTrue();
+        layout.IsCustomized("sm").ShouldBeFalse();
+        ShouldBeAt(widget.Layouts["md"], 3, 2, 4, 4);
+    }
+
+    /// <summary>
+    /// Verifies ResetBreakpoint derives the breakpoint from lg again.
+    /// </summary>
+    [Fact]
+    public void ResetBreakpoint_RederivesFromLg()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var widget = CreateWidget(1, 1, 6, 4);
+        layout.AddWidget(widget);
+        layout.UpdateWidgetLayout(widget.Id, "md", new ReportWidgetLayoutPosition { X = 3, Y = 2, Width = 4, Height = 4 });
+
+        layout.ResetBreakpoint("md");
+
+        layout.IsCustomized("md").ShouldBeFalse();
+        ShouldBeAt(widget.Layouts["md"], 1, 1, 4, 4);
+    }
+
+    /// <summary>
+    /// Verifies RemoveWidget closes the gap in derived breakpoints.
+    /// </summary>
+    [Fact]
+    public void RemoveWidget_RederivesAutoBreakpoints()
+    {
+        var layout = new CustomReportLayoutDefinition();
+        var first = CreateWidget(1, 1, 12, 4);
+        var second = CreateWidget(1, 5, 12, 4);
+        layout.AddWidget(first);
+        layout.AddWidget(second);
+
+        layout.RemoveWidget(first.Id).ShouldBeTrue();
+
+        layout.Widgets.Count.ShouldBe(1);
+        ShouldBeAt(second.Layouts["sm"], 1, 1, 4, 4);
+    }
+
+    /// <summary>
+    /// Verifies a layout saved before hand-tuned breakpoints were tracked keeps its stored md/sm positions.
+    /// </summary>
+    [Fact]
+    public void Normalize_LegacyLayout_KeepsStoredSmallerBreakpoints()
+    {
+        const string json = """
+            {
+              "grid": { "version": 1, "rowHeight": 24, "gap": 12 },
+              "widgets": [
+                {
+                  "id": "3f2504e0-4f89-11d3-9a0c-0305e82c3301",
+                  "type": "summary",
+                  "layouts": {
+                    "lg": { "x": 1, "y": 1, "width": 6, "height": 4 },
+                    "md": { "x": 3, "y": 5, "width": 4, "height": 4 },
+                    "sm": { "x": 1, "y": 9, "width": 4, "height": 3 }
+                  }
+                }
+              ]
+            }
+            """;
+
+        var layout = Deserialize(json);
+        layout.Normalize();
+
+        layout.IsCustomized("md").ShouldBeTrue();
+        layout.IsCustomized("sm").ShouldBeTrue();
+        ShouldBeAt(layout.Widgets[0].Layouts["md"], 3, 5, 4, 4);
+        ShouldBeAt(layout.Widgets[0].Layouts["sm"], 1, 9, 4, 3);
+    }
+
+    /// <summary>
+    /// Verifies a legacy layout derives only the breakpoints it never stored.
+    /// </summary>
+    [Fact]
+    public void Normalize_LegacyLayout_DerivesMissingBreakpoints()
+    {
+        const string json = """
+            {
+              "widgets": [
+                {
+                  "id": "3f2504e0-4f89-11d3-9a0c-0305e82c3301",
+                  "type": "summary",
+                  "layouts": {
+                    "lg": { "x": 1, "y": 1, "width": 6, "height": 4 },
+                    "md": { "x": 3, "y": 5, "width": 4, "height": 4 }
+                  }
+                }
+              ]
+            }
+            """;
+
+        var layout = Deserialize(json);
+        layout.Normalize();
+
+        layout.IsCustomized("md").ShouldBeTrue();
+        layout.IsCustomized("sm").ShouldBeFalse();
+        ShouldBeAt(layout.Widgets[0].Layouts["md"], 3, 5, 4, 4);
+        ShouldBeAt(layout.Widgets[0].Layouts["sm"], 1, 1, 2, 4);
+    }
+
+    /// <summary>
+    /// Verifies a saved layout that tracks hand-tuned breakpoints is not treated as legacy.
+    /// </summary>
+    [Fact]
+    public void Normalize_TrackedLayout_RederivesBreakpointsNotCustomized()
+    {
+        const string json = """
+            {
+              "customizedBreakpoints": [],
+              "widgets": [
+                {
+                  "id": "3f2504e0-4f89-11d3-9a0c-0305e82c3301",
+                  "type": "summary",
+                  "layouts": {
+                    "lg": { "x": 1, "y": 1, "width": 6, "height": 4 },
+                    "md": { "x": 3, "y": 5, "width": 4, "height": 4 }
+                  }
+                }
+              ]
+            }
+            """;
+
+        var layout = Deserialize(json);
+        layout.Normalize();
+
+        layout.IsCustomized("md").ShouldBeFalse();
+        ShouldBeAt(layout.Widgets[0].Layouts["md"], 1, 1, 4, 4);
+    }
+
+    private static CustomReportLayoutDefinition Deserialize(string json)
+    {
+        var options = new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase };
+        return JsonSerializer.Deserialize<CustomReportLayoutDefinition>(json, options)!;
+    }
+
+    private static ReportWidgetDefinition CreateWidget(int x, int y, int width, int height)
+    {
+        return new ReportWidgetDefinition
+        {
+            Id = Guid.NewGuid(),
+            Type = "summary",
+            Layouts = new Dictionary<string, ReportWidgetLayoutPosition>(StringComparer.OrdinalIgnoreCase)
+            {
+                ["lg"] = new ReportWidgetLayoutPosition { X = x, Y = y, Width = width, Height = height },
+            },
+        };
+    }
+
+    private static void ShouldBeAt(ReportWidgetLayoutPosition position, int x, int y, int width, int height)
+    {
+        position.X.ShouldBe(x);
+        position.Y.ShouldBe(y);
+        position.Width.ShouldBe(width);
+        position.Height.ShouldBe(height);
+    }
 }
@@ -0,0 +1,140 @@
+// <copyright file="CustomThemeDefinitionTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Models;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="CustomThemeDefinition"/>.
+/// </summary>
+public class CustomThemeDefinitionTests
+{
+    /// <summary>
+    /// Verifies an exported theme imports with the same content under a new id.
+    /// </summary>
+    [Fact]
+    public void ToJson_Then_TryParse_RoundTrips_With_New_Id()
+    {
+        var theme = new CustomThemeDefinition
+        {
+            Name = "Forest",
+            BaseTheme = "dark",
+            Tokens = { ["--color-background"] = "#102010", ["--color-brand-primary"] = "#3c9a5f" },
+        };
+
+        CustomThemeDefinition.TryParse(theme.ToJson(), out var imported, out var error).ShouldBeTrue();
+
+        error.ShouldBeNull();
+        imported.ShouldNotBeNull();
+        imported.Id.ShouldNotBe(theme.Id);
+        imported.Name.ShouldBe("Forest");
+        imported.BaseTheme.ShouldBe("dark");
+        imported.Tokens.ShouldBe(theme.Tokens);
+    }
+
+    /// <summary>
+    /// Verifies tokens the editor doesn't offer are dropped on import.
+    /// </summary>
+    [Fact]
+    public void TryParse_Drops_Unknown_Tokens()
+    {
+        const string json = """{ "name": "Odd", "baseTheme": "light", "tokens": { "--z-modal": "9999", "--color-surface": "#fafafa" } }""";
+
+        CustomThemeDefinition.TryParse(json, out var imported, out _).ShouldBeTrue();
+
+        imported!.Tokens.Keys.ShouldBe(new[] { "--color-surface" });
+    }
+
+    /// <summary>
+    /// Verifies invalid files are rejected with a reason.
+    /// </summary>
+    /// <param name="json">The file contents.</param>
+    [Theory]
+    [InlineData("")]
+    [InlineData("not json")]
+    [InlineData("""{ "name": "X", "baseTheme": "system", "tokens": {} }""")]
+    [InlineData("""{ "name": "X", "baseTheme": "light", "version": 99, "tokens": {} }""")]
+    [InlineData("""{ "name": "X", "baseTheme": "light", "tokens": { "--color-surface": "red; } body { display: none" } }""")]
+    [InlineData("""{ "name": "X", "baseTheme": "light", "tokens": { "--color-surface": "16px" } }""")]
+    [InlineData("""{ "name": "X", "baseTheme": "light", "tokens": { "--font-family-base": "url(https://example.com/font)" } }""")]
+    public void TryParse_Rejects_Invalid_Themes(string json)
+    {
+        CustomThemeDefinition.TryParse(json, out var imported, out var error).ShouldBeFalse();
+
+        imported.ShouldBeNull();
+        error.ShouldNotBeNullOrEmpty();
+    }
+
+    /// <summary>
+    /// Verifies values that could end a CSS declaration are not allowed.
+    /// </summary>
+    /// <param name="value">The token value.</param>
+    /// <param name="expected">Whether the value is allowed.</param>
+    [Theory]
+    [InlineData("#1f1f1f", true)]
+    [InlineData("rgba(0, 0, 0, 0.5)", true)]
+    [InlineData("\"Comic Sans MS\", cursive", true)]
+    [InlineData("red;", false)]
+    [InlineData("} :root {", false)]
+    [InlineData("</style>", false)]
+    [InlineData("   ", false)]
+    [InlineData("url(https://example.com/track.png)", false)]
+    [InlineData("URL (x.png)", false)]
+    [InlineData("image-set(\"a.png\" 1x)", false)]
+    [InlineData("-webkit-image-set(\"a.png\" 1x)", false)]
+    public void IsValidValue_Allows_Only_Safe_Values(string value, bool expected)
+    {
+        CustomThemeDefinition.IsValidValue(value).ShouldBe(expected);
+    }
+
+    /// <summary>
+    /// Verifies colour tokens only take real CSS colours while the font and radius tokens take other values.
+    /// </summary>
+    /// <param name="name">The token name.</param>
+    /// <param name="value">The token value.</param>
+    /// <param name="expected">Whether the value is allowed.</param>
+    [Theory]
+    [InlineData("--color-surface", "#fafafa", true)]
+    [InlineData("--color-surface", "hsl(210, 50%, 40%)", true)]
+    [InlineData("--color-surface", "rebeccapurple", true)]
+    [InlineData("--color-surface", "8px", false)]
+    [InlineData("--color-surface", "\"Comic Sans MS\", cursive", false)]
+    [InlineData("--color-surface", "var(--color-error)", false)]
+    [InlineData("--font-family-base", "\"Comic Sans MS\", cursive", true)]
+    [InlineData("--font-family-base", "url(font.woff2)", false)]
+    [InlineData("--radius-md", "8px", true)]
+    [InlineData("--radius-md", "image-set(\"a.png\" 1x)", false)]
+    public void IsValidValue_For_Token_Checks_Colours(string name, string value, bool expected)
+    {
+        CustomThemeDefinition.IsValidValue(name, value).ShouldBe(expected);
+    }
+
+    /// <summary>
+    /// Verifies the colour tokens are exactly the --color-* ones, which is how js/theme.js and index.html tell them apart.
+    /// </summary>
+    [Fact]
+    public void Catalog_Colour_Tokens_Match_Color_Prefix()
+    {
+        foreach (var token in ThemeTokenCatalog.Tokens)
+        {
+            token.IsColor.ShouldBe(token.Name.StartsWith("--color-", StringComparison.Ordinal), token.Name);
+        }
+    }
+
+    /// <summary>
+    /// Verifies custom theme values are told apart from built-in theme names.
+    /// </summary>
+    [Fact]
+    public void ThemeValue_Is_Recognised_As_Custom()
+    {
+        var theme = new CustomThemeDefinition();
+
+        CustomThemeDefinition.IsCustomThemeValue(theme.ThemeValue).ShouldBeTrue();
+        CustomThemeDefinition.IsCustomThemeValue("dark").ShouldBeFalse();
+        CustomThemeDefinition.IsCustomThemeValue(null).ShouldBeFalse();
+    }
+}
@@ -0,0 +1,115 @@
+// <copyright file="ReportDateRangeTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Globalization;
+
+using BudgetExperiment.Client.Models;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="ReportDateRange"/>.
+/// </summary>
+public class ReportDateRangeTests
+{
+    private static readonly DateOnly Today = new(2026, 3, 15);
+
+    /// <summary>
+    /// Verifies each widget preset resolves to the expected inclusive range.
+    /// </summary>
+    /// <param name="preset">The preset identifier.</param>
+    /// <param name="start">Expected start date.</param>
+    /// <param name="end">Expected end date.</param>
+    [Theory]
+    [InlineData("this-month", "2026-03-01", "2026-03-15")]
+    [InlineData("last-month", "2026-02-01", "2026-02-28")]
+    [InlineData("last-30-days", "2026-02-14", "2026-03-15")]
+    [InlineData("last-90-days", "2025-12-16", "2026-03-15")]
+    [InlineData("last-6-months", "2025-09-16", "2026-03-15")]
+    [InlineData("year-to-date", "2026-01-01", "2026-03-15")]
+    public void FromPreset_ResolvesRange(string preset, string start, string end)
+    {
+        var range = ReportDateRange.FromPreset(preset, Today);
+
+        range.Start.ShouldBe(DateOnly.Parse(start, CultureInfo.InvariantCulture));
+        range.End.ShouldBe(DateOnly.Parse(end, CultureInfo.InvariantCulture));
+    }
+
+    /// <summary>
+    /// Verifies every offered preset resolves to its own range instead of the fallback.
+    /// </summary>
+    [Fact]
+    public void Presets_EachResolvesWithoutFallback()
+    {
+        var fallback = ReportDateRange.FromPreset(ReportDateRange.DefaultPresetId, Today);
+
+        foreach (var preset in ReportDateRange.Presets.Where(item => item.Id != ReportDateRange.DefaultPresetId))
+        {
+            var range = ReportDateRange.FromPreset(preset.Id, Today);
+
+            range.ShouldBe(preset.Resolve(Today));
+            range.ShouldNotBe(fallback, preset.Id);
+            range.End.ShouldBe(preset.Id == "last-month" ? new DateOnly(2026, 2, 28) : Today);
+        }
+
+        ReportDateRange.Presets.Select(item => item.Id).ShouldBeUnique();
+    }
+
+    /// <summary>
+    /// Verifies unknown presets fall back to the last 30 days.
+    /// </summary>
+    [Fact]
+    public void FromPreset_Unknown_FallsBackToLast30Days()
+    {
+        var range = ReportDateRange.FromPreset(null, Today);
+
+        range.ShouldBe(ReportDateRange.FromPreset("last-30-days", Today));
+    }
+
+    /// <summary>
+    /// Verifies Span covers the earliest start and latest end.
+    /// </summary>
+    [Fact]
+    public void Span_CoversAllRanges()
+    {
+        var span = ReportDateRange.Span(
+        [
+            ReportDateRange.FromPreset("this-month", Today),
+            ReportDateRange.FromPreset("last-month", Today),
+        ]);
+
+        span.ShouldBe(new ReportDateRange(new DateOnly(2026, 2, 1), Today));
+    }
+
+    /// <summary>
+    /// Verifies Span returns null when there are no ranges.
+    /// </summary>
+    [Fact]
+    public void Span_Empty_ReturnsNull()
+    {
+        ReportDateRange.Span([]).ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies the display string shows both ends of the range.
+    /// </summary>
+    [Fact]
+    public void ToDisplayString_FormatsStartAndEnd()
+    {
+        var original = CultureInfo.CurrentCulture;
+        CultureInfo.CurrentCulture = new CultureInfo("en-US");
+        try
+        {
+            new ReportDateRange(new DateOnly(2026, 3, 1), new DateOnly(2026, 3, 31))
+                .ToDisplayString()
+                .ShouldBe("Mar 1, 2026 – Mar 31, 2026");
+        }
+        finally
+        {
+            CultureInfo.CurrentCulture = original;
+        }
+    }
+}
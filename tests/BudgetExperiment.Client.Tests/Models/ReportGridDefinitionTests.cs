@@ -2,6 +2,8 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using System.Text.Json;
+
 using BudgetExperiment.Client.Models;
 
 using Shouldly;
@@ -25,6 +27,30 @@ public class ReportGridDefinitionTests
         grid.RowHeight.ShouldBe(24);
         grid.Gap.ShouldBe(12);
         grid.Version.ShouldBe(1);
+        grid.CompactVertically.ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies a grid saved before vertical compaction existed keeps it off, so its arrangement is not changed.
+    /// </summary>
+    [Fact]
+    public void Deserialize_WithoutCompactVertically_LeavesCompactionOff()
+    {
+        var options = new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase };
+
+        var grid = JsonSerializer.Deserialize<ReportGridDefinition>("""{"version":1,"rowHeight":24,"gap":12}""", options);
+
+        grid.ShouldNotBeNull();
+        grid.CompactVertically.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies a new layout turns vertical compaction on.
+    /// </summary>
+    [Fact]
+    public void NewLayout_CompactsVertically()
+    {
+        new CustomReportLayoutDefinition().Grid.CompactVertically.ShouldBeTrue();
     }
 
     /// <summary>
@@ -0,0 +1,110 @@
+// <copyright file="ReportLayoutHistoryTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Models;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="ReportLayoutHistory"/>.
+/// </summary>
+public class ReportLayoutHistoryTests
+{
+    /// <summary>
+    /// Verifies a new history has nothing to undo or redo.
+    /// </summary>
+    [Fact]
+    public void New_History_IsEmpty()
+    {
+        var history = new ReportLayoutHistory();
+
+        history.CanUndo.ShouldBeFalse();
+        history.CanRedo.ShouldBeFalse();
+        history.Undo("current").ShouldBeNull();
+        history.Redo("current").ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies undo and redo walk back and forth through recorded snapshots.
+    /// </summary>
+    [Fact]
+    public void Undo_Then_Redo_Restores_Snapshots_In_Order()
+    {
+        var history = new ReportLayoutHistory();
+        history.Record("a");
+        history.Record("b");
+
+        history.Undo("c").ShouldBe("b");
+        history.Undo("b").ShouldBe("a");
+        history.CanUndo.ShouldBeFalse();
+
+        history.Redo("a").ShouldBe("b");
+        history.Redo("b").ShouldBe("c");
+        history.CanRedo.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies a new change discards undone changes.
+    /// </summary>
+    [Fact]
+    public void Record_Clears_Redo()
+    {
+        var history = new ReportLayoutHistory();
+        history.Record("a");
+        history.Undo("b");
+
+        history.Record("a");
+
+        history.CanRedo.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies recording the same snapshot twice adds one step.
+    /// </summary>
+    [Fact]
+    public void Record_Skips_Duplicate_Snapshot()
+    {
+        var history = new ReportLayoutHistory();
+        history.Record("a");
+        history.Record("a");
+
+        history.Undo("b").ShouldBe("a");
+        history.CanUndo.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies the oldest steps are dropped beyond capacity.
+    /// </summary>
+    [Fact]
+    public void Record_Drops_Oldest_Beyond_Capacity()
+    {
+        var history = new ReportLayoutHistory(capacity: 2);
+        history.Record("a");
+        history.Record("b");
+        history.Record("c");
+
+        history.Undo("d").ShouldBe("c");
+        history.Undo("c").ShouldBe("b");
+        history.CanUndo.ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies Clear forgets undo and redo steps.
+    /// </summary>
+    [Fact]
+    public void Clear_Removes_All_Steps()
+    {
+        var history = new ReportLayoutHistory();
+        history.Record("a");
+        history.Record("b");
+        history.Undo("c");
+
+        history.Clear();
+
+        history.CanUndo.ShouldBeFalse();
+        history.CanRedo.ShouldBeFalse();
+    }
+}
@@ -0,0 +1,105 @@
+// <copyright file="ThemeScheduleTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.Json;
+
+using BudgetExperiment.Client.Models;
+
+using Shouldly;
+
+namespace BudgetExperiment.Client.Tests.Models;
+
+/// <summary>
+/// Unit tests for <see cref="ThemeSchedule"/>.
+/// </summary>
+public class ThemeScheduleTests
+{
+    /// <summary>
+    /// Verifies the schedule can show built-in and custom themes but not "system" or itself.
+    /// </summary>
+    [Fact]
+    public void IsSchedulableTheme_Accepts_BuiltIn_And_Custom_Themes_Only()
+    {
+        ThemeSchedule.IsSchedulableTheme("dark").ShouldBeTrue();
+        ThemeSchedule.IsSchedulableTheme("custom:abc").ShouldBeTrue();
+        ThemeSchedule.IsSchedulableTheme("system").ShouldBeFalse();
+        ThemeSchedule.IsSchedulableTheme(ThemeSchedule.ThemeValue).ShouldBeFalse();
+        ThemeSchedule.IsSchedulableTheme(null).ShouldBeFalse();
+    }
+
+    /// <summary>
+    /// Verifies themes the schedule can't show are replaced with the defaults.
+    /// </summary>
+    [Fact]
+    public void Normalize_Replaces_Unschedulable_Themes()
+    {
+        var schedule = new ThemeSchedule { DayTheme = "system", NightTheme = ThemeSchedule.ThemeValue };
+
+        schedule.Normalize();
+
+        schedule.DayTheme.ShouldBe("light");
+        schedule.NightTheme.ShouldBe("dark");
+    }
+
+    /// <summary>
+    /// Verifies the location is clamped and rounded to two decimal places.
+    /// </summary>
+    [Fact]
+    public void Normalize_Clamps_And_Rounds_Location()
+    {
+        var schedule = new ThemeSchedule { Latitude = 95.123, Longitude = -122.33216 };
+
+        schedule.Normalize();
+
+        schedule.Latitude.ShouldBe(90);
+        schedule.Longitude.ShouldBe(-122.33);
+    }
+
+    /// <summary>
+    /// Verifies half a location is dropped.
+    /// </summary>
+    [Fact]
+    public void Normalize_Drops_Incomplete_Location()
+    {
+        var schedule = new ThemeSchedule { Latitude = 47.6 };
+
+        schedule.Normalize();
+
+        schedule.HasLocation.ShouldBeFalse();
+        schedule.Latitude.ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies the JSON read by theme.js names the mode and gives times as clock strings.
+    /// </summary>
+    [Fact]
+    public void Serialize_Uses_Mode_Name_And_Clock_Times()
+    {
+        var schedule = new ThemeSchedule
+        {
+            Mode = ThemeScheduleMode.SunriseSunset,
+            DayStart = new TimeOnly(6, 30),
+        };
+
+        var json = JsonSerializer.Serialize(schedule, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        json.ShouldContain("\"mode\":\"SunriseSunset\"");
+        json.ShouldContain("\"dayStart\":\"06:30:00\"");
+        json.ShouldNotContain("hasLocation");
+    }
+
+    /// <summary>
+    /// Verifies a clone can be edited without changing the original.
+    /// </summary>
+    [Fact]
+    public void Clone_Is_Independent()
+    {
+        var schedule = new ThemeSchedule { NightTheme = "vscode-dark" };
+
+        var clone = schedule.Clone();
+        clone.NightTheme = "win95";
+
+        schedule.NightTheme.ShouldBe("vscode-dark");
+    }
+}
@@ -2,6 +2,7 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using BudgetExperiment.Client.Components.Calendar;
 using BudgetExperiment.Client.Models;
 using BudgetExperiment.Client.Pages;
 using BudgetExperiment.Client.Services;
@@ -34,6 +35,7 @@ public class CalendarPageAdditionalTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IChatContextService>(new StubChatContextService());
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<IClientPreferencesService>(new StubClientPreferencesService());
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<IToastService>(new ToastService());
         this.Services.AddSingleton<IApiErrorContext>(new ApiErrorContext());
@@ -421,6 +423,128 @@ public class CalendarPageAdditionalTests : BunitContext, IAsyncLifetime
         cut.Markup.ShouldNotBeNullOrEmpty();
     }
 
+    /// <summary>
+    /// Verifies dragging a day item over another day previews and announces that day's new balance.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DragOverDay_PreviewsAndAnnouncesBalance()
+    {
+        // Arrange
+        var item = SetUpMovableRecurringItem();
+        var cut = Render<Calendar>();
+        cut.Find("[data-drop-date='2026-03-02']").Click();
+
+        // Act
+        var dragDrop = cut.FindComponent<CalendarDragDrop>();
+        await cut.InvokeAsync(() => dragDrop.Instance.OnDragOver(item.Id.ToString(), "2026-03-02", "2026-03-04"));
+
+        // Assert — the rent no longer comes out on the 2nd and 3rd
+        cut.FindAll(".day-balance.is-preview").Count.ShouldBe(3);
+        cut.Find("[role=status].sr-only").TextContent.ShouldContain("Move Rent to Wednesday, March 4. Balance that day: $500.00.");
+    }
+
+    /// <summary>
+    /// Verifies dropping a recurring occurrence on another day reschedules just that occurrence.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DropRecurringItem_ReschedulesOccurrence()
+    {
+        // Arrange
+        var item = SetUpMovableRecurringItem();
+        _apiService.ModifyRecurringInstanceResult = ApiResult<RecurringInstanceDto>.Success(new RecurringInstanceDto());
+        var cut = Render<Calendar>();
+        cut.Find("[data-drop-date='2026-03-02']").Click();
+
+        // Act
+        var dragDrop = cut.FindComponent<CalendarDragDrop>();
+        await cut.InvokeAsync(() => dragDrop.Instance.OnDragEnded(item.Id.ToString(), "2026-03-02", "2026-03-04"));
+
+        // Assert
+        _apiService.LastRecurringInstanceModify.ShouldNotBeNull();
+        _apiService.LastRecurringInstanceModify.Date.ShouldBe(new DateOnly(2026, 3, 4));
+        var toast = this.Services.GetRequiredService<IToastService>().Toasts.ShouldHaveSingleItem();
+        toast.Level.ShouldBe(ToastLevel.Success);
+        cut.FindAll(".day-balance.is-preview").ShouldBeEmpty();
+    }
+
+    /// <summary>
+    /// Verifies a failed move is reported and nothing else changes.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DropTransaction_WhenUpdateFails_ShowsError()
+    {
+        // Arrange
+        var transactionId = Guid.NewGuid();
+        SetUpMovableRecurringItem();
+        _apiService.DayDetail.Items =
+        [
+            new DayDetailItemDto
+            {
+                Id = transactionId,
+                Type = "transaction",
+                Description = "Groceries",
+                Amount = new MoneyDto { Amount = -60m, Currency = "USD" },
+            },
+        ];
+        _apiService.GetTransactionResult = new TransactionDto
+        {
+            Id = transactionId,
+            Date = new DateOnly(2026, 3, 2),
+            Description = "Groceries",
+            Amount = new MoneyDto { Amount = -60m, Currency = "USD" },
+            Version = "1",
+        };
+        var cut = Render<Calendar>();
+        cut.Find("[data-drop-date='2026-03-02']").Click();
+
+        // Act
+        var dragDrop = cut.FindComponent<CalendarDragDrop>();
+        await cut.InvokeAsync(() => dragDrop.Instance.OnDragEnded(transactionId.ToString(), "2026-03-02", "2026-03-01"));
+
+        // Assert
+        _apiService.LastTransactionUpdate.ShouldNotBeNull();
+        _apiService.LastTransactionUpdate.Date.ShouldBe(new DateOnly(2026, 3, 1));
+        _apiService.LastTransactionUpdate.Description.ShouldBe("Groceries");
+        var toast = this.Services.GetRequiredService<IToastService>().Toasts.ShouldHaveSingleItem();
+        toast.Level.ShouldBe(ToastLevel.Error);
+    }
+
+    private DayDetailItemDto SetUpMovableRecurringItem()
+    {
+        // Rent of -500 comes out on March 2
+        _apiService.CalendarGrid = new CalendarGridDto
+        {
+            Year = 2026,
+            Month = 3,
+            Days = Enumerable.Range(1, 7).Select(day => new CalendarDaySummaryDto
+            {
+                Date = new DateOnly(2026, 3, day),
+                IsCurrentMonth = true,
+                EndOfDayBalance = new MoneyDto { Amount = day == 1 ? 1000m : 500m, Currency = "USD" },
+            }).ToList(),
+        };
+
+        var item = new DayDetailItemDto
+        {
+            Id = Guid.NewGuid(),
+            Type = "recurring",
+            Description = "Rent",
+            Amount = new MoneyDto { Amount = -500m, Currency = "USD" },
+            RecurringTransactionId = Guid.NewGuid(),
+        };
+        _apiService.DayDetail = new DayDetailDto
+        {
+            Date = new DateOnly(2026, 3, 2),
+            Items = [item],
+            Summary = new DayDetailSummaryDto(),
+        };
+
+        return item;
+    }
+
     private static AccountDto CreateAccount(string name)
     {
         return new AccountDto
@@ -10,6 +10,7 @@ using BudgetExperiment.Contracts.Dtos;
 
 using Bunit;
 
+using Microsoft.AspNetCore.Components;
 using Microsoft.Extensions.DependencyInjection;
 
 using Shouldly;
@@ -24,6 +25,7 @@ public class ImportPageTests : BunitContext, IAsyncLifetime
     private readonly StubBudgetApiService _budgetApi = new();
     private readonly StubImportApiService _importApi = new();
     private readonly StubCsvParserService _csvParser = new();
+    private readonly StubShareTargetService _shareTarget = new();
 
     /// <summary>
     /// Initializes a new instance of the <see cref="ImportPageTests"/> class.
@@ -34,6 +36,7 @@ public class ImportPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IBudgetApiService>(_budgetApi);
         this.Services.AddSingleton<IImportApiService>(_importApi);
         this.Services.AddSingleton<ICsvParserService>(_csvParser);
+        this.Services.AddSingleton<IShareTargetService>(_shareTarget);
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
@@ -1318,4 +1321,51 @@ public class ImportPageTests : BunitContext, IAsyncLifetime
         // Dispose should not throw
         cut.Dispose();
     }
+
+    /// <summary>
+    /// Verifies a file shared from another app is parsed and shown in the upload zone.
+    /// </summary>
+    [Fact]
+    public void SharedFile_IsPreloadedIntoWizard()
+    {
+        var content = "Date,Description,Amount\n2026-01-05,Coffee,-4.50"u8.ToArray();
+        _shareTarget.File = new SharedFile("bank-export.csv", "text/csv", content, content.Length);
+        _csvParser.Result = CsvParseResult.CreateSuccess(
+            ["Date", "Description", "Amount"],
+            [new List<string> { "2026-01-05", "Coffee", "-4.50" }],
+            ',',
+            hasHeaderRow: true);
+        this.Services.GetRequiredService<NavigationManager>().NavigateTo("/import?shared=true");
+
+        var cut = Render<Import>();
+
+        cut.WaitForAssertion(() => cut.Find("[data-testid='shared-file']").TextContent.ShouldContain("bank-export.csv"));
+        cut.Markup.ShouldContain("Parsed <strong>1</strong> rows");
+    }
+
+    /// <summary>
+    /// Verifies a shared file over the upload limit is rejected with the same message as a picked one.
+    /// </summary>
+    [Fact]
+    public void SharedFile_OverSizeLimit_ShowsSizeError()
+    {
+        _shareTarget.File = new SharedFile("bank-export.csv", "text/csv", [], 11 * 1024 * 1024);
+        this.Services.GetRequiredService<NavigationManager>().NavigateTo("/import?shared=true");
+
+        var cut = Render<Import>();
+
+        cut.WaitForAssertion(() => cut.Markup.ShouldContain("exceeds the maximum of 10485760 bytes"));
+        cut.FindAll("[data-testid='shared-file']").ShouldBeEmpty();
+    }
+
+    /// <summary>
+    /// Verifies the page only looks for a shared file when opened by the share target.
+    /// </summary>
+    [Fact]
+    public void WithoutSharedQuery_DoesNotReadSharedFile()
+    {
+        Render<Import>();
+
+        _shareTarget.TakeCount.ShouldBe(0);
+    }
 }
@@ -35,6 +35,7 @@ public class BudgetComparisonReportTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IBudgetApiService>(stubApiService);
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<IClientPreferencesService>(new StubClientPreferencesService());
         this.Services.AddSingleton<IToastService, ToastService>();
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<IFeatureFlagClientService>(new StubFeatureFlagClientService());
@@ -531,7 +532,7 @@ public class BudgetComparisonReportTests : BunitContext, IAsyncLifetime
         public Task<TransactionDto?> GetTransactionAsync(Guid id) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
-        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model) => Task.FromResult<TransactionDto?>(null);
+        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
         public Task<ApiResult<TransactionDto>> UpdateTransactionAsync(Guid id, TransactionUpdateDto model, string? version = null) => Task.FromResult(ApiResult<TransactionDto>.Failure());
@@ -594,7 +595,7 @@ public class BudgetComparisonReportTests : BunitContext, IAsyncLifetime
         public Task<ApiResult<RecurringInstanceDto>> ModifyRecurringInstanceAsync(Guid id, DateOnly date, RecurringInstanceModifyDto model, string? version = null) => Task.FromResult(ApiResult<RecurringInstanceDto>.Failure());
 
         /// <inheritdoc/>
-        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model) => Task.FromResult<TransferResponse?>(null);
+        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null) => Task.FromResult<TransferResponse?>(null);
 
         /// <inheritdoc/>
         public Task<TransferResponse?> GetTransferAsync(Guid transferId) => Task.FromResult<TransferResponse?>(null);
@@ -898,7 +899,11 @@ public class BudgetComparisonReportTests : BunitContext, IAsyncLifetime
 
     private sealed class StubExportDownloadService : IExportDownloadService
     {
-        public Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default) =>
+        public Task<ExportDownloadResult> DownloadAsync(
+            string url,
+            string? suggestedFileName = null,
+            IProgress<ExportDownloadProgress>? progress = null,
+            CancellationToken cancellationToken = default) =>
             Task.FromResult(ExportDownloadResult.Ok());
     }
 }
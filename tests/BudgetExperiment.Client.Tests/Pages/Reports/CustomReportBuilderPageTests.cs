@@ -2,6 +2,10 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using AngleSharp.Dom;
+
+using BudgetExperiment.Client.Components.Reports;
+using BudgetExperiment.Client.Models;
 using BudgetExperiment.Client.Pages.Reports;
 using BudgetExperiment.Client.Services;
 using BudgetExperiment.Client.Tests.TestHelpers;
@@ -9,6 +13,7 @@ using BudgetExperiment.Contracts.Dtos;
 
 using Bunit;
 
+using Microsoft.AspNetCore.Components.Web;
 using Microsoft.Extensions.DependencyInjection;
 
 using Shouldly;
@@ -186,4 +191,129 @@ public class CustomReportBuilderPageTests : BunitContext, IAsyncLifetime
         var toolbar = cut.FindAll(".builder-toolbar");
         toolbar.Count.ShouldBe(1);
     }
+
+    /// <summary>
+    /// Verifies Print / PDF is disabled until the layout has widgets.
+    /// </summary>
+    [Fact]
+    public void PrintButton_Disabled_WhenLayoutEmpty()
+    {
+        var cut = Render<CustomReportBuilder>();
+
+        var print = cut.FindAll("button").First(b => b.TextContent.Contains("Print / PDF"));
+        print.HasAttribute("disabled").ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies Print / PDF sends the layout title and covering date range to the print module.
+    /// </summary>
+    [Fact]
+    public void PrintButton_InvokesPrintModule_WithTitleAndDateRange()
+    {
+        var printModule = this.JSInterop.SetupModule("./js/report-print.js");
+        var cut = Render<CustomReportBuilder>();
+        cut.Find("#layout-preset").Change("summary-trend");
+        cut.FindAll("button").First(b => b.TextContent.Trim() == "Apply").Click();
+
+        cut.FindAll("button").First(b => b.TextContent.Contains("Print / PDF")).Click();
+
+        var invocation = printModule.VerifyInvoke("printReport");
+        var options = invocation.Arguments[1]!;
+        options.GetType().GetProperty("title")!.GetValue(options).ShouldBe("Custom Report");
+        options.GetType().GetProperty("columns")!.GetValue(options).ShouldBe(12);
+        var today = DateOnly.FromDateTime(DateTime.Today);
+        var expectedRange = ReportDateRange.Span(
+        [
+            ReportDateRange.FromPreset("last-90-days", today),
+            ReportDateRange.FromPreset("this-month", today),
+        ])!.ToDisplayString();
+        options.GetType().GetProperty("dateRange")!.GetValue(options).ShouldBe(expectedRange);
+    }
+
+    /// <summary>
+    /// Verifies Undo and Redo are disabled before anything has changed.
+    /// </summary>
+    [Fact]
+    public void UndoRedoButtons_Disabled_WithoutHistory()
+    {
+        var cut = Render<CustomReportBuilder>();
+
+        FindButton(cut, "Undo").HasAttribute("disabled").ShouldBeTrue();
+        FindButton(cut, "Redo").HasAttribute("disabled").ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies Undo reverts an applied template and Redo re-applies it.
+    /// </summary>
+    [Fact]
+    public void UndoRedoButtons_RevertAndReapplyTemplate()
+    {
+        var cut = Render<CustomReportBuilder>();
+        cut.Find("#layout-preset").Change("summary-trend");
+        FindButton(cut, "Apply").Click();
+        cut.FindAll(".report-widget").Count.ShouldBe(5);
+
+        FindButton(cut, "Undo").Click();
+
+        cut.FindAll(".report-widget").Count.ShouldBe(0);
+        FindButton(cut, "Redo").HasAttribute("disabled").ShouldBeFalse();
+
+        FindButton(cut, "Redo").Click();
+
+        cut.FindAll(".report-widget").Count.ShouldBe(5);
+        FindButton(cut, "Redo").HasAttribute("disabled").ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies Ctrl+Z and Ctrl+Shift+Z on the canvas undo and redo.
+    /// </summary>
+    [Fact]
+    public void CanvasShortcuts_UndoAndRedo()
+    {
+        var cut = Render<CustomReportBuilder>();
+        cut.Find("#layout-preset").Change("summary-trend");
+        FindButton(cut, "Apply").Click();
+
+        cut.Find(".report-canvas").KeyDown(new KeyboardEventArgs { Key = "z", CtrlKey = true });
+        cut.FindAll(".report-widget").Count.ShouldBe(0);
+
+        cut.Find(".report-canvas").KeyDown(new KeyboardEventArgs { Key = "Z", CtrlKey = true, ShiftKey = true });
+        cut.FindAll(".report-widget").Count.ShouldBe(5);
+    }
+
+    /// <summary>
+    /// Verifies a batch of moved widgets from one gesture is a single undo step.
+    /// </summary>
+    [Fact]
+    public async Task CanvasGesture_IsSingleUndoStep()
+    {
+        var cut = Render<CustomReportBuilder>();
+        cut.Find("#layout-preset").Change("summary-trend");
+        FindButton(cut, "Apply").Click();
+        var canvas = cut.FindComponent<ReportCanvas>();
+        var widgets = canvas.Instance.ReportLayout!.Widgets;
+        var first = widgets[0];
+        var second = widgets[1];
+
+        await cut.InvokeAsync(() => canvas.Instance.UpdateWidgetLayoutsAsync(
+            "lg",
+            [
+                new ReportWidgetLayoutChange { WidgetId = first.Id.ToString(), X = 5, Y = 1, Width = 4, Height = 4 },
+                new ReportWidgetLayoutChange { WidgetId = second.Id.ToString(), X = 5, Y = 5, Width = 4, Height = 4 },
+            ]));
+        first.Layouts["lg"].X.ShouldBe(5);
+
+        FindButton(cut, "Undo").Click();
+
+        var restored = cut.FindComponent<ReportCanvas>().Instance.ReportLayout!.Widgets;
+        restored[0].Layouts["lg"].X.ShouldBe(1);
+        restored[1].Layouts["lg"].X.ShouldBe(5);
+        restored[1].Layouts["lg"].Y.ShouldBe(1);
+        restored.Count.ShouldBe(5);
+    }
+
+    private static IElement FindButton(IRenderedComponent<CustomReportBuilder> cut, string text)
+    {
+        return cut.FindAll("button").First(b => b.TextContent.Trim() == text);
+    }
 }
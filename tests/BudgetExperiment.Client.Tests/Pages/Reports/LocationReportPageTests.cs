@@ -276,7 +276,7 @@ public class LocationReportPageTests : BunitContext, IAsyncLifetime
         public Task<TransactionDto?> GetTransactionAsync(Guid id) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
-        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model) => Task.FromResult<TransactionDto?>(null);
+        public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null) => Task.FromResult<TransactionDto?>(null);
 
         /// <inheritdoc/>
         public Task<ApiResult<TransactionDto>> UpdateTransactionAsync(Guid id, TransactionUpdateDto model, string? version = null) => Task.FromResult(ApiResult<TransactionDto>.Failure());
@@ -339,7 +339,7 @@ public class LocationReportPageTests : BunitContext, IAsyncLifetime
         public Task<ApiResult<RecurringInstanceDto>> ModifyRecurringInstanceAsync(Guid id, DateOnly date, RecurringInstanceModifyDto model, string? version = null) => Task.FromResult(ApiResult<RecurringInstanceDto>.Failure());
 
         /// <inheritdoc/>
-        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model) => Task.FromResult<TransferResponse?>(null);
+        public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null) => Task.FromResult<TransferResponse?>(null);
 
         /// <inheritdoc/>
         public Task<TransferResponse?> GetTransferAsync(Guid transferId) => Task.FromResult<TransferResponse?>(null);
@@ -646,7 +646,11 @@ public class LocationReportPageTests : BunitContext, IAsyncLifetime
 
     private sealed class StubExportDownloadService : IExportDownloadService
     {
-        public Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default) =>
+        public Task<ExportDownloadResult> DownloadAsync(
+            string url,
+            string? suggestedFileName = null,
+            IProgress<ExportDownloadProgress>? progress = null,
+            CancellationToken cancellationToken = default) =>
             Task.FromResult(ExportDownloadResult.Ok());
     }
 }
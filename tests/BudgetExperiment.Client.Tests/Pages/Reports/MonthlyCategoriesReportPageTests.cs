@@ -33,6 +33,7 @@ public class MonthlyCategoriesReportPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<IClientPreferencesService>(new StubClientPreferencesService());
         this.Services.AddSingleton<IFeatureFlagClientService>(new StubFeatureFlagClientService());
     }
 
@@ -21,6 +21,8 @@ namespace BudgetExperiment.Client.Tests.Pages.Reports;
 public class MonthlyTrendsReportPageTests : BunitContext, IAsyncLifetime
 {
     private readonly StubBudgetApiService _apiService = new();
+    private readonly StubClientPreferencesService _preferences = new();
+    private readonly StubFeatureFlagClientService _featureFlags = new();
 
     /// <summary>
     /// Initializes a new instance of the <see cref="MonthlyTrendsReportPageTests"/> class.
@@ -33,7 +35,8 @@ public class MonthlyTrendsReportPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
-        this.Services.AddSingleton<IFeatureFlagClientService>(new StubFeatureFlagClientService());
+        this.Services.AddSingleton<IClientPreferencesService>(_preferences);
+        this.Services.AddSingleton<IFeatureFlagClientService>(_featureFlags);
     }
 
     /// <inheritdoc/>
@@ -266,6 +269,36 @@ public class MonthlyTrendsReportPageTests : BunitContext, IAsyncLifetime
         activeButton.TextContent.ShouldContain("6");
     }
 
+    /// <summary>
+    /// Verifies the saved Kakeibo grouping is restored.
+    /// </summary>
+    [Fact]
+    public void KakeiboToggle_RestoresSavedPreference()
+    {
+        _featureFlags.Flags["Kakeibo:TransactionFilter"] = true;
+        _preferences.Values[ClientPreference.MonthlyTrendsGroupByKakeibo] = "true";
+
+        var cut = Render<MonthlyTrendsReport>();
+
+        cut.Find(".kakeibo-toggle input").HasAttribute("checked").ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies toggling Kakeibo grouping in another tab updates the page.
+    /// </summary>
+    [Fact]
+    public void KakeiboToggle_ChangedInAnotherTab_UpdatesCheckbox()
+    {
+        _featureFlags.Flags["Kakeibo:TransactionFilter"] = true;
+        _apiService.SpendingTrends = CreateTestTrendsReport();
+        var cut = Render<MonthlyTrendsReport>();
+        cut.Find(".kakeibo-toggle input").HasAttribute("checked").ShouldBeFalse();
+
+        _preferences.RaiseChangedElsewhere(ClientPreference.MonthlyTrendsGroupByKakeibo, "true");
+
+        cut.WaitForAssertion(() => cut.Find(".kakeibo-toggle input").HasAttribute("checked").ShouldBeTrue());
+    }
+
     private static SpendingTrendsReportDto CreateTestTrendsReport() => new()
     {
         AverageMonthlySpending = new MoneyDto { Amount = 3000m, Currency = "USD" },
@@ -34,6 +34,7 @@ public class RulesPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IToastService>(new ToastService());
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<IClientPreferencesService>(new StubClientPreferencesService());
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<IApiErrorContext>(new ApiErrorContext());
         this.Services.AddTransient<RulesViewModel>();
@@ -40,6 +40,8 @@ public class SettingsPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IToastService>(new ToastService());
         this.Services.AddSingleton<ThemeService>();
         this.Services.AddSingleton<CultureService>();
+        this.Services.AddSingleton<GeolocationService>();
+        this.Services.AddSingleton<IInteractionFeedbackService>(new StubInteractionFeedbackService());
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
     }
 
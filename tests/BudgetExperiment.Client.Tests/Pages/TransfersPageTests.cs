@@ -37,6 +37,7 @@ public class TransfersPageTests : BunitContext, IAsyncLifetime
         this.Services.AddSingleton<IExportDownloadService>(new StubExportDownloadService());
         this.Services.AddSingleton<IToastService>(new ToastService());
         this.Services.AddSingleton<IApiErrorContext>(new ApiErrorContext());
+        this.Services.AddSingleton<IOfflineOutboxService>(new StubOfflineOutboxService());
         this.Services.AddTransient<TransfersViewModel>();
     }
 
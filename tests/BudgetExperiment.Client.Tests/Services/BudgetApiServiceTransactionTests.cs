@@ -181,6 +181,35 @@ public class BudgetApiServiceTransactionTests
         result.Id.ShouldBe(expectedId);
     }
 
+    /// <summary>
+    /// Tests that CreateTransactionAsync sends the idempotency key it is given.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransactionAsync_SendsIdempotencyKey()
+    {
+        // Arrange
+        var idempotencyKey = Guid.NewGuid();
+        string? sentKey = null;
+        var handler = new MockHttpMessageHandler((request, _) =>
+        {
+            sentKey = request.Headers.GetValues(OfflineOutboxService.IdempotencyKeyHeaderName).Single();
+            return Task.FromResult(new HttpResponseMessage(HttpStatusCode.Created)
+            {
+                Content = JsonContent.Create(new TransactionDto { Id = Guid.NewGuid(), Description = "New" }),
+            });
+        });
+
+        using var httpClient = new HttpClient(handler) { BaseAddress = new Uri("https://localhost/") };
+        var service = new BudgetApiService(httpClient);
+
+        // Act
+        await service.CreateTransactionAsync(new TransactionCreateDto { Description = "New" }, idempotencyKey);
+
+        // Assert
+        sentKey.ShouldBe(idempotencyKey.ToString());
+    }
+
     /// <summary>
     /// Tests that CreateTransactionAsync returns null on failure.
     /// </summary>
@@ -101,9 +101,124 @@ public sealed class ExportDownloadServiceTests : IAsyncDisposable
 
         // Assert
         Assert.False(result.Success);
+        Assert.True(result.IsCanceled);
         Assert.Contains("canceled", result.ErrorMessage!, StringComparison.OrdinalIgnoreCase);
     }
 
+    /// <summary>
+    /// Verifies that DownloadAsync asks the browser to stream the response instead of buffering it.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DownloadAsync_EnablesBrowserResponseStreaming()
+    {
+        // Arrange
+        HttpRequestMessage? sent = null;
+        var handler = new MockHttpMessageHandler((request, _) =>
+        {
+            sent = request;
+            return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK)
+            {
+                Content = new StringContent("a,b"),
+            });
+        });
+        var sut = CreateService(handler);
+
+        // Act
+        await sut.DownloadAsync("api/v1/export");
+
+        // Assert
+        Assert.NotNull(sent);
+        Assert.True(sent!.Options.TryGetValue(new HttpRequestOptionsKey<bool>("WebAssemblyEnableStreamingResponse"), out var streaming));
+        Assert.True(streaming);
+    }
+
+    /// <summary>
+    /// Verifies that DownloadAsync opens the save dialog before the request is sent, while the
+    /// click that started the export still counts as a user gesture.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DownloadAsync_OpensFileBeforeSendingRequest()
+    {
+        // Arrange
+        var calls = new List<string>();
+        var handler = new MockHttpMessageHandler((_, _) =>
+        {
+            calls.Add("request");
+            return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK)
+            {
+                Content = new StringContent("a,b"),
+            });
+        });
+        var download = new DownloadStub(calls, openOutcome: "opened");
+        var sut = CreateService(handler, download);
+
+        // Act
+        var result = await sut.DownloadAsync("api/v1/export", "report.csv");
+
+        // Assert
+        Assert.True(result.Success);
+        Assert.Equal(new[] { "open:report.csv", "request", "run" }, calls);
+    }
+
+    /// <summary>
+    /// Verifies that dismissing the save dialog cancels the export without sending the request.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DownloadAsync_FileDialogDismissed_ReturnsCanceledWithoutRequest()
+    {
+        // Arrange
+        var calls = new List<string>();
+        var handler = new MockHttpMessageHandler((_, _) =>
+        {
+            calls.Add("request");
+            return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK));
+        });
+        var download = new DownloadStub(calls, openOutcome: "canceled");
+        var sut = CreateService(handler, download);
+
+        // Act
+        var result = await sut.DownloadAsync("api/v1/export");
+
+        // Assert
+        Assert.True(result.IsCanceled);
+        Assert.DoesNotContain("request", calls);
+    }
+
+    /// <summary>
+    /// Verifies that a failed request discards the file opened from the save dialog.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DownloadAsync_NonSuccessStatus_DiscardsOpenedFile()
+    {
+        // Arrange
+        var calls = new List<string>();
+        var handler = new MockHttpMessageHandler((_, _) =>
+            Task.FromResult(new HttpResponseMessage(HttpStatusCode.InternalServerError)));
+        var download = new DownloadStub(calls, openOutcome: "opened");
+        var sut = CreateService(handler, download);
+
+        // Act
+        var result = await sut.DownloadAsync("api/v1/export");
+
+        // Assert
+        Assert.False(result.Success);
+        Assert.Equal(new[] { "open:export.csv", "cancel" }, calls);
+    }
+
+    /// <summary>
+    /// Verifies that ExportDownloadProgress reports a fraction when the total size is known.
+    /// </summary>
+    [Fact]
+    public void ExportDownloadProgress_Fraction_UsesTotalBytes()
+    {
+        Assert.Equal(0.25, new ExportDownloadProgress(256, 1024).Fraction);
+        Assert.Null(new ExportDownloadProgress(256, null).Fraction);
+    }
+
     /// <summary>
     /// Verifies that ExportDownloadResult.Ok creates a success result.
     /// </summary>
@@ -128,16 +243,28 @@ public sealed class ExportDownloadServiceTests : IAsyncDisposable
         Assert.Equal("Something broke", result.ErrorMessage);
     }
 
+    /// <summary>
+    /// Verifies that ExportDownloadResult.Canceled creates a canceled failure result.
+    /// </summary>
+    [Fact]
+    public void ExportDownloadResult_Canceled_CreatesCanceledResult()
+    {
+        var result = ExportDownloadResult.Canceled();
+
+        Assert.False(result.Success);
+        Assert.True(result.IsCanceled);
+    }
+
     /// <inheritdoc/>
     public ValueTask DisposeAsync()
     {
         return ValueTask.CompletedTask;
     }
 
-    private static ExportDownloadService CreateService(MockHttpMessageHandler handler)
+    private static ExportDownloadService CreateService(MockHttpMessageHandler handler, DownloadStub? download = null)
     {
         var client = new HttpClient(handler) { BaseAddress = new Uri("http://localhost") };
-        return new ExportDownloadService(client, new StubJSRuntime());
+        return new ExportDownloadService(client, new StubJSRuntime(download));
     }
 
     /// <summary>
@@ -159,20 +286,101 @@ public sealed class ExportDownloadServiceTests : IAsyncDisposable
     }
 
     /// <summary>
-    /// Stub JavaScript runtime that returns defaults.
+    /// Stub JavaScript runtime that returns defaults, or a download module when one is given.
     /// </summary>
     private sealed class StubJSRuntime : IJSRuntime
     {
+        private readonly DownloadStub? _download;
+
+        public StubJSRuntime(DownloadStub? download)
+        {
+            _download = download;
+        }
+
         /// <inheritdoc/>
         public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
         {
+            if (identifier == "import" && _download != null)
+            {
+                return new ValueTask<TValue>((TValue)(object)new ModuleStub(_download));
+            }
+
             return new ValueTask<TValue>(default(TValue)!);
         }
 
         /// <inheritdoc/>
         public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
         {
-            return new ValueTask<TValue>(default(TValue)!);
+            return InvokeAsync<TValue>(identifier, args);
+        }
+    }
+
+    /// <summary>
+    /// Stub of the file-download.js module that hands out a single download.
+    /// </summary>
+    private sealed class ModuleStub : IJSObjectReference
+    {
+        private readonly DownloadStub _download;
+
+        public ModuleStub(DownloadStub download)
+        {
+            _download = download;
+        }
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
+        {
+            return new ValueTask<TValue>((TValue)(object)_download);
+        }
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
+        {
+            return InvokeAsync<TValue>(identifier, args);
+        }
+
+        public ValueTask DisposeAsync()
+        {
+            return ValueTask.CompletedTask;
+        }
+    }
+
+    /// <summary>
+    /// Stub download handle that records the calls made to it.
+    /// </summary>
+    private sealed class DownloadStub : IJSObjectReference
+    {
+        private readonly List<string> _calls;
+        private readonly string _openOutcome;
+
+        public DownloadStub(List<string> calls, string openOutcome)
+        {
+            _calls = calls;
+            _openOutcome = openOutcome;
+        }
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
+        {
+            switch (identifier)
+            {
+                case "open":
+                    _calls.Add($"open:{args![0]}");
+                    return new ValueTask<TValue>((TValue)(object)_openOutcome);
+                case "run":
+                    _calls.Add("run");
+                    return new ValueTask<TValue>((TValue)(object)"completed");
+                default:
+                    _calls.Add(identifier);
+                    return new ValueTask<TValue>(default(TValue)!);
+            }
+        }
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
+        {
+            return InvokeAsync<TValue>(identifier, args);
+        }
+
+        public ValueTask DisposeAsync()
+        {
+            return ValueTask.CompletedTask;
         }
     }
 }
@@ -0,0 +1,103 @@
+// <copyright file="InteractionFeedbackServiceTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Unit tests for <see cref="InteractionFeedbackService"/>.
+/// </summary>
+public class InteractionFeedbackServiceTests : BunitContext
+{
+    private const string ModulePath = "./js/interaction-feedback.js";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="InteractionFeedbackServiceTests"/> class.
+    /// </summary>
+    public InteractionFeedbackServiceTests()
+    {
+        // Loose so the watchFeedbackSettings subscription needs no setup
+        this.JSInterop.Mode = JSRuntimeMode.Loose;
+    }
+
+    /// <summary>
+    /// InitializeAsync reads the settings the module reports.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task InitializeAsync_LoadsSettingsFromModule()
+    {
+        var moduleInterop = this.JSInterop.SetupModule(ModulePath);
+        moduleInterop.Setup<InteractionFeedbackSettings?>("getFeedbackSettings")
+            .SetResult(new InteractionFeedbackSettings(false, true, true));
+        var service = new InteractionFeedbackService(this.JSInterop.JSRuntime);
+
+        await service.InitializeAsync();
+
+        Assert.True(service.Settings.DisableHaptics);
+        Assert.True(service.Settings.IsMotionReduced);
+        Assert.False(service.Settings.ReduceMotion);
+    }
+
+    /// <summary>
+    /// InitializeAsync keeps the defaults when the module fails.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task InitializeAsync_WhenJsFails_KeepsDefaults()
+    {
+        var moduleInterop = this.JSInterop.SetupModule(ModulePath);
+        moduleInterop.Setup<InteractionFeedbackSettings?>("getFeedbackSettings")
+            .SetException(new JSException("Storage unavailable."));
+        var service = new InteractionFeedbackService(this.JSInterop.JSRuntime);
+
+        await service.InitializeAsync();
+
+        Assert.Equal(InteractionFeedbackSettings.Default, service.Settings);
+    }
+
+    /// <summary>
+    /// Turning on reduce motion saves it through the module and raises SettingsChanged once.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SetReduceMotionAsync_SavesAndRaisesSettingsChanged()
+    {
+        var moduleInterop = this.JSInterop.SetupModule(ModulePath);
+        moduleInterop.Setup<InteractionFeedbackSettings?>("setFeedbackSettings", _ => true)
+            .SetResult(new InteractionFeedbackSettings(true, false, false));
+        var service = new InteractionFeedbackService(this.JSInterop.JSRuntime);
+        var raised = new List<InteractionFeedbackSettings>();
+        service.SettingsChanged += raised.Add;
+
+        await service.SetReduceMotionAsync(true);
+
+        Assert.True(service.Settings.ReduceMotion);
+        var settings = Assert.Single(raised);
+        Assert.True(settings.IsMotionReduced);
+        moduleInterop.VerifyInvoke("setFeedbackSettings");
+    }
+
+    /// <summary>
+    /// Changes reported from JavaScript are applied, and repeats of the current settings ignored.
+    /// </summary>
+    [Fact]
+    public void OnFeedbackSettingsChanged_RaisesOnlyWhenSettingsDiffer()
+    {
+        var service = new InteractionFeedbackService(this.JSInterop.JSRuntime);
+        var raised = 0;
+        service.SettingsChanged += _ => raised++;
+
+        service.OnFeedbackSettingsChanged(new InteractionFeedbackSettings(false, true, false));
+        service.OnFeedbackSettingsChanged(new InteractionFeedbackSettings(false, true, false));
+
+        Assert.True(service.Settings.DisableHaptics);
+        Assert.Equal(1, raised);
+    }
+}
@@ -0,0 +1,178 @@
+// <copyright file="OfflineCachePartitionHandlerTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Net;
+using System.Security.Claims;
+
+using BudgetExperiment.Client.Services;
+
+using Microsoft.AspNetCore.Components.Authorization;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Tests for the <see cref="OfflineCachePartitionHandler"/> class.
+/// </summary>
+public sealed class OfflineCachePartitionHandlerTests
+{
+    /// <summary>
+    /// Verifies GET requests from a signed-in user carry the hashed partition key.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SendAsync_Get_AddsHashedPartitionHeader()
+    {
+        var innerHandler = new CapturingHandler();
+        using var sut = new OfflineCachePartitionHandler(new FakeAuthStateProvider("user-123"))
+        {
+            InnerHandler = innerHandler,
+        };
+        using var invoker = new HttpMessageInvoker(sut);
+        using var request = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+
+        await invoker.SendAsync(request, CancellationToken.None);
+
+        var values = innerHandler.LastRequest!.Headers.GetValues(OfflineCachePartitionHandler.PartitionHeaderName);
+        var partition = Assert.Single(values);
+        Assert.Equal(OfflineCachePartitionHandler.ComputePartitionKey("user-123"), partition);
+        Assert.DoesNotContain("user-123", partition);
+    }
+
+    /// <summary>
+    /// Verifies a pooled handler picks up a different signed-in user instead of reusing the previous partition.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SendAsync_UserChanges_UsesCurrentUserPartition()
+    {
+        var innerHandler = new CapturingHandler();
+        var authStateProvider = new FakeAuthStateProvider("user-a");
+        using var sut = new OfflineCachePartitionHandler(authStateProvider)
+        {
+            InnerHandler = innerHandler,
+        };
+        using var invoker = new HttpMessageInvoker(sut);
+        using var first = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+        await invoker.SendAsync(first, CancellationToken.None);
+
+        authStateProvider.SignIn("user-b");
+        using var second = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+        await invoker.SendAsync(second, CancellationToken.None);
+
+        var partition = Assert.Single(innerHandler.LastRequest!.Headers.GetValues(OfflineCachePartitionHandler.PartitionHeaderName));
+        Assert.Equal(OfflineCachePartitionHandler.ComputePartitionKey("user-b"), partition);
+    }
+
+    /// <summary>
+    /// Verifies a pooled handler stops tagging requests once the user signs out.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SendAsync_AfterSignOut_DoesNotAddPartitionHeader()
+    {
+        var innerHandler = new CapturingHandler();
+        var authStateProvider = new FakeAuthStateProvider("user-a");
+        using var sut = new OfflineCachePartitionHandler(authStateProvider)
+        {
+            InnerHandler = innerHandler,
+        };
+        using var invoker = new HttpMessageInvoker(sut);
+        using var first = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+        await invoker.SendAsync(first, CancellationToken.None);
+
+        authStateProvider.SignIn(null);
+        using var second = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+        await invoker.SendAsync(second, CancellationToken.None);
+
+        Assert.False(innerHandler.LastRequest!.Headers.Contains(OfflineCachePartitionHandler.PartitionHeaderName));
+    }
+
+    /// <summary>
+    /// Verifies different users get different partitions.
+    /// </summary>
+    [Fact]
+    public void ComputePartitionKey_DifferentUsers_ProducesDifferentKeys()
+    {
+        var first = OfflineCachePartitionHandler.ComputePartitionKey("user-a");
+        var second = OfflineCachePartitionHandler.ComputePartitionKey("user-b");
+
+        Assert.NotEqual(first, second);
+        Assert.Equal(64, first.Length);
+    }
+
+    /// <summary>
+    /// Verifies write requests are never tagged for caching.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SendAsync_Post_DoesNotAddPartitionHeader()
+    {
+        var innerHandler = new CapturingHandler();
+        using var sut = new OfflineCachePartitionHandler(new FakeAuthStateProvider("user-123"))
+        {
+            InnerHandler = innerHandler,
+        };
+        using var invoker = new HttpMessageInvoker(sut);
+        using var request = new HttpRequestMessage(HttpMethod.Post, "https://example.test/api/v1/transactions");
+
+        await invoker.SendAsync(request, CancellationToken.None);
+
+        Assert.False(innerHandler.LastRequest!.Headers.Contains(OfflineCachePartitionHandler.PartitionHeaderName));
+    }
+
+    /// <summary>
+    /// Verifies anonymous requests are not cacheable and a spoofed header is removed.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SendAsync_Unauthenticated_RemovesPartitionHeader()
+    {
+        var innerHandler = new CapturingHandler();
+        using var sut = new OfflineCachePartitionHandler(new FakeAuthStateProvider(null))
+        {
+            InnerHandler = innerHandler,
+        };
+        using var invoker = new HttpMessageInvoker(sut);
+        using var request = new HttpRequestMessage(HttpMethod.Get, "https://example.test/api/v1/accounts");
+        request.Headers.TryAddWithoutValidation(OfflineCachePartitionHandler.PartitionHeaderName, "spoofed");
+
+        await invoker.SendAsync(request, CancellationToken.None);
+
+        Assert.False(innerHandler.LastRequest!.Headers.Contains(OfflineCachePartitionHandler.PartitionHeaderName));
+    }
+
+    private sealed class FakeAuthStateProvider : AuthenticationStateProvider
+    {
+        private AuthenticationState _state = null!;
+
+        public FakeAuthStateProvider(string? userId)
+        {
+            SignIn(userId);
+        }
+
+        public void SignIn(string? userId)
+        {
+            var identity = userId is null
+                ? new ClaimsIdentity()
+                : new ClaimsIdentity([new Claim("sub", userId)], "TestAuth");
+            _state = new AuthenticationState(new ClaimsPrincipal(identity));
+        }
+
+        public override Task<AuthenticationState> GetAuthenticationStateAsync() => Task.FromResult(_state);
+    }
+
+    private sealed class CapturingHandler : HttpMessageHandler
+    {
+        public HttpRequestMessage? LastRequest
+        {
+            get; private set;
+        }
+
+        protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+        {
+            LastRequest = request;
+            return Task.FromResult(new HttpResponseMessage(HttpStatusCode.OK));
+        }
+    }
+}
@@ -0,0 +1,131 @@
+// <copyright file="OfflineCacheServiceTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Unit tests for <see cref="OfflineCacheService"/>.
+/// </summary>
+public class OfflineCacheServiceTests : BunitContext
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineCacheServiceTests"/> class.
+    /// </summary>
+    public OfflineCacheServiceTests()
+    {
+        this.JSInterop.Mode = JSRuntimeMode.Strict;
+    }
+
+    /// <summary>
+    /// Before any cache hit the service reports live data.
+    /// </summary>
+    [Fact]
+    public void IsShowingCachedData_Initially_IsFalse()
+    {
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+
+        Assert.False(service.IsShowingCachedData);
+        Assert.Null(service.CachedAt);
+    }
+
+    /// <summary>
+    /// A cache hit reported by the service worker exposes its timestamp and raises StatusChanged.
+    /// </summary>
+    [Fact]
+    public void OnCachedResponseServed_TracksTimestampAndRaisesStatusChanged()
+    {
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+        var raised = 0;
+        service.StatusChanged += () => raised++;
+
+        service.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z");
+
+        Assert.True(service.IsShowingCachedData);
+        Assert.Equal(new DateTimeOffset(2026, 3, 1, 14, 5, 0, TimeSpan.Zero), service.CachedAt);
+        Assert.Equal(1, raised);
+    }
+
+    /// <summary>
+    /// When several cached responses are shown, the oldest timestamp is reported.
+    /// </summary>
+    [Fact]
+    public void CachedAt_WithMultipleResponses_ReturnsOldest()
+    {
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+
+        service.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z");
+        service.OnCachedResponseServed("https://localhost/api/v1/categories", "2026-03-01T09:30:00Z");
+
+        Assert.Equal(new DateTimeOffset(2026, 3, 1, 9, 30, 0, TimeSpan.Zero), service.CachedAt);
+    }
+
+    /// <summary>
+    /// A fresh network response for the same URL replaces the cached one.
+    /// </summary>
+    [Fact]
+    public void OnNetworkResponseReceived_ForCachedUrl_ClearsCachedState()
+    {
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+        service.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z");
+
+        service.OnNetworkResponseReceived("https://localhost/api/v1/accounts");
+
+        Assert.False(service.IsShowingCachedData);
+    }
+
+    /// <summary>
+    /// A network response for an unrelated URL does not raise StatusChanged.
+    /// </summary>
+    [Fact]
+    public void OnNetworkResponseReceived_ForUnknownUrl_DoesNotRaiseStatusChanged()
+    {
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+        var raised = 0;
+        service.StatusChanged += () => raised++;
+
+        service.OnNetworkResponseReceived("https://localhost/api/v1/accounts");
+
+        Assert.Equal(0, raised);
+    }
+
+    /// <summary>
+    /// ClearAsync deletes the cache partitions through JS and forgets cached state.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ClearAsync_InvokesClearCacheAndResetsState()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/offline-cache.js");
+        moduleInterop.Setup<int>("clearCache").SetResult(2);
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+        service.OnCachedResponseServed("https://localhost/api/v1/accounts", "2026-03-01T14:05:00Z");
+
+        await service.ClearAsync();
+
+        Assert.False(service.IsShowingCachedData);
+        moduleInterop.VerifyInvoke("clearCache");
+    }
+
+    /// <summary>
+    /// ClearAsync swallows JS failures so sign-out is never blocked.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ClearAsync_WhenJsFails_DoesNotThrow()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/offline-cache.js");
+        moduleInterop.Setup<int>("clearCache").SetException(new JSException("Cache Storage unavailable."));
+        var service = new OfflineCacheService(this.JSInterop.JSRuntime);
+
+        await service.ClearAsync();
+
+        Assert.False(service.IsShowingCachedData);
+    }
+}
@@ -0,0 +1,233 @@
+// <copyright file="OfflineOutboxServiceTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Net;
+using System.Text;
+
+using BudgetExperiment.Client.Services;
+using BudgetExperiment.Contracts.Dtos;
+
+using Bunit;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Unit tests for <see cref="OfflineOutboxService"/>.
+/// </summary>
+public sealed class OfflineOutboxServiceTests : BunitContext
+{
+    private readonly BunitJSModuleInterop _moduleInterop;
+    private readonly QueueHandler _handler = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineOutboxServiceTests"/> class.
+    /// </summary>
+    public OfflineOutboxServiceTests()
+    {
+        this.JSInterop.Mode = JSRuntimeMode.Strict;
+        _moduleInterop = this.JSInterop.SetupModule("./js/offline-outbox.js");
+        _moduleInterop.SetupVoid("putItem", _ => true);
+        _moduleInterop.SetupVoid("deleteItem", _ => true);
+    }
+
+    /// <summary>
+    /// Enqueuing a transaction persists it to IndexedDB and exposes it as pending.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task EnqueueTransactionAsync_PersistsPendingItem()
+    {
+        var service = CreateService();
+        var changes = 0;
+        service.OnChange += () => changes++;
+
+        var item = await service.EnqueueTransactionAsync(new TransactionCreateDto
+        {
+            Description = "Groceries",
+            Amount = new MoneyDto { Amount = -42.5m, Currency = "USD" },
+        });
+
+        Assert.Equal("POST", item.Method);
+        Assert.Equal("api/v1/transactions", item.Url);
+        Assert.Equal(OutboxItemStatus.Pending, item.Status);
+        Assert.Contains("Groceries", item.Description);
+        Assert.Contains("\"description\":\"Groceries\"", item.Body);
+        Assert.Single(service.Items);
+        Assert.Equal(1, changes);
+        _moduleInterop.VerifyInvoke("putItem");
+    }
+
+    /// <summary>
+    /// Enqueuing with the key of an earlier attempt keeps that key, so replay can't apply the write twice.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task EnqueueTransferAsync_WithIdempotencyKey_KeepsIt()
+    {
+        var idempotencyKey = Guid.NewGuid();
+        var service = CreateService();
+
+        var item = await service.EnqueueTransferAsync(new CreateTransferRequest { Amount = 25m }, idempotencyKey);
+
+        Assert.Equal(idempotencyKey, item.Id);
+    }
+
+    /// <summary>
+    /// Replay sends items oldest first, each with its idempotency key, and removes them on success.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ReplayExclusiveAsync_SendsItemsInOrderWithIdempotencyKeys()
+    {
+        var first = CreateItem("First", minutesAgo: 10);
+        var second = CreateItem("Second", minutesAgo: 5);
+        _moduleInterop.Setup<List<OutboxItem>?>("getItems").SetResult([first, second]);
+        _handler.Responses.Enqueue(new HttpResponseMessage(HttpStatusCode.Created));
+        _handler.Responses.Enqueue(new HttpResponseMessage(HttpStatusCode.Created));
+        var service = CreateService();
+        var results = new List<OutboxReplayResult>();
+        service.ItemReplayed += results.Add;
+
+        await service.ReplayExclusiveAsync();
+
+        Assert.Equal(2, _handler.Requests.Count);
+        Assert.Equal(first.Id.ToString(), _handler.Requests[0].Headers.GetValues(OfflineOutboxService.IdempotencyKeyHeaderName).Single());
+        Assert.Equal(second.Id.ToString(), _handler.Requests[1].Headers.GetValues(OfflineOutboxService.IdempotencyKeyHeaderName).Single());
+        Assert.All(results, r => Assert.True(r.Succeeded));
+        Assert.Empty(service.Items);
+    }
+
+    /// <summary>
+    /// A rejected item is kept as a conflict with the server's reason, and replay continues.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ReplayExclusiveAsync_OnRejection_MarksConflictAndContinues()
+    {
+        var rejected = CreateItem("Rejected", minutesAgo: 10);
+        var accepted = CreateItem("Accepted", minutesAgo: 5);
+        _moduleInterop.Setup<List<OutboxItem>?>("getItems").SetResult([rejected, accepted]);
+        _handler.Responses.Enqueue(new HttpResponseMessage(HttpStatusCode.BadRequest)
+        {
+            Content = new StringContent("{\"title\":\"Validation failed\",\"detail\":\"Account not found.\"}", Encoding.UTF8, "application/problem+json"),
+        });
+        _handler.Responses.Enqueue(new HttpResponseMessage(HttpStatusCode.Created));
+        var service = CreateService();
+        var results = new List<OutboxReplayResult>();
+        service.ItemReplayed += results.Add;
+
+        await service.ReplayExclusiveAsync();
+
+        var conflict = Assert.Single(service.Items);
+        Assert.Equal(rejected.Id, conflict.Id);
+        Assert.Equal(OutboxItemStatus.Conflict, conflict.Status);
+        Assert.Equal("Account not found.", conflict.Error);
+        Assert.False(results[0].Succeeded);
+        Assert.True(results[1].Succeeded);
+    }
+
+    /// <summary>
+    /// A connectivity failure stops the replay and keeps every remaining item pending.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ReplayExclusiveAsync_WhenNetworkFails_StopsAndKeepsItems()
+    {
+        _moduleInterop.Setup<List<OutboxItem>?>("getItems").SetResult([CreateItem("First", 10), CreateItem("Second", 5)]);
+        _handler.Failure = new HttpRequestException("TypeError: Failed to fetch");
+        var service = CreateService();
+
+        await service.ReplayExclusiveAsync();
+
+        Assert.Single(_handler.Requests);
+        Assert.Equal(2, service.Items.Count);
+        Assert.All(service.Items, i => Assert.Equal(OutboxItemStatus.Pending, i.Status));
+    }
+
+    /// <summary>
+    /// A 409 means the same idempotency key is still being processed, so the item stays pending for the next replay.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ReplayExclusiveAsync_WhenStillInFlight_KeepsItemPending()
+    {
+        var item = CreateItem("First", minutesAgo: 10);
+        _moduleInterop.Setup<List<OutboxItem>?>("getItems").SetResult([item]);
+        _handler.Responses.Enqueue(new HttpResponseMessage(HttpStatusCode.Conflict)
+        {
+            Content = new StringContent("{\"title\":\"Conflict\",\"detail\":\"A request with this idempotency key is still being processed.\"}", Encoding.UTF8, "application/problem+json"),
+        });
+        var service = CreateService();
+        var results = new List<OutboxReplayResult>();
+        service.ItemReplayed += results.Add;
+
+        await service.ReplayExclusiveAsync();
+
+        Assert.Equal(OutboxItemStatus.Pending, Assert.Single(service.Items).Status);
+        Assert.Empty(results);
+    }
+
+    /// <summary>
+    /// Discarding an item deletes it from storage and from the list.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DiscardAsync_RemovesItem()
+    {
+        var service = CreateService();
+        var item = await service.EnqueueTransferAsync(new CreateTransferRequest { Amount = 25m });
+
+        await service.DiscardAsync(item.Id);
+
+        Assert.Empty(service.Items);
+        _moduleInterop.VerifyInvoke("deleteItem");
+    }
+
+    /// <summary>
+    /// Clearing the outbox empties storage and the list, so nothing is replayed for the next user.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ClearAsync_RemovesEveryItem()
+    {
+        _moduleInterop.SetupVoid("clearItems", _ => true);
+        var service = CreateService();
+        await service.EnqueueTransferAsync(new CreateTransferRequest { Amount = 25m });
+        await service.EnqueueTransferAsync(new CreateTransferRequest { Amount = 40m });
+
+        await service.ClearAsync();
+
+        Assert.Empty(service.Items);
+        _moduleInterop.VerifyInvoke("clearItems");
+    }
+
+    private static OutboxItem CreateItem(string description, int minutesAgo) =>
+        new(Guid.NewGuid(), "POST", "api/v1/transactions", "{}", description, DateTimeOffset.UtcNow.AddMinutes(-minutesAgo));
+
+    private OfflineOutboxService CreateService() =>
+        new(new HttpClient(_handler) { BaseAddress = new Uri("https://localhost/") }, this.JSInterop.JSRuntime);
+
+    private sealed class QueueHandler : HttpMessageHandler
+    {
+        public Queue<HttpResponseMessage> Responses { get; } = new();
+
+        public List<HttpRequestMessage> Requests { get; } = [];
+
+        public Exception? Failure
+        {
+            get; set;
+        }
+
+        protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+        {
+            Requests.Add(request);
+            if (Failure is not null)
+            {
+                throw Failure;
+            }
+
+            return Task.FromResult(Responses.Dequeue());
+        }
+    }
+}
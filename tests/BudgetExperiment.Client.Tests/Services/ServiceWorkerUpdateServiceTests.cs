@@ -0,0 +1,88 @@
+// <copyright file="ServiceWorkerUpdateServiceTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Unit tests for <see cref="ServiceWorkerUpdateService"/>.
+/// </summary>
+public class ServiceWorkerUpdateServiceTests : BunitContext
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ServiceWorkerUpdateServiceTests"/> class.
+    /// </summary>
+    public ServiceWorkerUpdateServiceTests()
+    {
+        this.JSInterop.Mode = JSRuntimeMode.Strict;
+    }
+
+    /// <summary>
+    /// A newly installed build is reported once and raises StatusChanged.
+    /// </summary>
+    [Fact]
+    public void OnUpdateAvailable_SetsFlagAndRaisesStatusChangedOnce()
+    {
+        var service = new ServiceWorkerUpdateService(this.JSInterop.JSRuntime);
+        var raised = 0;
+        service.StatusChanged += () => raised++;
+
+        service.OnUpdateAvailable();
+        service.OnUpdateAvailable();
+
+        Assert.True(service.IsUpdateAvailable);
+        Assert.Equal(1, raised);
+    }
+
+    /// <summary>
+    /// Dismissing hides the prompt until the next update is reported.
+    /// </summary>
+    [Fact]
+    public void Dismiss_ClearsFlag()
+    {
+        var service = new ServiceWorkerUpdateService(this.JSInterop.JSRuntime);
+        service.OnUpdateAvailable();
+
+        service.Dismiss();
+
+        Assert.False(service.IsUpdateAvailable);
+    }
+
+    /// <summary>
+    /// ApplyUpdateAsync hands the skip-waiting and reload handshake to JS.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ApplyUpdateAsync_InvokesApplyUpdate()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/sw-update.js");
+        moduleInterop.SetupVoid("applyUpdate").SetVoidResult();
+        var service = new ServiceWorkerUpdateService(this.JSInterop.JSRuntime);
+
+        await service.ApplyUpdateAsync();
+
+        moduleInterop.VerifyInvoke("applyUpdate");
+    }
+
+    /// <summary>
+    /// InitializeAsync swallows JS failures when service workers are unavailable.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task InitializeAsync_WhenJsFails_DoesNotThrow()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/sw-update.js");
+        moduleInterop.Setup<IJSObjectReference>("subscribe", _ => true).SetException(new JSException("Service workers unavailable."));
+        var service = new ServiceWorkerUpdateService(this.JSInterop.JSRuntime);
+
+        await service.InitializeAsync();
+
+        Assert.False(service.IsUpdateAvailable);
+    }
+}
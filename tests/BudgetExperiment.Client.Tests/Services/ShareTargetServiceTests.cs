@@ -0,0 +1,58 @@
+// <copyright file="ShareTargetServiceTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+using Bunit;
+
+using Microsoft.JSInterop;
+
+namespace BudgetExperiment.Client.Tests.Services;
+
+/// <summary>
+/// Unit tests for <see cref="ShareTargetService"/>.
+/// </summary>
+public class ShareTargetServiceTests : BunitContext
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ShareTargetServiceTests"/> class.
+    /// </summary>
+    public ShareTargetServiceTests()
+    {
+        this.JSInterop.Mode = JSRuntimeMode.Strict;
+    }
+
+    /// <summary>
+    /// The file stored by the service worker is returned.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task TakeSharedFileAsync_ReturnsStoredFile()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/share-target.js");
+        var stored = new SharedFile("bank-export.csv", "text/csv", [1, 2, 3], 3);
+        moduleInterop.Setup<SharedFile?>("takeSharedFile").SetResult(stored);
+        var service = new ShareTargetService(this.JSInterop.JSRuntime);
+
+        var file = await service.TakeSharedFileAsync();
+
+        Assert.Same(stored, file);
+    }
+
+    /// <summary>
+    /// IndexedDB failures are treated as "nothing shared".
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task TakeSharedFileAsync_WhenJsFails_ReturnsNull()
+    {
+        var moduleInterop = this.JSInterop.SetupModule("./js/share-target.js");
+        moduleInterop.Setup<SharedFile?>("takeSharedFile").SetException(new JSException("IndexedDB unavailable."));
+        var service = new ShareTargetService(this.JSInterop.JSRuntime);
+
+        var file = await service.TakeSharedFileAsync();
+
+        Assert.Null(file);
+    }
+}
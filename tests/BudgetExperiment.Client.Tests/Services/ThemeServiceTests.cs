@@ -2,6 +2,7 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using BudgetExperiment.Client.Models;
 using BudgetExperiment.Client.Services;
 
 using Microsoft.JSInterop;
@@ -38,7 +39,7 @@ public sealed class ThemeServiceTests : IDisposable
     [Fact]
     public void AvailableThemes_ContainsExpectedCount()
     {
-        Assert.Equal(10, ThemeService.AvailableThemes.Count);
+        Assert.Equal(11, ThemeService.AvailableThemes.Count);
     }
 
     /// <summary>
@@ -251,6 +252,120 @@ public sealed class ThemeServiceTests : IDisposable
     /// <summary>
     /// Stub JavaScript runtime that returns defaults without actual JS interop.
     /// </summary>
+    /// <summary>
+    /// Verifies a saved custom theme is listed after the built-in themes.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SaveCustomThemeAsync_AddsThemeOption()
+    {
+        // Arrange
+        var theme = new CustomThemeDefinition { Name = "Forest", BaseTheme = "dark" };
+
+        // Act
+        await _sut.SaveCustomThemeAsync(theme);
+
+        // Assert
+        Assert.Single(_sut.CustomThemes);
+        var option = _sut.GetThemeOptions()[^1];
+        Assert.Equal(theme.ThemeValue, option.Value);
+        Assert.Equal("Forest", option.Label);
+    }
+
+    /// <summary>
+    /// Verifies a custom theme reports its base theme for icons and charts.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task BaseTheme_WithCustomTheme_ReturnsBase()
+    {
+        // Arrange
+        var theme = new CustomThemeDefinition { Name = "Retro", BaseTheme = "win95" };
+        await _sut.SaveCustomThemeAsync(theme);
+
+        // Act
+        await _sut.SetThemeAsync(theme.ThemeValue);
+
+        // Assert
+        Assert.Equal("win95", _sut.BaseTheme);
+        Assert.Equal("win95-calendar", _sut.GetThemedIcon("calendar"));
+    }
+
+    /// <summary>
+    /// Verifies deleting the current custom theme falls back to its base theme.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task DeleteCustomThemeAsync_CurrentTheme_FallsBackToBase()
+    {
+        // Arrange
+        var theme = new CustomThemeDefinition { Name = "Forest", BaseTheme = "dark" };
+        await _sut.SaveCustomThemeAsync(theme);
+        await _sut.SetThemeAsync(theme.ThemeValue);
+
+        // Act
+        await _sut.DeleteCustomThemeAsync(theme.Id);
+
+        // Assert
+        Assert.Empty(_sut.CustomThemes);
+        Assert.Equal("dark", _sut.CurrentTheme);
+    }
+
+    /// <summary>
+    /// Verifies the scheduled theme reports its day theme for icons and charts until the schedule is known.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ActiveTheme_WithSchedule_ReturnsScheduledTheme()
+    {
+        // Arrange
+        await _sut.SaveThemeScheduleAsync(new ThemeSchedule { DayTheme = "win95", NightTheme = "dark" });
+
+        // Act
+        await _sut.SetThemeAsync(ThemeSchedule.ThemeValue);
+
+        // Assert
+        Assert.Equal(ThemeSchedule.ThemeValue, _sut.CurrentTheme);
+        Assert.Equal("win95", _sut.ActiveTheme);
+        Assert.Equal("win95-calendar", _sut.GetThemedIcon("calendar"));
+    }
+
+    /// <summary>
+    /// Verifies a switch reported by theme.js updates the active theme and raises ThemeChanged.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task OnScheduledThemeSwitched_UpdatesActiveThemeAndNotifies()
+    {
+        // Arrange
+        await _sut.SetThemeAsync(ThemeSchedule.ThemeValue);
+        string? notified = null;
+        _sut.ThemeChanged += theme => notified = theme;
+
+        // Act
+        _sut.OnScheduledThemeSwitched("dark");
+
+        // Assert
+        Assert.Equal("dark", _sut.ActiveTheme);
+        Assert.Equal(ThemeSchedule.ThemeValue, notified);
+    }
+
+    /// <summary>
+    /// Verifies a saved schedule is normalized.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SaveThemeScheduleAsync_NormalizesSchedule()
+    {
+        // Act
+        await _sut.SaveThemeScheduleAsync(new ThemeSchedule { DayTheme = "system", Latitude = 47.60621, Longitude = -122.33207 });
+
+        // Assert
+        Assert.Equal("light", _sut.Schedule.DayTheme);
+        Assert.Equal(47.61, _sut.Schedule.Latitude);
+        Assert.Equal(-122.33, _sut.Schedule.Longitude);
+    }
+
     private sealed class StubJSRuntime : IJSRuntime
     {
         /// <inheritdoc/>
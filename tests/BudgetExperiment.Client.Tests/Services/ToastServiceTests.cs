@@ -187,6 +187,104 @@ public sealed class ToastServiceTests : IDisposable
         Assert.True(_sut.Toasts[0].CreatedAtUtc <= DateTime.UtcNow);
     }
 
+    /// <summary>
+    /// Verifies that ShowUndo adds a toast with an Undo button.
+    /// </summary>
+    [Fact]
+    public void ShowUndo_AddsToastWithUndoAction()
+    {
+        // Act
+        var id = _sut.ShowUndo("Transaction deleted.", () => Task.CompletedTask);
+
+        // Assert
+        var toast = Assert.Single(_sut.Toasts);
+        Assert.Equal(id, toast.Id);
+        Assert.Equal("Transaction deleted.", toast.Message);
+        Assert.Equal("Undo", toast.ActionLabel);
+    }
+
+    /// <summary>
+    /// Verifies that UndoAsync runs the undo callback, removes the toast and skips the expiry callback.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task UndoAsync_RunsUndo_AndNotExpired()
+    {
+        // Arrange
+        var undone = false;
+        var expired = false;
+        var id = _sut.ShowUndo(
+            "Marked cleared.",
+            () =>
+            {
+                undone = true;
+                return Task.CompletedTask;
+            },
+            () =>
+            {
+                expired = true;
+                return Task.CompletedTask;
+            });
+
+        // Act
+        await _sut.UndoAsync(id);
+
+        // Assert
+        Assert.True(undone);
+        Assert.False(expired);
+        Assert.Empty(_sut.Toasts);
+    }
+
+    /// <summary>
+    /// Verifies that dismissing an undo toast runs its expiry callback instead of the undo.
+    /// </summary>
+    [Fact]
+    public void Remove_UndoToast_RunsExpired()
+    {
+        // Arrange
+        var undone = false;
+        var expired = false;
+        var id = _sut.ShowUndo(
+            "Transaction deleted.",
+            () =>
+            {
+                undone = true;
+                return Task.CompletedTask;
+            },
+            () =>
+            {
+                expired = true;
+                return Task.CompletedTask;
+            });
+
+        // Act
+        _sut.Remove(id);
+
+        // Assert
+        Assert.True(expired);
+        Assert.False(undone);
+    }
+
+    /// <summary>
+    /// Verifies that a failing expiry callback is reported as an error toast instead of being lost.
+    /// </summary>
+    [Fact]
+    public void Remove_UndoToast_ReportsFailedExpired()
+    {
+        // Arrange
+        var id = _sut.ShowUndo(
+            "Transaction deleted.",
+            () => Task.CompletedTask,
+            () => Task.FromException(new HttpRequestException("TypeError: Failed to fetch")));
+
+        // Act
+        _sut.Remove(id);
+
+        // Assert
+        var toast = Assert.Single(_sut.Toasts);
+        Assert.Equal(ToastLevel.Error, toast.Level);
+    }
+
     /// <inheritdoc/>
     public void Dispose()
     {
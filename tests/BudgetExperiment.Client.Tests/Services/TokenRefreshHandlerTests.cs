@@ -443,6 +443,18 @@ public sealed class TokenRefreshHandlerTests : IDisposable
             OnChange?.Invoke();
         }
 
+        /// <inheritdoc/>
+        public Guid ShowUndo(string message, Func<Task> onUndo, Func<Task>? onExpired = null)
+        {
+            return Guid.NewGuid();
+        }
+
+        /// <inheritdoc/>
+        public Task UndoAsync(Guid id)
+        {
+            return Task.CompletedTask;
+        }
+
         /// <inheritdoc/>
         public void Remove(Guid id)
         {
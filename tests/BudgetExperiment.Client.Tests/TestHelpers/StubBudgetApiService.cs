@@ -392,6 +392,14 @@ internal class StubBudgetApiService : IBudgetApiService
         get; set;
     }
 
+    /// <summary>
+    /// Gets or sets the last update passed to <see cref="UpdateTransactionAsync"/>.
+    /// </summary>
+    public TransactionUpdateDto? LastTransactionUpdate
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets a value indicating whether <see cref="DeleteTransactionAsync"/> returns true.
     /// </summary>
@@ -437,6 +445,14 @@ internal class StubBudgetApiService : IBudgetApiService
         get; set;
     }
 
+    /// <summary>
+    /// Gets the idempotency key passed to the last <see cref="CreateTransferAsync"/> call.
+    /// </summary>
+    public Guid? LastCreateTransferIdempotencyKey
+    {
+        get; private set;
+    }
+
     /// <summary>
     /// Gets or sets the result returned by <see cref="DeleteAllLocationDataAsync"/>.
     /// </summary>
@@ -559,6 +575,23 @@ internal class StubBudgetApiService : IBudgetApiService
         get; set;
     }
 
+    /// <summary>
+    /// Gets or sets the result returned by <see cref="MarkTransactionClearedAsync"/> and
+    /// <see cref="MarkTransactionUnclearedAsync"/>.
+    /// </summary>
+    public TransactionDto? MarkTransactionClearedResult
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets or sets the last request passed to <see cref="MarkTransactionClearedAsync"/>.
+    /// </summary>
+    public MarkClearedRequest? LastMarkClearedRequest
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the last filter passed to <see cref="GetUnifiedTransactionsAsync"/>.
     /// </summary>
@@ -643,6 +676,14 @@ internal class StubBudgetApiService : IBudgetApiService
         get; set;
     }
 
+    /// <summary>
+    /// Gets or sets the last modification passed to <see cref="ModifyRecurringInstanceAsync"/>.
+    /// </summary>
+    public RecurringInstanceModifyDto? LastRecurringInstanceModify
+    {
+        get; set;
+    }
+
     /// <summary>
     /// Gets or sets the result returned by <see cref="UpdateTransactionLocationAsync"/>.
     /// </summary>
@@ -899,10 +940,14 @@ internal class StubBudgetApiService : IBudgetApiService
     public Task<TransactionDto?> GetTransactionAsync(Guid id) => Task.FromResult(this.GetTransactionResult);
 
     /// <inheritdoc/>
-    public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model) => Task.FromResult(this.CreateTransactionResult);
+    public Task<TransactionDto?> CreateTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null) => Task.FromResult(this.CreateTransactionResult);
 
     /// <inheritdoc/>
-    public Task<ApiResult<TransactionDto>> UpdateTransactionAsync(Guid id, TransactionUpdateDto model, string? version = null) => Task.FromResult(this.UpdateTransactionResult ?? ApiResult<TransactionDto>.Failure());
+    public Task<ApiResult<TransactionDto>> UpdateTransactionAsync(Guid id, TransactionUpdateDto model, string? version = null)
+    {
+        this.LastTransactionUpdate = model;
+        return Task.FromResult(this.UpdateTransactionResult ?? ApiResult<TransactionDto>.Failure());
+    }
 
     /// <inheritdoc/>
     public Task<bool> DeleteTransactionAsync(Guid id) => this.DeleteTransactionException != null
@@ -977,11 +1022,16 @@ internal class StubBudgetApiService : IBudgetApiService
     public Task<bool> SkipRecurringInstanceAsync(Guid id, DateOnly date) => Task.FromResult(this.SkipRecurringInstanceResult);
 
     /// <inheritdoc/>
-    public Task<ApiResult<RecurringInstanceDto>> ModifyRecurringInstanceAsync(Guid id, DateOnly date, RecurringInstanceModifyDto model, string? version = null) => Task.FromResult(this.ModifyRecurringInstanceResult ?? ApiResult<RecurringInstanceDto>.Failure());
+    public Task<ApiResult<RecurringInstanceDto>> ModifyRecurringInstanceAsync(Guid id, DateOnly date, RecurringInstanceModifyDto model, string? version = null)
+    {
+        this.LastRecurringInstanceModify = model;
+        return Task.FromResult(this.ModifyRecurringInstanceResult ?? ApiResult<RecurringInstanceDto>.Failure());
+    }
 
     /// <inheritdoc/>
-    public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model)
+    public Task<TransferResponse?> CreateTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null)
     {
+        this.LastCreateTransferIdempotencyKey = idempotencyKey;
         if (this.CreateTransferException != null)
         {
             throw this.CreateTransferException;
@@ -1331,10 +1381,14 @@ internal class StubBudgetApiService : IBudgetApiService
     }
 
     /// <inheritdoc/>
-    public Task<TransactionDto?> MarkTransactionClearedAsync(MarkClearedRequest request) => Task.FromResult<TransactionDto?>(null);
+    public Task<TransactionDto?> MarkTransactionClearedAsync(MarkClearedRequest request)
+    {
+        this.LastMarkClearedRequest = request;
+        return Task.FromResult(this.MarkTransactionClearedResult);
+    }
 
     /// <inheritdoc/>
-    public Task<TransactionDto?> MarkTransactionUnclearedAsync(MarkUnclearedRequest request) => Task.FromResult<TransactionDto?>(null);
+    public Task<TransactionDto?> MarkTransactionUnclearedAsync(MarkUnclearedRequest request) => Task.FromResult(this.MarkTransactionClearedResult);
 
     /// <inheritdoc/>
     public Task<IReadOnlyList<TransactionDto>?> BulkMarkTransactionsClearedAsync(BulkMarkClearedRequest request) => Task.FromResult<IReadOnlyList<TransactionDto>?>(null);
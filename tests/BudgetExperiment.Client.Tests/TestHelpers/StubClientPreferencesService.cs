@@ -0,0 +1,61 @@
+// <copyright file="StubClientPreferencesService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+namespace BudgetExperiment.Client.Tests.TestHelpers;
+
+/// <summary>
+/// In-memory stub implementation of <see cref="IClientPreferencesService"/> for bUnit and view model tests.
+/// </summary>
+internal sealed class StubClientPreferencesService : IClientPreferencesService
+{
+    /// <inheritdoc/>
+    public event Action<ClientPreference, string?>? PreferenceChanged;
+
+    /// <summary>
+    /// Gets the stored preferences.
+    /// </summary>
+    public Dictionary<ClientPreference, string> Values { get; } = [];
+
+    /// <inheritdoc/>
+    public Task<string?> GetAsync(ClientPreference preference)
+    {
+        return Task.FromResult(Values.TryGetValue(preference, out var value) ? value : null);
+    }
+
+    /// <inheritdoc/>
+    public Task SetAsync(ClientPreference preference, string? value)
+    {
+        if (value is null)
+        {
+            Values.Remove(preference);
+        }
+        else
+        {
+            Values[preference] = value;
+        }
+
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Simulates another tab changing a preference.
+    /// </summary>
+    /// <param name="preference">The preference that changed.</param>
+    /// <param name="value">The new value, or <c>null</c> when it was removed.</param>
+    public void RaiseChangedElsewhere(ClientPreference preference, string? value)
+    {
+        if (value is null)
+        {
+            Values.Remove(preference);
+        }
+        else
+        {
+            Values[preference] = value;
+        }
+
+        PreferenceChanged?.Invoke(preference, value);
+    }
+}
@@ -12,6 +12,10 @@ namespace BudgetExperiment.Client.Tests.TestHelpers;
 internal sealed class StubExportDownloadService : IExportDownloadService
 {
     /// <inheritdoc/>
-    public Task<ExportDownloadResult> DownloadAsync(string url, CancellationToken cancellationToken = default) =>
+    public Task<ExportDownloadResult> DownloadAsync(
+        string url,
+        string? suggestedFileName = null,
+        IProgress<ExportDownloadProgress>? progress = null,
+        CancellationToken cancellationToken = default) =>
         Task.FromResult(ExportDownloadResult.Ok());
 }
@@ -0,0 +1,49 @@
+// <copyright file="StubInteractionFeedbackService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+namespace BudgetExperiment.Client.Tests.TestHelpers;
+
+/// <summary>
+/// In-memory stub implementation of <see cref="IInteractionFeedbackService"/> for bUnit tests.
+/// </summary>
+internal sealed class StubInteractionFeedbackService : IInteractionFeedbackService
+{
+    /// <inheritdoc/>
+    public event Action<InteractionFeedbackSettings>? SettingsChanged;
+
+    /// <inheritdoc/>
+    public InteractionFeedbackSettings Settings { get; set; } = InteractionFeedbackSettings.Default;
+
+    /// <inheritdoc/>
+    public Task InitializeAsync()
+    {
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc/>
+    public Task SetReduceMotionAsync(bool value)
+    {
+        RaiseChanged(Settings with { ReduceMotion = value });
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc/>
+    public Task SetDisableHapticsAsync(bool value)
+    {
+        RaiseChanged(Settings with { DisableHaptics = value });
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Simulates the settings changing in another tab or in the operating system.
+    /// </summary>
+    /// <param name="settings">The new settings.</param>
+    public void RaiseChanged(InteractionFeedbackSettings settings)
+    {
+        Settings = settings;
+        SettingsChanged?.Invoke(settings);
+    }
+}
@@ -0,0 +1,110 @@
+// <copyright file="StubOfflineOutboxService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+using BudgetExperiment.Contracts.Dtos;
+
+namespace BudgetExperiment.Client.Tests.TestHelpers;
+
+/// <summary>
+/// Shared stub implementation of <see cref="IOfflineOutboxService"/> that keeps queued items in memory.
+/// </summary>
+internal sealed class StubOfflineOutboxService : IOfflineOutboxService
+{
+    private readonly List<OutboxItem> _items = [];
+
+    /// <inheritdoc/>
+    public event Action? OnChange;
+
+    /// <inheritdoc/>
+    public event Action<OutboxReplayResult>? ItemReplayed;
+
+    /// <inheritdoc/>
+    public IReadOnlyList<OutboxItem> Items => _items;
+
+    /// <summary>
+    /// Gets the transfers queued through <see cref="EnqueueTransferAsync"/>.
+    /// </summary>
+    public List<CreateTransferRequest> QueuedTransfers { get; } = [];
+
+    /// <summary>
+    /// Gets the transactions queued through <see cref="EnqueueTransactionAsync"/>.
+    /// </summary>
+    public List<TransactionCreateDto> QueuedTransactions { get; } = [];
+
+    /// <summary>
+    /// Gets the number of times <see cref="ReplayAsync"/> was called.
+    /// </summary>
+    public int ReplayCount
+    {
+        get; private set;
+    }
+
+    /// <inheritdoc/>
+    public Task InitializeAsync() => Task.CompletedTask;
+
+    /// <inheritdoc/>
+    public Task<OutboxItem> EnqueueTransactionAsync(TransactionCreateDto model, Guid? idempotencyKey = null)
+    {
+        QueuedTransactions.Add(model);
+        return Task.FromResult(Add("api/v1/transactions", model.Description, idempotencyKey));
+    }
+
+    /// <inheritdoc/>
+    public Task<OutboxItem> EnqueueTransferAsync(CreateTransferRequest model, Guid? idempotencyKey = null)
+    {
+        QueuedTransfers.Add(model);
+        return Task.FromResult(Add("api/v1/transfers", model.Description ?? "Transfer", idempotencyKey));
+    }
+
+    /// <inheritdoc/>
+    public Task ReplayAsync()
+    {
+        ReplayCount++;
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc/>
+    public Task DiscardAsync(Guid id)
+    {
+        _items.RemoveAll(i => i.Id == id);
+        OnChange?.Invoke();
+        return Task.CompletedTask;
+    }
+
+    /// <inheritdoc/>
+    public Task ClearAsync()
+    {
+        _items.Clear();
+        OnChange?.Invoke();
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Adds an item directly, as if restored from storage.
+    /// </summary>
+    /// <param name="item">The item to add.</param>
+    public void Seed(OutboxItem item)
+    {
+        _items.Add(item);
+        OnChange?.Invoke();
+    }
+
+    /// <summary>
+    /// Raises <see cref="ItemReplayed"/> as if the item had been sent.
+    /// </summary>
+    /// <param name="result">The replay outcome.</param>
+    public void RaiseItemReplayed(OutboxReplayResult result)
+    {
+        ItemReplayed?.Invoke(result);
+    }
+
+    private OutboxItem Add(string url, string description, Guid? idempotencyKey)
+    {
+        var item = new OutboxItem(idempotencyKey ?? Guid.NewGuid(), "POST", url, "{}", description, DateTimeOffset.UtcNow);
+        _items.Add(item);
+        OnChange?.Invoke();
+        return item;
+    }
+}
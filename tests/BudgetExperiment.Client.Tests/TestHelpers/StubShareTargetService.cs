@@ -0,0 +1,38 @@
+// <copyright file="StubShareTargetService.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.Client.Services;
+
+namespace BudgetExperiment.Client.Tests.TestHelpers;
+
+/// <summary>
+/// Shared stub implementation of <see cref="IShareTargetService"/> for page-level bUnit tests.
+/// </summary>
+internal sealed class StubShareTargetService : IShareTargetService
+{
+    /// <summary>
+    /// Gets or sets the file returned by the next call to <see cref="TakeSharedFileAsync"/>.
+    /// </summary>
+    public SharedFile? File
+    {
+        get; set;
+    }
+
+    /// <summary>
+    /// Gets the number of times <see cref="TakeSharedFileAsync"/> was called.
+    /// </summary>
+    public int TakeCount
+    {
+        get; private set;
+    }
+
+    /// <inheritdoc/>
+    public Task<SharedFile?> TakeSharedFileAsync()
+    {
+        TakeCount++;
+        var file = File;
+        File = null;
+        return Task.FromResult(file);
+    }
+}
@@ -9,7 +9,6 @@ using BudgetExperiment.Client.ViewModels;
 using BudgetExperiment.Contracts.Dtos;
 
 using Microsoft.AspNetCore.Components;
-using Microsoft.JSInterop;
 
 using Shouldly;
 
@@ -24,6 +23,7 @@ public sealed class RulesViewModelTests : IDisposable
     private readonly StubToastService _toastService = new();
     private readonly StubNavigationManager _navigationManager = new();
     private readonly StubApiErrorContext _apiErrorContext = new();
+    private readonly StubClientPreferencesService _preferences = new();
     private readonly RulesViewModel _sut;
 
     /// <summary>
@@ -36,7 +36,7 @@ public sealed class RulesViewModelTests : IDisposable
             _toastService,
             _navigationManager,
             _apiErrorContext,
-            new StubJSRuntime());
+            _preferences);
     }
 
     /// <inheritdoc/>
@@ -2162,69 +2162,107 @@ public sealed class RulesViewModelTests : IDisposable
     // --- Preference Persistence ---
 
     /// <summary>
-    /// Verifies that InitializeAsync loads view mode preference from localStorage.
+    /// Verifies that InitializeAsync loads the saved view mode.
     /// </summary>
     /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
     public async Task InitializeAsync_LoadsViewModePreference()
     {
-        var jsRuntime = new ConfigurableJSRuntime();
-        jsRuntime.SetStorageItem("budget-experiment-rules-view-mode", "Card");
-        var sut = new RulesViewModel(
-            _apiService,
-            _toastService,
-            _navigationManager,
-            _apiErrorContext,
-            jsRuntime);
+        _preferences.Values[ClientPreference.RulesViewMode] = "Card";
 
-        await sut.InitializeAsync();
+        await _sut.InitializeAsync();
 
-        sut.ViewMode.ShouldBe(RulesViewMode.Card);
-        sut.Dispose();
+        _sut.ViewMode.ShouldBe(RulesViewMode.Card);
     }
 
     /// <summary>
-    /// Verifies that InitializeAsync loads page size preference from localStorage.
+    /// Verifies that InitializeAsync loads the saved page size.
     /// </summary>
     /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
     public async Task InitializeAsync_LoadsPageSizePreference()
     {
-        var jsRuntime = new ConfigurableJSRuntime();
-        jsRuntime.SetStorageItem("budget-experiment-rules-page-size", "50");
-        var sut = new RulesViewModel(
-            _apiService,
-            _toastService,
-            _navigationManager,
-            _apiErrorContext,
-            jsRuntime);
+        _preferences.Values[ClientPreference.RulesPageSize] = "50";
 
-        await sut.InitializeAsync();
+        await _sut.InitializeAsync();
 
-        sut.PageSize.ShouldBe(50);
-        sut.Dispose();
+        _sut.PageSize.ShouldBe(50);
     }
 
     /// <summary>
-    /// Verifies that an invalid page size from localStorage is ignored.
+    /// Verifies that an invalid saved page size is ignored.
     /// </summary>
     /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
     [Fact]
     public async Task InitializeAsync_InvalidPageSize_UsesDefault()
     {
-        var jsRuntime = new ConfigurableJSRuntime();
-        jsRuntime.SetStorageItem("budget-experiment-rules-page-size", "999");
-        var sut = new RulesViewModel(
-            _apiService,
-            _toastService,
-            _navigationManager,
-            _apiErrorContext,
-            jsRuntime);
+        _preferences.Values[ClientPreference.RulesPageSize] = "999";
+
+        await _sut.InitializeAsync();
+
+        _sut.PageSize.ShouldBe(25);
+    }
+
+    /// <summary>
+    /// Verifies that SetViewModeAsync and ChangePageSizeAsync save the preferences.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SetViewModeAndPageSize_SavePreferences()
+    {
+        await _sut.InitializeAsync();
+
+        await _sut.SetViewModeAsync(RulesViewMode.Card);
+        await _sut.ChangePageSizeAsync(100);
+
+        _preferences.Values[ClientPreference.RulesViewMode].ShouldBe("Card");
+        _preferences.Values[ClientPreference.RulesPageSize].ShouldBe("100");
+    }
+
+    /// <summary>
+    /// Verifies that a view mode changed in another tab is applied.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task ViewModeChangedElsewhere_UpdatesViewModeAndNotifies()
+    {
+        await _sut.InitializeAsync();
+        var called = false;
+        _sut.OnStateChanged = () => called = true;
 
-        await sut.InitializeAsync();
+        _preferences.RaiseChangedElsewhere(ClientPreference.RulesViewMode, "Card");
 
-        sut.PageSize.ShouldBe(25);
-        sut.Dispose();
+        _sut.ViewMode.ShouldBe(RulesViewMode.Card);
+        called.ShouldBeTrue();
+    }
+
+    /// <summary>
+    /// Verifies that a page size changed in another tab is applied from page 1.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task PageSizeChangedElsewhere_UpdatesPageSizeAndResetsPage()
+    {
+        await _sut.InitializeAsync();
+        await _sut.ChangePageAsync(3);
+
+        _preferences.RaiseChangedElsewhere(ClientPreference.RulesPageSize, "10");
+
+        _sut.PageSize.ShouldBe(10);
+        _sut.CurrentPage.ShouldBe(1);
+    }
+
+    /// <summary>
+    /// Verifies that changes from other tabs are ignored after disposal.
+    /// </summary>
+    [Fact]
+    public void Dispose_StopsFollowingPreferenceChanges()
+    {
+        _sut.Dispose();
+
+        _preferences.RaiseChangedElsewhere(ClientPreference.RulesViewMode, "Card");
+
+        _sut.ViewMode.ShouldBe(RulesViewMode.Table);
     }
 
     private static CategorizationRuleDto CreateRule(
@@ -2341,49 +2379,20 @@ public sealed class RulesViewModelTests : IDisposable
         }
 
         /// <inheritdoc/>
-        public void Remove(Guid id)
+        public Guid ShowUndo(string message, Func<Task> onUndo, Func<Task>? onExpired = null)
         {
+            return Guid.NewGuid();
         }
-    }
-
-    /// <summary>
-    /// Minimal stub for IJSRuntime to satisfy ScopeService constructor.
-    /// </summary>
-    private sealed class StubJSRuntime : IJSRuntime
-    {
-        /// <inheritdoc/>
-        /// <returns>A default value.</returns>
-        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) => default;
 
         /// <inheritdoc/>
-        /// <returns>A default value.</returns>
-        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args) => default;
-    }
-
-    /// <summary>
-    /// Configurable IJSRuntime that can return stored localStorage values.
-    /// </summary>
-    private sealed class ConfigurableJSRuntime : IJSRuntime
-    {
-        private readonly Dictionary<string, string> _storage = new(StringComparer.Ordinal);
-
-        public void SetStorageItem(string key, string value) => _storage[key] = value;
-
-        /// <inheritdoc/>
-        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
+        public Task UndoAsync(Guid id)
         {
-            if (identifier == "localStorage.getItem" && args?.Length > 0 && args[0] is string key && _storage.TryGetValue(key, out var val))
-            {
-                return new ValueTask<TValue>((TValue)(object)val);
-            }
-
-            return default;
+            return Task.CompletedTask;
         }
 
         /// <inheritdoc/>
-        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
+        public void Remove(Guid id)
         {
-            return this.InvokeAsync<TValue>(identifier, args);
         }
     }
 
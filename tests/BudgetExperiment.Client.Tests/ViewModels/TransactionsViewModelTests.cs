@@ -471,6 +471,42 @@ public sealed class TransactionsViewModelTests
         _sut.PageData.Items.Count.ShouldBe(2);
     }
 
+    /// <summary>
+    /// Verifies that RefreshAsync reloads transactions with the current filter.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task RefreshAsync_ReloadsWithCurrentFilter()
+    {
+        await _sut.InitializeAsync();
+        _sut.Filter.Description = "coffee";
+        _apiService.UnifiedPage = CreatePageWithItems(5);
+
+        await _sut.RefreshAsync();
+
+        _sut.PageData.Items.Count.ShouldBe(5);
+        _apiService.LastUnifiedFilter!.Description.ShouldBe("coffee");
+    }
+
+    /// <summary>
+    /// Verifies that refreshing after the legacy account transactions route redirects here
+    /// reloads that account's transactions.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task RefreshAsync_FromAccountRoute_ReloadsThatAccount()
+    {
+        var accountId = Guid.NewGuid();
+        _sut.ApplyQueryParameters(accountId.ToString(), null, null, null, null, null, null, null, null, null, null, null, null);
+        await _sut.InitializeAsync();
+        _apiService.UnifiedPage = CreatePageWithItems(3);
+
+        await _sut.RefreshAsync();
+
+        _sut.PageData.Items.Count.ShouldBe(3);
+        _apiService.LastUnifiedFilter!.AccountId.ShouldBe(accountId);
+    }
+
     /// <summary>
     /// Verifies that DismissError clears the error message.
     /// </summary>
@@ -780,6 +816,172 @@ public sealed class TransactionsViewModelTests
         _sut.SelectedTransactionIds.ShouldNotContain(txnId);
     }
 
+    // --- Swiped Row Actions ---
+
+    /// <summary>
+    /// Verifies that SetRowCategoryAsync reloads without a success toast (the row's undo toast confirms it).
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SetRowCategoryAsync_ReloadsWithoutSuccessToast()
+    {
+        _apiService.UpdateTransactionCategoryResult = new TransactionDto { Id = Guid.NewGuid() };
+        _apiService.UnifiedPage = CreatePageWithItems(2);
+
+        var result = await _sut.SetRowCategoryAsync(Guid.NewGuid(), Guid.NewGuid());
+
+        result.ShouldBeTrue();
+        _sut.PageData.Items.Count.ShouldBe(2);
+        _toastService.LastSuccessMessage.ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies that SetRowCategoryAsync reports a failure.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SetRowCategoryAsync_ReturnsFalse_WhenApiFails()
+    {
+        _apiService.UpdateTransactionCategoryResult = null;
+
+        var result = await _sut.SetRowCategoryAsync(Guid.NewGuid(), Guid.NewGuid());
+
+        result.ShouldBeFalse();
+        _toastService.LastErrorMessage.ShouldNotBeNull();
+    }
+
+    /// <summary>
+    /// Verifies that SetRowClearedAsync marks the transaction cleared as of today.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task SetRowClearedAsync_MarksClearedToday()
+    {
+        var txnId = Guid.NewGuid();
+        _apiService.MarkTransactionClearedResult = new TransactionDto { Id = txnId, IsCleared = true };
+
+        var result = await _sut.SetRowClearedAsync(txnId, true);
+
+        result.ShouldBeTrue();
+        _apiService.LastMarkClearedRequest.ShouldNotBeNull();
+        _apiService.LastMarkClearedRequest.TransactionId.ShouldBe(txnId);
+        _apiService.LastMarkClearedRequest.ClearedDate.ShouldBe(DateOnly.FromDateTime(DateTime.Today));
+    }
+
+    /// <summary>
+    /// Verifies that a held delete hides the row and drops it from the selection until released.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task HoldDelete_HidesRowUntilReleased()
+    {
+        _apiService.UnifiedPage = CreatePageWithItems(3);
+        await _sut.LoadTransactionsAsync();
+        var txnId = _sut.PageData.Items[0].Id;
+        _sut.SelectedTransactionIds.Add(txnId);
+
+        _sut.HoldDelete(txnId);
+
+        _sut.VisibleItems.Count().ShouldBe(2);
+        _sut.VisibleItems.ShouldNotContain(item => item.Id == txnId);
+        _sut.SelectedTransactionIds.ShouldNotContain(txnId);
+
+        _sut.ReleaseHeldDelete(txnId);
+
+        _sut.VisibleItems.Count().ShouldBe(3);
+    }
+
+    /// <summary>
+    /// Verifies that a held delete stays hidden across a reload.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task HoldDelete_StaysHidden_AfterReload()
+    {
+        _apiService.UnifiedPage = CreatePageWithItems(2);
+        await _sut.LoadTransactionsAsync();
+        var txnId = _sut.PageData.Items[0].Id;
+
+        _sut.HoldDelete(txnId);
+        await _sut.LoadTransactionsAsync();
+
+        _sut.VisibleItems.ShouldNotContain(item => item.Id == txnId);
+    }
+
+    /// <summary>
+    /// Verifies that CommitHeldDeleteAsync deletes the transaction without a second toast.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CommitHeldDeleteAsync_Deletes()
+    {
+        _apiService.UnifiedPage = CreatePageWithItems(2);
+        await _sut.LoadTransactionsAsync();
+        var txnId = _sut.PageData.Items[0].Id;
+        _apiService.DeleteTransactionResult = true;
+        _sut.HoldDelete(txnId);
+
+        await _sut.CommitHeldDeleteAsync(txnId);
+
+        _toastService.LastSuccessMessage.ShouldBeNull();
+        _toastService.LastErrorMessage.ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies that a held delete that fails brings the row back.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CommitHeldDeleteAsync_ShowsRowAgain_WhenApiFails()
+    {
+        _apiService.UnifiedPage = CreatePageWithItems(2);
+        await _sut.LoadTransactionsAsync();
+        var txnId = _sut.PageData.Items[0].Id;
+        _apiService.DeleteTransactionResult = false;
+        _sut.HoldDelete(txnId);
+
+        await _sut.CommitHeldDeleteAsync(txnId);
+
+        _toastService.LastErrorMessage.ShouldNotBeNull();
+        _sut.VisibleItems.ShouldContain(item => item.Id == txnId);
+    }
+
+    /// <summary>
+    /// Verifies that a held delete that can't reach the API brings the row back with an error.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CommitHeldDeleteAsync_ShowsRowAgain_WhenOffline()
+    {
+        _apiService.UnifiedPage = CreatePageWithItems(2);
+        await _sut.LoadTransactionsAsync();
+        var txnId = _sut.PageData.Items[0].Id;
+        _apiService.DeleteTransactionException = new HttpRequestException("TypeError: Failed to fetch");
+        _sut.HoldDelete(txnId);
+
+        await _sut.CommitHeldDeleteAsync(txnId);
+
+        _toastService.LastErrorMessage.ShouldNotBeNull();
+        _sut.VisibleItems.ShouldContain(item => item.Id == txnId);
+    }
+
+    /// <summary>
+    /// Verifies that CommitHeldDeleteAsync does nothing for a delete that was undone.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CommitHeldDeleteAsync_DoesNothing_AfterRelease()
+    {
+        var txnId = Guid.NewGuid();
+        _apiService.DeleteTransactionException = new InvalidOperationException("Should not be called");
+        _sut.HoldDelete(txnId);
+        _sut.ReleaseHeldDelete(txnId);
+
+        await _sut.CommitHeldDeleteAsync(txnId);
+
+        _toastService.LastErrorMessage.ShouldBeNull();
+    }
+
     // --- Bulk Categorize ---
 
     /// <summary>
@@ -1309,6 +1511,18 @@ public sealed class TransactionsViewModelTests
             this.OnChange?.Invoke();
         }
 
+        /// <inheritdoc/>
+        public Guid ShowUndo(string message, Func<Task> onUndo, Func<Task>? onExpired = null)
+        {
+            return Guid.NewGuid();
+        }
+
+        /// <inheritdoc/>
+        public Task UndoAsync(Guid id)
+        {
+            return Task.CompletedTask;
+        }
+
         /// <inheritdoc/>
         public void Remove(Guid id)
         {
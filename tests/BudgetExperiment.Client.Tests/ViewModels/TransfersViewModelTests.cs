@@ -2,6 +2,8 @@
 // Copyright (c) BecauseImClever. All rights reserved.
 // </copyright>
 
+using System.Net;
+
 using BudgetExperiment.Client.Services;
 using BudgetExperiment.Client.Tests.TestHelpers;
 using BudgetExperiment.Client.ViewModels;
@@ -19,6 +21,7 @@ public sealed class TransfersViewModelTests : IDisposable
     private readonly StubBudgetApiService _apiService = new();
     private readonly StubChatContextService _chatContext = new();
     private readonly StubApiErrorContext _apiErrorContext = new();
+    private readonly StubOfflineOutboxService _outbox = new();
     private readonly TransfersViewModel _sut;
 
     /// <summary>
@@ -29,7 +32,8 @@ public sealed class TransfersViewModelTests : IDisposable
         _sut = new TransfersViewModel(
             _apiService,
             _chatContext,
-            _apiErrorContext);
+            _apiErrorContext,
+            _outbox);
     }
 
     /// <inheritdoc/>
@@ -405,12 +409,48 @@ public sealed class TransfersViewModelTests : IDisposable
     [Fact]
     public async Task CreateTransferAsync_SetsErrorMessage_OnFailure()
     {
-        _apiService.CreateTransferException = new HttpRequestException("Create failed");
+        _apiService.CreateTransferException = new HttpRequestException("Create failed", null, HttpStatusCode.InternalServerError);
 
         await _sut.CreateTransferAsync(new CreateTransferRequest());
 
         _sut.ErrorMessage.ShouldNotBeNull();
         _sut.ErrorMessage!.ShouldContain("Failed to create transfer");
+        _outbox.QueuedTransfers.ShouldBeEmpty();
+    }
+
+    /// <summary>
+    /// Verifies that CreateTransferAsync queues the transfer in the offline outbox when the network is unreachable.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransferAsync_WhenOffline_QueuesTransferInOutbox()
+    {
+        _apiService.CreateTransferException = new HttpRequestException("TypeError: Failed to fetch");
+        var request = new CreateTransferRequest { Amount = 50m, Description = "Savings" };
+
+        await _sut.InitializeAsync();
+        _sut.ShowCreateTransfer();
+        await _sut.CreateTransferAsync(request);
+
+        _outbox.QueuedTransfers.ShouldHaveSingleItem().ShouldBeSameAs(request);
+        _sut.ShowTransferDialog.ShouldBeFalse();
+        _sut.ErrorMessage.ShouldBeNull();
+    }
+
+    /// <summary>
+    /// Verifies that a transfer queued after a lost response keeps the idempotency key of the first
+    /// attempt, so replaying it can't create a second transfer if the first one did reach the server.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous unit test.</returns>
+    [Fact]
+    public async Task CreateTransferAsync_WhenOffline_QueuesWithFirstAttemptIdempotencyKey()
+    {
+        _apiService.CreateTransferException = new HttpRequestException("TypeError: Failed to fetch");
+
+        await _sut.CreateTransferAsync(new CreateTransferRequest { Amount = 50m });
+
+        _apiService.LastCreateTransferIdempotencyKey.ShouldNotBeNull();
+        _outbox.Items.ShouldHaveSingleItem().Id.ShouldBe(_apiService.LastCreateTransferIdempotencyKey.Value);
     }
 
     /// <summary>
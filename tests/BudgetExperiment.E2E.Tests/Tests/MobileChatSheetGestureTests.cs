@@ -0,0 +1,138 @@
+// <copyright file="MobileChatSheetGestureTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using BudgetExperiment.E2E.Tests.Fixtures;
+using BudgetExperiment.E2E.Tests.Helpers;
+
+namespace BudgetExperiment.E2E.Tests.Tests;
+
+/// <summary>
+/// E2E tests for dragging the AI chat BottomSheet by its content and keeping it above the
+/// on-screen keyboard on mobile viewport.
+/// </summary>
+[Collection("MobilePlaywright")]
+public class MobileChatSheetGestureTests
+{
+    private readonly MobilePlaywrightFixture fixture;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="MobileChatSheetGestureTests"/> class.
+    /// </summary>
+    /// <param name="fixture">The mobile Playwright fixture.</param>
+    public MobileChatSheetGestureTests(MobilePlaywrightFixture fixture)
+    {
+        this.fixture = fixture;
+    }
+
+    /// <summary>
+    /// Verifies pulling down on the conversation, while it is scrolled to the top, drags the
+    /// sheet and closes it once released past the threshold.
+    /// </summary>
+    /// <returns>A task representing the async test.</returns>
+    [Fact]
+    [Trait("Category", "Mobile")]
+    [Trait("Category", "DemoSafe")]
+    public async Task AiChat_PullDownOnContentAtTop_ShouldDismissSheet()
+    {
+        // Arrange
+        var page = fixture.Page;
+        await OpenChatAsync(page);
+        var messages = page.Locator(".mobile-chat-messages");
+        await Expect(messages).ToBeVisibleAsync(new()
+        {
+            Timeout = 5000,
+        });
+        await messages.EvaluateAsync("element => { element.scrollTop = 0; }");
+
+        // Act - a single finger pulls 250px down from the middle of the conversation
+        await messages.EvaluateAsync(@"element => {
+            const rect = element.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const startY = rect.top + Math.min(40, rect.height / 2);
+            const touchAt = y => new Touch({ identifier: 1, target: element, clientX: x, clientY: y });
+            const fire = (type, y) => element.dispatchEvent(new TouchEvent(type, {
+                bubbles: true,
+                cancelable: true,
+                touches: type === 'touchend' ? [] : [touchAt(y)],
+                changedTouches: [touchAt(y)],
+            }));
+
+            fire('touchstart', startY);
+            for (let step = 1; step <= 10; step++) {
+                fire('touchmove', startY + step * 25);
+            }
+            fire('touchend', startY + 250);
+        }");
+
+        // Assert - dialog should disappear and the FAB come back
+        await Expect(page.GetByRole(AriaRole.Dialog)).Not.ToBeVisibleAsync(new()
+        {
+            Timeout = 5000,
+        });
+        await Expect(page.Locator(".fab-primary")).ToBeVisibleAsync(new()
+        {
+            Timeout = 3000,
+        });
+    }
+
+    /// <summary>
+    /// Verifies the sheet lifts above an on-screen keyboard that shrinks only the visual
+    /// viewport, keeping the focused chat input in view.
+    /// </summary>
+    /// <returns>A task representing the async test.</returns>
+    [Fact]
+    [Trait("Category", "Mobile")]
+    [Trait("Category", "DemoSafe")]
+    public async Task AiChat_KeyboardOpen_ShouldKeepFocusedInputAboveIt()
+    {
+        // Arrange
+        var page = fixture.Page;
+        await OpenChatAsync(page);
+        var chatInput = page.GetByPlaceholder("Type a message...");
+        await Expect(chatInput).ToBeVisibleAsync(new()
+        {
+            Timeout = 5000,
+        });
+        await chatInput.FocusAsync();
+
+        // Act - shrink the visual viewport the way an overlaid keyboard does, leaving the layout viewport alone
+        const int keyboardHeight = 300;
+        var visibleHeight = await page.EvaluateAsync<double>(
+            @"keyboardHeight => {
+                const visibleHeight = window.innerHeight - keyboardHeight;
+                Object.defineProperty(window.visualViewport, 'height', { configurable: true, get: () => visibleHeight });
+                window.visualViewport.dispatchEvent(new Event('resize'));
+                return visibleHeight;
+            }",
+            keyboardHeight);
+
+        // Assert - the sheet is lifted by the keyboard height and the input sits above the keys
+        var sheet = page.Locator(".bottom-sheet");
+        await Expect(sheet).ToHaveCSSAsync("bottom", $"{keyboardHeight}px", new()
+        {
+            Timeout = 3000,
+        });
+        await Expect(chatInput).ToBeFocusedAsync();
+
+        var box = await chatInput.BoundingBoxAsync();
+        Assert.NotNull(box);
+        Assert.True(
+            box.Y + box.Height <= visibleHeight,
+            $"Chat input bottom {box.Y + box.Height}px is below the visible viewport height {visibleHeight}px");
+    }
+
+    private async Task OpenChatAsync(IPage page)
+    {
+        await AuthenticationHelper.LoginAsync(page, fixture.BaseUrl);
+        await page.GotoAsync(fixture.BaseUrl);
+        await page.WaitForLoadStateAsync(LoadState.NetworkIdle);
+
+        await page.Locator(".fab-primary").ClickAsync();
+        await page.Locator(".fab-ai").ClickAsync();
+        await Expect(page.GetByRole(AriaRole.Dialog)).ToBeVisibleAsync(new()
+        {
+            Timeout = 5000,
+        });
+    }
+}
@@ -0,0 +1,104 @@
+// <copyright file="ThemeContrastTests.cs" company="BecauseImClever">
+// Copyright (c) BecauseImClever. All rights reserved.
+// </copyright>
+
+using System.Text.Json;
+
+using BudgetExperiment.E2E.Tests.Fixtures;
+using BudgetExperiment.E2E.Tests.Helpers;
+
+using Xunit.Abstractions;
+
+namespace BudgetExperiment.E2E.Tests.Tests;
+
+/// <summary>
+/// Runs the contrast audit from js/contrast-audit.js against every built-in theme, so a token
+/// change that drops a text or status colour below WCAG AA contrast fails the build.
+/// </summary>
+[Collection("Playwright")]
+public class ThemeContrastTests
+{
+    /// <summary>
+    /// Pairs that already fell short when the audit was added, by theme. The playful themes trade
+    /// some contrast for their look; the Accessible theme must always pass. Remove an entry once
+    /// the theme is fixed so it can't regress again.
+    /// </summary>
+    private static readonly Dictionary<string, string[]> KnownShortfalls = new()
+    {
+        ["light"] = ["warning-on-surface"],
+        ["dark"] = [],
+        ["accessible"] = [],
+        ["vscode-dark"] = ["inverse-text-on-brand", "brand-on-surface"],
+        ["monopoly"] = ["success-on-surface", "warning-on-surface", "income-on-surface"],
+        ["win95"] = ["warning-on-surface"],
+        ["macos"] = ["secondary-text-on-background", "secondary-text-on-surface", "inverse-text-on-brand", "success-on-surface", "warning-on-surface", "income-on-surface"],
+        ["geocities"] = ["header-text"],
+        ["crayons"] = ["inverse-text-on-brand", "header-text", "sidebar-text", "success-on-surface", "warning-on-surface", "income-on-surface"],
+    };
+
+    private readonly PlaywrightFixture fixture;
+    private readonly ITestOutputHelper output;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ThemeContrastTests"/> class.
+    /// </summary>
+    /// <param name="fixture">The Playwright fixture.</param>
+    /// <param name="output">The test output helper for logging.</param>
+    public ThemeContrastTests(PlaywrightFixture fixture, ITestOutputHelper output)
+    {
+        this.fixture = fixture;
+        this.output = output;
+    }
+
+    /// <summary>
+    /// Verifies a theme has no contrast failures beyond its known shortfalls.
+    /// </summary>
+    /// <param name="theme">Built-in theme name.</param>
+    /// <returns>A task representing the async test.</returns>
+    [Theory]
+    [Trait("Category", "Accessibility")]
+    [InlineData("light")]
+    [InlineData("dark")]
+    [InlineData("accessible")]
+    [InlineData("vscode-dark")]
+    [InlineData("monopoly")]
+    [InlineData("win95")]
+    [InlineData("macos")]
+    [InlineData("geocities")]
+    [InlineData("crayons")]
+    public async Task Theme_ShouldMeetContrastMinimums(string theme)
+    {
+        // Arrange
+        var page = fixture.Page;
+        await AuthenticationHelper.LoginAsync(page, fixture.BaseUrl);
+        await page.GotoAsync($"{fixture.BaseUrl}/components");
+        await page.WaitForLoadStateAsync(LoadState.NetworkIdle);
+
+        // Act
+        var report = await page.EvaluateAsync<JsonElement>(
+            @"async theme => {
+                const audit = await import(new URL('js/contrast-audit.js', document.baseURI).href);
+                return audit.auditTheme(theme);
+            }",
+            theme);
+
+        // Assert
+        var failures = report.GetProperty("results").EnumerateArray()
+            .Where(result => !result.GetProperty("passes").GetBoolean())
+            .ToList();
+        foreach (var failure in failures)
+        {
+            output.WriteLine(
+                $"{failure.GetProperty("id").GetString()}: {failure.GetProperty("ratio").GetDouble()}:1 " +
+                $"(needs {failure.GetProperty("minimum").GetDouble()}:1)");
+        }
+
+        var unexpected = failures
+            .Select(failure => failure.GetProperty("id").GetString())
+            .Except(KnownShortfalls[theme])
+            .ToList();
+        Assert.True(
+            unexpected.Count == 0,
+            $"Theme '{theme}' has new contrast failures: {string.Join(", ", unexpected)}");
+    }
+}